@@ -0,0 +1,165 @@
+/**
+ * CV HTML Builder
+ *
+ * Renders the structured CV data (cv.json) into index.html. Only the markup
+ * between the CV:START and CV:END markers is replaced; the document head,
+ * styles and scripts stay hand-maintained.
+ *
+ * index.html is rendered in the default language and doubles as the template
+ * for the other languages, which are written next to it (index.fr.html,
+ * index.nl.html) with their own <html lang> attribute.
+ *
+ * @module buildHTML
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { PATHS, HTML_MARKERS, I18N, ERROR_MESSAGES, LOG_MESSAGES } = require('./src/constants');
+const { FileSystemError } = require('./src/errors/CustomErrors');
+const { loadCVData } = require('./src/data/CVData');
+const { applyProfile } = require('./src/data/ProfileFilter');
+const { addAnchors } = require('./src/data/Anchors');
+const CVRenderer = require('./src/renderer/CVRenderer');
+const { Translator, isLocalizedText, localizeFilename } = require('./src/i18n/Translator');
+const { indent } = require('./src/utils/HtmlUtils');
+
+/**
+ * Replace the generated region of an HTML document
+ * @param {string} html - Full HTML document
+ * @param {string} markup - Markup to insert between the markers
+ * @param {string} htmlPath - Path of the document (for error messages)
+ * @returns {string} Updated HTML document
+ * @throws {FileSystemError} If the markers are missing
+ */
+function injectMarkup(html, markup, htmlPath) {
+  const start = html.indexOf(HTML_MARKERS.START);
+  const end = html.indexOf(HTML_MARKERS.END);
+
+  if (start === -1 || end === -1 || end < start) {
+    throw new FileSystemError(`${ERROR_MESSAGES.HTML_MARKERS_MISSING} ${htmlPath}`, htmlPath);
+  }
+
+  // Keep the indentation of the START marker for the generated block and END marker
+  const lineStart = html.lastIndexOf('\n', start) + 1;
+  const markerIndent = html.slice(lineStart, start);
+  const level = Math.round(markerIndent.length / 4);
+
+  return (
+    html.slice(0, start + HTML_MARKERS.START.length) +
+    '\n' +
+    indent(markup, level) +
+    '\n' +
+    markerIndent +
+    html.slice(end)
+  );
+}
+
+/**
+ * Set the lang attribute of the <html> element
+ * @param {string} html - Full HTML document
+ * @param {string} language - Language code
+ * @returns {string} Updated HTML document
+ */
+function setDocumentLanguage(html, language) {
+  return html.replace(/<html([^>]*?)\slang="[^"]*"/, `<html$1 lang="${language}"`);
+}
+
+/**
+ * Path of the page generated for a language (index.html for the default language)
+ * @param {string} htmlPath - Full path of the default page
+ * @param {string} language - Language code
+ * @returns {string} Full path of the localized page
+ */
+function getLocalizedPath(htmlPath, language) {
+  return language === I18N.DEFAULT_LANGUAGE ? htmlPath : localizeFilename(htmlPath, language);
+}
+
+/**
+ * Whether the download button links the same PDF on every language page
+ * @param {Object} data - CV data
+ * @returns {boolean} True if header.download.href has a single value
+ */
+function hasSharedDownload(data) {
+  const download = data.header && data.header.download;
+  return Boolean(download) && !isLocalizedText(download.href);
+}
+
+/**
+ * Render one language of the CV data into a copy of the page template
+ * @param {string} template - HTML template (index.html)
+ * @param {Object} data - Validated CV data, already filtered with applyProfile
+ * @param {Object} options - Rendering options
+ * @param {string} options.language - Language of the page
+ * @param {string[]} [options.languages] - Languages offered by the language switcher
+ * @param {string} [options.htmlPath] - Path of the template (for error messages)
+ * @returns {{ html: string, missing: string[] }} Page and fields missing a translation
+ */
+function renderPage(template, data, options) {
+  const { language, languages = I18N.LANGUAGES, htmlPath = PATHS.HTML_FILE } = options;
+  const translator = new Translator(language);
+  // Ids come from the data before it is localized, so they are the same in every language
+  const renderer = new CVRenderer(translator.localizeData(addAnchors(data)),
+    { translator, languages });
+  const html = setDocumentLanguage(injectMarkup(template, renderer.render(), htmlPath), language);
+  return { html, missing: [...translator.missing] };
+}
+
+/**
+ * Render cv.json into index.html and one page per additional language
+ * @param {Object} [options] - Build options
+ * @param {string} [options.dataPath=cv.json] - CV data file, relative to the project root
+ * @param {string} [options.htmlPath=index.html] - HTML file to update, relative to the project root
+ * @param {string[]} [options.languages] - Languages to generate
+ * @returns {string[]} Full paths of the written HTML files, default language first
+ */
+function buildHTML({
+  dataPath = PATHS.CV_DATA_FILE,
+  htmlPath = PATHS.HTML_FILE,
+  languages = I18N.LANGUAGES
+} = {}) {
+  const fullHtmlPath = path.resolve(__dirname, htmlPath);
+  if (!fs.existsSync(fullHtmlPath)) {
+    throw new FileSystemError(`${ERROR_MESSAGES.HTML_NOT_FOUND}: ${fullHtmlPath}`, fullHtmlPath);
+  }
+
+  // The website always shows the full CV; profiles only tailor the PDFs
+  const data = applyProfile(loadCVData(dataPath));
+  console.log(LOG_MESSAGES.HTML_DATA_LOADED);
+
+  const template = fs.readFileSync(fullHtmlPath, 'utf8');
+
+  return languages.map((language) => {
+    const { html, missing } = renderPage(template, data, {
+      language,
+      languages,
+      htmlPath: fullHtmlPath
+    });
+
+    if (missing.length > 0) {
+      const fields = missing.join(', ');
+      console.warn(`${LOG_MESSAGES.HTML_MISSING_TRANSLATIONS} "${language}": ${fields}`);
+    }
+    if (language !== I18N.DEFAULT_LANGUAGE && hasSharedDownload(data)) {
+      console.warn(`${LOG_MESSAGES.HTML_SHARED_DOWNLOAD} "${language}"`);
+    }
+
+    const outputPath = getLocalizedPath(fullHtmlPath, language);
+    fs.writeFileSync(outputPath, html);
+    return outputPath;
+  });
+}
+
+// Execute if run directly
+if (require.main === module) {
+  try {
+    console.log(LOG_MESSAGES.HTML_START);
+    buildHTML().forEach((outputPath) => {
+      console.log(`${LOG_MESSAGES.HTML_GENERATED}: ${outputPath}`);
+    });
+  } catch (error) {
+    console.error(LOG_MESSAGES.HTML_ERROR, error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = { buildHTML, renderPage, injectMarkup, getLocalizedPath };
@@ -0,0 +1,59 @@
+/**
+ * Configuration Schema Writer
+ *
+ * Writes pdf-config.schema.json, the JSON Schema of pdf-config.json built by
+ * src/config/ConfigSchema.js, for editors: pdf-config.json points to it with
+ * "$schema" for completion and inline errors.
+ *
+ *   node configSchema.js
+ *     Writes the schema.
+ *
+ *   node configSchema.js --check
+ *     Fails if the committed schema differs from the one of the code (for CI).
+ *
+ * @module configSchema
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { PATHS, ERROR_MESSAGES, LOG_MESSAGES } = require('./src/constants');
+const { ValidationError } = require('./src/errors/CustomErrors');
+const { buildConfigSchema } = require('./src/config/ConfigSchema');
+
+/**
+ * Write the schema, or check that the written one is current
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.check=false] - Only compare with the written schema
+ * @param {string} [options.outputPath] - Schema file, pdf-config.schema.json by default
+ * @returns {string} Path of the schema
+ * @throws {ValidationError} With check, if the schema is missing or out of date
+ */
+function writeConfigSchema({ check = false, outputPath = PATHS.CONFIG_SCHEMA_FILE } = {}) {
+  const fullOutputPath = path.resolve(__dirname, outputPath);
+  const content = `${JSON.stringify(buildConfigSchema(), null, 2)}\n`;
+  if (check) {
+    const current = fs.existsSync(fullOutputPath) ? fs.readFileSync(fullOutputPath, 'utf8') : null;
+    if (current !== content) {
+      throw new ValidationError(`${ERROR_MESSAGES.SCHEMA_OUTDATED}: ${fullOutputPath}`);
+    }
+    return fullOutputPath;
+  }
+  fs.writeFileSync(fullOutputPath, content);
+  return fullOutputPath;
+}
+
+// Execute if run directly
+if (require.main === module) {
+  const check = process.argv.slice(2).includes('--check');
+
+  try {
+    const outputPath = writeConfigSchema({ check });
+    const message = check ? LOG_MESSAGES.SCHEMA_CHECKED : LOG_MESSAGES.SCHEMA_WRITTEN;
+    console.log(`${message}: ${outputPath}`);
+  } catch (error) {
+    console.error(LOG_MESSAGES.SCHEMA_ERROR, error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = { writeConfigSchema };
@@ -1,701 +1,487 @@
+#!/usr/bin/env node
 /**
  * CV to PDF Converter
  * 
  * This module converts the CV HTML file to a high-quality PDF using Puppeteer.
- * It applies PDF-specific styling optimizations and ensures proper rendering.
+ * The page is prepared for print by the DOM transform pipeline of the
+ * generator (see src/generator/TransformPipeline.js).
+ * One PDF is generated per language page (CV.en.pdf, CV.fr.pdf, ...); the
+ * default language is also written to the configured filename (CV.pdf).
+ * Each profile of pdf-config.json adds tailored PDFs (CV.<profile>.<lang>.pdf)
+ * rendered from cv.json with the profile's tag filter applied.
+ *
+ * Builds are incremental and reproducible: a PDF whose inputs did not change
+ * since pdf-manifest.json was written is not rendered again, and a PDF
+ * rendered again keeps the date of its last input change (see BuildCache).
+ *
+ * Progress goes through the Logger (text or JSON lines, optional log file),
+ * and each run ends with its timings: the launch of the browser, the
+ * navigation, the wait for images, the optimizations and the render.
  * 
  * @module convertToPDF
  */
 
-const puppeteer = require('puppeteer');
 const fs = require('fs');
 const path = require('path');
+const {
+  I18N,
+  PATHS,
+  DIAGNOSTICS,
+  LOG_MESSAGES,
+  ERROR_MESSAGES
+} = require('./src/constants');
+const {
+  ApplicationError,
+  FileSystemError,
+  OutdatedPDFError
+} = require('./src/errors/CustomErrors');
+const { logger } = require('./src/utils/Logger');
+const { localizeFilename } = require('./src/i18n/Translator');
+const { loadCVData } = require('./src/data/CVData');
+const { applyProfile } = require('./src/data/ProfileFilter');
+const PDFConfig = require('./src/config/PDFConfig');
+const PDFGenerator = require('./src/generator/PDFGenerator');
+const { PDFRenderer, renderPDF } = require('./src/api/PDFRenderer');
+const { countPages, formatSize } = require('./src/utils/PDFUtils');
+const { BuildCache, getSourceDate } = require('./src/build/BuildCache');
+const PDFRasterizer = require('./src/visual/PDFRasterizer');
+const { diagnoseJob, describeIssue } = require('./src/diagnostics/PageBreakDiagnostics');
+const { renderPage } = require('./buildHTML');
+const { USAGE, parseCLIArguments, getExitCode } = require('./src/cli/CLIArguments');
+
+const URL_PATTERN = /^https?:\/\//i;
 
 /**
- * Configuration class for PDF generation settings
- * Uses Strategy pattern for configuration management
+ * Page of a language, optionally tailored to a profile. Profile pages are
+ * rendered from cv.json into the index.html template.
+ * @param {PDFConfig} config - PDF configuration
+ * @param {Object} [options] - Page options
+ * @param {string} [options.language] - Language, the default language when omitted
+ * @param {string} [options.profile] - Name of a profile of the configuration
+ * @param {Object} [options.data] - CV data, loaded from cv.json when omitted
+ * @returns {string|Object} Page, as accepted by PDFRenderer#render
  */
-class PDFConfig {
-  constructor(configPath = 'pdf-config.json') {
-    this.configPath = path.join(__dirname, configPath);
-    this.config = this.loadConfig();
+function getPageSource(config, { language = I18N.DEFAULT_LANGUAGE, profile, data } = {}) {
+  if (!profile) {
+    return language === I18N.DEFAULT_LANGUAGE
+      ? PATHS.HTML_FILE
+      : localizeFilename(PATHS.HTML_FILE, language);
   }
 
-  loadConfig() {
-    try {
-      const configData = fs.readFileSync(this.configPath, 'utf8');
-      return JSON.parse(configData);
-    } catch (error) {
-      console.warn(`Warning: Could not load config from ${this.configPath}, using defaults`);
-      return this.getDefaultConfig();
+  const profileData = applyProfile(data || loadCVData(), config.getProfiles()[profile]);
+  const template = fs.readFileSync(path.join(__dirname, PATHS.HTML_FILE), 'utf8');
+  return { html: renderPage(template, profileData, { language }).html };
+}
+
+/**
+ * Plan the PDFs to generate. An explicit input gives a single PDF; otherwise
+ * every language page and every profile of the configuration is converted.
+ * @param {PDFConfig} config - PDF configuration
+ * @param {Object} options - Conversion options
+ * @param {string} [options.input] - HTML file or URL to convert
+ * @param {boolean} [options.profiles=true] - Include the profile PDFs
+ * @param {boolean} [options.outputs=true] - Include the PDFs of the output matrix
+ * @returns {Object[]} Jobs ({ label, source, output, copies, overrides }), source as accepted
+ *   by PDFRenderer#render, overrides as its render overrides
+ * @throws {FileSystemError} If the input file does not exist
+ */
+function planJobs(config, { input, profiles: withProfiles = true, outputs = true } = {}) {
+  const outputPath = config.getOutputPath();
+
+  if (input) {
+    if (!URL_PATTERN.test(input) && !fs.existsSync(input)) {
+      throw new FileSystemError(`${ERROR_MESSAGES.HTML_NOT_FOUND}: ${input}`, input);
     }
+    return [{ label: input, source: input, output: outputPath, copies: [] }];
   }
 
-  getDefaultConfig() {
+  const jobs = I18N.LANGUAGES.map((language) => {
+    const isDefault = language === I18N.DEFAULT_LANGUAGE;
     return {
-      pdf: {
-        format: 'A4',
-        scale: 0.95,
-        printBackground: true,
-        preferCSSPageSize: false,
-        displayHeaderFooter: false,
-        omitBackground: false,
-        margin: {
-          top: '15mm',
-          bottom: '15mm',
-          left: '10mm',
-          right: '10mm'
-        }
-      },
-      viewport: {
-        width: 1200,
-        height: 1600,
-        deviceScaleFactor: 2
-      },
-      timeouts: {
-        pageLoad: 30000,
-        imageRender: 1000
-      },
-      output: {
-        filename: 'CV.pdf'
-      }
+      label: language,
+      source: getPageSource(config, { language }),
+      output: localizeFilename(outputPath, language),
+      copies: isDefault ? [outputPath] : []
     };
-  }
+  });
 
-  getPDFOptions() {
-    return this.config.pdf;
+  const profiles = withProfiles ? Object.entries(config.getProfiles()) : [];
+  const variants = outputs ? config.getOutputs() : [];
+  if (profiles.length === 0 && variants.length === 0) {
+    return jobs;
   }
 
-  getViewportOptions() {
-    return this.config.viewport;
+  const data = loadCVData();
+  for (const [name, profile] of profiles) {
+    for (const language of profile.languages || I18N.LANGUAGES) {
+      jobs.push({
+        label: `profile ${name}, ${language}`,
+        source: getPageSource(config, { language, profile: name, data }),
+        output: localizeFilename(localizeFilename(outputPath, name), language),
+        copies: []
+      });
+    }
   }
 
-  getTimeouts() {
-    return this.config.timeouts;
+  // Each entry of the output matrix overrides parts of the configuration
+  for (const { filename, languages, profile, ...overrides } of variants) {
+    for (const language of languages || I18N.LANGUAGES) {
+      jobs.push({
+        label: `output ${filename}, ${language}`,
+        source: getPageSource(config, { language, profile, data }),
+        output: localizeFilename(path.resolve(__dirname, filename), language),
+        copies: [],
+        overrides
+      });
+    }
   }
 
-  getOutputPath() {
-    return path.join(__dirname, this.config.output.filename);
-  }
+  return jobs;
 }
 
 /**
- * DOM Manipulator class
- * Applies PDF-specific styling optimizations using Template Method pattern
+ * Render planned jobs, writing each PDF and its copies
+ * @param {PDFRenderer} renderer - Renderer (opened on the first render)
+ * @param {Object[]} jobs - Jobs from planJobs
+ * @param {Object} [hooks] - Progress callbacks
+ * @param {Function} [hooks.onStart] - Called with each job before it is rendered
+ * @param {Function} [hooks.onDone] - Called with each result once its files are written
+ * @returns {Promise<Object[]>} Results ({ job, outputs, bytes, pages }), one per job
  */
-class DOMManipulator {
-  /**
-   * Apply all PDF-specific styling optimizations
-   */
-  static applyPDFOptimizations() {
-    this.styleSectionTitles();
-    this.styleProfileImage();
-    this.applyPageBreakRules();
-    this.expandCollapsibleContent();
-    this.hideFooter();
-    this.optimizeLinks();
-    this.optimizeImages();
-  }
-
-  /**
-   * Style section titles for PDF rendering
-   */
-  static styleSectionTitles() {
-    const titles = document.querySelectorAll('.section-title');
-    titles.forEach((title) => {
-      title.style.borderBottom = '3px solid #007bff';
-      title.style.paddingBottom = '10px';
-      title.style.marginBottom = '20px';
-    });
-  }
-
-  /**
-   * Style profile image for PDF rendering
-   */
-  static styleProfileImage() {
-    const image = document.querySelector('.profile-image');
-    if (image) {
-      image.style.width = '15%';
-      image.style.height = '15%';
-      image.style.marginBottom = '20px';
-      image.style.borderRadius = '50%';
-    }
+async function renderJobs(renderer, jobs, { onStart = () => {}, onDone = () => {} } = {}) {
+  const results = [];
+  for (const job of jobs) {
+    onStart(job);
+    const pdf = await renderer.render(job.source, { ...job.overrides, output: job.output });
+    job.copies.forEach((copy) => fs.copyFileSync(job.output, copy));
+
+    const result = {
+      job,
+      outputs: [job.output, ...job.copies],
+      bytes: pdf.length,
+      pages: countPages(pdf)
+    };
+    onDone(result);
+    results.push(result);
   }
+  return results;
+}
 
-  /**
-   * Apply page break rules to prevent awkward splits
-   */
-  static applyPageBreakRules() {
-    // Professional experience sections
-    const professionalSections = document.querySelectorAll('.professional-experience');
-    professionalSections.forEach((section) => {
-      section.style.pageBreakInside = 'avoid';
-    });
-
-    // All sections
-    const allSections = document.querySelectorAll('section');
-    allSections.forEach((section) => {
-      section.style.pageBreakInside = 'avoid';
-    });
-
-    // Company and project content
-    const contentElements = document.querySelectorAll('.company-content, .project-content');
-    contentElements.forEach((content) => {
-      content.style.pageBreakInside = 'avoid';
-    });
+/**
+ * Check that the PDFs of the jobs were rendered from the current inputs, without rendering
+ * @param {PDFConfig} config - PDF configuration
+ * @param {Object[]} jobs - Jobs of planJobs
+ * @param {BuildCache} cache - Build cache
+ * @returns {string[]} Checked files, relative to the project root
+ * @throws {OutdatedPDFError} Listing the files to render again
+ */
+function checkJobs(config, jobs, cache) {
+  if (!fs.existsSync(cache.manifestPath)) {
+    const files = jobs.flatMap((job) => cache.getFiles(job));
+    throw new OutdatedPDFError(`${ERROR_MESSAGES.PDF_MANIFEST_MISSING}: ${files.join(', ')}`,
+      files);
   }
-
-  /**
-   * Expand all collapsible content for PDF
-   */
-  static expandCollapsibleContent() {
-    const collapsibleContents = document.querySelectorAll(
-      '.section-content, .company-content, .project-content, .skill-content'
-    );
-    collapsibleContents.forEach((content) => {
-      content.style.maxHeight = 'none';
-      content.style.opacity = '1';
-      content.classList.add('expanded');
-    });
+  const outdated = jobs
+    .filter((job) => !cache.isUpToDate(job, cache.hashJob(config, job)))
+    .flatMap((job) => cache.getFiles(job));
+  if (outdated.length > 0) {
+    throw new OutdatedPDFError(`${ERROR_MESSAGES.PDF_OUTDATED}: ${outdated.join(', ')}`, outdated);
   }
+  return jobs.flatMap((job) => cache.getFiles(job));
+}
 
-  /**
-   * Hide footer element if present
-   */
-  static hideFooter() {
-    const footer = document.querySelector('.footer');
-    if (footer) {
-      footer.style.display = 'none';
+/**
+ * Locate the blocks of each job on its pages and write its page-break report (JSON) and
+ * overlay (HTML) to a directory, named after the PDF. The PDFs themselves are not written.
+ * @param {PDFRenderer} renderer - Renderer (opened on the first render)
+ * @param {Object[]} jobs - Jobs from planJobs
+ * @param {string} directory - Directory of the reports
+ * @param {Object} [hooks] - Progress callbacks
+ * @param {Function} [hooks.onStart] - Called with each job before it is rendered
+ * @param {Function} [hooks.onDone] - Called with each result once its files are written
+ * @returns {Promise<Object[]>} Results ({ job, report, files }), one per job
+ * @throws {ApplicationError} If a render or the reading of a PDF fails
+ */
+async function diagnoseJobs(renderer, jobs, directory,
+  { onStart = () => {}, onDone = () => {} } = {}) {
+  const rasterizer = new PDFRasterizer({
+    dpi: DIAGNOSTICS.DPI,
+    browser: renderer.config.getBrowserOptions()
+  });
+  const results = [];
+  try {
+    fs.mkdirSync(directory, { recursive: true });
+    for (const job of jobs) {
+      onStart(job);
+      const { report, html } = await diagnoseJob(renderer, rasterizer, job);
+      const name = path.basename(job.output, path.extname(job.output));
+      const files = [path.join(directory, `${name}.json`), path.join(directory, `${name}.html`)];
+      fs.writeFileSync(files[0], `${JSON.stringify(report, null, 2)}\n`);
+      fs.writeFileSync(files[1], html);
+
+      const result = { job, report, files };
+      onDone(result);
+      results.push(result);
     }
+  } finally {
+    await rasterizer.close();
   }
+  return results;
+}
 
-  /**
-   * Optimize link styling for PDF
-   */
-  static optimizeLinks() {
-    const links = document.querySelectorAll('a');
-    links.forEach((link) => {
-      link.style.color = '#007bff';
-    });
-  }
+/**
+ * Format the summary table of a run: one row per written file
+ * @param {Object[]} results - Results of renderJobs
+ * @returns {string} Table with file, size and page count columns
+ */
+function formatSummaryTable(results) {
+  const rows = results.flatMap(({ outputs, bytes, pages }) => outputs.map((output) => [
+    path.relative(process.cwd(), output) || output,
+    formatSize(bytes),
+    String(pages)
+  ]));
+  const header = ['File', 'Size', 'Pages'];
+  const widths = header.map((title, column) => Math.max(
+    title.length,
+    ...rows.map((row) => row[column].length)
+  ));
+
+  // File names are left-aligned, numbers right-aligned
+  const formatRow = (row) => row
+    .map((cell, column) => (column === 0 ? cell.padEnd(widths[0]) : cell.padStart(widths[column])))
+    .join('  ');
+  const separator = widths.map((width) => '-'.repeat(width)).join('  ');
+  return [formatRow(header), separator, ...rows.map(formatRow)].join('\n');
+}
 
-  /**
-   * Optimize image rendering for PDF
-   */
-  static optimizeImages() {
-    const images = document.querySelectorAll('img');
-    images.forEach((img) => {
-      img.style.maxWidth = '100%';
-      img.style.height = 'auto';
-    });
-  }
+/**
+ * Format the timings of a run on one line
+ * @param {Object} timings - Timings by span name (see Logger#getTimings)
+ * @returns {string} e.g. "launch 812 ms, navigation 1230 ms (3×, max 520 ms)"
+ */
+function formatTimings(timings) {
+  return Object.entries(timings)
+    .map(([name, { count, total, max }]) => `${name} ${total} ms` +
+      (count > 1 ? ` (${count}×, max ${max} ms)` : ''))
+    .join(', ');
 }
 
 /**
- * PDF Generator class
- * Handles PDF generation using Facade pattern to simplify Puppeteer operations
+ * Log the timings of a run, if anything was timed
+ * @param {Logger} log - Logger of the run
  */
-class PDFGenerator {
-  constructor(config) {
-    this.config = config;
-    this.browser = null;
-    this.page = null;
+function logTimings(log) {
+  const timings = log.getTimings();
+  if (Object.keys(timings).length > 0) {
+    log.info(`${LOG_MESSAGES.TIMINGS} ${formatTimings(timings)}`, { timings });
   }
+}
 
-  /**
-   * Initialize browser and page
-   */
-  async initialize() {
-    try {
-      this.browser = await puppeteer.launch({
-        headless: true,
-        args: ['--no-sandbox', '--disable-setuid-sandbox']
-      });
-      this.page = await this.browser.newPage();
-      await this.page.setViewport(this.config.getViewportOptions());
-    } catch (error) {
-      throw new Error(`Failed to initialize browser: ${error.message}`);
-    }
+/**
+ * Main conversion function
+ * Renders every planned PDF with one PDFRenderer and reports progress
+ * @param {Object} [options] - Conversion options
+ * @param {string} [options.input] - HTML file or URL; all language, profile and output-matrix
+ *   pages when omitted
+ * @param {string} [options.output] - Output PDF (base name when converting all pages)
+ * @param {string} [options.config] - Configuration file, pdf-config.json by default
+ * @param {string} [options.configProfile] - Entry of configProfiles to apply
+ * @param {Object} [options.pdf] - PDF option overrides (format, margin, scale)
+ * @param {string} [options.theme] - PDF theme, overrides the theme of the configuration
+ * @param {number} [options.maxPages] - Maximum number of pages, overrides the configuration
+ * @param {Logger} [options.logger] - Logger of the run, the shared logger by default
+ * @param {boolean} [options.profiles=true] - Include the profile PDFs
+ * @param {boolean} [options.outputs=true] - Include the PDFs of the output matrix
+ * @param {boolean} [options.force] - Render the PDFs even when their inputs did not change
+ * @param {boolean} [options.check] - Only check that the language PDFs of the last build
+ *   are up to date with their inputs
+ * @param {boolean} [options.diagnose] - Write page-break reports to diagnostics/ instead of
+ *   the PDFs
+ * @param {boolean} [options.dryRun] - Only validate the options and list the PDFs
+ * @returns {Promise<string[]>} Paths of the generated or up-to-date (in a dry run, planned;
+ *   with check, checked) PDFs; with diagnose, paths of the reports
+ * @throws {ApplicationError} Typed error on failure (see src/errors/CustomErrors.js)
+ */
+async function convertToPDF(options = {}) {
+  // A child, so the timings are those of this run
+  const log = (options.logger || logger).child();
+
+  const config = new PDFConfig(options.config, { profile: options.configProfile });
+  config.applyOverrides({
+    pdf: options.pdf,
+    output: options.output,
+    theme: options.theme,
+    maxPages: options.maxPages
+  });
+
+  const themeName = config.getThemeName();
+  if (options.check) {
+    const jobs = planJobs(config, { profiles: false, outputs: false });
+    const files = checkJobs(config, jobs, new BuildCache());
+    log.info(`${LOG_MESSAGES.PDF_CHECKED}: ${files.join(', ')}`, { files });
+    return files;
   }
 
-  /**
-   * Load HTML content into the page
-   */
-  async loadContent(htmlPath) {
-    try {
-      const fullPath = path.join(__dirname, htmlPath);
-      if (!fs.existsSync(fullPath)) {
-        throw new Error(`HTML file not found: ${fullPath}`);
-      }
+  const jobs = planJobs(config, options);
+  log.debug('Configuration', { path: config.configPath, profile: config.profile });
+  log.debug('PDF options', { pdf: config.getPDFOptions() });
+  if (config.getMaxPages()) {
+    log.debug('Layout fitting', { maxPages: config.getMaxPages(), fit: config.getFitOptions() });
+  }
 
-      const timeouts = this.config.getTimeouts();
-      
-      // Try using file:// URL first (better for local resources)
-      const fileUrl = `file://${fullPath}`;
-      
-      try {
-        // Navigate to the file with less strict wait conditions
-        // 'domcontentloaded' is faster and doesn't wait for all network resources
-        await this.page.goto(fileUrl, {
-          waitUntil: 'domcontentloaded',
-          timeout: timeouts.pageLoad
-        });
-      } catch (gotoError) {
-        // Fallback: use setContent if file:// URL doesn't work
-        console.warn('⚠️  file:// URL failed, trying setContent method...');
-        const content = fs.readFileSync(fullPath, 'utf8');
-        await this.page.setContent(content, {
-          waitUntil: 'domcontentloaded',
-          timeout: timeouts.pageLoad
-        });
-      }
+  if (options.dryRun) {
+    log.info(`Dry run (theme ${themeName}), PDFs that would be generated:`, { theme: themeName });
+    jobs.forEach((job) => {
+      [job.output, ...job.copies].forEach((output) => {
+        log.info(`  ${job.label}: ${output}`, { job: job.label, path: output });
+      });
+    });
+    return jobs.flatMap((job) => [job.output, ...job.copies]);
+  }
 
-      // Wait for critical resources (images) to load with a reasonable timeout
-      try {
-        // Check if images exist in the DOM
-        const hasImages = await this.page.evaluate(() => {
-          return document.querySelectorAll('img').length > 0;
-        });
-        
-        if (hasImages) {
-          // Wait for images to load, but don't fail if they don't
-          await Promise.race([
-            this.page.waitForFunction(
-              () => {
-                const images = Array.from(document.querySelectorAll('img'));
-                return images.every(img => img.complete || img.naturalWidth > 0);
-              },
-              { timeout: 15000 }
-            ).catch(() => null), // Don't throw if timeout
-            new Promise(resolve => setTimeout(resolve, timeouts.imageRender))
-          ]);
-        } else {
-          // No images, just wait a bit for other resources
-          await this.page.waitForTimeout(timeouts.imageRender);
-        }
-      } catch (imgError) {
-        // If images don't load, continue anyway - PDF will still generate
-        console.warn('⚠️  Some images may not have loaded, continuing with PDF generation...');
-        await this.page.waitForTimeout(timeouts.imageRender);
-      }
-    } catch (error) {
-      throw new Error(`Failed to load content: ${error.message}`);
+  const renderer = new PDFRenderer({ config, logger: log });
+  let label = null;
+  renderer.on('browser-ready', () => log.info(LOG_MESSAGES.BROWSER_INIT));
+  renderer.on('content-loaded', ({ source }) => {
+    log.info(`${LOG_MESSAGES.CONTENT_LOADED} (${label})`, { job: label, source });
+  });
+  renderer.on('transformed', ({ step, duration }) => {
+    log.debug(`${LOG_MESSAGES.TRANSFORM_APPLIED} ${step}`, { job: label, step, duration });
+  });
+  renderer.on('optimized', ({ theme }) => {
+    log.info(`${LOG_MESSAGES.OPTIMIZATIONS_APPLIED} (${label})`, { job: label, theme });
+  });
+  renderer.on('verified', ({ characters }) => {
+    log.info(`${LOG_MESSAGES.CONTENT_VERIFIED} (${label}): ${characters} characters`,
+      { job: label, characters });
+  });
+  renderer.on('fitted', ({ pages, scale, margin, spacing, attempts }) => {
+    const margins = Object.values(margin).join(' ');
+    log.info(`${LOG_MESSAGES.LAYOUT_FITTED} (${label}): ${pages} page(s) at scale ${scale}, ` +
+      `margins ${margins}, spacing ${spacing} (${attempts} attempt(s))`,
+    { job: label, pages, scale, margin, spacing, attempts });
+  });
+  renderer.on('rendered', ({ path: outputPath, bytes }) => {
+    // Diagnostics render to memory
+    if (outputPath) {
+      log.info(`${LOG_MESSAGES.PDF_GENERATED}: ${outputPath}`,
+        { job: label, path: outputPath, bytes });
     }
-  }
+  });
 
-  /**
-   * Apply PDF optimizations to the DOM
-   */
-  async applyOptimizations() {
+  if (options.diagnose) {
     try {
-      await this.page.evaluate(() => {
-        // Convert absolute GitHub Pages URLs to relative paths for PDF generation
-        // Relative paths work with file:// protocol when HTML is loaded from file system
-        const allImages = document.querySelectorAll('img');
-        allImages.forEach((img) => {
-          if (img.src && img.src.includes('arnauudg.github.io/assets/')) {
-            // Extract the filename from the absolute URL
-            const filename = img.src.split('/assets/')[1];
-            // Convert to relative path (works with file:// protocol)
-            img.src = `./assets/${filename}`;
-          }
-        });
-
-        // Change background to white for PDF
-        document.body.style.backgroundColor = '#ffffff';
-        const container = document.querySelector('.container');
-        if (container) {
-          container.style.backgroundColor = '#ffffff';
-          container.style.border = 'none';
+      log.info(LOG_MESSAGES.DIAGNOSTICS_START);
+      const directory = path.join(__dirname, DIAGNOSTICS.OUTPUT_DIR);
+      const results = await diagnoseJobs(renderer, jobs, directory, {
+        onStart: (job) => {
+          label = job.label;
+        },
+        onDone: ({ report, files }) => {
+          log.info(`${LOG_MESSAGES.DIAGNOSTICS_WRITTEN} (${label}): ${report.pageCount} page(s), ` +
+            `${report.issues.length} issue(s), ${files.join(', ')}`,
+          { job: label, pages: report.pageCount, issues: report.issues.length, files });
+          report.issues.forEach((issue) => {
+            log.info(`  ⚠ ${describeIssue(issue)}`, { job: label, issue });
+          });
         }
-
-        // Style section titles - dark colors for readability
-        const titles = document.querySelectorAll('.section-title');
-        titles.forEach((title) => {
-          title.style.color = '#000000';
-          title.style.borderBottom = '3px solid #0066cc';
-          title.style.paddingBottom = '10px';
-          title.style.marginBottom = '20px';
-        });
-
-        // Style headers - black for readability
-        const headers = document.querySelectorAll('header h1, h1');
-        headers.forEach((header) => {
-          header.style.color = '#000000';
-        });
-
-        const h4Elements = document.querySelectorAll('h4');
-        h4Elements.forEach((h4) => {
-          h4.style.color = '#000000';
-        });
-
-        const h5Elements = document.querySelectorAll('h5');
-        h5Elements.forEach((h5) => {
-          h5.style.color = '#333333';
-        });
-
-        // Change body text to dark color
-        document.body.style.color = '#000000';
-
-        // Change lead text
-        const leads = document.querySelectorAll('.lead');
-        leads.forEach((lead) => {
-          lead.style.color = '#333333';
-        });
-
-        // Change paragraph text
-        const paragraphs = document.querySelectorAll('p');
-        paragraphs.forEach((p) => {
-          if (!p.closest('header')) {
-            p.style.color = '#000000';
-          }
-        });
-
-        // Change strong/bold text to black
-        const strongElements = document.querySelectorAll('strong');
-        strongElements.forEach((strong) => {
-          strong.style.color = '#000000';
-        });
-
-        // Change em/italic text
-        const emElements = document.querySelectorAll('em');
-        emElements.forEach((em) => {
-          em.style.color = '#333333';
-        });
-
-        // Change small text
-        const smallElements = document.querySelectorAll('small');
-        smallElements.forEach((small) => {
-          small.style.color = '#555555';
-        });
-
-        // Change list items color
-        const listItemsForColor = document.querySelectorAll('li');
-        listItemsForColor.forEach((li) => {
-          li.style.color = '#000000';
-        });
-
-        // Style all paragraphs in skills section for better PDF readability
-        const skillsSections = document.querySelectorAll('section');
-        skillsSections.forEach((section) => {
-          const sectionTitle = section.querySelector('.section-title');
-          if (sectionTitle && sectionTitle.textContent.includes('Technical Skills')) {
-            const paragraphs = section.querySelectorAll('p');
-            paragraphs.forEach((p) => {
-              p.style.color = '#000000';
-              p.style.marginBottom = '4px';
-              p.style.lineHeight = '1.5';
-            });
-            const strongTags = section.querySelectorAll('strong');
-            strongTags.forEach((strong) => {
-              strong.style.color = '#000000';
-            });
-          }
-        });
-
-        // Change skill category text (old format)
-        const skillCategories = document.querySelectorAll('.collapsible-skill-category');
-        skillCategories.forEach((category) => {
-          category.style.color = '#000000';
-        });
-
-        // Style skills section paragraphs and divs (new format)
-        const allSectionsForSkills = document.querySelectorAll('section');
-        allSectionsForSkills.forEach((section) => {
-          const sectionTitle = section.querySelector('.section-title');
-          if (sectionTitle && sectionTitle.textContent.includes('Technical Skills')) {
-            // Style paragraphs
-            const paragraphs = section.querySelectorAll('p');
-            paragraphs.forEach((p) => {
-              p.style.color = '#000000';
-              p.style.lineHeight = '1.6';
-            });
-            // Style divs containing sub-categories (AWS, Azure, Collibra)
-            const skillDivs = section.querySelectorAll('div[style*="line-height"]');
-            skillDivs.forEach((div) => {
-              div.style.color = '#000000';
-              const innerDivs = div.querySelectorAll('div');
-              innerDivs.forEach((innerDiv) => {
-                innerDiv.style.color = '#000000';
-                // Style spans within sub-categories
-                const spans = innerDiv.querySelectorAll('span');
-                spans.forEach((span) => {
-                  span.style.color = '#000000';
-                });
-                // Ensure proper alignment for inline-block labels
-                const strongTags = innerDiv.querySelectorAll('strong');
-                strongTags.forEach((strong) => {
-                  if (strong.style.display === 'inline-block') {
-                    strong.style.color = '#000000'; // Black for AWS:, Azure:, Collibra: labels
-                  }
-                });
-              });
-            });
-            // Style strong tags in skills section (sub-category labels)
-            const strongTags = section.querySelectorAll('strong');
-            strongTags.forEach((strong) => {
-              if (strong.textContent.includes(':') || strong.textContent.includes('AWS') || strong.textContent.includes('Azure') || strong.textContent.includes('Collibra')) {
-                strong.style.color = '#000000'; // Black for sub-category labels (AWS:, Azure:, Collibra:)
-              }
-            });
-          }
-        });
-
-        // Change inline spans with colors
-        const coloredSpans = document.querySelectorAll('span[style*="color"]');
-        coloredSpans.forEach((span) => {
-          const style = span.getAttribute('style');
-          if (style && style.includes('color')) {
-            span.style.color = '#000000';
-          }
-        });
-
-        // Style profile image
-        const image = document.querySelector('.profile-image');
-        if (image) {
-          image.style.width = '15%';
-          image.style.height = '15%';
-          image.style.marginBottom = '20px';
-          image.style.borderRadius = '50%';
-        }
-
-        // Apply smart page break rules for better PDF layout
-        // Use CSS orphans and widows for better text flow
-        document.body.style.orphans = '3';
-        document.body.style.widows = '3';
-
-        // Prevent breaking section titles from their content
-        const sectionTitles = document.querySelectorAll('.section-title');
-        sectionTitles.forEach((title) => {
-          title.style.pageBreakAfter = 'avoid';
-          title.style.breakAfter = 'avoid';
-        });
-
-        // For company entries: keep header, date, and first project together
-        const companyHeaders = document.querySelectorAll('.collapsible-company');
-        companyHeaders.forEach((header) => {
-          header.style.pageBreakAfter = 'avoid';
-          header.style.breakAfter = 'avoid';
-          
-          // Find and style the date paragraph
-          let next = header.nextElementSibling;
-          while (next) {
-            if (next.tagName === 'P' && next.querySelector('em')) {
-              next.style.pageBreakAfter = 'avoid';
-              next.style.breakAfter = 'avoid';
-              next.style.marginBottom = '5px';
-            }
-            if (next.classList.contains('company-content')) {
-              // Keep first project with company header
-              const firstProject = next.querySelector('li:first-child');
-              if (firstProject) {
-                firstProject.style.pageBreakBefore = 'avoid';
-                firstProject.style.breakBefore = 'avoid';
-                
-                // Also keep the project header and its first content item together
-                const projectHeader = firstProject.querySelector('.collapsible-project');
-                if (projectHeader) {
-                  projectHeader.style.pageBreakAfter = 'avoid';
-                  projectHeader.style.breakAfter = 'avoid';
-                  
-                  const projectContent = firstProject.querySelector('.project-content');
-                  if (projectContent) {
-                    const firstContentItem = projectContent.querySelector('li:first-child');
-                    if (firstContentItem) {
-                      firstContentItem.style.pageBreakBefore = 'avoid';
-                      firstContentItem.style.breakBefore = 'avoid';
-                    }
-                  }
-                }
-              }
-              break;
-            }
-            next = next.nextElementSibling;
-          }
-        });
-
-        // For project entries: keep entire project together (header + content)
-        const projectHeaders = document.querySelectorAll('.collapsible-project');
-        projectHeaders.forEach((header) => {
-          header.style.pageBreakAfter = 'avoid';
-          header.style.breakAfter = 'avoid';
-          
-          // Find the project content div
-          let next = header.nextElementSibling;
-          while (next) {
-            if (next.classList.contains('project-content')) {
-              // Keep the entire project content together
-              next.style.pageBreakInside = 'avoid';
-              next.style.breakInside = 'avoid';
-              
-              // Also keep first list item with header
-              const firstItem = next.querySelector('li:first-child');
-              if (firstItem) {
-                firstItem.style.pageBreakBefore = 'avoid';
-                firstItem.style.breakBefore = 'avoid';
-              }
-              break;
-            }
-            next = next.nextElementSibling;
-          }
-        });
-
-        // List items: prevent orphans but allow breaking long items
-        const listItems = document.querySelectorAll('li');
-        listItems.forEach((li) => {
-          // Check if this is a project list item (contains collapsible-project)
-          const isProjectItem = li.querySelector('.collapsible-project');
-          if (isProjectItem) {
-            // Keep project items together - don't break inside
-            li.style.pageBreakInside = 'avoid';
-            li.style.breakInside = 'avoid';
-          } else {
-            // For regular list items, allow breaking but prevent orphans
-            li.style.pageBreakInside = 'auto';
-            li.style.orphans = '3';
-            li.style.widows = '3';
-          }
-        });
-
-        // Sections: allow breaking but prefer not to break small sections
-        const allSections = document.querySelectorAll('section');
-        allSections.forEach((section) => {
-          section.style.pageBreakInside = 'auto';
-          section.style.orphans = '4';
-          section.style.widows = '4';
-        });
-
-        // Expand collapsible content
-        const collapsibleContents = document.querySelectorAll(
-          '.section-content, .company-content, .project-content, .skill-content'
-        );
-        collapsibleContents.forEach((content) => {
-          content.style.maxHeight = 'none';
-          content.style.opacity = '1';
-          content.classList.add('expanded');
-        });
-
-        // Hide footer
-        const footer = document.querySelector('.footer');
-        if (footer) {
-          footer.style.display = 'none';
-        }
-
-        // Hide PDF download button (only show in HTML version)
-        const downloadButton = document.querySelector('.btn-download-pdf');
-        if (downloadButton) {
-          downloadButton.style.display = 'none';
-          // Also hide the parent paragraph containing the download button
-          const parent = downloadButton.parentElement;
-          if (parent && parent.tagName === 'P') {
-            parent.style.display = 'none';
-          }
-        }
-
-        // Hide theme toggle button in PDF
-        const themeToggle = document.getElementById('theme-toggle');
-        if (themeToggle) {
-          themeToggle.style.display = 'none';
-        }
-
-        // Optimize links - darker blue for PDF
-        const links = document.querySelectorAll('a');
-        links.forEach((link) => {
-          link.style.color = '#0066cc';
-        });
-
-        // Change header border if exists and reduce margin for PDF
-        const header = document.querySelector('header');
-        if (header) {
-          header.style.borderBottomColor = '#000000';
-          // Reduce margin-bottom to reduce space before Professional Summary
-          header.style.marginBottom = '5px';
-        }
-        
-        // Also reduce margin on the first section (Professional Summary) for tighter spacing
-        const firstSection = document.querySelector('section');
-        if (firstSection) {
-          firstSection.style.marginTop = '0px';
-        }
-
-        // Optimize images
-        const images = document.querySelectorAll('img');
-        images.forEach((img) => {
-          img.style.maxWidth = '100%';
-          img.style.height = 'auto';
-        });
       });
-    } catch (error) {
-      throw new Error(`Failed to apply optimizations: ${error.message}`);
+      return results.flatMap(({ files }) => files);
+    } finally {
+      await renderer.close();
+      logTimings(log);
     }
   }
 
-  /**
-   * Generate PDF from the current page
-   */
-  async generatePDF() {
-    try {
-      const outputPath = this.config.getOutputPath();
-      const pdfOptions = this.config.getPDFOptions();
+  // An explicit input is always rendered; a build skips the PDFs whose inputs did not change
+  const cache = options.input ? null : new BuildCache();
+  const hashes = new Map(jobs.map((job) => [job.output, cache && cache.hashJob(config, job)]));
+  const upToDate = jobs.filter((job) => cache && !options.force &&
+    cache.isUpToDate(job, hashes.get(job.output)));
+  const pending = jobs
+    .filter((job) => !upToDate.includes(job))
+    .map((job) => {
+      const date = cache ? cache.getDate(job, hashes.get(job.output)) : getSourceDate();
+      return { ...job, overrides: { ...job.overrides, date } };
+    });
 
-      await this.page.pdf({
-        path: outputPath,
-        ...pdfOptions
-      });
+  try {
+    log.info(LOG_MESSAGES.START);
+    log.info(`✓ PDF theme: ${themeName}`, { theme: themeName });
+    upToDate.forEach((job) => {
+      const files = [job.output, ...job.copies];
+      log.info(`${LOG_MESSAGES.PDF_UP_TO_DATE} ${files.join(', ')}`, { job: job.label, files });
+    });
 
-      return outputPath;
-    } catch (error) {
-      throw new Error(`Failed to generate PDF: ${error.message}`);
-    }
-  }
+    const results = await renderJobs(renderer, pending, {
+      onStart: (job) => {
+        label = job.label;
+      },
+      onDone: ({ job }) => {
+        job.copies.forEach((copy) => {
+          log.info(`${LOG_MESSAGES.PDF_GENERATED}: ${copy}`, { job: job.label, path: copy });
+        });
+        // Saved after each PDF, so a failed run keeps what it rendered
+        if (cache) {
+          cache.record(job, hashes.get(job.output), job.overrides.date);
+          cache.save();
+        }
+      }
+    });
 
-  /**
-   * Clean up resources
-   */
-  async cleanup() {
-    if (this.browser) {
-      await this.browser.close();
+    if (results.length > 0) {
+      const files = results.flatMap(({ outputs, bytes, pages }) => outputs
+        .map((output) => ({ path: output, bytes, pages })));
+      // The table is for reading; JSON entries carry its rows as fields
+      log.info(log.getFormat() === 'json' ? LOG_MESSAGES.SUMMARY
+        : `\n${formatSummaryTable(results)}\n`, { files });
     }
+    log.info(LOG_MESSAGES.COMPLETED);
+    return jobs.flatMap((job) => [job.output, ...job.copies]);
+  } finally {
+    await renderer.close();
+    logTimings(log);
   }
 }
 
 /**
- * Main conversion function
- * Uses async/await with proper error handling
+ * Command-line entry point: parses the arguments, runs the conversion and
+ * exits with a code matching the failure type
+ * @param {string[]} [argv] - Arguments without node and script path
  */
-async function convertToPDF() {
-  const config = new PDFConfig();
-  const generator = new PDFGenerator(config);
-
+async function main(argv = process.argv.slice(2)) {
   try {
-    console.log('🚀 Starting PDF conversion...');
-    
-    await generator.initialize();
-    console.log('✓ Browser initialized');
-
-    await generator.loadContent('index.html');
-    console.log('✓ HTML content loaded');
-
-    await generator.applyOptimizations();
-    console.log('✓ PDF optimizations applied');
-
-    const outputPath = await generator.generatePDF();
-    console.log(`✓ PDF generated successfully: ${outputPath}`);
-    
-    await generator.cleanup();
-    console.log('✅ Conversion completed successfully!');
-    
-    return outputPath;
+    const options = parseCLIArguments(argv);
+    if (options.help) {
+      console.log(USAGE);
+      return;
+    }
+    logger.configure({ level: options.logLevel, format: options.logFormat, file: options.logFile });
+    await convertToPDF(options);
   } catch (error) {
-    console.error('❌ Error during PDF conversion:', error.message);
-    await generator.cleanup();
-    process.exit(1);
+    logger.error(`${LOG_MESSAGES.ERROR} ${error.message}`, { error });
+    if (!(error instanceof ApplicationError)) {
+      logger.error(error.stack);
+    }
+    process.exitCode = getExitCode(error);
   }
 }
 
 // Execute if run directly
 if (require.main === module) {
-  convertToPDF();
+  main();
 }
 
-module.exports = { convertToPDF, PDFGenerator, PDFConfig, DOMManipulator };
+module.exports = {
+  convertToPDF,
+  renderPDF,
+  PDFRenderer,
+  main,
+  planJobs,
+  renderJobs,
+  checkJobs,
+  diagnoseJobs,
+  getPageSource,
+  PDFGenerator,
+  PDFConfig
+};
@@ -0,0 +1,188 @@
+#!/usr/bin/env node
+/**
+ * Development Mode
+ *
+ * Serves the website locally with live reload and rebuilds the PDFs whenever
+ * the page, its styles and assets or pdf-config.json change. Changes to
+ * cv.json or the locale files regenerate the pages (buildHTML) first. One
+ * browser is kept open for the whole session, changes are debounced, and each
+ * rebuild prints its duration and the page count of every PDF.
+ *
+ * @module dev
+ */
+
+const path = require('path');
+const { DEV, PATHS, LOG_MESSAGES } = require('./src/constants');
+const { ApplicationError } = require('./src/errors/CustomErrors');
+const PDFConfig = require('./src/config/PDFConfig');
+const { PDFRenderer } = require('./src/api/PDFRenderer');
+const ChangeWatcher = require('./src/dev/ChangeWatcher');
+const DevServer = require('./src/dev/DevServer');
+const { buildHTML } = require('./buildHTML');
+const { planJobs, renderJobs } = require('./convertToPDF');
+const { DEV_USAGE, parseDevArguments } = require('./src/cli/DevArguments');
+const { getExitCode } = require('./src/cli/CLIArguments');
+
+/**
+ * Load the configuration with the command-line overrides
+ * @param {Object} options - Development mode options
+ * @returns {PDFConfig} Configuration
+ * @throws {ApplicationError} If the configuration or the theme is invalid
+ */
+function loadConfig({ config, configProfile, theme }) {
+  const pdfConfig = new PDFConfig(config, { profile: configProfile });
+  pdfConfig.applyOverrides({ theme });
+  return pdfConfig;
+}
+
+/**
+ * Format the summary of a rebuild
+ * @param {Object[]} results - Results of renderJobs
+ * @param {number} duration - Duration in milliseconds
+ * @returns {string} Summary, one line per PDF
+ */
+function formatSummary(results, duration) {
+  const lines = results.map(({ job, outputs, pages }) => {
+    const files = outputs.map((output) => path.basename(output)).join(', ');
+    return `  ${job.label}: ${files} (${pages} ${pages === 1 ? 'page' : 'pages'})`;
+  });
+  return [`${LOG_MESSAGES.DEV_REBUILT} ${(duration / 1000).toFixed(1)}s`, ...lines].join('\n');
+}
+
+/**
+ * Whether a changed file is a source of the generated pages (DEV.HTML_SOURCES)
+ * @param {string} file - Changed file, relative to the project root
+ * @returns {boolean} True for cv.json and the locale files
+ */
+function isHTMLSource(file) {
+  return DEV.HTML_SOURCES.some((source) => file === source ||
+    file.startsWith(`${source}${path.sep}`));
+}
+
+/**
+ * Start the preview server, build the PDFs once and rebuild them on change
+ * @param {Object} [options] - Development mode options (see parseDevArguments)
+ * @returns {Promise<Object>} Session ({ url, rebuild(files), close() })
+ * @throws {ApplicationError} If the configuration is invalid or the port is in use
+ */
+async function startDevMode(options = {}) {
+  let config = loadConfig(options);
+  const renderer = new PDFRenderer({ config });
+  const server = new DevServer(__dirname, { port: options.port });
+  const watcher = new ChangeWatcher(__dirname);
+
+  const url = await server.start();
+  console.log(`${LOG_MESSAGES.DEV_SERVING} ${url}`);
+
+  // Pages written by buildHTML, whose own change events are not a new change
+  let generatedPages = new Set();
+
+  /**
+   * Rebuild the PDFs once; failures are reported and the session goes on
+   * @param {string[]} files - Changed files
+   */
+  const build = async (files) => {
+    const changed = files.length > 0 ? ` (${files.join(', ')} changed)` : '';
+    console.log(`${LOG_MESSAGES.DEV_REBUILD_START}${changed}...`);
+    const started = Date.now();
+
+    try {
+      if (files.some(isHTMLSource)) {
+        const pages = buildHTML().map((page) => path.relative(__dirname, page));
+        generatedPages = new Set(pages);
+        console.log(`${LOG_MESSAGES.DEV_HTML_REBUILT} ${pages.join(', ')}`);
+      }
+      if (files.includes(PATHS.CONFIG_FILE)) {
+        config = loadConfig(options);
+        renderer.setConfig(config);
+      }
+      const jobs = planJobs(config, { profiles: options.all, outputs: options.all });
+      const results = await renderJobs(renderer, jobs);
+      console.log(formatSummary(results, Date.now() - started));
+    } catch (error) {
+      console.error(LOG_MESSAGES.DEV_REBUILD_ERROR, error.message);
+    }
+    server.reload();
+  };
+
+  // Changes made during a rebuild are batched into the next one
+  let building = false;
+  let pending = new Set();
+  const rebuild = async (changes = []) => {
+    const files = changes.filter((file) => !generatedPages.has(file));
+    if (files.length < changes.length) {
+      generatedPages = new Set();
+      if (files.length === 0) {
+        return;
+      }
+    }
+    if (building) {
+      files.forEach((file) => pending.add(file));
+      return;
+    }
+
+    building = true;
+    try {
+      await build(files);
+    } finally {
+      building = false;
+    }
+
+    if (pending.size > 0) {
+      const next = [...pending];
+      pending = new Set();
+      await rebuild(next);
+    }
+  };
+
+  await rebuild();
+  watcher.on('change', (files) => rebuild(files));
+  watcher.on('error', (error) => console.error(LOG_MESSAGES.DEV_REBUILD_ERROR, error.message));
+  watcher.start();
+  console.log(LOG_MESSAGES.DEV_WATCHING);
+
+  return {
+    url,
+    rebuild,
+    close: async () => {
+      watcher.close();
+      await server.close();
+      await renderer.close();
+    }
+  };
+}
+
+/**
+ * Command-line entry point: runs until SIGINT or SIGTERM
+ * @param {string[]} [argv] - Arguments without node and script path
+ */
+async function main(argv = process.argv.slice(2)) {
+  try {
+    const options = parseDevArguments(argv);
+    if (options.help) {
+      console.log(DEV_USAGE);
+      return;
+    }
+
+    const session = await startDevMode(options);
+    const stop = async () => {
+      await session.close();
+      console.log(LOG_MESSAGES.DEV_STOPPED);
+    };
+    process.once('SIGINT', stop);
+    process.once('SIGTERM', stop);
+  } catch (error) {
+    console.error(LOG_MESSAGES.DEV_ERROR, error.message);
+    if (!(error instanceof ApplicationError)) {
+      console.error(error.stack);
+    }
+    process.exitCode = getExitCode(error);
+  }
+}
+
+// Execute if run directly
+if (require.main === module) {
+  main();
+}
+
+module.exports = { startDevMode, main };
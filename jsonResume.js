@@ -0,0 +1,154 @@
+/**
+ * JSON Resume Import/Export
+ *
+ * Converts the CV between cv.json and the jsonresume.org format.
+ *
+ *   node jsonResume.js export [resume.json] [language]
+ *     Writes cv.json as a JSON Resume document in one language (default: en).
+ *
+ *   node jsonResume.js import <resume.json> [cv.json] [--force]
+ *     Converts a JSON Resume document into CV data and writes it to the given
+ *     data file. Importing into the site's cv.json also regenerates the pages
+ *     from it. JSON Resume has one language and no tags or ids, so a data file
+ *     holding any is only overwritten with --force.
+ *
+ * @module jsonResume
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { PATHS, ERROR_MESSAGES, LOG_MESSAGES } = require('./src/constants');
+const { FileSystemError, ValidationError, UsageError } = require('./src/errors/CustomErrors');
+const { loadCVData } = require('./src/data/CVData');
+const { toJSONResume, fromJSONResume } = require('./src/data/JSONResume');
+const { applyProfile } = require('./src/data/ProfileFilter');
+const { validateCVData } = require('./src/utils/CVDataValidator');
+const { Translator, isLocalizedText } = require('./src/i18n/Translator');
+const { buildHTML } = require('./buildHTML');
+
+const USAGE = [
+  'Usage:',
+  '  node jsonResume.js export [output=resume.json] [language=en]',
+  '  node jsonResume.js import <resume.json> [output=cv.json] [--force]'
+].join('\n');
+
+const FORCE_FLAG = '--force';
+const SITE_DATA_PATH = path.resolve(__dirname, PATHS.CV_DATA_FILE);
+
+/**
+ * Export cv.json as a JSON Resume file
+ * @param {string} [outputPath=resume.json] - Destination file
+ * @param {string} [language] - Language of the exported text, defaults to the default language
+ * @returns {string} Full path of the written file
+ */
+function exportJSONResume(outputPath = PATHS.JSON_RESUME_FILE, language) {
+  const fullPath = path.resolve(outputPath);
+  const translator = new Translator(language);
+  const resume = toJSONResume(translator.localizeData(applyProfile(loadCVData())));
+  resume.meta.language = translator.language;
+  fs.writeFileSync(fullPath, `${JSON.stringify(resume, null, 2)}\n`);
+  return fullPath;
+}
+
+/**
+ * Fields of CV data that a JSON Resume document cannot hold: translations, tags and ids
+ * @param {*} node - Data node
+ * @param {string} [field] - Field path of the node
+ * @param {string[]} [found] - Fields found so far
+ * @returns {string[]} Field paths
+ */
+function findWebsiteOnlyFields(node, field = '', found = []) {
+  if (isLocalizedText(node)) {
+    found.push(field);
+  } else if (Array.isArray(node)) {
+    node.forEach((item, index) => findWebsiteOnlyFields(item, `${field}[${index}]`, found));
+  } else if (node && typeof node === 'object') {
+    Object.entries(node).forEach(([key, value]) => {
+      const childField = field ? `${field}.${key}` : key;
+      if (key === 'tags' || key === 'id') {
+        found.push(childField);
+      } else {
+        findWebsiteOnlyFields(value, childField, found);
+      }
+    });
+  }
+  return found;
+}
+
+/**
+ * Import a JSON Resume file as CV data, rendering it into the pages when it replaces cv.json
+ * @param {string} resumePath - JSON Resume file to import
+ * @param {string} [outputPath=cv.json] - CV data file to write
+ * @param {Object} [options] - Import options
+ * @param {boolean} [options.force=false] - Overwrite a data file with translations, tags or ids
+ * @returns {{dataPath: string, pages: string[]}} Full path of the written data file and of
+ *   the regenerated pages (none unless it is the site's cv.json)
+ * @throws {UsageError} If the data file would lose translations, tags or ids without force
+ */
+function importJSONResume(resumePath, outputPath = PATHS.CV_DATA_FILE, { force = false } = {}) {
+  const fullResumePath = path.resolve(resumePath);
+  if (!fs.existsSync(fullResumePath)) {
+    throw new FileSystemError(`JSON Resume file not found: ${fullResumePath}`, fullResumePath);
+  }
+
+  let resume;
+  try {
+    resume = JSON.parse(fs.readFileSync(fullResumePath, 'utf8'));
+  } catch (error) {
+    throw new ValidationError(`Invalid JSON in ${fullResumePath}: ${error.message}`);
+  }
+
+  const data = fromJSONResume(resume);
+  try {
+    validateCVData(data);
+  } catch (error) {
+    throw new ValidationError(`${ERROR_MESSAGES.CV_DATA_INVALID}: ${error.message}`, error.field);
+  }
+
+  const fullOutputPath = path.resolve(outputPath);
+  if (!force && fs.existsSync(fullOutputPath)) {
+    let existing;
+    try {
+      existing = JSON.parse(fs.readFileSync(fullOutputPath, 'utf8'));
+    } catch (error) {
+      existing = null;
+    }
+    const fields = findWebsiteOnlyFields(existing);
+    if (fields.length > 0) {
+      throw new UsageError(`${ERROR_MESSAGES.RESUME_OVERWRITE} ${fullOutputPath}: ` +
+        `${fields.slice(0, 3).join(', ')}${fields.length > 3 ? ', ...' : ''}`);
+    }
+  }
+  fs.writeFileSync(fullOutputPath, `${JSON.stringify(data, null, 2)}\n`);
+
+  const pages = fullOutputPath === SITE_DATA_PATH ? buildHTML({ dataPath: fullOutputPath }) : [];
+  return { dataPath: fullOutputPath, pages };
+}
+
+// Execute if run directly
+if (require.main === module) {
+  const [command, ...rest] = process.argv.slice(2);
+  const force = rest.includes(FORCE_FLAG);
+  const args = rest.filter((arg) => arg !== FORCE_FLAG);
+
+  try {
+    if (command === 'export') {
+      const outputPath = exportJSONResume(args[0], args[1]);
+      console.log(`${LOG_MESSAGES.RESUME_EXPORTED}: ${outputPath}`);
+    } else if (command === 'import' && args[0]) {
+      const { dataPath, pages } = importJSONResume(args[0], args[1], { force });
+      console.log(`${LOG_MESSAGES.RESUME_IMPORTED} ${dataPath}`);
+      if (pages.length > 0) {
+        console.log(`${LOG_MESSAGES.RESUME_PAGES_REBUILT} ${pages.join(', ')}`);
+      }
+    } else {
+      console.error(USAGE);
+      process.exit(1);
+    }
+  } catch (error) {
+    console.error(LOG_MESSAGES.RESUME_ERROR, error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = { exportJSONResume, importJSONResume };
@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+/**
+ * PDF Server
+ *
+ * Serves the website and renders PDF variants on demand, so teammates can
+ * fetch e.g. http://localhost:3000/cv.pdf?format=Letter&lang=fr without a
+ * local Node setup. See src/server/PDFServer.js.
+ *
+ * @module serve
+ */
+
+const { LOG_MESSAGES } = require('./src/constants');
+const { ApplicationError } = require('./src/errors/CustomErrors');
+const PDFConfig = require('./src/config/PDFConfig');
+const PDFServer = require('./src/server/PDFServer');
+const { getPageSource } = require('./convertToPDF');
+const { SERVE_USAGE, parseServeArguments } = require('./src/cli/ServeArguments');
+const { getExitCode } = require('./src/cli/CLIArguments');
+
+/**
+ * Start the PDF server with a warm browser
+ * @param {Object} [options] - Server options (see parseServeArguments)
+ * @returns {Promise<PDFServer>} Listening server
+ * @throws {ApplicationError} If the configuration is invalid, the port is in use or the
+ *   browser cannot be launched
+ */
+async function startServer(options = {}) {
+  const server = new PDFServer(__dirname, {
+    config: new PDFConfig(options.config, { profile: options.configProfile }),
+    getPageSource,
+    port: options.port,
+    host: options.host,
+    concurrency: options.concurrency
+  });
+
+  server.on('request', ({ method, path, status, cache, duration }) => {
+    const details = cache ? ` (cache ${cache}, ${duration}ms)` : '';
+    console.log(`${method} ${path} ${status}${details}`);
+  });
+
+  const url = await server.start();
+  try {
+    await server.warm();
+  } catch (error) {
+    await server.close();
+    throw error;
+  }
+  console.log(`${LOG_MESSAGES.SERVER_LISTENING} ${url}`);
+  return server;
+}
+
+/**
+ * Command-line entry point: runs until SIGINT or SIGTERM
+ * @param {string[]} [argv] - Arguments without node and script path
+ */
+async function main(argv = process.argv.slice(2)) {
+  try {
+    const options = parseServeArguments(argv);
+    if (options.help) {
+      console.log(SERVE_USAGE);
+      return;
+    }
+
+    const server = await startServer(options);
+    const stop = async () => {
+      await server.close();
+      console.log(LOG_MESSAGES.SERVER_STOPPED);
+    };
+    process.once('SIGINT', stop);
+    process.once('SIGTERM', stop);
+  } catch (error) {
+    console.error(LOG_MESSAGES.SERVER_ERROR, error.message);
+    if (!(error instanceof ApplicationError)) {
+      console.error(error.stack);
+    }
+    process.exitCode = getExitCode(error);
+  }
+}
+
+// Execute if run directly
+if (require.main === module) {
+  main();
+}
+
+module.exports = { startServer, main };
@@ -0,0 +1,220 @@
+/**
+ * PDF Renderer
+ *
+ * Programmatic API of the PDF generator, for use from other Node code (a
+ * build script, a server, ...). Renders return the PDF as a Buffer or a
+ * stream and failures are thrown as typed errors; the process is never exited.
+ * Only warnings are printed, through the shared logger unless another logger
+ * is given (see src/utils/Logger.js).
+ *
+ * @example
+ * const { PDFRenderer } = require('cv-website');
+ * const renderer = new PDFRenderer({ theme: 'print' });
+ * const pdf = await renderer.render('index.html', { pdf: { format: 'Letter' } });
+ * await renderer.close();
+ *
+ * @module PDFRenderer
+ */
+
+const { EventEmitter } = require('events');
+const { finished } = require('stream/promises');
+const fs = require('fs');
+const path = require('path');
+const { RENDER_EVENTS, ERROR_MESSAGES } = require('../constants');
+const { FileSystemError } = require('../errors/CustomErrors');
+const PDFConfig = require('../config/PDFConfig');
+const PDFGenerator = require('../generator/PDFGenerator');
+const { logger: defaultLogger } = require('../utils/Logger');
+
+/**
+ * Renders PDFs with one browser, kept open until close(). Renders share a
+ * single page and run one at a time, in call order. Progress events of the
+ * generator (see RENDER_EVENTS) are re-emitted.
+ */
+class PDFRenderer extends EventEmitter {
+  /**
+   * @param {Object} [options] - Renderer options
+   * @param {string|Object|PDFConfig} [options.config] - Configuration file or object,
+   *   pdf-config.json by default
+   * @param {Object} [options.pdf] - PDF option overrides (format, margin, scale, ...)
+   * @param {string} [options.theme] - PDF theme, overrides the theme of the configuration
+   * @param {boolean} [options.photo] - Whether the profile photo is shown
+   * @param {string} [options.media] - CSS media type, "print" or "screen"
+   * @param {number|null} [options.maxPages] - Page count to fit the layout to, null for none
+   * @param {Logger} [options.logger] - Logger of the warnings and timing spans of the renders,
+   *   the shared logger by default
+   * @throws {ConfigurationError} If the configuration cannot be loaded
+   * @throws {ValidationError} If an override is invalid
+   */
+  constructor({ config, logger = defaultLogger, ...overrides } = {}) {
+    super();
+    this.logger = logger;
+    const baseConfig = config instanceof PDFConfig ? config : new PDFConfig(config);
+    this.config = baseConfig.withOverrides(overrides);
+    this.generator = null;
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Launch the browser. Called by every render: the first one launches it when not called
+   * before, and a browser that crashed or was closed is launched again.
+   * @returns {Promise<void>}
+   * @throws {BrowserError} If the browser cannot be launched
+   */
+  async open() {
+    if (this.generator) {
+      if (!this.generator.browser) {
+        await this.generator.initialize();
+      }
+      return;
+    }
+
+    const generator = new PDFGenerator(this.config, undefined, this.logger);
+    RENDER_EVENTS.forEach((event) => {
+      generator.on(event, (details = {}) => this.emit(event, details));
+    });
+    await generator.initialize();
+    this.generator = generator;
+  }
+
+  /**
+   * Render a page to PDF
+   * @param {string|Object} input - HTML file, http(s) URL or markup, or one of
+   *   { path }, { url }, { html }
+   * @param {Object} [overrides] - Overrides for this render only
+   * @param {Object} [overrides.pdf] - PDF options
+   * @param {string} [overrides.theme] - PDF theme
+   * @param {boolean} [overrides.photo] - Whether the profile photo is shown
+   * @param {string} [overrides.media] - CSS media type, "print" or "screen"
+   * @param {number|null} [overrides.maxPages] - Page count to fit the layout to, null for none
+   * @param {Date} [overrides.date] - Creation and modification date of the PDF and {date} of
+   *   headers and footers, the time of the render by default
+   * @param {Object[]} [overrides.steps] - Extra transform steps, run after the configured ones
+   *   (see TransformPipeline)
+   * @param {string} [overrides.output] - File to also write the PDF to
+   * @returns {Promise<Buffer>} PDF content
+   * @throws {ApplicationError} Typed error on failure (see src/errors/CustomErrors.js)
+   */
+  render(input, overrides = {}) {
+    return this.enqueue(async () => {
+      const outputPath = overrides.output ? path.resolve(overrides.output) : undefined;
+      if (outputPath && !fs.existsSync(path.dirname(outputPath))) {
+        const message = `${ERROR_MESSAGES.OUTPUT_DIR_NOT_FOUND}: ${path.dirname(outputPath)}`;
+        throw new FileSystemError(message, outputPath);
+      }
+
+      await this.prepare(input, overrides);
+      return this.generator.generatePDF(outputPath);
+    });
+  }
+
+  /**
+   * Render a page to a PDF stream. The next render starts once the stream is
+   * consumed or destroyed.
+   * @param {string|Object} input - Page, as for render()
+   * @param {Object} [overrides] - Overrides for this render only, as for render() but
+   *   without output
+   * @returns {Promise<Readable>} PDF content
+   * @throws {ApplicationError} Typed error on failure (see src/errors/CustomErrors.js)
+   */
+  renderStream(input, overrides = {}) {
+    return new Promise((resolve, reject) => {
+      this.enqueue(async () => {
+        await this.prepare(input, overrides);
+        const stream = await this.generator.createPDFStream();
+        resolve(stream);
+        await finished(stream).catch(() => {});
+      }).catch(reject);
+    });
+  }
+
+  /**
+   * Replace the configuration of the next renders, e.g. after pdf-config.json changed.
+   * The browser stays open.
+   * @param {string|Object|PDFConfig} config - Configuration file, object or PDFConfig
+   * @throws {ConfigurationError} If the configuration cannot be loaded
+   */
+  setConfig(config) {
+    this.config = config instanceof PDFConfig ? config : new PDFConfig(config);
+  }
+
+  /**
+   * Close the browser once pending renders are done
+   * @returns {Promise<void>}
+   */
+  async close() {
+    await this.queue;
+    if (this.generator) {
+      const generator = this.generator;
+      this.generator = null;
+      await generator.cleanup();
+    }
+  }
+
+  /**
+   * Load, optimize and verify a page with the settings of one render
+   * @param {string|Object} input - Page, as for render()
+   * @param {Object} overrides - Overrides for this render ({ pdf, theme, photo, media,
+   *   maxPages, date, steps })
+   * @returns {Promise<void>}
+   */
+  async prepare(input, { pdf, theme, photo, media, maxPages, date, steps } = {}) {
+    const overrides = { pdf, theme, photo, media, maxPages };
+    const hasOverrides = Object.values(overrides).some((value) => value !== undefined);
+    const config = hasOverrides ? this.config.withOverrides(overrides) : this.config;
+
+    await this.open();
+    await this.generator.configure(config);
+    this.generator.setDocumentDate(date);
+
+    await this.generator.loadContent(input);
+    await this.generator.applyOptimizations(steps);
+    await this.generator.verifyContent();
+  }
+
+  /**
+   * Run a task after the previous ones, whatever their outcome
+   * @param {Function} task - Async task
+   * @returns {Promise<*>} Result of the task
+   */
+  enqueue(task) {
+    const run = this.queue.then(task);
+    this.queue = run.catch(() => {});
+    return run;
+  }
+}
+
+/**
+ * Render a single page to PDF with a browser of its own
+ * @param {string|Object} input - Page, as for PDFRenderer#render
+ * @param {Object} [options] - Renderer options and render overrides
+ * @param {string|Object|PDFConfig} [options.config] - Configuration file or object
+ * @param {Object} [options.pdf] - PDF option overrides
+ * @param {string} [options.theme] - PDF theme
+ * @param {boolean} [options.photo] - Whether the profile photo is shown
+ * @param {string} [options.media] - CSS media type, "print" or "screen"
+ * @param {string} [options.output] - File to also write the PDF to
+ * @param {Logger} [options.logger] - Logger of the warnings and timing spans
+ * @param {Function} [options.onProgress] - Called with (event, details) for each RENDER_EVENTS
+ * @returns {Promise<Buffer>} PDF content
+ * @throws {ApplicationError} Typed error on failure (see src/errors/CustomErrors.js)
+ */
+async function renderPDF(input, { output, onProgress, ...options } = {}) {
+  const renderer = new PDFRenderer(options);
+  if (onProgress) {
+    RENDER_EVENTS.forEach((event) => {
+      renderer.on(event, (details) => onProgress(event, details));
+    });
+  }
+
+  try {
+    return await renderer.render(input, { output });
+  } finally {
+    await renderer.close();
+  }
+}
+
+module.exports = {
+  PDFRenderer,
+  renderPDF
+};
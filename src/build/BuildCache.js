@@ -0,0 +1,231 @@
+/**
+ * Build Cache
+ *
+ * Makes the PDF build incremental and reproducible. Every PDF gets a hash of
+ * its inputs: its page, the configuration it is rendered with, the
+ * BUILD.INPUT_DIRECTORIES, the transform plugins and the Puppeteer version
+ * (which pins Chrome).
+ * pdf-manifest.json records for each PDF the input hash, the date of the last
+ * change of these inputs and the SHA-256 of the file. A PDF whose inputs and
+ * file still match its entry is not rendered again, and a PDF rendered again
+ * from the same inputs keeps its date, so its bytes do not change.
+ *
+ * @module BuildCache
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { BUILD, PATHS, ERROR_MESSAGES } = require('../constants');
+const { FileSystemError, ValidationError } = require('../errors/CustomErrors');
+
+const PROJECT_ROOT = path.join(__dirname, '../../');
+const URL_PATTERN = /^https?:\/\//i;
+const MILLISECONDS_PER_SECOND = 1000;
+// Puppeteer pins the version of Chrome, which draws the PDFs; package.json pins Puppeteer to an
+// exact version, so every install hashes the same one
+const PUPPETEER_VERSION = require('puppeteer/package.json').version;
+
+/**
+ * SHA-256 of some content
+ * @param {string|Buffer} content - Content
+ * @returns {string} Hex digest
+ */
+function sha256(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Date set by reproducible-builds tooling in SOURCE_DATE_EPOCH
+ * @returns {Date|null} Date, or null when the variable is not set
+ * @throws {ValidationError} If the variable is not a number of seconds
+ */
+function getSourceDate() {
+  const value = process.env[BUILD.SOURCE_DATE_ENV];
+  if (value === undefined || value === '') {
+    return null;
+  }
+  if (!/^\d+$/.test(value)) {
+    throw new ValidationError(
+      `${BUILD.SOURCE_DATE_ENV} must be a number of seconds since 1970, got "${value}"`,
+      BUILD.SOURCE_DATE_ENV
+    );
+  }
+  return new Date(Number(value) * MILLISECONDS_PER_SECOND);
+}
+
+/**
+ * Input hashes, dates and file hashes of the PDFs of the build
+ */
+class BuildCache {
+  /**
+   * @param {Object} [options] - Cache options
+   * @param {string} [options.root] - Project root the PDF paths are relative to
+   * @param {string} [options.manifest] - Manifest file, pdf-manifest.json by default
+   * @throws {FileSystemError} If the manifest exists but cannot be read
+   */
+  constructor({ root = PROJECT_ROOT, manifest } = {}) {
+    this.root = path.resolve(root);
+    this.manifestPath = manifest || path.join(this.root, PATHS.BUILD_MANIFEST);
+    this.files = {};
+    this.sharedHash = null;
+    this.directoryHashes = new Map();
+
+    if (fs.existsSync(this.manifestPath)) {
+      try {
+        this.files = JSON.parse(fs.readFileSync(this.manifestPath, 'utf8')).files || {};
+      } catch (error) {
+        throw new FileSystemError(`${ERROR_MESSAGES.BUILD_MANIFEST}: ${error.message}`,
+          this.manifestPath);
+      }
+    }
+  }
+
+  /**
+   * Hash of the inputs shared by every PDF: the input directories and the Puppeteer version
+   * @returns {string} Hex digest
+   */
+  getSharedHash() {
+    if (!this.sharedHash) {
+      const directories = BUILD.INPUT_DIRECTORIES.map((directory) =>
+        `${directory} ${this.hashDirectory(path.join(this.root, directory))}`);
+      this.sharedHash = sha256([`puppeteer ${PUPPETEER_VERSION}`, ...directories].join('\n'));
+    }
+    return this.sharedHash;
+  }
+
+  /**
+   * Hash of the names and contents of the files of a directory, subdirectories included
+   * @param {string} directory - Absolute path
+   * @returns {string|null} Hex digest, or null if the directory does not exist
+   */
+  hashDirectory(directory) {
+    if (!fs.existsSync(directory)) {
+      return null;
+    }
+    if (!this.directoryHashes.has(directory)) {
+      const hash = crypto.createHash('sha256');
+      fs.readdirSync(directory, { recursive: true })
+        .filter((file) => fs.statSync(path.join(directory, file)).isFile())
+        // Forward slashes and a fixed order give the same hash on every system
+        .map((file) => file.split(path.sep).join('/'))
+        .sort()
+        .forEach((file) => {
+          hash.update(`${file}\n${sha256(fs.readFileSync(path.join(directory, file)))}\n`);
+        });
+      this.directoryHashes.set(directory, hash.digest('hex'));
+    }
+    return this.directoryHashes.get(directory);
+  }
+
+  /**
+   * Hash of the inputs of a PDF
+   * @param {PDFConfig} config - Configuration of the run
+   * @param {Object} job - Job of planJobs ({ source, overrides })
+   * @returns {string|null} Hex digest, or null for a remote page, which cannot be hashed
+   */
+  hashJob(config, job) {
+    const { source } = job;
+    let page;
+    if (typeof source === 'string') {
+      if (URL_PATTERN.test(source)) {
+        return null;
+      }
+      page = fs.readFileSync(path.resolve(this.root, source));
+    } else if (source.html !== undefined) {
+      page = source.html;
+    } else {
+      return null;
+    }
+
+    const jobConfig = config.withOverrides(job.overrides || {});
+    const settings = jobConfig.toJSON();
+    BUILD.IGNORED_CONFIG_KEYS.forEach((key) => delete settings[key]);
+    return sha256(JSON.stringify({
+      version: BUILD.MANIFEST_VERSION,
+      shared: this.getSharedHash(),
+      plugins: this.hashDirectory(jobConfig.getTransformOptions().plugins),
+      page: sha256(page),
+      settings
+    }));
+  }
+
+  /**
+   * Files of a job, relative to the project root
+   * @param {Object} job - Job of planJobs ({ output, copies })
+   * @returns {string[]} Manifest keys
+   */
+  getFiles(job) {
+    return [job.output, ...job.copies]
+      .map((file) => path.relative(this.root, path.resolve(this.root, file)).split(path.sep)
+        .join('/'));
+  }
+
+  /**
+   * Whether the files of a job were rendered from these inputs and not modified since
+   * @param {Object} job - Job of planJobs
+   * @param {string|null} inputHash - Hash of the inputs (see hashJob)
+   * @returns {boolean} True if rendering the job again would give the same files
+   */
+  isUpToDate(job, inputHash) {
+    return inputHash !== null && this.getFiles(job).every((file) => {
+      const entry = this.files[file];
+      const filePath = path.join(this.root, file);
+      return Boolean(entry) && entry.inputHash === inputHash && fs.existsSync(filePath) &&
+        entry.sha256 === sha256(fs.readFileSync(filePath));
+    });
+  }
+
+  /**
+   * Creation and modification date of a PDF: SOURCE_DATE_EPOCH when set, otherwise the
+   * recorded date when the inputs did not change, otherwise now
+   * @param {Object} job - Job of planJobs
+   * @param {string|null} inputHash - Hash of the inputs (see hashJob)
+   * @returns {Date} Date
+   * @throws {ValidationError} If SOURCE_DATE_EPOCH is invalid
+   */
+  getDate(job, inputHash) {
+    const sourceDate = getSourceDate();
+    if (sourceDate) {
+      return sourceDate;
+    }
+    const entry = this.files[this.getFiles(job)[0]];
+    return entry && inputHash !== null && entry.inputHash === inputHash
+      ? new Date(entry.date)
+      : new Date();
+  }
+
+  /**
+   * Record the files of a rendered job
+   * @param {Object} job - Job of planJobs
+   * @param {string|null} inputHash - Hash of the inputs (see hashJob)
+   * @param {Date} date - Date the PDF was rendered with
+   */
+  record(job, inputHash, date) {
+    if (inputHash === null) {
+      return;
+    }
+    this.getFiles(job).forEach((file) => {
+      this.files[file] = {
+        inputHash,
+        date: date.toISOString(),
+        sha256: sha256(fs.readFileSync(path.join(this.root, file)))
+      };
+    });
+  }
+
+  /**
+   * Write the manifest, entries sorted by file
+   */
+  save() {
+    const files = Object.fromEntries(Object.keys(this.files).sort()
+      .map((file) => [file, this.files[file]]));
+    const manifest = { version: BUILD.MANIFEST_VERSION, files };
+    fs.writeFileSync(this.manifestPath, `${JSON.stringify(manifest, null, 2)}\n`);
+  }
+}
+
+module.exports = {
+  BuildCache,
+  getSourceDate
+};
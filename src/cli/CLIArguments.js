@@ -0,0 +1,261 @@
+/**
+ * CLI Arguments
+ *
+ * Parses the command line of the PDF generator (convertToPDF.js) into
+ * conversion options, and maps errors to process exit codes.
+ *
+ * @module CLIArguments
+ */
+
+const { parseArgs } = require('util');
+const path = require('path');
+const { EXIT_CODES, LOGGING, PDF_SCALE } = require('../constants');
+const { ApplicationError, UsageError } = require('../errors/CustomErrors');
+const { getThemeNames } = require('../themes/PDFThemes');
+const { parseLogLevel } = require('../utils/Logger');
+
+const MARGIN_PATTERN = /^\d+(\.\d+)?(mm|cm|in|px)$/;
+const URL_PATTERN = /^https?:\/\//i;
+
+const USAGE = `Usage: node convertToPDF.js [input] [options]
+
+Converts the CV to PDF. Without an input, every language page (index.html,
+index.fr.html, ...) and every profile of the configuration is converted.
+
+Arguments:
+  input                   HTML file or http(s) URL to convert
+
+Options:
+  -i, --input <path|url>  HTML file or URL to convert (same as the argument)
+  -o, --output <path>     Output PDF; without an input, the base name of every PDF
+  -c, --config <path>     Configuration file (default: pdf-config.json)
+      --config-profile <name>
+                          Entry of configProfiles to apply (default: CV_PDF_CONFIG_PROFILE)
+  -f, --format <format>   Paper format, e.g. A4, Letter
+  -m, --margin <margins>  Margins as in CSS: "15mm", "15mm 10mm" or "25mm 10mm 25mm 10mm"
+  -s, --scale <number>    Rendering scale, from ${PDF_SCALE.MIN} to ${PDF_SCALE.MAX}
+  -p, --max-pages <n>     Fit the layout (margins, spacing, scale) to at most n pages
+  -t, --theme <name>      PDF theme: ${getThemeNames().join(', ')}
+  -v, --verbose           Print details such as resolved options and spans (level debug)
+  -q, --quiet             Only print errors (level error)
+      --log-format <format>
+                          Console log format: ${LOGGING.FORMATS.join(', ')}
+                          (default: LOG_FORMAT, ${LOGGING.DEFAULT_FORMAT})
+      --log-file <path>   Also append every entry, debug ones included, as JSON lines to a
+                          file (default: LOG_FILE)
+      --languages-only    Without an input, only convert the language pages, skipping the
+                          profiles and the output matrix
+      --force             Render every PDF, even those whose inputs did not change
+      --check             Check, without rendering, that the language PDFs were rendered
+                          from the current inputs (for CI)
+      --diagnose          Locate sections, companies and projects on the PDF pages and write
+                          a page-break report (JSON and HTML overlay) to diagnostics/
+  -n, --dry-run           Validate the options and list the PDFs without rendering
+  -h, --help              Show this help
+
+Exit codes:
+  ${EXIT_CODES.SUCCESS} success, ${EXIT_CODES.UNKNOWN_ERROR} unexpected error, \
+${EXIT_CODES.USAGE_ERROR} invalid arguments, ${EXIT_CODES.CONFIGURATION_ERROR} configuration error,
+  ${EXIT_CODES.VALIDATION_ERROR} validation error, ${EXIT_CODES.FILE_SYSTEM_ERROR} file error, \
+${EXIT_CODES.BROWSER_ERROR} browser error, ${EXIT_CODES.PDF_GENERATION_ERROR} PDF generation error,
+  ${EXIT_CODES.OUTDATED_PDF_ERROR} PDFs out of date (--check), \
+${EXIT_CODES.INCOMPLETE_CONTENT_ERROR} content missing from the PDF (completeness check)
+
+Environment:
+  LOG_LEVEL               Log level without --verbose or --quiet: ${LOGGING.LEVELS.join(', ')}
+                          (default: ${LOGGING.DEFAULT_LEVEL})`;
+
+const OPTIONS = {
+  input: { type: 'string', short: 'i' },
+  output: { type: 'string', short: 'o' },
+  config: { type: 'string', short: 'c' },
+  'config-profile': { type: 'string' },
+  format: { type: 'string', short: 'f' },
+  margin: { type: 'string', short: 'm' },
+  scale: { type: 'string', short: 's' },
+  'max-pages': { type: 'string', short: 'p' },
+  theme: { type: 'string', short: 't' },
+  verbose: { type: 'boolean', short: 'v' },
+  quiet: { type: 'boolean', short: 'q' },
+  'log-format': { type: 'string' },
+  'log-file': { type: 'string' },
+  'languages-only': { type: 'boolean' },
+  force: { type: 'boolean' },
+  check: { type: 'boolean' },
+  diagnose: { type: 'boolean' },
+  'dry-run': { type: 'boolean', short: 'n' },
+  help: { type: 'boolean', short: 'h' }
+};
+
+/**
+ * Parse a CSS-like margin shorthand (1 to 4 values)
+ * @param {string} value - Margin shorthand, e.g. "25mm 10mm"
+ * @param {string} [name=--margin] - Option name for the error message
+ * @returns {Object} Margin ({ top, right, bottom, left })
+ * @throws {UsageError} If the value is malformed
+ */
+function parseMargin(value, name = '--margin') {
+  const parts = value.trim().split(/\s+/);
+  if (parts.length > 4 || parts.some((part) => !MARGIN_PATTERN.test(part))) {
+    throw new UsageError(`Invalid ${name} "${value}", expected 1 to 4 lengths such as 15mm`);
+  }
+
+  const [top, right = top, bottom = top, left = right] = parts;
+  return { top, right, bottom, left };
+}
+
+/**
+ * Parse the scale option
+ * @param {string} value - Scale as text
+ * @param {string} [name=--scale] - Option name for the error message
+ * @returns {number} Scale
+ * @throws {UsageError} If the value is not a number from PDF_SCALE.MIN to PDF_SCALE.MAX
+ */
+function parseScale(value, name = '--scale') {
+  const scale = Number(value);
+  if (value.trim() === '' || !Number.isFinite(scale) || scale < PDF_SCALE.MIN ||
+    scale > PDF_SCALE.MAX) {
+    throw new UsageError(`Invalid ${name} "${value}", expected a number from ${PDF_SCALE.MIN} ` +
+      `to ${PDF_SCALE.MAX}`);
+  }
+  return scale;
+}
+
+/**
+ * Parse the maximum number of pages
+ * @param {string} value - Number of pages as text
+ * @returns {number} Maximum number of pages
+ * @throws {UsageError} If the value is not a positive integer
+ */
+function parseMaxPages(value) {
+  const maxPages = Number(value);
+  if (!Number.isInteger(maxPages) || maxPages < 1) {
+    throw new UsageError(`Invalid --max-pages "${value}", expected a positive integer`);
+  }
+  return maxPages;
+}
+
+/**
+ * Resolve an input to an absolute file path, or keep it as a URL
+ * @param {string} input - File path or URL
+ * @returns {string} Absolute path or URL
+ */
+function resolveInput(input) {
+  return URL_PATTERN.test(input) ? input : path.resolve(input);
+}
+
+/**
+ * Log level of the run: error with --quiet, debug with --verbose, LOG_LEVEL otherwise
+ * @param {Object} values - Parsed options
+ * @param {Object} env - Environment
+ * @returns {string} Level name
+ * @throws {UsageError} If LOG_LEVEL is not a level
+ */
+function getLogLevel(values, env) {
+  if (values.quiet) {
+    return 'error';
+  }
+  if (values.verbose) {
+    return 'debug';
+  }
+  const level = env[LOGGING.ENV.LEVEL];
+  if (!level) {
+    return LOGGING.DEFAULT_LEVEL;
+  }
+  const index = parseLogLevel(level);
+  if (index === null) {
+    throw new UsageError(`Invalid ${LOGGING.ENV.LEVEL} "${level}", expected one of: ` +
+      LOGGING.LEVELS.join(', '));
+  }
+  return LOGGING.LEVELS[index];
+}
+
+/**
+ * Parse command-line arguments into conversion options
+ * @param {string[]} [argv] - Arguments without node and script path
+ * @param {Object} [env] - Environment, for LOG_LEVEL, LOG_FORMAT and LOG_FILE
+ * @returns {Object} Options ({ input, output, config, configProfile, pdf, theme, maxPages,
+ *   logLevel, logFormat, logFile, profiles, outputs, force, check, diagnose, dryRun, help })
+ * @throws {UsageError} If the arguments are invalid
+ */
+function parseCLIArguments(argv = process.argv.slice(2), env = process.env) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+
+  const { values, positionals } = parsed;
+  if (positionals.length > 1 || (positionals.length === 1 && values.input)) {
+    throw new UsageError('Only one input can be converted at a time');
+  }
+  if (values.verbose && values.quiet) {
+    throw new UsageError('--verbose and --quiet cannot be combined');
+  }
+  if (values.check && (values.input || positionals.length > 0 || values.force)) {
+    throw new UsageError('--check cannot be combined with an input or --force');
+  }
+  if (values.diagnose && (values.check || values.force)) {
+    throw new UsageError('--diagnose cannot be combined with --check or --force');
+  }
+
+  const input = values.input || positionals[0];
+  const pdf = {};
+  if (values.format) {
+    pdf.format = values.format;
+  }
+  if (values.margin) {
+    pdf.margin = parseMargin(values.margin);
+  }
+  if (values.scale) {
+    pdf.scale = parseScale(values.scale);
+  }
+
+  const logFormat = values['log-format'] || env[LOGGING.ENV.FORMAT] || LOGGING.DEFAULT_FORMAT;
+  if (!LOGGING.FORMATS.includes(logFormat)) {
+    throw new UsageError(`Invalid --log-format "${logFormat}", expected one of: ` +
+      LOGGING.FORMATS.join(', '));
+  }
+  const logFile = values['log-file'] || env[LOGGING.ENV.FILE];
+
+  return {
+    input: input ? resolveInput(input) : undefined,
+    output: values.output ? path.resolve(values.output) : undefined,
+    config: values.config ? path.resolve(values.config) : undefined,
+    configProfile: values['config-profile'],
+    pdf,
+    theme: values.theme,
+    maxPages: values['max-pages'] ? parseMaxPages(values['max-pages']) : undefined,
+    logLevel: getLogLevel(values, env),
+    logFormat,
+    logFile: logFile ? path.resolve(logFile) : undefined,
+    profiles: !values['languages-only'],
+    outputs: !values['languages-only'],
+    force: Boolean(values.force),
+    check: Boolean(values.check),
+    diagnose: Boolean(values.diagnose),
+    dryRun: Boolean(values['dry-run']),
+    help: Boolean(values.help)
+  };
+}
+
+/**
+ * Exit code for an error, based on its type
+ * @param {Error} error - Error thrown by the conversion
+ * @returns {number} Process exit code
+ */
+function getExitCode(error) {
+  if (error instanceof ApplicationError && EXIT_CODES[error.code] !== undefined) {
+    return EXIT_CODES[error.code];
+  }
+  return EXIT_CODES.UNKNOWN_ERROR;
+}
+
+module.exports = {
+  USAGE,
+  parseCLIArguments,
+  parseMargin,
+  parseScale,
+  getExitCode
+};
@@ -0,0 +1,80 @@
+/**
+ * Development Mode Arguments
+ *
+ * Parses the command line of the development mode (dev.js).
+ *
+ * @module DevArguments
+ */
+
+const { parseArgs } = require('util');
+const path = require('path');
+const { DEV } = require('../constants');
+const { UsageError } = require('../errors/CustomErrors');
+const { getThemeNames } = require('../themes/PDFThemes');
+
+const DEV_USAGE = `Usage: node dev.js [options]
+
+Serves the CV at http://${DEV.HOST}:${DEV.PORT}/ with live reload, and rebuilds the
+language PDFs whenever index.html, its translations, styles/, assets/ or
+pdf-config.json change.
+
+Options:
+  -p, --port <number>     Port of the preview server (default: ${DEV.PORT})
+  -c, --config <path>     Configuration file (default: pdf-config.json)
+      --config-profile <name>
+                          Entry of configProfiles to apply (default: CV_PDF_CONFIG_PROFILE)
+  -t, --theme <name>      PDF theme: ${getThemeNames().join(', ')}
+  -a, --all               Also rebuild the profile and output-matrix PDFs
+  -h, --help              Show this help`;
+
+const OPTIONS = {
+  port: { type: 'string', short: 'p' },
+  config: { type: 'string', short: 'c' },
+  'config-profile': { type: 'string' },
+  theme: { type: 'string', short: 't' },
+  all: { type: 'boolean', short: 'a' },
+  help: { type: 'boolean', short: 'h' }
+};
+
+/**
+ * Parse the port option
+ * @param {string} value - Port as text
+ * @returns {number} Port
+ * @throws {UsageError} If the value is not a valid port
+ */
+function parsePort(value) {
+  const port = Number(value);
+  if (!Number.isInteger(port) || port < 1 || port > DEV.MAX_PORT) {
+    throw new UsageError(`Invalid --port "${value}", expected a number from 1 to ${DEV.MAX_PORT}`);
+  }
+  return port;
+}
+
+/**
+ * Parse development mode arguments
+ * @param {string[]} [argv] - Arguments without node and script path
+ * @returns {Object} Options ({ port, config, configProfile, theme, all, help })
+ * @throws {UsageError} If the arguments are invalid
+ */
+function parseDevArguments(argv = process.argv.slice(2)) {
+  let values;
+  try {
+    ({ values } = parseArgs({ args: argv, options: OPTIONS }));
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+
+  return {
+    port: values.port ? parsePort(values.port) : DEV.PORT,
+    config: values.config ? path.resolve(values.config) : undefined,
+    configProfile: values['config-profile'],
+    theme: values.theme,
+    all: Boolean(values.all),
+    help: Boolean(values.help)
+  };
+}
+
+module.exports = {
+  DEV_USAGE,
+  parseDevArguments
+};
@@ -0,0 +1,86 @@
+/**
+ * PDF Server Arguments
+ *
+ * Parses the command line of the PDF server (serve.js).
+ *
+ * @module ServeArguments
+ */
+
+const { parseArgs } = require('util');
+const path = require('path');
+const { SERVER, DEV } = require('../constants');
+const { UsageError } = require('../errors/CustomErrors');
+
+const SERVE_USAGE = `Usage: node serve.js [options]
+
+Serves the CV at http://${SERVER.HOST}:${SERVER.PORT}/ and renders PDF variants on demand:
+
+  ${SERVER.PDF_PATH}?format=Letter&theme=print&lang=fr
+
+Query parameters: ${SERVER.QUERY_OPTIONS.join(', ')}
+
+Options:
+  -p, --port <number>         Port (default: ${SERVER.PORT})
+  -H, --host <host>           Host to listen on (default: ${SERVER.HOST}, 0.0.0.0 for the network)
+  -c, --config <path>         Configuration file (default: pdf-config.json)
+      --config-profile <name>
+                              Entry of configProfiles to apply (default: CV_PDF_CONFIG_PROFILE)
+  -j, --concurrency <number>  Maximum concurrent renders, one browser each (default: \
+${SERVER.CONCURRENCY})
+  -h, --help                  Show this help`;
+
+const OPTIONS = {
+  port: { type: 'string', short: 'p' },
+  host: { type: 'string', short: 'H' },
+  config: { type: 'string', short: 'c' },
+  'config-profile': { type: 'string' },
+  concurrency: { type: 'string', short: 'j' },
+  help: { type: 'boolean', short: 'h' }
+};
+
+/**
+ * Parse an integer option
+ * @param {string} value - Value as text
+ * @param {string} name - Option name for the error message
+ * @param {number} max - Largest accepted value
+ * @returns {number} Value
+ * @throws {UsageError} If the value is not an integer from 1 to max
+ */
+function parseInteger(value, name, max) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1 || number > max) {
+    throw new UsageError(`Invalid ${name} "${value}", expected a number from 1 to ${max}`);
+  }
+  return number;
+}
+
+/**
+ * Parse PDF server arguments
+ * @param {string[]} [argv] - Arguments without node and script path
+ * @returns {Object} Options ({ port, host, config, configProfile, concurrency, help })
+ * @throws {UsageError} If the arguments are invalid
+ */
+function parseServeArguments(argv = process.argv.slice(2)) {
+  let values;
+  try {
+    ({ values } = parseArgs({ args: argv, options: OPTIONS }));
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+
+  return {
+    port: values.port ? parseInteger(values.port, '--port', DEV.MAX_PORT) : SERVER.PORT,
+    host: values.host || SERVER.HOST,
+    config: values.config ? path.resolve(values.config) : undefined,
+    configProfile: values['config-profile'],
+    concurrency: values.concurrency
+      ? parseInteger(values.concurrency, '--concurrency', SERVER.MAX_CONCURRENCY)
+      : SERVER.CONCURRENCY,
+    help: Boolean(values.help)
+  };
+}
+
+module.exports = {
+  SERVE_USAGE,
+  parseServeArguments
+};
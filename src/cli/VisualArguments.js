@@ -0,0 +1,91 @@
+/**
+ * Visual Test Arguments
+ *
+ * Parses the command line of the visual regression tests (visualTest.js).
+ *
+ * @module VisualArguments
+ */
+
+const { parseArgs } = require('util');
+const path = require('path');
+const { VISUAL } = require('../constants');
+const { UsageError } = require('../errors/CustomErrors');
+
+const VISUAL_USAGE = `Usage: node visualTest.js [options]
+
+Renders the language PDFs, rasterizes every page with pdf.js in headless
+Chrome and compares each page with its baseline in ${VISUAL.BASELINE_DIR}/.
+Rendered pages and diff images of failed pages are written to
+${VISUAL.OUTPUT_DIR}/.
+
+Options:
+  --accept                Save the rendered pages as the new baselines
+  --tolerance <ratio>     Share of the pixels of a page allowed to differ
+                          (default: ${VISUAL.TOLERANCE})
+  --threshold <value>     Colour difference, from 0 to 1, below which pixels count
+                          as equal (default: ${VISUAL.THRESHOLD})
+  -c, --config <path>     Configuration file (default: pdf-config.json)
+      --config-profile <name>
+                          Entry of configProfiles to apply (default: CV_PDF_CONFIG_PROFILE)
+  -a, --all               Also test the profile and output-matrix PDFs
+      --skip-without-baselines
+                          Pass without rendering when no baseline was accepted yet
+  -h, --help              Show this help`;
+
+const OPTIONS = {
+  accept: { type: 'boolean' },
+  tolerance: { type: 'string' },
+  threshold: { type: 'string' },
+  config: { type: 'string', short: 'c' },
+  'config-profile': { type: 'string' },
+  all: { type: 'boolean', short: 'a' },
+  'skip-without-baselines': { type: 'boolean' },
+  help: { type: 'boolean', short: 'h' }
+};
+
+/**
+ * Parse a ratio option
+ * @param {string} name - Option name
+ * @param {string} value - Ratio as text
+ * @returns {number} Ratio
+ * @throws {UsageError} If the value is not a number from 0 to 1
+ */
+function parseRatio(name, value) {
+  const ratio = Number(value);
+  if (value.trim() === '' || !Number.isFinite(ratio) || ratio < 0 || ratio > 1) {
+    throw new UsageError(`Invalid --${name} "${value}", expected a number from 0 to 1`);
+  }
+  return ratio;
+}
+
+/**
+ * Parse visual test arguments
+ * @param {string[]} [argv] - Arguments without node and script path
+ * @returns {Object} Options ({ accept, tolerance, threshold, config, configProfile, all,
+ *   skipWithoutBaselines, help })
+ * @throws {UsageError} If the arguments are invalid
+ */
+function parseVisualArguments(argv = process.argv.slice(2)) {
+  let values;
+  try {
+    ({ values } = parseArgs({ args: argv, options: OPTIONS }));
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+
+  return {
+    accept: Boolean(values.accept),
+    tolerance: values.tolerance ? parseRatio('tolerance', values.tolerance) : VISUAL.TOLERANCE,
+    threshold: values.threshold ? parseRatio('threshold', values.threshold) : VISUAL.THRESHOLD,
+    config: values.config ? path.resolve(values.config) : undefined,
+    configProfile: values['config-profile'],
+    all: Boolean(values.all),
+    skipWithoutBaselines: Boolean(values['skip-without-baselines']),
+    help: Boolean(values.help)
+  };
+}
+
+module.exports = {
+  VISUAL_USAGE,
+  parseVisualArguments
+};
@@ -0,0 +1,148 @@
+/**
+ * Configuration Loader
+ *
+ * Composes a configuration from its layers, lowest first:
+ * 1. the files it extends: `extends` names a configuration file, relative to
+ *    the file that extends it, whose settings this one deep-merges over
+ * 2. the configuration itself
+ * 3. the selected entry of `configProfiles`, a named set of settings
+ * 4. the CV_PDF_ environment variables of CONFIG_ENV
+ * Command-line options and API overrides apply on top (see PDFConfig).
+ *
+ * @module ConfigLoader
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { CONFIG_ENV, ERROR_MESSAGES } = require('../constants');
+const { ConfigurationError } = require('../errors/CustomErrors');
+const { mergeConfigs } = require('../utils/ConfigValidator');
+const { suggest } = require('../utils/JSONSchema');
+
+const NUMBER_PATTERN = /^-?\d+(\.\d+)?$/;
+const LITERALS = { true: true, false: false, null: null };
+
+/**
+ * Read a configuration file
+ * @param {string} file - Absolute path
+ * @param {string} [extendedBy] - File that extends it, for the error message
+ * @returns {Object} Configuration as written in the file
+ * @throws {ConfigurationError} If the file is missing, is not JSON or is not an object
+ */
+function readConfigFile(file, extendedBy) {
+  if (!fs.existsSync(file)) {
+    const origin = extendedBy ? ` (extended by ${extendedBy})` : '';
+    throw new ConfigurationError(`${ERROR_MESSAGES.CONFIG_NOT_FOUND}: ${file}${origin}`);
+  }
+
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new ConfigurationError(`${ERROR_MESSAGES.CONFIG_LOAD} ${file}: ${error.message}`, error);
+  }
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new ConfigurationError(`${ERROR_MESSAGES.CONFIG_LOAD} ${file}: expected an object`);
+  }
+  return config;
+}
+
+/**
+ * Apply the `extends` chain of a configuration
+ * @param {Object} config - Configuration, possibly with extends
+ * @param {string} directory - Directory extends is relative to
+ * @param {string[]} [chain] - Files already visited, the configuration's own file last
+ *   (guards against cycles)
+ * @returns {Object} Configuration without extends, its bases merged in
+ * @throws {ConfigurationError} If a base file is missing or invalid, or the files extend
+ *   each other
+ */
+function resolveExtends(config, directory, chain = []) {
+  const { extends: base, ...settings } = config;
+  if (base === undefined) {
+    return settings;
+  }
+  if (typeof base !== 'string' || base.trim() === '') {
+    throw new ConfigurationError(`${ERROR_MESSAGES.CONFIG_INVALID}: extends must be the path ` +
+      'of a configuration file');
+  }
+
+  const file = path.resolve(directory, base);
+  if (chain.includes(file)) {
+    throw new ConfigurationError(`${ERROR_MESSAGES.CONFIG_EXTENDS_CYCLE}: ` +
+      [...chain, file].join(' -> '));
+  }
+  const parent = resolveExtends(readConfigFile(file, chain[chain.length - 1]),
+    path.dirname(file), [...chain, file]);
+  return mergeConfigs(parent, settings);
+}
+
+/**
+ * Settings of a config profile
+ * @param {Object} configProfiles - Config profiles by name
+ * @param {string} name - Selected profile
+ * @returns {Object} Settings of the profile
+ * @throws {ConfigurationError} If the profile does not exist
+ */
+function selectConfigProfile(configProfiles, name) {
+  if (!Object.prototype.hasOwnProperty.call(configProfiles, name)) {
+    const names = Object.keys(configProfiles);
+    throw new ConfigurationError(`${ERROR_MESSAGES.UNKNOWN_CONFIG_PROFILE} "${name}", expected ` +
+      (names.length > 0 ? `one of: ${names.join(', ')}` : 'an entry of configProfiles'));
+  }
+  return configProfiles[name];
+}
+
+/**
+ * Settings set by the CV_PDF_ environment variables
+ * @param {Object} env - Environment (process.env)
+ * @returns {Object} { overrides, variables, errors }: the settings, the variable setting each
+ *   path and the errors ({ path, message }) of unknown variables
+ */
+function readEnvOverrides(env) {
+  const overrides = {};
+  const variables = {};
+  const errors = [];
+  const known = Object.keys(CONFIG_ENV.VARIABLES);
+
+  Object.keys(env)
+    .filter((name) => name.startsWith(CONFIG_ENV.PREFIX) && name !== CONFIG_ENV.PROFILE)
+    .sort()
+    .forEach((name) => {
+      const settingPath = CONFIG_ENV.VARIABLES[name];
+      if (!settingPath) {
+        const suggestion = suggest(name, known);
+        errors.push({
+          path: name,
+          message: `${name} is not a configuration variable` +
+            (suggestion ? ` (did you mean ${suggestion}?)` : `, expected: ${known.join(', ')}`)
+        });
+        return;
+      }
+
+      const text = env[name].trim();
+      let value = text;
+      if (Object.prototype.hasOwnProperty.call(LITERALS, text)) {
+        value = LITERALS[text];
+      } else if (NUMBER_PATTERN.test(text)) {
+        value = Number(text);
+      }
+
+      const keys = settingPath.split('.');
+      const parent = keys.slice(0, -1).reduce((node, key) => {
+        node[key] = node[key] || {};
+        return node[key];
+      }, overrides);
+      parent[keys[keys.length - 1]] = value;
+      variables[settingPath] = name;
+    });
+
+  return { overrides, variables, errors };
+}
+
+module.exports = {
+  readConfigFile,
+  resolveExtends,
+  selectConfigProfile,
+  readEnvOverrides
+};
@@ -0,0 +1,375 @@
+/**
+ * Configuration Schema
+ *
+ * JSON Schema (draft-07) of pdf-config.json, built from the constants and
+ * themes so the accepted values never drift from the code. ConfigValidator
+ * enforces it; pdf-config.schema.json, written by configSchema.js, gives
+ * editors completion and inline errors.
+ *
+ * @module ConfigSchema
+ */
+
+const {
+  BROWSER,
+  HEADER_FOOTER,
+  I18N,
+  MEDIA_TYPES,
+  PAGE_BREAKS,
+  PDF_FORMATS,
+  PDF_SCALE,
+  TRANSFORMS
+} = require('../constants');
+const { getThemeNames } = require('../themes/PDFThemes');
+
+const SCHEMA_VERSION = 'http://json-schema.org/draft-07/schema#';
+const SCHEMA_ID = 'https://arnauudg.github.io/pdf-config.schema.json';
+
+// Lengths of margins and heights, and font sizes
+const LENGTH_PATTERN = '^\\d+(\\.\\d+)?(mm|cm|in|px)$';
+const FONT_SIZE_PATTERN = '^\\d+(\\.\\d+)?(pt|px|mm)$';
+// Profile names end up in output filenames (CV.<profile>.<lang>.pdf)
+const PROFILE_NAME_PATTERN = '^[A-Za-z0-9][A-Za-z0-9_-]*$';
+const NOT_BLANK_PATTERN = '\\S';
+const MAX_DEVICE_SCALE_FACTOR = 3;
+
+/**
+ * Header and footer text: {placeholders} must be known ones
+ * @returns {Object} Schema
+ */
+function buildTextSchema() {
+  const placeholders = HEADER_FOOTER.PLACEHOLDERS.join('|');
+  return {
+    type: 'string',
+    pattern: `^(?:[^{]|\\{(?!\\w+\\})|\\{(?:${placeholders})\\})*$`,
+    errorMessage: 'uses an unknown placeholder, expected: ' +
+      HEADER_FOOTER.PLACEHOLDERS.map((name) => `{${name}}`).join(', ')
+  };
+}
+
+/**
+ * Settings shared by pdf-config.json and its configProfiles
+ * @returns {Object} Property schemas by setting
+ */
+function buildSettings() {
+  return {
+    pdf: { $ref: '#/definitions/pdf' },
+    viewport: {
+      type: 'object',
+      description: 'Browser window the page is laid out in',
+      properties: {
+        width: { type: 'number', exclusiveMinimum: 0 },
+        height: { type: 'number', exclusiveMinimum: 0 },
+        deviceScaleFactor: { type: 'number', minimum: 1, maximum: MAX_DEVICE_SCALE_FACTOR }
+      },
+      additionalProperties: false
+    },
+    timeouts: {
+      type: 'object',
+      properties: {
+        pageLoad: { type: 'number', exclusiveMinimum: 0, description: 'Page load timeout (ms)' },
+        imageRender: { type: 'number', minimum: 0, description: 'Image render delay (ms)' },
+        launch: { type: 'number', exclusiveMinimum: 0, description: 'Browser launch timeout (ms)' },
+        optimizations: {
+          type: 'number',
+          exclusiveMinimum: 0,
+          description: 'Timeout of the transform steps (ms)'
+        },
+        render: { type: 'number', exclusiveMinimum: 0, description: 'PDF render timeout (ms)' }
+      },
+      additionalProperties: false
+    },
+    browser: {
+      type: 'object',
+      description: 'Browser launch options and retries of the launch and navigation',
+      properties: {
+        executablePath: {
+          type: 'string',
+          minLength: 1,
+          description: 'Chrome or Chromium binary, the browser of Puppeteer by default'
+        },
+        args: {
+          type: 'array',
+          description: 'Extra command-line flags of the browser',
+          items: { type: 'string', pattern: '^--', errorMessage: 'must be a flag (--name)' }
+        },
+        headless: {
+          anyOf: [{ type: 'boolean' }, { enum: ['shell'] }],
+          description: 'Headless mode: true, false or "shell" (chrome-headless-shell)'
+        },
+        sandbox: { type: 'boolean', description: 'Keep the Chrome sandbox (no --no-sandbox)' },
+        retries: {
+          type: 'integer',
+          minimum: 0,
+          maximum: BROWSER.MAX_RETRIES,
+          description: 'Retries of a failed launch or navigation'
+        },
+        retryDelay: { type: 'number', minimum: 0, description: 'Delay before the first retry (ms)' }
+      },
+      additionalProperties: false
+    },
+    output: {
+      type: 'object',
+      properties: {
+        filename: { type: 'string', minLength: 1, description: 'Output PDF' }
+      },
+      additionalProperties: false
+    },
+    theme: { $ref: '#/definitions/theme' },
+    photo: { $ref: '#/definitions/photo' },
+    media: { $ref: '#/definitions/media' },
+    maxPages: { $ref: '#/definitions/maxPages' },
+    fit: {
+      type: 'object',
+      description: 'Bounds of the layout search run when maxPages is set',
+      properties: {
+        minScale: { type: 'number', minimum: PDF_SCALE.MIN, maximum: 1 },
+        minMargin: { $ref: '#/definitions/length' },
+        minSpacing: { type: 'number', exclusiveMinimum: 0, maximum: 1 }
+      },
+      additionalProperties: false
+    },
+    headerFooter: { $ref: '#/definitions/headerFooter' },
+    network: {
+      type: 'object',
+      properties: {
+        localAssets: {
+          type: 'object',
+          description: 'Remote URL prefixes served from local paths of the project',
+          propertyNames: {
+            pattern: '^https?://[^/]+',
+            errorMessage: 'must be an absolute http(s) URL'
+          },
+          additionalProperties: { type: 'string', pattern: NOT_BLANK_PATTERN }
+        },
+        strict: { type: 'boolean', description: 'Fail on any network request' }
+      },
+      additionalProperties: false
+    },
+    completeness: {
+      type: 'object',
+      description: 'Check that the page shows all of its content before rendering',
+      properties: {
+        enabled: { type: 'boolean', description: 'Fail renders with content missing' },
+        ignore: {
+          type: 'array',
+          description: 'CSS selectors of elements hidden on purpose',
+          items: { type: 'string', pattern: NOT_BLANK_PATTERN }
+        }
+      },
+      additionalProperties: false
+    },
+    pageBreaks: {
+      type: 'object',
+      description: 'Page-break rules by CSS selector, null removes a default rule',
+      propertyNames: { pattern: NOT_BLANK_PATTERN, errorMessage: 'must not be empty' },
+      additionalProperties: { anyOf: [{ type: 'null' }, { $ref: '#/definitions/pageBreakRule' }] }
+    },
+    transforms: {
+      type: 'object',
+      description: 'Order, disabled steps and plugins of the DOM transform pipeline',
+      properties: {
+        order: { $ref: '#/definitions/stepNames' },
+        disabled: { $ref: '#/definitions/stepNames' },
+        plugins: {
+          type: 'string',
+          pattern: NOT_BLANK_PATTERN,
+          description: 'Plugins directory, relative to the project root'
+        }
+      },
+      additionalProperties: false
+    },
+    profiles: {
+      type: 'object',
+      description: 'Tailored CV profiles: items filtered by tag',
+      propertyNames: {
+        pattern: PROFILE_NAME_PATTERN,
+        errorMessage: 'may only contain letters, digits, "-" and "_"'
+      },
+      additionalProperties: {
+        type: 'object',
+        properties: {
+          include: { $ref: '#/definitions/tags' },
+          exclude: { $ref: '#/definitions/tags' },
+          languages: { $ref: '#/definitions/languages' }
+        },
+        additionalProperties: false
+      }
+    },
+    outputs: {
+      type: 'array',
+      description: 'Extra PDFs, each overriding parts of the configuration',
+      items: { $ref: '#/definitions/outputEntry' }
+    }
+  };
+}
+
+/**
+ * Definitions referenced by the settings
+ * @returns {Object} Schemas by name
+ */
+function buildDefinitions() {
+  const text = buildTextSchema();
+  const template = {
+    anyOf: [
+      { type: 'null' },
+      text,
+      {
+        type: 'object',
+        properties: Object.fromEntries(HEADER_FOOTER.POSITIONS
+          .map((position) => [position, { anyOf: [{ type: 'null' }, text] }])),
+        additionalProperties: false
+      }
+    ]
+  };
+
+  return {
+    length: {
+      type: 'string',
+      pattern: LENGTH_PATTERN,
+      errorMessage: 'must be a length such as 15mm'
+    },
+    pdf: {
+      type: 'object',
+      description: 'Options of the PDF',
+      properties: {
+        format: {
+          enum: PDF_FORMATS.flatMap((format) => [...new Set([format, format.toLowerCase()])]),
+          description: 'Paper format',
+          errorMessage: `must be one of: ${PDF_FORMATS.join(', ')}`
+        },
+        scale: { type: 'number', minimum: PDF_SCALE.MIN, maximum: PDF_SCALE.MAX },
+        printBackground: { type: 'boolean' },
+        preferCSSPageSize: { type: 'boolean' },
+        displayHeaderFooter: { type: 'boolean' },
+        omitBackground: { type: 'boolean' },
+        tagged: { type: 'boolean', description: 'Tagged (accessible) PDF' },
+        outline: { type: 'boolean', description: 'Bookmarks outline' },
+        margin: {
+          type: 'object',
+          properties: Object.fromEntries(['top', 'bottom', 'left', 'right']
+            .map((side) => [side, { $ref: '#/definitions/length' }])),
+          additionalProperties: false
+        }
+      },
+      additionalProperties: false
+    },
+    theme: { enum: getThemeNames(), description: 'PDF theme' },
+    photo: { type: 'boolean', description: 'Show the profile photo' },
+    media: { enum: MEDIA_TYPES, description: 'CSS media type' },
+    maxPages: {
+      anyOf: [{ type: 'integer', minimum: 1 }, { type: 'null' }],
+      description: 'Maximum number of pages, null for no limit'
+    },
+    language: { enum: I18N.LANGUAGES },
+    languages: { type: 'array', items: { $ref: '#/definitions/language' } },
+    tags: { type: 'array', items: { type: 'string', pattern: NOT_BLANK_PATTERN } },
+    stepNames: {
+      type: 'array',
+      items: {
+        type: 'string',
+        pattern: TRANSFORMS.NAME_PATTERN.source,
+        errorMessage: 'must be a step name'
+      },
+      uniqueItems: true
+    },
+    headerFooter: {
+      type: 'object',
+      description: 'Running headers and footers',
+      properties: {
+        header: template,
+        footer: template,
+        firstPage: {
+          anyOf: [
+            { type: 'boolean', enum: [false] },
+            {
+              type: 'object',
+              properties: { header: template, footer: template },
+              additionalProperties: false
+            }
+          ],
+          description: 'false, or an object with header and footer'
+        },
+        fontSize: {
+          type: 'string',
+          pattern: FONT_SIZE_PATTERN,
+          errorMessage: 'must be a size such as 8pt'
+        },
+        height: { $ref: '#/definitions/length' }
+      },
+      additionalProperties: false
+    },
+    pageBreakRule: {
+      type: 'object',
+      minProperties: 1,
+      properties: {
+        avoidInside: { type: 'boolean' },
+        keepWithNext: { type: 'boolean' },
+        breakBefore: { enum: PAGE_BREAKS.BREAK_BEFORE },
+        orphans: { type: 'integer', minimum: 1 },
+        widows: { type: 'integer', minimum: 1 }
+      },
+      additionalProperties: false
+    },
+    outputEntry: {
+      type: 'object',
+      required: ['filename'],
+      properties: {
+        filename: {
+          type: 'string',
+          pattern: '\\.[pP][dD][fF]$',
+          errorMessage: 'must be a .pdf filename'
+        },
+        pdf: { $ref: '#/definitions/pdf' },
+        theme: { $ref: '#/definitions/theme' },
+        photo: { $ref: '#/definitions/photo' },
+        media: { $ref: '#/definitions/media' },
+        maxPages: { $ref: '#/definitions/maxPages' },
+        languages: { $ref: '#/definitions/languages' },
+        profile: { type: 'string', description: 'Profile of the configuration' }
+      },
+      additionalProperties: false
+    }
+  };
+}
+
+/**
+ * Build the schema of pdf-config.json
+ * @returns {Object} JSON Schema
+ */
+function buildConfigSchema() {
+  const settings = buildSettings();
+  return {
+    $schema: SCHEMA_VERSION,
+    $id: SCHEMA_ID,
+    title: 'PDF generator configuration',
+    type: 'object',
+    properties: {
+      $schema: { type: 'string' },
+      extends: {
+        type: 'string',
+        minLength: 1,
+        description: 'Configuration file this one extends, relative to this file'
+      },
+      configProfiles: {
+        type: 'object',
+        description: 'Named sets of settings, selected with --config-profile or ' +
+          'CV_PDF_CONFIG_PROFILE',
+        propertyNames: {
+          pattern: PROFILE_NAME_PATTERN,
+          errorMessage: 'may only contain letters, digits, "-" and "_"'
+        },
+        additionalProperties: { $ref: '#/definitions/settings' }
+      },
+      ...settings
+    },
+    additionalProperties: false,
+    definitions: {
+      settings: { type: 'object', properties: settings, additionalProperties: false },
+      ...buildDefinitions()
+    }
+  };
+}
+
+module.exports = {
+  buildConfigSchema
+};
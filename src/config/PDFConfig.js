@@ -1,16 +1,66 @@
 /**
  * Configuration class for PDF generation settings
  * Uses Strategy pattern for configuration management
- * 
+ *
+ * The configuration is composed by ConfigLoader (extends, config profile,
+ * CV_PDF_ environment variables), validated as a whole against the schema
+ * and merged with the defaults.
+ *
  * @module PDFConfig
  */
 
 const fs = require('fs');
 const path = require('path');
-const { DEFAULT_CONFIG, PATHS, ERROR_MESSAGES, LOG_MESSAGES } = require('../constants');
-const { ConfigurationError, FileSystemError } = require('../errors/CustomErrors');
+const {
+  BROWSER,
+  COMPLETENESS,
+  CONFIG_ENV,
+  DEFAULT_CONFIG,
+  FIT,
+  MEDIA_TYPES,
+  NETWORK,
+  PAGE_BREAKS,
+  PATHS,
+  TRANSFORMS,
+  ERROR_MESSAGES,
+  LOG_MESSAGES
+} = require('../constants');
+const { ConfigurationError, ValidationError } = require('../errors/CustomErrors');
 const { logger } = require('../utils/Logger');
-const { validateConfig, mergeWithDefaults } = require('../utils/ConfigValidator');
+const {
+  getConfigErrors,
+  getSettingsErrors,
+  formatErrors,
+  mergeConfigs,
+  validatePDFConfig,
+  validateProfiles,
+  validateTheme,
+  validateRenderSettings,
+  validateOutputs,
+  mergeWithDefaults
+} = require('../utils/ConfigValidator');
+const { DEFAULT_THEME } = require('../themes/PDFThemes');
+const {
+  readConfigFile,
+  resolveExtends,
+  selectConfigProfile,
+  readEnvOverrides
+} = require('./ConfigLoader');
+
+const PROJECT_ROOT = path.join(__dirname, '../../');
+
+/**
+ * Throw validation errors as one configuration error
+ * @param {Object[]} errors - Errors ({ path, message })
+ * @throws {ConfigurationError} Listing every error, with the ValidationError as originalError
+ */
+function assertValid(errors) {
+  if (errors.length > 0) {
+    const message = formatErrors(errors);
+    throw new ConfigurationError(`${ERROR_MESSAGES.CONFIG_INVALID}: ${message}`,
+      new ValidationError(message, errors[0].path || null, errors));
+  }
+}
 
 /**
  * PDF Configuration Manager
@@ -18,58 +68,90 @@ const { validateConfig, mergeWithDefaults } = require('../utils/ConfigValidator'
  */
 class PDFConfig {
   /**
-   * @param {string} [configPath=pdf-config.json] - Path to configuration file
+   * @param {string|Object} [source] - Configuration file, or a configuration object. When
+   *   omitted, pdf-config.json is used if present and the defaults otherwise
+   * @param {Object} [options] - Loading options
+   * @param {string} [options.profile] - Entry of configProfiles to apply, CV_PDF_CONFIG_PROFILE
+   *   by default
+   * @param {Object} [options.env] - Environment the CV_PDF_ overrides are read from,
+   *   process.env by default
+   * @throws {ConfigurationError} If the configuration cannot be loaded or is invalid
    */
-  constructor(configPath = PATHS.CONFIG_FILE) {
-    this.configPath = path.join(__dirname, '../../', configPath);
-    this.config = this.loadConfig();
+  constructor(source, { profile, env = process.env } = {}) {
+    this.profile = profile || env[CONFIG_ENV.PROFILE] || null;
+    if (source && typeof source === 'object') {
+      this.configPath = null;
+      this.config = this.mergeUserConfig(source, PROJECT_ROOT, env);
+      return;
+    }
+
+    this.isRequired = source !== undefined;
+    this.configPath = path.resolve(PROJECT_ROOT, source || PATHS.CONFIG_FILE);
+    this.config = this.loadConfig(env);
   }
 
   /**
    * Load configuration from file with fallback to defaults
+   * @param {Object} env - Environment the CV_PDF_ overrides are read from
    * @returns {Object} Configuration object
-   * @throws {ConfigurationError} If configuration is invalid
+   * @throws {ConfigurationError} If the file is missing (when given explicitly) or invalid
    */
-  loadConfig() {
-    try {
-      if (!fs.existsSync(this.configPath)) {
-        logger.warn(`${LOG_MESSAGES.WARNING_CONFIG} ${this.configPath}, ${LOG_MESSAGES.WARNING_FALLBACK}`);
-        return this.getDefaultConfig();
+  loadConfig(env) {
+    if (!fs.existsSync(this.configPath)) {
+      if (this.isRequired) {
+        throw new ConfigurationError(`${ERROR_MESSAGES.CONFIG_NOT_FOUND}: ${this.configPath}`);
       }
+      const { WARNING_CONFIG, WARNING_FALLBACK } = LOG_MESSAGES;
+      logger.warn(`${WARNING_CONFIG} ${this.configPath}, ${WARNING_FALLBACK}`);
+      return this.mergeUserConfig({}, PROJECT_ROOT, env);
+    }
 
-      const configData = fs.readFileSync(this.configPath, 'utf8');
-      const userConfig = JSON.parse(configData);
-      
-      // Validate configuration
-      try {
-        validateConfig(userConfig);
-      } catch (validationError) {
-        throw new ConfigurationError(
-          `${ERROR_MESSAGES.CONFIG_INVALID}: ${validationError.message}`,
-          validationError
-        );
-      }
+    const userConfig = readConfigFile(this.configPath);
+    const mergedConfig = this.mergeUserConfig(userConfig, path.dirname(this.configPath), env,
+      [this.configPath]);
+    logger.debug('Configuration loaded successfully', {
+      path: this.configPath,
+      profile: this.profile
+    });
+    return mergedConfig;
+  }
 
-      // Merge with defaults
-      const mergedConfig = mergeWithDefaults(userConfig, DEFAULT_CONFIG);
-      logger.debug('Configuration loaded successfully', { path: this.configPath });
-      
-      return mergedConfig;
-    } catch (error) {
-      if (error instanceof ConfigurationError) {
-        throw error;
-      }
-      
-      if (error instanceof SyntaxError) {
-        throw new ConfigurationError(
-          `Invalid JSON in configuration file: ${error.message}`,
-          error
-        );
-      }
+  /**
+   * Compose a user configuration (extends, config profile, environment), validate it and
+   * merge it with the defaults
+   * @param {Object} userConfig - Configuration as written in pdf-config.json
+   * @param {string} directory - Directory `extends` is relative to
+   * @param {Object} env - Environment the CV_PDF_ overrides are read from
+   * @param {string[]} [chain] - The configuration file, when loaded from one
+   * @returns {Object} Merged configuration
+   * @throws {ConfigurationError} Listing every error if the configuration is invalid
+   */
+  mergeUserConfig(userConfig, directory, env, chain = []) {
+    const { configProfiles, ...settings } = resolveExtends(userConfig, directory, chain);
+    // Editor hint only (see pdf-config.schema.json)
+    delete settings.$schema;
+    const { overrides, variables, errors: envErrors } = readEnvOverrides(env);
+    // Errors of the environment values are named after their variable
+    const overrideErrors = getSettingsErrors(overrides).map((error) => {
+      const settingPath = Object.keys(variables).find((key) => error.path === key ||
+        error.path.startsWith(`${key}.`));
+      return settingPath
+        ? { ...error, message: `${error.message} (set by ${variables[settingPath]})` }
+        : error;
+    });
+    assertValid([
+      ...getConfigErrors(configProfiles === undefined ? settings : { ...settings, configProfiles }),
+      ...envErrors,
+      ...overrideErrors
+    ]);
 
-      logger.warn(`${LOG_MESSAGES.WARNING_CONFIG} ${this.configPath}, ${LOG_MESSAGES.WARNING_FALLBACK}`);
-      return this.getDefaultConfig();
-    }
+    const profile = this.profile ? selectConfigProfile(configProfiles || {}, this.profile) : {};
+    const composed = mergeConfigs(mergeConfigs(settings, profile), overrides);
+    // Errors only the combined layers have, e.g. an output of the profile referring to a profile
+    // of the base
+    assertValid(getConfigErrors(composed));
+
+    return mergeWithDefaults(composed, this.getDefaultConfig());
   }
 
   /**
@@ -77,7 +159,94 @@ class PDFConfig {
    * @returns {Object} Default configuration object
    */
   getDefaultConfig() {
-    return JSON.parse(JSON.stringify(DEFAULT_CONFIG)); // Deep clone
+    const { PDF, VIEWPORT, TIMEOUTS, OUTPUT } = DEFAULT_CONFIG;
+    return {
+      pdf: {
+        format: PDF.FORMAT,
+        scale: PDF.SCALE,
+        printBackground: PDF.PRINT_BACKGROUND,
+        preferCSSPageSize: PDF.PREFER_CSS_PAGE_SIZE,
+        displayHeaderFooter: PDF.DISPLAY_HEADER_FOOTER,
+        omitBackground: PDF.OMIT_BACKGROUND,
+        tagged: PDF.TAGGED,
+        outline: PDF.OUTLINE,
+        margin: {
+          top: PDF.MARGIN.TOP,
+          bottom: PDF.MARGIN.BOTTOM,
+          left: PDF.MARGIN.LEFT,
+          right: PDF.MARGIN.RIGHT
+        }
+      },
+      viewport: {
+        width: VIEWPORT.WIDTH,
+        height: VIEWPORT.HEIGHT,
+        deviceScaleFactor: VIEWPORT.DEVICE_SCALE_FACTOR
+      },
+      timeouts: {
+        pageLoad: TIMEOUTS.PAGE_LOAD,
+        imageRender: TIMEOUTS.IMAGE_RENDER
+      },
+      output: {
+        filename: OUTPUT.FILENAME
+      }
+    };
+  }
+
+  /**
+   * Apply option overrides on top of the loaded configuration
+   * @param {Object} [overrides] - Overrides
+   * @param {Object} [overrides.pdf] - PDF options (format, margin, scale, ...)
+   * @param {string} [overrides.output] - Output file
+   * @param {string} [overrides.theme] - PDF theme
+   * @param {boolean} [overrides.photo] - Whether the profile photo is shown
+   * @param {string} [overrides.media] - CSS media type, "print" or "screen"
+   * @param {number|null} [overrides.maxPages] - Maximum number of pages, null for no limit
+   * @throws {ValidationError} If an override is invalid
+   */
+  applyOverrides({ pdf, output, theme, photo, media, maxPages } = {}) {
+    if (pdf && Object.keys(pdf).length > 0) {
+      validatePDFConfig(pdf);
+      this.config = mergeWithDefaults({ pdf }, this.config);
+    }
+    if (output) {
+      this.config.output = { ...this.config.output, filename: output };
+    }
+    if (theme) {
+      validateTheme(theme);
+      this.config.theme = theme;
+    }
+    validateRenderSettings({ photo, media, maxPages });
+    if (photo !== undefined) {
+      this.config.photo = photo;
+    }
+    if (media) {
+      this.config.media = media;
+    }
+    if (maxPages !== undefined) {
+      this.config.maxPages = maxPages;
+    }
+  }
+
+  /**
+   * Copy of this configuration with overrides applied
+   * @param {Object} [overrides] - Overrides, see applyOverrides
+   * @returns {PDFConfig} New configuration
+   */
+  withOverrides(overrides) {
+    const copy = Object.create(PDFConfig.prototype);
+    copy.configPath = this.configPath;
+    copy.profile = this.profile;
+    copy.config = JSON.parse(JSON.stringify(this.config));
+    copy.applyOverrides(overrides);
+    return copy;
+  }
+
+  /**
+   * Resolved configuration, defaults and overrides included
+   * @returns {Object} Copy of the configuration
+   */
+  toJSON() {
+    return JSON.parse(JSON.stringify(this.config));
   }
 
   /**
@@ -97,11 +266,171 @@ class PDFConfig {
   }
 
   /**
-   * Get timeout settings
-   * @returns {Object} Timeout settings
+   * Get timeout settings. The stage timeouts added after pageLoad and imageRender are
+   * defaulted here, so existing configurations keep their build hash.
+   * @returns {Object} Timeout settings ({ pageLoad, imageRender, launch, optimizations,
+   *   render }, ms)
    */
   getTimeouts() {
-    return this.config.timeouts;
+    const { LAUNCH, OPTIMIZATIONS, RENDER } = DEFAULT_CONFIG.TIMEOUTS;
+    return {
+      launch: LAUNCH,
+      optimizations: OPTIMIZATIONS,
+      render: RENDER,
+      ...this.config.timeouts
+    };
+  }
+
+  /**
+   * Get the browser settings: launch options and retries of the launch and navigation
+   * @returns {Object} Settings ({ executablePath, args, headless, sandbox, retries,
+   *   retryDelay })
+   */
+  getBrowserOptions() {
+    return {
+      executablePath: null,
+      args: [],
+      headless: BROWSER.HEADLESS,
+      sandbox: false,
+      retries: BROWSER.RETRIES,
+      retryDelay: BROWSER.RETRY_DELAY,
+      ...this.config.browser
+    };
+  }
+
+  /**
+   * Get the name of the PDF theme
+   * @returns {string} Validated theme name (see src/themes/PDFThemes.js)
+   */
+  getThemeName() {
+    const theme = this.config.theme || DEFAULT_THEME;
+    validateTheme(theme);
+    return theme;
+  }
+
+  /**
+   * Whether the profile photo is shown
+   * @returns {boolean} False when the PDF is rendered without photo
+   */
+  showsPhoto() {
+    return this.config.photo !== false;
+  }
+
+  /**
+   * Get the CSS media type the page is rendered with
+   * @returns {string} "print" (default) or "screen"
+   */
+  getMedia() {
+    return this.config.media || MEDIA_TYPES[0];
+  }
+
+  /**
+   * Get the maximum number of pages the layout is fitted to
+   * @returns {number|null} Maximum number of pages, or null when the layout is not fitted
+   */
+  getMaxPages() {
+    return this.config.maxPages || null;
+  }
+
+  /**
+   * Get the bounds of the layout search run when maxPages is set
+   * @returns {Object} Bounds ({ minScale, minMargin, minSpacing })
+   */
+  getFitOptions() {
+    return {
+      minScale: FIT.MIN_SCALE,
+      minMargin: FIT.MIN_MARGIN,
+      minSpacing: FIT.MIN_SPACING,
+      ...this.config.fit
+    };
+  }
+
+  /**
+   * Get the running header and footer templates
+   * @returns {Object|null} headerFooter configuration ({ header, footer, firstPage, fontSize,
+   *   height }), or null without headers and footers
+   */
+  getHeaderFooter() {
+    return this.config.headerFooter || null;
+  }
+
+  /**
+   * Get the network settings of the renders
+   * @returns {Object} Settings ({ localAssets, strict }), localAssets extending the default
+   *   prefixes of NETWORK.LOCAL_ASSETS
+   */
+  getNetworkOptions() {
+    const { localAssets = {}, strict = false } = this.config.network || {};
+    return {
+      localAssets: { ...NETWORK.LOCAL_ASSETS, ...localAssets },
+      strict
+    };
+  }
+
+  /**
+   * Get the settings of the completeness check run before rendering
+   * @returns {Object} Settings ({ enabled, ignore }), ignore extending COMPLETENESS.IGNORE
+   */
+  getCompletenessOptions() {
+    const { enabled = true, ignore = [] } = this.config.completeness || {};
+    return {
+      enabled,
+      ignore: [...new Set([...COMPLETENESS.IGNORE, ...ignore])]
+    };
+  }
+
+  /**
+   * Get the page-break rules: the defaults of PAGE_BREAKS.DEFAULT_RULES with the `pageBreaks`
+   * entries merged in. An entry for a default selector updates its rule in place, null
+   * removes it, and other selectors are added after the defaults.
+   * @returns {Object} CSS selector -> rule, in the order they apply
+   */
+  getPageBreakRules() {
+    const rules = JSON.parse(JSON.stringify(PAGE_BREAKS.DEFAULT_RULES));
+    Object.entries(this.config.pageBreaks || {}).forEach(([selector, rule]) => {
+      if (rule === null) {
+        delete rules[selector];
+      } else {
+        rules[selector] = { ...rules[selector], ...rule };
+      }
+    });
+    return rules;
+  }
+
+  /**
+   * Get the settings of the DOM transform pipeline
+   * @returns {Object} Settings ({ order, disabled, plugins, pluginsRequired }), plugins being
+   *   the absolute path of the plugins directory and pluginsRequired whether it was configured
+   */
+  getTransformOptions() {
+    const { order = [], disabled = [], plugins } = this.config.transforms || {};
+    return {
+      order,
+      disabled,
+      plugins: path.resolve(PROJECT_ROOT, plugins || TRANSFORMS.PLUGINS_DIR),
+      pluginsRequired: plugins !== undefined
+    };
+  }
+
+  /**
+   * Get the output matrix: extra PDFs rendered with parts of the configuration overridden
+   * @returns {Object[]} Validated entries ({ filename, pdf, theme, photo, media, languages,
+   *   profile })
+   */
+  getOutputs() {
+    const outputs = this.config.outputs || [];
+    validateOutputs(outputs, this.getProfiles());
+    return outputs;
+  }
+
+  /**
+   * Get tailored CV profiles
+   * @returns {Object} Validated profiles keyed by name ({ include, exclude, languages })
+   */
+  getProfiles() {
+    const profiles = this.config.profiles || {};
+    validateProfiles(profiles);
+    return profiles;
   }
 
   /**
@@ -110,7 +439,7 @@ class PDFConfig {
    */
   getOutputPath() {
     const filename = this.config.output?.filename || PATHS.OUTPUT_FILE;
-    return path.join(__dirname, '../../', filename);
+    return path.resolve(PROJECT_ROOT, filename);
   }
 }
 
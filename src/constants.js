@@ -18,6 +18,8 @@ const DEFAULT_CONFIG = {
     PREFER_CSS_PAGE_SIZE: false,
     DISPLAY_HEADER_FOOTER: false,
     OMIT_BACKGROUND: false,
+    TAGGED: true,
+    OUTLINE: true,
     MARGIN: {
       TOP: '15mm',
       BOTTOM: '15mm',
@@ -32,13 +34,128 @@ const DEFAULT_CONFIG = {
   },
   TIMEOUTS: {
     PAGE_LOAD: 30000,
-    IMAGE_RENDER: 1000
+    IMAGE_RENDER: 1000,
+    // Hard timeouts of the other stages of a render (navigation is bound by PAGE_LOAD)
+    LAUNCH: 30000,
+    OPTIMIZATIONS: 60000,
+    RENDER: 120000
   },
   OUTPUT: {
     FILENAME: 'CV.pdf'
   }
 };
 
+/**
+ * Bounds of the layout search run when `maxPages` is set (see src/generator/LayoutSolver.js)
+ */
+const FIT = {
+  MIN_SCALE: 0.8,
+  MIN_MARGIN: '8mm',
+  MIN_SPACING: 0.8,
+  // Layouts tried between the configured value and the minimum of each setting
+  STEPS: 6
+};
+
+/**
+ * Running headers and footers (see src/generator/HeaderFooter.js)
+ */
+const HEADER_FOOTER = {
+  PLACEHOLDERS: ['name', 'title', 'date', 'page', 'total'],
+  POSITIONS: ['left', 'center', 'right'],
+  FONT_SIZE: '8pt',
+  // Smallest page margin on a side with a header or footer
+  HEIGHT: '12mm',
+  NAME_SELECTOR: 'header h1',
+  TITLE_SELECTOR: 'header .lead'
+};
+
+/**
+ * Headings of the PDF bookmarks outline and their nesting level
+ */
+const PDF_OUTLINE = [
+  { selector: '.section-title', level: 1 },
+  { selector: '.collapsible-company', level: 2 },
+  { selector: '.collapsible-project', level: 3 }
+];
+
+/**
+ * Page-break rules of the PDF (see src/generator/PageBreaks.js), extended by `pageBreaks`.
+ * Rules apply in order: a later rule overrides an earlier one on the elements both match.
+ */
+const PAGE_BREAKS = {
+  DEFAULT_RULES: {
+    'body': { orphans: 3, widows: 3 },
+    '.section-title': { keepWithNext: true },
+    // A company keeps its header, dates and first project together
+    '.collapsible-company': { keepWithNext: true },
+    '.collapsible-company + p': { keepWithNext: true },
+    '.company-content > ul > li:first-child': { breakBefore: 'avoid' },
+    // A project keeps its header and content together
+    '.collapsible-project': { keepWithNext: true },
+    '.project-content': { avoidInside: true },
+    '.project-content > ul > li:first-child': { breakBefore: 'avoid' },
+    // Long list items may break, but not leave orphans; project items stay whole
+    'li': { avoidInside: false, orphans: 3, widows: 3 },
+    'li:has(.collapsible-project)': { avoidInside: true },
+    'section': { avoidInside: false, orphans: 4, widows: 4 }
+  },
+  RULE_KEYS: ['avoidInside', 'keepWithNext', 'breakBefore', 'orphans', 'widows'],
+  BREAK_BEFORE: ['auto', 'avoid', 'page']
+};
+
+/**
+ * Environment variables overriding settings of the configuration, applied after `extends`
+ * and the selected config profile. Values are JSON-like: true, false, null and numbers are
+ * converted, anything else is text. Other CV_PDF_ variables are reported as errors.
+ */
+const CONFIG_ENV = {
+  PREFIX: 'CV_PDF_',
+  // Selects an entry of configProfiles, like --config-profile
+  PROFILE: 'CV_PDF_CONFIG_PROFILE',
+  VARIABLES: {
+    CV_PDF_FORMAT: 'pdf.format',
+    CV_PDF_SCALE: 'pdf.scale',
+    CV_PDF_MARGIN_TOP: 'pdf.margin.top',
+    CV_PDF_MARGIN_BOTTOM: 'pdf.margin.bottom',
+    CV_PDF_MARGIN_LEFT: 'pdf.margin.left',
+    CV_PDF_MARGIN_RIGHT: 'pdf.margin.right',
+    CV_PDF_TAGGED: 'pdf.tagged',
+    CV_PDF_OUTLINE: 'pdf.outline',
+    CV_PDF_THEME: 'theme',
+    CV_PDF_PHOTO: 'photo',
+    CV_PDF_MEDIA: 'media',
+    CV_PDF_MAX_PAGES: 'maxPages',
+    CV_PDF_OUTPUT: 'output.filename',
+    CV_PDF_PAGE_LOAD_TIMEOUT: 'timeouts.pageLoad',
+    CV_PDF_IMAGE_RENDER_TIMEOUT: 'timeouts.imageRender',
+    CV_PDF_NETWORK_STRICT: 'network.strict',
+    CV_PDF_BROWSER_EXECUTABLE_PATH: 'browser.executablePath',
+    CV_PDF_BROWSER_HEADLESS: 'browser.headless',
+    CV_PDF_BROWSER_RETRIES: 'browser.retries',
+    CV_PDF_COMPLETENESS: 'completeness.enabled'
+  }
+};
+
+/**
+ * Paper formats supported by Puppeteer (case-insensitive)
+ */
+const PDF_FORMATS = [
+  'Letter', 'Legal', 'Tabloid', 'Ledger', 'A0', 'A1', 'A2', 'A3', 'A4', 'A5', 'A6'
+];
+
+/**
+ * Rendering scales Chrome prints a PDF at
+ */
+const PDF_SCALE = {
+  MIN: 0.1,
+  MAX: 2
+};
+
+/**
+ * CSS media types a PDF can be rendered with; "print" applies the site's print styles
+ */
+const MEDIA_TYPES = ['print', 'screen'];
+
 /**
  * PDF styling constants
  */
@@ -69,6 +186,30 @@ const PDF_STYLES = {
   }
 };
 
+/**
+ * Remote resources of the page served from the repository while rendering, so builds work
+ * offline (see src/generator/LocalAssets.js). Extended by `network.localAssets`.
+ */
+const NETWORK = {
+  // Remote URL prefix -> directory or file, relative to the project root
+  LOCAL_ASSETS: {
+    'https://arnauudg.github.io/assets/': 'assets/',
+    'https://stackpath.bootstrapcdn.com/bootstrap/': 'vendor/bootstrap/'
+  },
+  // Only requests with these protocols can reach the network
+  REMOTE_PROTOCOLS: ['http:', 'https:', 'ws:', 'wss:']
+};
+
+/**
+ * DOM transform pipeline run on the page before rendering (see src/generator/TransformPipeline.js)
+ */
+const TRANSFORMS = {
+  // Directory of user transform modules, relative to the project root
+  PLUGINS_DIR: 'transforms',
+  // Step names are used in pdf-config.json and the logs
+  NAME_PATTERN: /^[a-z0-9][a-z0-9-]*$/
+};
+
 /**
  * Puppeteer browser arguments
  */
@@ -77,13 +218,223 @@ const BROWSER_ARGS = [
   '--disable-setuid-sandbox'
 ];
 
+/**
+ * Browser lifecycle (see src/generator/BrowserLifecycle.js): launch defaults, retries of the
+ * launch and navigation, and the stages a BrowserError can name
+ */
+const BROWSER = {
+  HEADLESS: true,
+  // Attempts after the first one, waiting RETRY_DELAY, then twice as long each time
+  RETRIES: 2,
+  RETRY_DELAY: 500,
+  MAX_RETRIES: 10,
+  // Time given to the browser to close before its process is killed
+  CLOSE_TIMEOUT: 5000,
+  STAGES: ['launch', 'navigation', 'image-wait', 'optimizations', 'verification', 'render'],
+  SIGNALS: ['SIGINT', 'SIGTERM']
+};
+
 /**
  * File paths
  */
 const PATHS = {
   CONFIG_FILE: 'pdf-config.json',
+  CONFIG_SCHEMA_FILE: 'pdf-config.schema.json',
+  CV_DATA_FILE: 'cv.json',
+  JSON_RESUME_FILE: 'resume.json',
   HTML_FILE: 'index.html',
-  OUTPUT_FILE: 'CV.pdf'
+  RENDER_HTML_PREFIX: 'cv-render-',
+  OUTPUT_FILE: 'CV.pdf',
+  BUILD_MANIFEST: 'pdf-manifest.json'
+};
+
+/**
+ * Markers delimiting the generated CV markup inside index.html
+ */
+const HTML_MARKERS = {
+  START: '<!-- CV:START (generated from cv.json by buildHTML.js, do not edit by hand) -->',
+  END: '<!-- CV:END -->'
+};
+
+/**
+ * Internationalisation settings
+ * Each language needs a locale file in src/i18n/locales/<language>.json
+ */
+const I18N = {
+  DEFAULT_LANGUAGE: 'en',
+  LANGUAGES: ['en', 'fr', 'nl'],
+  STORAGE_KEY: 'lang',
+  // Fields of cv.json holding prose, reported by the build of the other languages when they
+  // are plain strings (names, dates, URLs and keywords are the same in every language)
+  TEXT_FIELDS: ['headline', 'text', 'highlights', 'description', 'location', 'position', 'degree']
+};
+
+/**
+ * Process exit codes of the command-line tools, one per failure type
+ */
+const EXIT_CODES = {
+  SUCCESS: 0,
+  UNKNOWN_ERROR: 1,
+  USAGE_ERROR: 2,
+  CONFIGURATION_ERROR: 3,
+  VALIDATION_ERROR: 4,
+  FILE_SYSTEM_ERROR: 5,
+  BROWSER_ERROR: 6,
+  PDF_GENERATION_ERROR: 7,
+  VISUAL_REGRESSION_ERROR: 8,
+  OUTDATED_PDF_ERROR: 9,
+  INCOMPLETE_CONTENT_ERROR: 10
+};
+
+/**
+ * Logging of the PDF generator (see src/utils/Logger.js): level names in increasing order,
+ * console formats, and the environment variables setting them
+ */
+const LOGGING = {
+  LEVELS: ['debug', 'info', 'warn', 'error'],
+  DEFAULT_LEVEL: 'info',
+  FORMATS: ['text', 'json'],
+  DEFAULT_FORMAT: 'text',
+  ENV: {
+    LEVEL: 'LOG_LEVEL',
+    FORMAT: 'LOG_FORMAT',
+    FILE: 'LOG_FILE'
+  }
+};
+
+/**
+ * Progress events of a PDF render, in order (see src/generator/PDFGenerator.js)
+ */
+const RENDER_EVENTS = [
+  'browser-ready', 'content-loaded', 'transformed', 'optimized', 'verified', 'fitted', 'rendered'
+];
+
+/**
+ * Development mode (dev.js): preview server and PDF rebuilds on change
+ */
+const DEV = {
+  HOST: 'localhost',
+  PORT: 8080,
+  MAX_PORT: 65535,
+  DEBOUNCE_MS: 300,
+  RELOAD_PATH: '/__livereload',
+  // Watched in the project root; index.html, its translations, the CV data and the PDF
+  // configuration
+  ROOT_FILE_PATTERN: /^(index(\.[a-z]{2})?\.html|cv\.json|pdf-config\.json)$/,
+  // Watched recursively
+  DIRECTORIES: ['styles', 'assets', 'src/i18n/locales'],
+  // Sources of the generated pages: a change to one of them runs buildHTML before the PDFs
+  HTML_SOURCES: ['cv.json', 'src/i18n/locales']
+};
+
+/**
+ * HTTP status codes used by the local servers
+ */
+const HTTP_STATUS = {
+  OK: 200,
+  NOT_MODIFIED: 304,
+  BAD_REQUEST: 400,
+  FORBIDDEN: 403,
+  NOT_FOUND: 404,
+  METHOD_NOT_ALLOWED: 405,
+  INTERNAL_SERVER_ERROR: 500,
+  SERVICE_UNAVAILABLE: 503
+};
+
+/**
+ * PDF server (serve.js): static site plus an on-demand PDF route
+ */
+const SERVER = {
+  HOST: 'localhost',
+  PORT: 3000,
+  PDF_PATH: '/cv.pdf',
+  // Query parameters of the PDF route
+  QUERY_OPTIONS: ['format', 'theme', 'lang', 'profile', 'scale', 'margin'],
+  // Browsers kept warm, each rendering one PDF at a time
+  CONCURRENCY: 2,
+  MAX_CONCURRENCY: 8,
+  // Renders waiting for a browser before requests are turned away
+  MAX_QUEUE: 20,
+  // Rendered PDFs kept in memory
+  CACHE_SIZE: 50
+};
+
+/**
+ * Reproducible builds (see src/build/BuildCache.js): the PDFs of a run are skipped when the
+ * hash of their inputs matches pdf-manifest.json
+ */
+const BUILD = {
+  MANIFEST_VERSION: 1,
+  // Project directories every PDF depends on, besides its page and the configuration
+  INPUT_DIRECTORIES: ['styles', 'assets', 'vendor', 'src'],
+  // Seconds since 1970, as set by reproducible-builds tooling; overrides the recorded dates
+  SOURCE_DATE_ENV: 'SOURCE_DATE_EPOCH',
+  // Settings that do not change the PDF itself: names and lists of other PDFs, how the
+  // browser is launched and how the rendered content is checked
+  IGNORED_CONFIG_KEYS: ['output', 'profiles', 'outputs', 'browser', 'completeness']
+};
+
+/**
+ * Visual regression tests (visualTest.js): PDF pages rasterized with pdf.js in Chrome
+ */
+const VISUAL = {
+  BASELINE_DIR: 'tests/visual/baselines',
+  OUTPUT_DIR: 'tests/visual/output',
+  HOST: '127.0.0.1',
+  // Resolution of the page images
+  DPI: 96,
+  // Share of the pixels of a page allowed to differ
+  TOLERANCE: 0.001,
+  // Colour difference, from 0 to 1, below which two pixels count as equal (anti-aliasing)
+  THRESHOLD: 0.1,
+  // Date of the rendered PDFs, so the {date} of running headers and footers does not change
+  DATE: '2000-01-01T00:00:00Z'
+};
+
+/**
+ * Page-break diagnostics (convertToPDF.js --diagnose, see src/diagnostics/PageBreakDiagnostics.js)
+ */
+const DIAGNOSTICS = {
+  OUTPUT_DIR: 'diagnostics',
+  // Links of the diagnostics markers; the .invalid domain never resolves
+  LINK_PREFIX: 'https://pdf-diagnostics.invalid/',
+  // Headings located in the print layout, each with the content it introduces: its next
+  // sibling matching content
+  TARGETS: [
+    { kind: 'section', heading: '.section-title', content: '.section-content' },
+    { kind: 'company', heading: '.collapsible-company', content: '.company-content' },
+    { kind: 'project', heading: '.collapsible-project', content: '.project-content' }
+  ],
+  // Resolution of the page images of the overlay
+  DPI: 72
+};
+
+/**
+ * Completeness check of the optimized page (see src/generator/CompletenessCheck.js)
+ */
+const COMPLETENESS = {
+  // Elements hidden from the PDF on purpose (see the hide-ui transform), extended by
+  // completeness.ignore
+  IGNORE: ['.footer', '.btn-download-pdf', '#theme-toggle', '#language-switcher',
+    '.collapsible-controls'],
+  // Elements whose text is never shown
+  SKIPPED: 'script, style, noscript, template',
+  ISSUE_TYPES: {
+    HIDDEN: 'hidden',
+    TRANSPARENT: 'transparent',
+    ZERO_HEIGHT: 'zero-height',
+    CLIPPED: 'clipped',
+    OVERFLOW: 'overflow',
+    IMAGE: 'image'
+  },
+  // Elements less opaque than this are not readable
+  MIN_OPACITY: 0.05,
+  // Pixels a line of text or an element may exceed its box by
+  TOLERANCE: 1,
+  // Levels of the selectors naming the elements, up to the nearest id
+  SELECTOR_DEPTH: 4,
+  // Characters of the missing text quoted in the report
+  SAMPLE_LENGTH: 40
 };
 
 /**
@@ -102,13 +453,59 @@ const LOG_MESSAGES = {
   BROWSER_INIT: '✓ Browser initialized',
   CONTENT_LOADED: '✓ HTML content loaded',
   OPTIMIZATIONS_APPLIED: '✓ PDF optimizations applied',
+  CONTENT_VERIFIED: '✓ Rendered content complete',
+  TRANSFORM_APPLIED: '  ✓ Transform',
+  LAYOUT_FITTED: '✓ Layout fitted',
+  PDF_UP_TO_DATE: '✓ Up to date, not rendered:',
+  PDF_CHECKED: '✓ PDFs up to date with their inputs',
   PDF_GENERATED: '✓ PDF generated successfully',
   COMPLETED: '✅ Conversion completed successfully!',
   ERROR: '❌ Error during PDF conversion:',
   WARNING_CONFIG: 'Warning: Could not load config from',
   WARNING_FALLBACK: 'using defaults',
   WARNING_FILE_URL: '⚠️  file:// URL failed, trying setContent method...',
-  WARNING_IMAGES: '⚠️  Some images may not have loaded, continuing with PDF generation...'
+  WARNING_IMAGES: '⚠️  Some images may not have loaded, continuing with PDF generation...',
+  WARNING_LOCAL_ASSET: '⚠️  Local file missing for',
+  WARNING_RETRY: '⚠️  Retrying',
+  WARNING_BROWSER_DISCONNECTED: '⚠️  Browser disconnected, relaunching it for the next render',
+  BROWSERS_CLOSED: '👋 Browser closed on',
+  HTML_START: '🚀 Rendering CV markup from data file...',
+  HTML_DATA_LOADED: '✓ CV data loaded and validated',
+  HTML_GENERATED: '✓ HTML generated successfully',
+  HTML_MISSING_TRANSLATIONS: '⚠️  Missing translations, falling back to the default language for',
+  HTML_SHARED_DOWNLOAD: '⚠️  Download button linking the PDF of the default language (give ' +
+    'header.download.href one value per language) on the page of',
+  HTML_ERROR: '❌ Error during HTML generation:',
+  RESUME_EXPORTED: '✓ JSON Resume exported',
+  RESUME_IMPORTED: '✓ JSON Resume imported into',
+  RESUME_PAGES_REBUILT: '✓ Pages regenerated from the imported data:',
+  RESUME_ERROR: '❌ Error during JSON Resume conversion:',
+  SCHEMA_WRITTEN: '✓ Configuration schema written',
+  SCHEMA_CHECKED: '✓ Configuration schema up to date',
+  SCHEMA_ERROR: '❌ Error with the configuration schema:',
+  DEV_SERVING: '🌐 Serving the CV with live reload at',
+  DEV_WATCHING: '👀 Watching for changes, press Ctrl+C to stop',
+  DEV_REBUILD_START: '🔄 Rebuilding the PDF',
+  DEV_HTML_REBUILT: '✓ Pages regenerated from the CV data:',
+  DEV_REBUILT: '✓ PDF rebuilt in',
+  DEV_REBUILD_ERROR: '❌ PDF rebuild failed:',
+  DEV_STOPPED: '👋 Development server stopped',
+  DEV_ERROR: '❌ Error in development mode:',
+  SERVER_LISTENING: '🌐 Serving the CV and on-demand PDFs at',
+  SERVER_RENDERED: '✓ PDF rendered',
+  SERVER_STOPPED: '👋 PDF server stopped',
+  SERVER_ERROR: '❌ Error in the PDF server:',
+  VISUAL_START: '🔍 Comparing PDF pages with the baselines...',
+  VISUAL_PASSED: '✅ All pages match the baselines',
+  VISUAL_ACCEPTED: '✓ Baselines accepted',
+  VISUAL_SKIPPED: 'ℹ️  No baselines on this machine, visual test skipped (npm run test:accept ' +
+    'saves them) in',
+  VISUAL_ERROR: '❌ Visual regression test failed:',
+  DIAGNOSTICS_START: '🔍 Locating sections, companies and projects on the PDF pages...',
+  DIAGNOSTICS_WRITTEN: '✓ Page-break report',
+  SUMMARY: 'Summary',
+  TIMINGS: '⏱ Timings:',
+  SPAN: '⏱'
 };
 
 /**
@@ -116,19 +513,75 @@ const LOG_MESSAGES = {
  */
 const ERROR_MESSAGES = {
   BROWSER_INIT: 'Failed to initialize browser',
+  STAGE_TIMEOUT: 'Browser stage timed out',
   CONTENT_LOAD: 'Failed to load content',
   HTML_NOT_FOUND: 'HTML file not found',
   OPTIMIZATIONS: 'Failed to apply optimizations',
+  TRANSFORM_PLUGIN: 'Invalid transform plugin',
+  UNKNOWN_TRANSFORM: 'Unknown transform step',
   PDF_GENERATION: 'Failed to generate PDF',
+  PDF_METADATA: 'Failed to write PDF metadata',
+  CONTENT_TOO_LONG: 'Content does not fit',
+  CONTENT_INCOMPLETE: 'Rendered content is incomplete',
+  VERIFICATION: 'Failed to check the rendered content',
+  NETWORK_BLOCKED: 'Network requests blocked by network.strict',
+  PDF_OUTDATED: 'PDFs out of date with their inputs, run npm run build:pdf',
+  PDF_MANIFEST_MISSING: 'pdf-manifest.json not found, run npm run build:pdf first',
+  BUILD_MANIFEST: 'Failed to read the build manifest',
+  OUTPUT_DIR_NOT_FOUND: 'Output directory not found',
   CONFIG_LOAD: 'Failed to load configuration',
-  CONFIG_INVALID: 'Invalid configuration format'
+  CONFIG_INVALID: 'Invalid configuration format',
+  CONFIG_NOT_FOUND: 'Configuration file not found',
+  CONFIG_EXTENDS_CYCLE: 'Configuration files extend each other',
+  UNKNOWN_CONFIG_PROFILE: 'Unknown config profile',
+  SCHEMA_OUTDATED: 'Configuration schema out of date, run npm run build:schema and commit it',
+  CV_DATA_NOT_FOUND: 'CV data file not found',
+  CV_DATA_INVALID: 'Invalid CV data',
+  RESUME_OVERWRITE: 'JSON Resume cannot hold the translations, tags and ids of the data file, ' +
+    'pass --force to overwrite it anyway. Found in',
+  HTML_MARKERS_MISSING: 'Generated-content markers not found in',
+  LOCALE_NOT_FOUND: 'Locale file not found for language',
+  PORT_IN_USE: 'Port already in use, choose another one with --port:',
+  SERVER_BUSY: 'Too many PDF renders in progress, try again later',
+  MALFORMED_PATH: 'Malformed URL path',
+  UNKNOWN_QUERY_OPTION: 'Unknown query parameter',
+  UNKNOWN_PROFILE: 'Unknown profile',
+  PDFJS_NOT_FOUND: 'pdfjs-dist is not installed, run npm install',
+  LOG_FILE: 'Cannot write the log file',
+  RASTERIZE: 'Failed to rasterize PDF',
+  READ_PDF: 'Failed to read PDF',
+  VISUAL_MISMATCH: 'PDF pages differ from the baselines',
+  BASELINE_MISSING: 'Baseline missing, run npm run test:accept'
 };
 
 module.exports = {
   DEFAULT_CONFIG,
+  PDF_FORMATS,
+  PDF_SCALE,
+  CONFIG_ENV,
+  FIT,
+  HEADER_FOOTER,
+  PDF_OUTLINE,
+  PAGE_BREAKS,
+  MEDIA_TYPES,
   PDF_STYLES,
+  NETWORK,
+  TRANSFORMS,
   BROWSER_ARGS,
+  BROWSER,
   PATHS,
+  HTML_MARKERS,
+  I18N,
+  EXIT_CODES,
+  LOGGING,
+  RENDER_EVENTS,
+  DEV,
+  HTTP_STATUS,
+  SERVER,
+  BUILD,
+  VISUAL,
+  DIAGNOSTICS,
+  COMPLETENESS,
   WAIT_CONDITIONS,
   LOG_MESSAGES,
   ERROR_MESSAGES
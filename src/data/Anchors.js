@@ -0,0 +1,163 @@
+/**
+ * Anchors
+ *
+ * Gives every section, company, school, project, certification group and
+ * item of the CV data an `id`, used as the id of its heading so that links
+ * such as index.html#scania-cv-data-governance-initiative open the page on it
+ * (see the collapsible controller of index.html). Ids are slugs of
+ * default-language names, so they are the same on every language page, and
+ * never depend on the position of an entry, so adding or reordering entries
+ * keeps the links already shared:
+ * - sections: their key in the data (soft-skills)
+ * - companies: the organization; groups and items: their name
+ * - projects: the client (the organization without one) and the title
+ * - schools: the institution and the degree
+ *
+ * An `id` set in cv.json is kept (see CVDataValidator). Two nodes getting the
+ * same id fail the build: one of them needs an `id` in cv.json.
+ *
+ * Anchors are added before the data is localized (see buildHTML.renderPage).
+ *
+ * @module Anchors
+ */
+
+const { I18N } = require('../constants');
+const { ValidationError } = require('../errors/CustomErrors');
+const { isLocalizedText } = require('../i18n/Translator');
+
+const SECTIONS = ['summary', 'experience', 'education', 'skills', 'softSkills', 'certifications',
+  'achievements'];
+const FALLBACK_ID = 'item';
+
+/**
+ * Turn a text into an id: lowercase ASCII words joined by dashes
+ * @param {string} text - Text, e.g. "Scania CV" or "softSkills"
+ * @returns {string} Id, e.g. "scania-cv" or "soft-skills"; empty without letters or digits
+ */
+function slugify(text) {
+  return String(text)
+    .replace(/([a-z])([A-Z])/g, '$1-$2')
+    .normalize('NFD')
+    // Accents are split from their letters, then dropped
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    // Apostrophes join their words: master's -> masters
+    .replace(/['\u2019]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^[^a-z]+|-+$/g, '');
+}
+
+/**
+ * Default-language text of a value
+ * @param {string|Object} value - Text or localized text
+ * @returns {string} Text
+ */
+function defaultText(value) {
+  return isLocalizedText(value) ? value[I18N.DEFAULT_LANGUAGE] : value;
+}
+
+/**
+ * Ids set in the data, which generated ids must not take
+ * @param {*} node - Data node
+ * @param {string} [field] - Field path of the node
+ * @param {Map} [ids] - Ids found so far, with their field
+ * @returns {Map} Id -> field path
+ * @throws {ValidationError} If two nodes have the same id
+ */
+function collectIds(node, field = '', ids = new Map()) {
+  if (Array.isArray(node)) {
+    node.forEach((item, index) => collectIds(item, `${field}[${index}]`, ids));
+  } else if (node && typeof node === 'object') {
+    if (typeof node.id === 'string') {
+      if (ids.has(node.id)) {
+        throw new ValidationError(`${field}.id "${node.id}" is already the id of ` +
+          ids.get(node.id), `${field}.id`);
+      }
+      ids.set(node.id, field);
+    }
+    Object.entries(node).forEach(([key, value]) => {
+      collectIds(value, field ? `${field}.${key}` : key, ids);
+    });
+  }
+  return ids;
+}
+
+/**
+ * Id generated from names
+ * @param {...(string|Object)} names - Texts or localized texts, joined in this order
+ * @returns {string} Id
+ */
+function generateId(...names) {
+  return names.map((name) => slugify(defaultText(name))).filter(Boolean).join('-') ||
+    FALLBACK_ID;
+}
+
+/**
+ * Add an id to every linkable node of the CV data
+ * @param {Object} data - Validated CV data, not localized
+ * @returns {Object} Copy of the data with the ids
+ * @throws {ValidationError} If two nodes have the same id
+ */
+function addAnchors(data) {
+  const ids = collectIds(data);
+  const anchor = (node, field, ...names) => {
+    if (node.id) {
+      return node;
+    }
+    const id = generateId(...names);
+    if (ids.has(id)) {
+      throw new ValidationError(`${field} gets the id "${id}" of ${ids.get(id)}, set an id ` +
+        'on one of them', `${field}.id`);
+    }
+    ids.set(id, field);
+    return { ...node, id };
+  };
+  const anchorGroups = (section, field) => ({
+    ...section,
+    groups: section.groups.map((group, index) => {
+      const groupField = `${field}.groups[${index}]`;
+      return {
+        ...anchor(group, groupField, group.name),
+        items: group.items.map((item, itemIndex) => anchor(item,
+          `${groupField}.items[${itemIndex}]`, item.name))
+      };
+    })
+  });
+
+  // Sections first, so they keep the name of their key
+  const result = { ...data };
+  SECTIONS.filter((key) => data[key]).forEach((key) => {
+    result[key] = anchor(data[key], key, key);
+  });
+
+  if (result.experience) {
+    result.experience = {
+      ...result.experience,
+      entries: result.experience.entries.map((entry, index) => {
+        const field = `experience.entries[${index}]`;
+        return {
+          ...anchor(entry, field, entry.organization.name),
+          projects: entry.projects.map((project, projectIndex) => anchor(project,
+            `${field}.projects[${projectIndex}]`,
+            (project.client || entry.organization).name, project.title))
+        };
+      })
+    };
+  }
+  if (result.education) {
+    result.education = {
+      ...result.education,
+      entries: result.education.entries.map((entry, index) => anchor(entry,
+        `education.entries[${index}]`, entry.institution.name, entry.degree))
+    };
+  }
+  ['certifications', 'achievements'].filter((key) => result[key]).forEach((key) => {
+    result[key] = anchorGroups(result[key], key);
+  });
+  return result;
+}
+
+module.exports = {
+  slugify,
+  addAnchors
+};
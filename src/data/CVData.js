@@ -0,0 +1,44 @@
+/**
+ * CV Data Loader
+ *
+ * Reads and validates the structured CV data file (cv.json) that index.html
+ * is generated from.
+ *
+ * @module CVData
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { PATHS, ERROR_MESSAGES } = require('../constants');
+const { FileSystemError, ValidationError } = require('../errors/CustomErrors');
+const { validateCVData } = require('../utils/CVDataValidator');
+const { logger } = require('../utils/Logger');
+
+/**
+ * Loads CV data from disk
+ * @param {string} [dataPath=cv.json] - Path relative to the project root, or absolute
+ * @returns {Object} Validated CV data
+ * @throws {FileSystemError} If the file does not exist
+ * @throws {ValidationError} If the file is not valid JSON or fails validation
+ */
+function loadCVData(dataPath = PATHS.CV_DATA_FILE) {
+  const fullPath = path.resolve(__dirname, '../../', dataPath);
+
+  if (!fs.existsSync(fullPath)) {
+    throw new FileSystemError(`${ERROR_MESSAGES.CV_DATA_NOT_FOUND}: ${fullPath}`, fullPath);
+  }
+
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(fullPath, 'utf8'));
+  } catch (error) {
+    throw new ValidationError(`${ERROR_MESSAGES.CV_DATA_INVALID}: ${error.message}`);
+  }
+
+  validateCVData(data);
+  logger.debug('CV data loaded successfully', { path: fullPath });
+
+  return data;
+}
+
+module.exports = { loadCVData };
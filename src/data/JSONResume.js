@@ -0,0 +1,462 @@
+/**
+ * JSON Resume Adapter
+ *
+ * Converts between the CV data file (cv.json) and the jsonresume.org schema.
+ *
+ * Mapping notes:
+ * - Client projects nested under an experience entry become top-level
+ *   `projects` whose `entity` is the employer and whose `name` is
+ *   "Client – Title"; they are nested back under the matching `work` entry on import
+ * - Certifications map to `certificates` (issuer = group), achievements to `awards`
+ * - Soft skills are exported as a `skills` entry named after the section
+ * - Website-only layout details (icons, section titles, skill columns, footer)
+ *   are kept under `meta.cvWebsite` so a round trip is lossless
+ * - Inline HTML is exported as plain text with **bold** markers
+ *
+ * @module JSONResume
+ */
+
+const { validate } = require('@jsonresume/schema');
+const { ValidationError } = require('../errors/CustomErrors');
+const { htmlToText, textToHtml } = require('../utils/HtmlUtils');
+
+const SCHEMA_URL = 'https://raw.githubusercontent.com/jsonresume/resume-schema/v1.0.0/schema.json';
+const SCHEMA_VERSION = 'v1.0.0';
+const PROJECT_SEPARATOR = ' – ';
+const DEGREE_SEPARATOR = ' in ';
+const SKILL_GROUP_SEPARATOR = ': ';
+const PROJECT_TYPE = 'client';
+
+/**
+ * Section titles used when a JSON Resume file carries no website metadata
+ */
+const DEFAULT_TITLES = {
+  summary: 'Professional Summary',
+  experience: 'Professional Experience',
+  education: 'Education',
+  skills: 'Technical Skills',
+  softSkills: 'Soft Skills',
+  certifications: 'Certifications',
+  achievements: 'Other Achievements'
+};
+
+/**
+ * Removes undefined/null/empty-array properties so exported entries stay minimal
+ * @param {Object} object - Object to compact
+ * @returns {Object} Compacted object
+ */
+function compact(object) {
+  return Object.fromEntries(
+    Object.entries(object).filter(([, value]) => {
+      if (value === undefined || value === null || value === '') {
+        return false;
+      }
+      return !Array.isArray(value) || value.length > 0;
+    })
+  );
+}
+
+/**
+ * Validates a document against the JSON Resume schema
+ * @param {Object} resume - JSON Resume document
+ * @throws {ValidationError} Listing every schema violation
+ */
+function validateJSONResume(resume) {
+  validate(resume, (errors) => {
+    if (errors) {
+      const details = errors.map((error) => `${error.property} ${error.message}`).join('; ');
+      throw new ValidationError(`Invalid JSON Resume document: ${details}`);
+    }
+  });
+}
+
+/**
+ * Splits "Brussels, Belgium" into a JSON Resume location
+ * @param {string} [location] - Display location
+ * @returns {Object|undefined} JSON Resume location
+ */
+function toLocation(location) {
+  if (!location) {
+    return undefined;
+  }
+  const [city, ...rest] = location.split(',').map((part) => part.trim());
+  return compact({ city, region: rest.join(', ') });
+}
+
+/**
+ * Export CV data as a JSON Resume document
+ * @param {Object} data - Validated CV data
+ * @returns {Object} JSON Resume document
+ * @throws {ValidationError} If the result does not satisfy the JSON Resume schema
+ */
+function toJSONResume(data) {
+  const { header } = data;
+  const contact = header.contact || {};
+  const experience = data.experience ? data.experience.entries : [];
+
+  const resume = {
+    $schema: SCHEMA_URL,
+    basics: compact({
+      name: header.name,
+      label: header.headline,
+      image: header.photo && header.photo.src,
+      email: contact.email,
+      phone: contact.phone,
+      summary: data.summary && htmlToText(data.summary.text),
+      location: toLocation(contact.location),
+      profiles: (header.profiles || []).map((profile) => ({
+        network: profile.network,
+        url: profile.url
+      }))
+    }),
+    work: experience.map((entry) => compact({
+      name: entry.organization.name,
+      position: entry.position,
+      url: entry.organization.url,
+      startDate: entry.startDate,
+      endDate: entry.endDate
+    })),
+    projects: experience.flatMap((entry) => entry.projects.map((project) => compact({
+      name: project.client
+        ? `${project.client.name}${PROJECT_SEPARATOR}${project.title}`
+        : project.title,
+      entity: entry.organization.name,
+      type: PROJECT_TYPE,
+      url: project.client && project.client.url,
+      startDate: project.startDate,
+      endDate: project.endDate,
+      highlights: project.highlights.map(htmlToText)
+    }))),
+    education: (data.education ? data.education.entries : []).map((entry) => {
+      const [studyType, ...area] = entry.degree.split(DEGREE_SEPARATOR);
+      return compact({
+        institution: entry.institution.name,
+        url: entry.institution.url,
+        studyType,
+        area: area.join(DEGREE_SEPARATOR),
+        startDate: entry.startDate,
+        endDate: entry.endDate,
+        highlights: entry.highlights.map(htmlToText)
+      });
+    }),
+    skills: exportSkills(data),
+    languages: data.softSkills && data.softSkills.languages
+      ? data.softSkills.languages.map((language) => compact({ ...language }))
+      : [],
+    certificates: (data.certifications ? data.certifications.groups : []).flatMap((group) =>
+      group.items.map((item) => compact({
+        name: item.name,
+        issuer: group.name,
+        url: item.url,
+        date: item.date,
+        summary: htmlToText(item.description)
+      }))
+    ),
+    awards: (data.achievements ? data.achievements.groups : []).flatMap((group) =>
+      group.items.map((item) => compact({
+        title: item.name,
+        awarder: group.name,
+        url: item.url,
+        date: item.date,
+        summary: htmlToText(item.description)
+      }))
+    ),
+    meta: {
+      version: SCHEMA_VERSION,
+      cvWebsite: exportWebsiteMeta(data)
+    }
+  };
+
+  const document = compact(resume);
+  validateJSONResume(document);
+  return document;
+}
+
+/**
+ * Flattens technical skill categories (and soft skills) into JSON Resume skills.
+ * Labelled groups become "Category: Label" entries.
+ * @param {Object} data - CV data
+ * @returns {Object[]} JSON Resume skills
+ */
+function exportSkills(data) {
+  const skills = [];
+
+  if (data.skills) {
+    data.skills.columns.flat().forEach((category) => {
+      if (!category.groups) {
+        skills.push({ name: category.name, keywords: category.keywords });
+        return;
+      }
+      category.groups.forEach((group) => {
+        skills.push({
+          name: group.label
+            ? `${category.name}${SKILL_GROUP_SEPARATOR}${group.label}`
+            : category.name,
+          keywords: group.keywords
+        });
+      });
+    });
+  }
+
+  if (data.softSkills) {
+    skills.push({ name: data.softSkills.title, keywords: data.softSkills.items });
+  }
+
+  return skills;
+}
+
+/**
+ * Collects website-only layout details that have no JSON Resume equivalent
+ * @param {Object} data - CV data
+ * @returns {Object} Website metadata
+ */
+function exportWebsiteMeta(data) {
+  const { header } = data;
+  const titles = {};
+  Object.keys(DEFAULT_TITLES).forEach((key) => {
+    if (data[key]) {
+      titles[key] = data[key].title;
+    }
+  });
+
+  return compact({
+    titles,
+    photoAlt: header.photo && header.photo.alt,
+    profiles: (header.profiles || []).map((profile) => compact({
+      network: profile.network,
+      icon: profile.icon,
+      size: profile.size
+    })),
+    download: header.download,
+    skillColumns: data.skills ? data.skills.columns.map((column) => column.length) : undefined,
+    footer: data.footer
+  });
+}
+
+/**
+ * Splits "Client – Title" back into a client reference and a title
+ * @param {Object} project - JSON Resume project
+ * @returns {{client?: Object, title: string}} Client and title
+ */
+function parseProjectName(project) {
+  const index = project.name.indexOf(PROJECT_SEPARATOR);
+  if (index === -1) {
+    return { title: project.name };
+  }
+  return {
+    client: compact({ name: project.name.slice(0, index), url: project.url }),
+    title: project.name.slice(index + PROJECT_SEPARATOR.length)
+  };
+}
+
+/**
+ * Import a JSON Resume document as CV data
+ * @param {Object} resume - JSON Resume document
+ * @returns {Object} CV data (unvalidated)
+ * @throws {ValidationError} If the document does not satisfy the JSON Resume schema
+ */
+function fromJSONResume(resume) {
+  validateJSONResume(resume);
+
+  const basics = resume.basics || {};
+  const website = (resume.meta && resume.meta.cvWebsite) || {};
+  const titles = { ...DEFAULT_TITLES, ...website.titles };
+  const location = basics.location
+    ? [basics.location.city, basics.location.region].filter(Boolean).join(', ')
+    : undefined;
+  const profileMeta = website.profiles || [];
+
+  const data = {
+    header: compact({
+      name: basics.name,
+      headline: basics.label,
+      photo: basics.image ? { src: basics.image, alt: website.photoAlt || 'Profile Photo' } : null,
+      contact: compact({ location, phone: basics.phone, email: basics.email }),
+      profiles: (basics.profiles || []).map((profile) => {
+        const extra = profileMeta.find((item) => item.network === profile.network) || {};
+        return compact({ ...extra, network: profile.network, url: profile.url });
+      }),
+      download: website.download
+    })
+  };
+
+  if (basics.summary) {
+    data.summary = { title: titles.summary, text: textToHtml(basics.summary) };
+  }
+
+  const work = resume.work || [];
+  if (work.length > 0) {
+    data.experience = {
+      title: titles.experience,
+      entries: importWork(work, resume.projects || [])
+    };
+  }
+
+  if (resume.education && resume.education.length > 0) {
+    data.education = {
+      title: titles.education,
+      entries: resume.education.map((entry) => ({
+        degree: entry.area ? `${entry.studyType}${DEGREE_SEPARATOR}${entry.area}` : entry.studyType,
+        institution: compact({ name: entry.institution, url: entry.url }),
+        startDate: entry.startDate,
+        endDate: entry.endDate || null,
+        highlights: (entry.highlights || entry.courses || []).map(textToHtml)
+      }))
+    };
+  }
+
+  importSkills(data, resume, titles, website.skillColumns);
+
+  data.certifications = importGroups(resume.certificates, titles.certifications, (item) => ({
+    group: item.issuer,
+    entry: compact({ name: item.name, url: item.url, date: item.date, description: item.summary })
+  }));
+  data.achievements = importGroups(resume.awards, titles.achievements, (item) => ({
+    group: item.awarder,
+    entry: compact({ name: item.title, url: item.url, date: item.date, description: item.summary })
+  }));
+
+  if (website.footer) {
+    data.footer = website.footer;
+  }
+
+  return compact(data);
+}
+
+/**
+ * Rebuilds experience entries, nesting projects under the work entry named by `entity`
+ * @param {Object[]} work - JSON Resume work entries
+ * @param {Object[]} projects - JSON Resume projects
+ * @returns {Object[]} Experience entries
+ */
+function importWork(work, projects) {
+  const claimed = new Set();
+
+  return work.map((entry) => {
+    const nested = projects.filter(
+      (project) => !claimed.has(project) && project.entity === entry.name
+    );
+    nested.forEach((project) => claimed.add(project));
+
+    const experience = {
+      position: entry.position,
+      organization: compact({ name: entry.name, url: entry.url }),
+      startDate: entry.startDate,
+      endDate: entry.endDate || null,
+      projects: nested.map((project) => ({
+        ...parseProjectName(project),
+        startDate: project.startDate || entry.startDate,
+        endDate: project.endDate || null,
+        highlights: (project.highlights || []).map(textToHtml)
+      }))
+    };
+
+    // Work entries without client projects keep their own highlights as a single project
+    if (experience.projects.length === 0 && (entry.highlights || entry.summary)) {
+      experience.projects.push({
+        title: entry.name,
+        startDate: entry.startDate,
+        endDate: entry.endDate || null,
+        highlights: (entry.highlights || [entry.summary]).map(textToHtml)
+      });
+    }
+
+    return experience;
+  });
+}
+
+/**
+ * Rebuilds technical skill categories, soft skills and languages
+ * @param {Object} data - CV data being built (mutated)
+ * @param {Object} resume - JSON Resume document
+ * @param {Object} titles - Section titles
+ * @param {number[]} [columnSizes] - Number of categories per column
+ */
+function importSkills(data, resume, titles, columnSizes) {
+  const categories = [];
+  let softSkills = null;
+
+  (resume.skills || []).forEach((skill) => {
+    if (skill.name === titles.softSkills) {
+      softSkills = skill.keywords || [];
+      return;
+    }
+
+    const separator = skill.name.indexOf(SKILL_GROUP_SEPARATOR);
+    const isGroup = separator !== -1;
+    const name = isGroup ? skill.name.slice(0, separator) : skill.name;
+    const label = isGroup ? skill.name.slice(separator + SKILL_GROUP_SEPARATOR.length) : undefined;
+    const previous = categories[categories.length - 1];
+    const keywords = skill.keywords || [];
+
+    if (label || (previous && previous.name === name && previous.groups)) {
+      const group = compact({ label, keywords });
+      if (previous && previous.name === name && previous.groups) {
+        previous.groups.push(group);
+      } else {
+        categories.push({ name, groups: [group] });
+      }
+    } else {
+      categories.push({ name, keywords });
+    }
+  });
+
+  if (categories.length > 0) {
+    const half = Math.ceil(categories.length / 2);
+    const sizes = columnSizes || [half, categories.length - half];
+    const columns = [];
+    let offset = 0;
+    sizes.forEach((size) => {
+      columns.push(categories.slice(offset, offset + size));
+      offset += size;
+    });
+    if (offset < categories.length) {
+      columns[columns.length - 1].push(...categories.slice(offset));
+    }
+    data.skills = { title: titles.skills, columns: columns.filter((column) => column.length > 0) };
+  }
+
+  const languages = resume.languages || [];
+  if (softSkills || languages.length > 0) {
+    data.softSkills = compact({
+      title: titles.softSkills,
+      items: softSkills || [],
+      languages: languages.map((language) => compact({ ...language }))
+    });
+  }
+}
+
+/**
+ * Groups flat JSON Resume items (certificates, awards) by issuer/awarder
+ * @param {Object[]} [items] - JSON Resume items
+ * @param {string} title - Section title
+ * @param {Function} mapItem - Maps an item to { group, entry }
+ * @returns {Object|undefined} Grouped section, or undefined when empty
+ */
+function importGroups(items, title, mapItem) {
+  if (!items || items.length === 0) {
+    return undefined;
+  }
+
+  const groups = [];
+  items.map(mapItem).forEach(({ group, entry }) => {
+    const name = group || title;
+    const existing = groups.find((candidate) => candidate.name === name);
+    if (entry.description) {
+      entry.description = textToHtml(entry.description);
+    }
+    if (existing) {
+      existing.items.push(entry);
+    } else {
+      groups.push({ name, items: [entry] });
+    }
+  });
+
+  return { title, groups };
+}
+
+module.exports = {
+  toJSONResume,
+  fromJSONResume,
+  validateJSONResume
+};
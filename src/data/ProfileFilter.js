@@ -0,0 +1,104 @@
+/**
+ * Profile Filter
+ *
+ * Tailors the CV data for a profile defined in pdf-config.json. Projects,
+ * highlights, skill categories and groups, certifications and achievements can
+ * carry a `tags` array; a highlight is tagged by writing it as
+ * { "text": "...", "tags": ["governance"] }.
+ *
+ * For a profile { include: [...], exclude: [...] }:
+ * - items without tags are always kept
+ * - items with an excluded tag are dropped
+ * - when `include` is set, tagged items must have at least one included tag
+ *
+ * Containers left empty by the filter (a group without items, a project
+ * without highlights, ...) are dropped too. Tags never reach the rendered
+ * markup.
+ *
+ * @module ProfileFilter
+ */
+
+/**
+ * Checks whether an item with the given tags belongs to a profile
+ * @param {string[]} [tags] - Tags of the item
+ * @param {Object} [profile] - Profile ({ include, exclude })
+ * @returns {boolean} True if the item is kept
+ */
+function matchesProfile(tags, profile) {
+  if (!profile || !Array.isArray(tags) || tags.length === 0) {
+    return true;
+  }
+
+  const { include = [], exclude = [] } = profile;
+  if (tags.some((tag) => exclude.includes(tag))) {
+    return false;
+  }
+  return include.length === 0 || tags.some((tag) => include.includes(tag));
+}
+
+/**
+ * Checks whether a value is a tagged text item ({ text, tags })
+ * @param {*} value - Value to check
+ * @returns {boolean} True for tagged text items
+ */
+function isTaggedText(value) {
+  return Boolean(value) && typeof value === 'object' && Array.isArray(value.tags) &&
+    Object.keys(value).every((key) => key === 'text' || key === 'tags');
+}
+
+/**
+ * Recursively filter a node of the CV data
+ * @param {*} node - Data node
+ * @param {Object|null} profile - Profile to apply
+ * @returns {*} Filtered node, or undefined if the node is dropped
+ */
+function filterNode(node, profile) {
+  if (Array.isArray(node)) {
+    return node
+      .filter((item) => !item || typeof item !== 'object' || matchesProfile(item.tags, profile))
+      .map((item) => {
+        const result = filterNode(item, profile);
+        // Nested lists (e.g. skill columns) emptied by the filter are dropped as well
+        return Array.isArray(item) && item.length > 0 && result.length === 0 ? undefined : result;
+      })
+      .filter((item) => item !== undefined);
+  }
+
+  if (!node || typeof node !== 'object') {
+    return node;
+  }
+
+  if (isTaggedText(node)) {
+    return node.text;
+  }
+
+  const filtered = {};
+  for (const [key, value] of Object.entries(node)) {
+    if (key === 'tags') {
+      continue;
+    }
+    const result = filterNode(value, profile);
+    // A list emptied by the filter makes its container irrelevant
+    if (Array.isArray(value) && value.length > 0 && result.length === 0) {
+      return undefined;
+    }
+    filtered[key] = result;
+  }
+  return filtered;
+}
+
+/**
+ * Apply a profile to the CV data. Without a profile, all content is kept and
+ * only the tags are removed.
+ * @param {Object} data - CV data
+ * @param {Object|null} [profile] - Profile ({ include, exclude })
+ * @returns {Object} Filtered copy of the data
+ */
+function applyProfile(data, profile = null) {
+  return filterNode(data, profile);
+}
+
+module.exports = {
+  applyProfile,
+  matchesProfile
+};
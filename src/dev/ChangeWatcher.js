@@ -0,0 +1,94 @@
+/**
+ * Change Watcher
+ *
+ * Watches the files the CV is built from and reports changes in batches: a
+ * burst of saves (an editor writing several files, a formatter run) gives a
+ * single 'change' event once the files have been quiet for the debounce delay.
+ *
+ * @module ChangeWatcher
+ */
+
+const { EventEmitter } = require('events');
+const fs = require('fs');
+const path = require('path');
+const { DEV } = require('../constants');
+
+/**
+ * Debounced file watcher
+ * Emits 'change' with the relative paths of the changed files
+ */
+class ChangeWatcher extends EventEmitter {
+  /**
+   * @param {string} root - Project root
+   * @param {Object} [options] - Watch options
+   * @param {RegExp} [options.rootFilePattern] - Files of the root directory to watch
+   * @param {string[]} [options.directories] - Directories to watch recursively
+   * @param {number} [options.debounceMs] - Quiet time before a change is reported
+   */
+  constructor(root, {
+    rootFilePattern = DEV.ROOT_FILE_PATTERN,
+    directories = DEV.DIRECTORIES,
+    debounceMs = DEV.DEBOUNCE_MS
+  } = {}) {
+    super();
+    this.root = root;
+    this.rootFilePattern = rootFilePattern;
+    this.directories = directories;
+    this.debounceMs = debounceMs;
+    this.watchers = [];
+    this.pending = new Set();
+    this.timer = null;
+  }
+
+  /**
+   * Start watching
+   */
+  start() {
+    this.watchers.push(fs.watch(this.root, (_event, filename) => {
+      if (filename && this.rootFilePattern.test(filename)) {
+        this.queue(filename);
+      }
+    }));
+
+    this.directories
+      .filter((directory) => fs.existsSync(path.join(this.root, directory)))
+      .forEach((directory) => {
+        const watcher = fs.watch(path.join(this.root, directory), { recursive: true },
+          (_event, filename) => this.queue(path.join(directory, filename || '')));
+        this.watchers.push(watcher);
+      });
+
+    this.watchers.forEach((watcher) => watcher.on('error', (error) => this.emit('error', error)));
+  }
+
+  /**
+   * Record a changed file and restart the debounce delay
+   * @param {string} file - Path relative to the root
+   */
+  queue(file) {
+    this.pending.add(file);
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.flush(), this.debounceMs);
+  }
+
+  /**
+   * Report the changes recorded since the last report
+   */
+  flush() {
+    const files = [...this.pending];
+    this.pending.clear();
+    this.emit('change', files);
+  }
+
+  /**
+   * Stop watching; pending changes are dropped
+   */
+  close() {
+    clearTimeout(this.timer);
+    this.watchers.forEach((watcher) => watcher.close());
+    this.watchers = [];
+    this.pending.clear();
+  }
+}
+
+module.exports = ChangeWatcher;
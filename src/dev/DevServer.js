@@ -0,0 +1,125 @@
+/**
+ * Development Server
+ *
+ * Serves the website from the project root and reloads open pages on demand:
+ * every HTML page gets a small script listening to server-sent events on
+ * DEV.RELOAD_PATH, and reload() notifies all of them.
+ *
+ * @module DevServer
+ */
+
+const http = require('http');
+const path = require('path');
+const { DEV, HTTP_STATUS } = require('../constants');
+const { listen, sendJSON, serveStatic } = require('../server/HttpUtils');
+
+const RELOAD_SCRIPT = `<script>
+  new EventSource('${DEV.RELOAD_PATH}').addEventListener('reload', () => location.reload());
+</script>`;
+
+/**
+ * Static file server with live reload
+ */
+class DevServer {
+  /**
+   * @param {string} root - Directory to serve
+   * @param {Object} [options] - Server options
+   * @param {number} [options.port] - Port to listen on
+   * @param {string} [options.host] - Host to listen on
+   */
+  constructor(root, { port = DEV.PORT, host = DEV.HOST } = {}) {
+    this.root = path.resolve(root);
+    this.port = port;
+    this.host = host;
+    this.clients = new Set();
+    this.server = http.createServer((request, response) => this.handle(request, response));
+  }
+
+  /**
+   * Start listening
+   * @returns {Promise<string>} URL of the site
+   * @throws {UsageError} If the port is already in use
+   */
+  start() {
+    return listen(this.server, this.port, this.host);
+  }
+
+  /**
+   * Handle a request: the reload event stream or a file of the root directory. Errors are
+   * answered rather than thrown, so no request can stop the server.
+   * @param {http.IncomingMessage} request - Request
+   * @param {http.ServerResponse} response - Response
+   */
+  handle(request, response) {
+    try {
+      this.route(request, response);
+    } catch (error) {
+      if (response.headersSent) {
+        response.destroy();
+        return;
+      }
+      const status = error.code === 'ERR_INVALID_URL'
+        ? HTTP_STATUS.BAD_REQUEST
+        : HTTP_STATUS.INTERNAL_SERVER_ERROR;
+      sendJSON(response, status, { error: error.message });
+    }
+  }
+
+  /**
+   * Answer a request
+   * @param {http.IncomingMessage} request - Request
+   * @param {http.ServerResponse} response - Response
+   */
+  route(request, response) {
+    if (request.method !== 'GET' && request.method !== 'HEAD') {
+      response.writeHead(HTTP_STATUS.METHOD_NOT_ALLOWED).end();
+      return;
+    }
+
+    const { pathname } = new URL(request.url, `http://${this.host}`);
+    if (pathname === DEV.RELOAD_PATH) {
+      this.subscribe(request, response);
+      return;
+    }
+
+    // Paths that do not decode are answered with 400 by serveStatic
+    serveStatic(this.root, pathname, request, response, {
+      transformHTML: (html) => html.replace('</body>', `${RELOAD_SCRIPT}\n</body>`)
+    });
+  }
+
+  /**
+   * Keep a reload event stream open
+   * @param {http.IncomingMessage} request - Request
+   * @param {http.ServerResponse} response - Response
+   */
+  subscribe(request, response) {
+    response.writeHead(HTTP_STATUS.OK, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-store',
+      'Connection': 'keep-alive'
+    });
+    response.write('\n');
+    this.clients.add(response);
+    request.on('close', () => this.clients.delete(response));
+  }
+
+  /**
+   * Reload every open page
+   */
+  reload() {
+    this.clients.forEach((client) => client.write('event: reload\ndata: {}\n\n'));
+  }
+
+  /**
+   * Stop the server and close the open event streams
+   * @returns {Promise<void>}
+   */
+  close() {
+    this.clients.forEach((client) => client.end());
+    this.clients.clear();
+    return new Promise((resolve) => this.server.close(() => resolve()));
+  }
+}
+
+module.exports = DevServer;
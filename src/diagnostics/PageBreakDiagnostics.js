@@ -0,0 +1,310 @@
+/**
+ * Page-Break Diagnostics
+ *
+ * Finds where the sections, companies and projects of the CV land in the
+ * print layout. Before rendering, an extra transform step covers every
+ * heading of DIAGNOSTICS.TARGETS, and the content it introduces, with an
+ * absolutely positioned link; Chrome writes one link annotation per page a
+ * box is drawn on, so reading the annotations of the PDF back (pdf.js, see
+ * PDFRasterizer#getLinks) gives the pages and positions of each box.
+ *
+ * The report flags headings orphaned from their content (the heading ends a
+ * page, its content starts the next one) and blocks split across pages
+ * although their page-break rules keep them together. The HTML overlay
+ * draws the boxes over images of the pages, page boundaries included.
+ *
+ * @module PageBreakDiagnostics
+ */
+
+const path = require('path');
+const { DIAGNOSTICS } = require('../constants');
+const { escapeHtml } = require('../utils/HtmlUtils');
+
+const ISSUE_TYPES = {
+  ORPHANED_HEADING: 'orphaned-heading',
+  SPLIT_BLOCK: 'split-block'
+};
+
+/**
+ * Round a length in points to a tenth
+ * @param {number} value - Length
+ * @returns {number} Rounded length
+ */
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
+
+/**
+ * Create the transform step that marks the targets. The blocks it found are available once the
+ * step has run.
+ * @param {Object[]} [targets] - Targets ({ kind, heading, content }), DIAGNOSTICS.TARGETS
+ *   by default
+ * @returns {Object} { step, getBlocks }, getBlocks returning the blocks ({ kind, label,
+ *   keepTogether }) in marker order
+ */
+function createMarkerStep(targets = DIAGNOSTICS.TARGETS) {
+  let blocks = [];
+  const step = {
+    name: 'diagnostics-markers',
+    description: 'Covers the tracked headings and contents with links locating them in the PDF',
+    apply: async ({ page }) => {
+      blocks = await page.evaluate((trackedTargets, prefix) => {
+        // The heading text without its dates (<small>)
+        const getLabel = (heading) => Array.from(heading.childNodes)
+          .filter((node) => node.nodeName !== 'SMALL')
+          .map((node) => node.textContent)
+          .join(' ')
+          .replace(/\s+/g, ' ')
+          .trim();
+        const avoidsBreaks = (element) => {
+          const style = document.defaultView.getComputedStyle(element);
+          return style.breakInside === 'avoid' || style.pageBreakInside === 'avoid';
+        };
+        const mark = (element, id) => {
+          if (document.defaultView.getComputedStyle(element).position === 'static') {
+            element.style.position = 'relative';
+          }
+          // Out of the flow, so the layout does not change
+          const marker = document.createElement('a');
+          marker.href = `${prefix}${id}`;
+          marker.setAttribute('aria-hidden', 'true');
+          marker.tabIndex = -1;
+          Object.assign(marker.style, {
+            position: 'absolute',
+            top: '0',
+            right: '0',
+            bottom: '0',
+            left: '0',
+            display: 'block'
+          });
+          element.appendChild(marker);
+        };
+
+        const found = [];
+        trackedTargets.forEach(({ kind, heading: headingSelector, content: contentSelector }) => {
+          document.querySelectorAll(headingSelector).forEach((heading) => {
+            let content = heading.nextElementSibling;
+            while (content && !content.matches(contentSelector)) {
+              content = content.matches(headingSelector) ? null : content.nextElementSibling;
+            }
+
+            const index = found.length;
+            mark(heading, `${index}/heading`);
+            if (content) {
+              mark(content, `${index}/content`);
+            }
+            found.push({
+              kind,
+              label: getLabel(heading),
+              keepTogether: Boolean(content) && avoidsBreaks(content)
+            });
+          });
+        });
+        return found;
+      }, targets, DIAGNOSTICS.LINK_PREFIX);
+    }
+  };
+  return { step, getBlocks: () => blocks };
+}
+
+/**
+ * Boxes of the markers, from the link annotations of the pages
+ * @param {Object[]} pages - Pages of PDFRasterizer#getLinks
+ * @returns {Map<string, Object[]>} Marker id -> boxes ({ page, x, y, width, height }) in points
+ *   from the top-left corner of the page
+ */
+function collectBoxes(pages) {
+  const boxes = new Map();
+  pages.forEach(({ height, links }, index) => {
+    links
+      .filter(({ url }) => url.startsWith(DIAGNOSTICS.LINK_PREFIX))
+      .forEach(({ url, rect: [left, bottom, right, top] }) => {
+        const id = url.slice(DIAGNOSTICS.LINK_PREFIX.length);
+        const box = {
+          page: index + 1,
+          x: round(left),
+          y: round(height - top),
+          width: round(right - left),
+          height: round(top - bottom)
+        };
+        boxes.set(id, [...(boxes.get(id) || []), box]);
+      });
+  });
+  return boxes;
+}
+
+/**
+ * Pages a list of boxes is on
+ * @param {Object[]} boxes - Boxes of collectBoxes
+ * @returns {number[]} Page numbers, ascending
+ */
+function getPages(boxes) {
+  return [...new Set(boxes.map((box) => box.page))].sort((first, second) => first - second);
+}
+
+/**
+ * Locate the blocks on the pages and find the page-break issues
+ * @param {Object[]} blocks - Blocks of the marker step
+ * @param {Object[]} pages - Pages of PDFRasterizer#getLinks
+ * @param {Object} [details] - Details added to the report (e.g. { pdf, source })
+ * @returns {Object} Report ({ ...details, pageCount, pageSize, blocks, issues }): each block has
+ *   the pages and boxes of its heading and content and its issues
+ */
+function analyzeLayout(blocks, pages, details = {}) {
+  const boxes = collectBoxes(pages);
+  const located = blocks.map(({ kind, label, keepTogether }, index) => {
+    const headingBoxes = boxes.get(`${index}/heading`) || [];
+    const contentBoxes = boxes.get(`${index}/content`) || [];
+    const heading = getPages(headingBoxes);
+    const content = getPages(contentBoxes);
+    const all = getPages([...headingBoxes, ...contentBoxes]);
+
+    const issues = [];
+    if (heading.length > 0 && content.length > 0 && heading[heading.length - 1] < content[0]) {
+      issues.push(ISSUE_TYPES.ORPHANED_HEADING);
+    }
+    if (keepTogether && content.length > 1) {
+      issues.push(ISSUE_TYPES.SPLIT_BLOCK);
+    }
+    return {
+      kind,
+      label,
+      firstPage: all.length > 0 ? all[0] : null,
+      lastPage: all.length > 0 ? all[all.length - 1] : null,
+      heading: { pages: heading, boxes: headingBoxes },
+      content: { pages: content, boxes: contentBoxes },
+      keepTogether,
+      issues
+    };
+  });
+
+  const [firstPage = { width: 0, height: 0 }] = pages;
+  return {
+    ...details,
+    pageCount: pages.length,
+    pageSize: { width: round(firstPage.width), height: round(firstPage.height) },
+    blocks: located,
+    issues: located.flatMap((block) => block.issues.map((type) => ({
+      type,
+      kind: block.kind,
+      label: block.label,
+      pages: type === ISSUE_TYPES.ORPHANED_HEADING
+        ? [block.heading.pages[block.heading.pages.length - 1], block.content.pages[0]]
+        : block.content.pages
+    })))
+  };
+}
+
+/**
+ * Describe an issue in a sentence
+ * @param {Object} issue - Issue of analyzeLayout
+ * @returns {string} Description
+ */
+function describeIssue({ type, kind, label, pages }) {
+  return type === ISSUE_TYPES.ORPHANED_HEADING
+    ? `${kind} "${label}": heading at the bottom of page ${pages[0]}, content on page ${pages[1]}`
+    : `${kind} "${label}": split across pages ${pages.join(', ')}`;
+}
+
+/**
+ * Build the HTML overlay: the page images with the boxes of the blocks drawn over them
+ * @param {Object} report - Report of analyzeLayout
+ * @param {Buffer[]} images - PNG image of each page (PDFRasterizer#rasterize)
+ * @returns {string} Self-contained HTML page
+ */
+function buildOverlay(report, images) {
+  const { width, height } = report.pageSize;
+  const title = `Page breaks of ${path.basename(report.pdf || 'the PDF')}`;
+  const drawBox = (block, part) => (box) => {
+    const classes = ['box', part, block.issues.length > 0 ? 'issue' : ''].join(' ').trim();
+    const label = part === 'heading'
+      ? `<span class="label">${escapeHtml(`${block.kind}: ${block.label}`)}</span>`
+      : '';
+    return `      <div class="${classes}" title="${escapeHtml(`${block.kind}: ${block.label}`)}" ` +
+      `style="left: ${box.x}pt; top: ${box.y}pt; width: ${box.width}pt; ` +
+      `height: ${box.height}pt">${label}</div>`;
+  };
+
+  const pages = images.map((image, index) => {
+    const page = index + 1;
+    const boxes = report.blocks.flatMap((block) => [
+      ...block.content.boxes.filter((box) => box.page === page).map(drawBox(block, 'content')),
+      ...block.heading.boxes.filter((box) => box.page === page).map(drawBox(block, 'heading'))
+    ]);
+    return [
+      `    <div class="page" style="width: ${width}pt; height: ${height}pt; ` +
+        `background-image: url(data:image/png;base64,${image.toString('base64')})">`,
+      `      <span class="page-number">Page ${page}</span>`,
+      ...boxes,
+      '    </div>'
+    ].join('\n');
+  });
+
+  const issues = report.issues.length > 0
+    ? report.issues.map((issue) => `      <li>${escapeHtml(describeIssue(issue))}</li>`)
+    : ['      <li class="none">No orphaned headings or split blocks</li>'];
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(title)}</title>
+  <style>
+    body { font-family: sans-serif; background: #e9ecef; margin: 24px; }
+    .issues li { color: #c0392b; }
+    .issues li.none { color: #1e7e34; }
+    .page { position: relative; margin: 0 auto 32px; background: #fff no-repeat;
+      background-size: 100% 100%; outline: 2px dashed #6c757d; }
+    .page-number { position: absolute; right: 0; bottom: 100%; font-size: 12px; color: #495057; }
+    .box { position: absolute; box-sizing: border-box; }
+    .box.heading { border: 1px solid #007bff; background: rgba(0, 123, 255, 0.12); }
+    .box.content { border: 1px dashed #28a745; }
+    .box.issue { border-color: #c0392b; background: rgba(192, 57, 43, 0.15); }
+    .label { position: absolute; left: 0; bottom: 100%; font-size: 9px; white-space: nowrap;
+      color: #fff; background: #007bff; padding: 0 3px; }
+    .issue .label { background: #c0392b; }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(title)}</h1>
+  <p>${report.pageCount} page(s), ${report.issues.length} issue(s)</p>
+  <ul class="issues">
+${issues.join('\n')}
+  </ul>
+  <main>
+${pages.join('\n')}
+  </main>
+</body>
+</html>
+`;
+}
+
+/**
+ * Render a job with the markers and locate its blocks
+ * @param {PDFRenderer} renderer - Renderer
+ * @param {PDFRasterizer} rasterizer - Opened rasterizer
+ * @param {Object} job - Job of planJobs
+ * @returns {Promise<Object>} { report, html }, see analyzeLayout and buildOverlay
+ * @throws {ApplicationError} If the render or the reading of the PDF fails
+ */
+async function diagnoseJob(renderer, rasterizer, job) {
+  const markers = createMarkerStep();
+  // Rendered to memory: the PDF carries the markers and is not written
+  const pdf = await renderer.render(job.source, { ...job.overrides, steps: [markers.step] });
+  const pages = await rasterizer.getLinks(pdf);
+  const report = analyzeLayout(markers.getBlocks(), pages, {
+    pdf: path.basename(job.output),
+    source: typeof job.source === 'string' ? job.source : 'generated HTML'
+  });
+  const images = await rasterizer.rasterize(pdf);
+  return { report, html: buildOverlay(report, images) };
+}
+
+module.exports = {
+  ISSUE_TYPES,
+  createMarkerStep,
+  analyzeLayout,
+  describeIssue,
+  buildOverlay,
+  diagnoseJob
+};
@@ -40,12 +40,14 @@ class FileSystemError extends ApplicationError {
 }
 
 /**
- * Browser/Puppeteer related errors
+ * Browser/Puppeteer related errors, stage naming the step of the render that failed
+ * (one of BROWSER.STAGES) when known
  */
 class BrowserError extends ApplicationError {
-  constructor(message, originalError = null) {
+  constructor(message, originalError = null, stage = null) {
     super(message, 'BROWSER_ERROR');
     this.originalError = originalError;
+    this.stage = stage;
   }
 }
 
@@ -60,12 +62,61 @@ class PDFGenerationError extends ApplicationError {
 }
 
 /**
- * Validation errors
+ * Validation errors; errors lists every problem ({ path, message }) when several were found
  */
 class ValidationError extends ApplicationError {
-  constructor(message, field = null) {
+  constructor(message, field = null, errors = []) {
     super(message, 'VALIDATION_ERROR');
     this.field = field;
+    this.errors = errors;
+  }
+}
+
+/**
+ * Command-line usage errors (unknown option, invalid value)
+ */
+class UsageError extends ApplicationError {
+  constructor(message) {
+    super(message, 'USAGE_ERROR');
+  }
+}
+
+/**
+ * Server errors: too many requests waiting for a render
+ */
+class ServerBusyError extends ApplicationError {
+  constructor(message) {
+    super(message, 'SERVER_BUSY');
+  }
+}
+
+/**
+ * Visual regression test failures: pages differing from their baselines
+ */
+class VisualRegressionError extends ApplicationError {
+  constructor(message, failures = []) {
+    super(message, 'VISUAL_REGRESSION_ERROR');
+    this.failures = failures;
+  }
+}
+
+/**
+ * Build check failures: committed PDFs not matching their inputs
+ */
+class OutdatedPDFError extends ApplicationError {
+  constructor(message, files = []) {
+    super(message, 'OUTDATED_PDF_ERROR');
+    this.files = files;
+  }
+}
+
+/**
+ * Completeness check failures: content of the page missing from the PDF
+ */
+class IncompleteContentError extends ApplicationError {
+  constructor(message, issues = []) {
+    super(message, 'INCOMPLETE_CONTENT_ERROR');
+    this.issues = issues;
   }
 }
 
@@ -75,5 +126,10 @@ module.exports = {
   FileSystemError,
   BrowserError,
   PDFGenerationError,
-  ValidationError
+  ValidationError,
+  UsageError,
+  ServerBusyError,
+  VisualRegressionError,
+  OutdatedPDFError,
+  IncompleteContentError
 };
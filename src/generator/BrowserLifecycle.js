@@ -0,0 +1,201 @@
+/**
+ * Browser Lifecycle
+ *
+ * Launches browsers with the `browser` settings of the configuration, bounds
+ * the stages of a render with hard timeouts, retries failed stages with
+ * exponential backoff, and makes sure no browser outlives the process: on
+ * SIGINT and SIGTERM every open browser is closed (its process killed if it
+ * does not close in time), and a process exiting any other way kills them.
+ *
+ * After closing the browsers on a signal, the process exits with the code of
+ * the signal (130, 143) unless the application handles the signal itself, as
+ * dev.js and serve.js do to stop their servers.
+ *
+ * @module BrowserLifecycle
+ */
+
+const os = require('os');
+const puppeteer = require('puppeteer');
+const { BROWSER, BROWSER_ARGS, LOG_MESSAGES, ERROR_MESSAGES } = require('../constants');
+const { BrowserError } = require('../errors/CustomErrors');
+const { logger } = require('../utils/Logger');
+
+// Exit codes of signals are 128 + the signal number
+const SIGNAL_EXIT_BASE = 128;
+
+const openBrowsers = new Set();
+let handlersInstalled = false;
+
+/**
+ * Wait for a number of milliseconds
+ * @param {number} ms - Delay
+ * @returns {Promise<void>}
+ */
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Bound a stage with a hard timeout. The stage itself is not cancelled; callers clean up
+ * what it leaves behind.
+ * @param {Promise} promise - Stage
+ * @param {number} timeout - Timeout (ms)
+ * @param {string} stage - Stage name, one of BROWSER.STAGES
+ * @returns {Promise<*>} Result of the stage
+ * @throws {BrowserError} If the stage does not settle in time
+ */
+function withTimeout(promise, timeout, stage) {
+  let timer;
+  const expired = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      reject(new BrowserError(`${ERROR_MESSAGES.STAGE_TIMEOUT}: ${stage} after ${timeout} ms`,
+        null, stage));
+    }, timeout);
+  });
+  return Promise.race([promise, expired]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Run a task, retrying it on failure after RETRY_DELAY, then twice as long each time
+ * @param {Function} task - Async task, called with the attempt number (1 for the first)
+ * @param {Object} options - Retry options
+ * @param {number} options.retries - Attempts after the first one
+ * @param {number} options.retryDelay - Delay before the first retry (ms)
+ * @param {Function} [options.shouldRetry] - Whether an error is worth retrying
+ * @param {Function} [options.onRetry] - Called with { attempt, error, wait } before a retry
+ * @returns {Promise<*>} Result of the first successful attempt
+ * @throws {Error} The error of the last attempt, its attempts property set to their number
+ */
+async function retry(task, { retries, retryDelay, shouldRetry = () => true,
+  onRetry = () => {} }) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await task(attempt);
+    } catch (error) {
+      if (attempt > retries || !shouldRetry(error)) {
+        error.attempts = attempt;
+        throw error;
+      }
+      const wait = retryDelay * 2 ** (attempt - 1);
+      onRetry({ attempt, error, wait });
+      await delay(wait);
+    }
+  }
+}
+
+/**
+ * Close a browser, killing its process if it does not close in time
+ * @param {Browser} browser - Puppeteer browser
+ * @returns {Promise<void>}
+ */
+async function closeBrowser(browser) {
+  openBrowsers.delete(browser);
+  if (!browser.connected) {
+    return;
+  }
+  try {
+    await withTimeout(browser.close(), BROWSER.CLOSE_TIMEOUT, 'close');
+  } catch (error) {
+    const child = browser.process();
+    if (child && child.exitCode === null) {
+      child.kill('SIGKILL');
+    }
+  }
+}
+
+/**
+ * Close every open browser
+ * @returns {Promise<number>} Number of browsers closed
+ */
+async function closeAllBrowsers() {
+  const browsers = [...openBrowsers];
+  await Promise.all(browsers.map(closeBrowser));
+  return browsers.length;
+}
+
+/**
+ * Close the browsers on a signal, then exit unless the application handles the signal
+ * @param {string} signal - Signal name
+ * @returns {Promise<void>}
+ */
+async function handleSignal(signal) {
+  // Read before closing: listeners added with process.once() are gone once the signal is emitted
+  const handled = process.listenerCount(signal) > 1;
+  const count = await closeAllBrowsers();
+  if (count > 0) {
+    logger.info(`${LOG_MESSAGES.BROWSERS_CLOSED} ${signal}`, { signal, browsers: count });
+  }
+  if (!handled) {
+    process.exit(SIGNAL_EXIT_BASE + os.constants.signals[signal]);
+  }
+}
+
+/**
+ * Install the signal and exit handlers, once
+ */
+function installHandlers() {
+  if (handlersInstalled) {
+    return;
+  }
+  handlersInstalled = true;
+  BROWSER.SIGNALS.forEach((signal) => process.on(signal, () => handleSignal(signal)));
+  // Nothing asynchronous runs once the process exits: the processes are killed
+  process.on('exit', () => {
+    openBrowsers.forEach((browser) => {
+      const child = browser.process();
+      if (child && child.exitCode === null) {
+        child.kill('SIGKILL');
+      }
+    });
+  });
+}
+
+/**
+ * Puppeteer launch options of the browser settings
+ * @param {Object} [browserOptions] - Settings ({ executablePath, args, headless, sandbox })
+ * @returns {Object} Launch options; signals are handled here rather than by Puppeteer
+ */
+function getLaunchOptions({ executablePath, args = [], headless = BROWSER.HEADLESS,
+  sandbox = false } = {}) {
+  return {
+    headless,
+    ...(executablePath ? { executablePath } : {}),
+    args: [...(sandbox ? [] : BROWSER_ARGS), ...args],
+    handleSIGINT: false,
+    handleSIGTERM: false
+  };
+}
+
+/**
+ * Launch a browser, closed on SIGINT, SIGTERM and exit until closeBrowser()
+ * @param {Object} [browserOptions] - Settings ({ executablePath, args, headless, sandbox })
+ * @param {number} [timeout] - Hard timeout of the launch (ms), none when omitted
+ * @returns {Promise<Browser>} Puppeteer browser
+ * @throws {Error} If the browser cannot be launched
+ * @throws {BrowserError} If the launch times out
+ */
+async function launchBrowser(browserOptions, timeout) {
+  installHandlers();
+  const launching = puppeteer.launch(getLaunchOptions(browserOptions));
+  let browser;
+  try {
+    browser = timeout ? await withTimeout(launching, timeout, 'launch') : await launching;
+  } catch (error) {
+    // A browser that starts after the timeout is closed as soon as it does
+    launching.then(closeBrowser, () => {});
+    throw error;
+  }
+  openBrowsers.add(browser);
+  browser.once('disconnected', () => openBrowsers.delete(browser));
+  return browser;
+}
+
+module.exports = {
+  withTimeout,
+  retry,
+  getLaunchOptions,
+  launchBrowser,
+  closeBrowser,
+  closeAllBrowsers,
+  handleSignal
+};
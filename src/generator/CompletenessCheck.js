@@ -0,0 +1,244 @@
+/**
+ * Completeness Check
+ *
+ * Verifies that the optimized page shows everything it contains before it is
+ * rendered. Every text of the page is located in the layout and compared with
+ * the text of the DOM: text inside an element that is not displayed, nearly
+ * transparent, or clipped by a box with hidden overflow (a collapsed wrapper
+ * has a height of zero) would be missing from the PDF. Elements past the
+ * edges of the page and images that failed to load are reported too.
+ * Elements hidden on purpose, COMPLETENESS.IGNORE and `completeness.ignore`,
+ * are left out.
+ *
+ * An issue names the element at fault with a CSS selector: the element that
+ * hides or clips the text rather than the text itself, so a collapsed wrapper
+ * is reported once.
+ *
+ * Issue fields:
+ * - type: one of COMPLETENESS.ISSUE_TYPES
+ * - selector: CSS selector of the element at fault
+ * - characters, sample: length and start of the text it hides (text issues)
+ * - src: URL of the image (image issues)
+ *
+ * @module CompletenessCheck
+ */
+
+const { COMPLETENESS, ERROR_MESSAGES } = require('../constants');
+const { IncompleteContentError, ValidationError } = require('../errors/CustomErrors');
+
+const { ISSUE_TYPES } = COMPLETENESS;
+
+/**
+ * Find the content of the page that would be missing from the PDF
+ * @param {Page} page - Puppeteer page, optimized
+ * @param {string[]} [ignore] - CSS selectors of the elements hidden on purpose
+ * @returns {Promise<Object>} { characters, visible, issues }: characters of text in the DOM,
+ *   those shown, and the issues found
+ * @throws {ValidationError} If a selector is not valid CSS
+ */
+async function findIncompleteContent(page, ignore = COMPLETENESS.IGNORE) {
+  const result = await page.evaluate((ignored, settings) => {
+    const { SKIPPED, ISSUE_TYPES: TYPES, MIN_OPACITY, TOLERANCE, SELECTOR_DEPTH,
+      SAMPLE_LENGTH } = settings;
+    const view = document.defaultView;
+    const invalid = ignored.filter((selector) => {
+      try {
+        document.querySelector(selector);
+        return false;
+      } catch (error) {
+        return true;
+      }
+    });
+    if (invalid.length > 0) {
+      return { invalid };
+    }
+    const excluded = [SKIPPED, ...ignored].join(', ');
+
+    // Transitions, such as those of the collapsibles, are finished: the page is checked as it
+    // settles
+    document.getAnimations()
+      .filter((animation) => animation.effect &&
+        animation.effect.getComputedTiming().endTime !== Infinity)
+      .forEach((animation) => animation.finish());
+
+    const describe = (element) => {
+      const parts = [];
+      for (let node = element; node !== document.body && parts.length < SELECTOR_DEPTH;
+        node = node.parentElement) {
+        if (node.id) {
+          parts.unshift(`#${view.CSS.escape(node.id)}`);
+          break;
+        }
+        const classes = [...node.classList].map((name) => `.${view.CSS.escape(name)}`).join('');
+        const siblings = [...node.parentElement.children]
+          .filter((sibling) => sibling.tagName === node.tagName);
+        parts.unshift(`${node.tagName.toLowerCase()}${classes}` +
+          (siblings.length > 1 ? `:nth-of-type(${siblings.indexOf(node) + 1})` : ''));
+      }
+      return parts.join(' > ') || 'body';
+    };
+
+    const issues = new Map();
+    const report = (type, element, fields) => {
+      const selector = describe(element);
+      const key = `${type} ${selector}`;
+      if (!issues.has(key)) {
+        issues.set(key, { type, selector, ...fields });
+      }
+      return issues.get(key);
+    };
+
+    const isOutside = (rect, box) => {
+      const x = rect.left + rect.width / 2;
+      const y = rect.top + rect.height / 2;
+      return x < box.left - TOLERANCE || x > box.right + TOLERANCE ||
+        y < box.top - TOLERANCE || y > box.bottom + TOLERANCE;
+    };
+
+    // The element hiding a text: its outermost ancestor not displayed, hidden or transparent,
+    // else the nearest one clipping it
+    const findCause = (element, rects) => {
+      const chain = [];
+      for (let node = element; node !== document.documentElement; node = node.parentElement) {
+        chain.push(node);
+      }
+      const styles = chain.map((node) => view.getComputedStyle(node));
+      const outermost = (test) => {
+        const index = styles.map(test).lastIndexOf(true);
+        return index === -1 ? null : chain[index];
+      };
+
+      const notDisplayed = outermost((style) => style.display === 'none');
+      if (notDisplayed) {
+        return { type: TYPES.HIDDEN, element: notDisplayed };
+      }
+      if (styles[0].visibility !== 'visible') {
+        // visibility is inherited, so it is set on the last of the hidden ancestors
+        let index = 0;
+        while (index + 1 < chain.length && styles[index + 1].visibility !== 'visible') {
+          index++;
+        }
+        return { type: TYPES.HIDDEN, element: chain[index] };
+      }
+      const transparent = outermost((style) => parseFloat(style.opacity) < MIN_OPACITY);
+      if (transparent) {
+        return { type: TYPES.TRANSPARENT, element: transparent };
+      }
+      if (rects.length === 0) {
+        return { type: TYPES.HIDDEN, element };
+      }
+
+      const clipping = chain.find((node, index) => {
+        const { overflowX, overflowY } = styles[index];
+        if (overflowX === 'visible' && overflowY === 'visible') {
+          return false;
+        }
+        const box = node.getBoundingClientRect();
+        return rects.some((rect) => isOutside(rect, box));
+      });
+      if (clipping) {
+        const collapsed = clipping.getBoundingClientRect().height < TOLERANCE;
+        return { type: collapsed ? TYPES.ZERO_HEIGHT : TYPES.CLIPPED, element: clipping };
+      }
+      return null;
+    };
+
+    let characters = 0;
+    let visible = 0;
+    const walker = document.createTreeWalker(document.body, view.NodeFilter.SHOW_TEXT);
+    for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+      const text = node.textContent.replace(/\s+/g, ' ').trim();
+      const element = node.parentElement;
+      if (!text || !element || element.closest(excluded)) {
+        continue;
+      }
+      characters += text.length;
+      const range = document.createRange();
+      range.selectNodeContents(node);
+      const rects = [...range.getClientRects()].filter((rect) => rect.width > 0 && rect.height > 0);
+      const cause = findCause(element, rects);
+      if (!cause) {
+        visible += text.length;
+        continue;
+      }
+      const issue = report(cause.type, cause.element, { characters: 0, sample: '' });
+      issue.characters += text.length;
+      if (issue.sample.length < SAMPLE_LENGTH) {
+        issue.sample = `${issue.sample} ${text}`.trim().slice(0, SAMPLE_LENGTH);
+      }
+    }
+
+    // Content past the left or right edge of the page is cut; only the outermost element is
+    // reported
+    const width = document.documentElement.clientWidth;
+    const overflowing = [];
+    document.querySelectorAll('body *').forEach((element) => {
+      if (element.closest(excluded) || overflowing.some((outer) => outer.contains(element)) ||
+        !(element.tagName === 'IMG' || element.textContent.trim())) {
+        return;
+      }
+      const rect = element.getBoundingClientRect();
+      if (rect.width > 0 && (rect.left < -TOLERANCE || rect.right > width + TOLERANCE)) {
+        overflowing.push(element);
+        report(TYPES.OVERFLOW, element, {});
+      }
+    });
+
+    [...document.images].forEach((image) => {
+      if (image.closest(excluded) || image.getClientRects().length === 0) {
+        return;
+      }
+      if (!image.complete || image.naturalWidth === 0) {
+        report(TYPES.IMAGE, image, { src: image.currentSrc || image.src });
+      }
+    });
+
+    return { characters, visible, issues: [...issues.values()] };
+  }, ignore, COMPLETENESS);
+
+  if (result.invalid) {
+    throw new ValidationError('completeness.ignore has invalid CSS selectors: ' +
+      result.invalid.join(', '), 'completeness.ignore');
+  }
+  return result;
+}
+
+/**
+ * Describe an issue on one line
+ * @param {Object} issue - Issue of findIncompleteContent
+ * @returns {string} Type, selector and what is missing
+ */
+function formatIssue({ type, selector, characters, sample, src }) {
+  if (type === ISSUE_TYPES.IMAGE) {
+    return `${type}: ${selector} (failed to load ${src})`;
+  }
+  if (type === ISSUE_TYPES.OVERFLOW) {
+    return `${type}: ${selector} (past the edge of the page)`;
+  }
+  const quote = characters > sample.length ? `${sample}…` : sample;
+  return `${type}: ${selector} (${characters} characters: "${quote}")`;
+}
+
+/**
+ * Check that the page shows all of its content
+ * @param {Page} page - Puppeteer page, optimized
+ * @param {string[]} [ignore] - CSS selectors of the elements hidden on purpose
+ * @returns {Promise<Object>} { characters }: characters of text shown
+ * @throws {IncompleteContentError} Listing the issues found
+ * @throws {ValidationError} If a selector is not valid CSS
+ */
+async function checkCompleteness(page, ignore) {
+  const { characters, visible, issues } = await findIncompleteContent(page, ignore);
+  if (issues.length > 0) {
+    throw new IncompleteContentError(`${ERROR_MESSAGES.CONTENT_INCOMPLETE}, ` +
+      `${characters - visible} of ${characters} characters not shown, ${issues.length} ` +
+      `issue(s):\n${issues.map((issue) => `  - ${formatIssue(issue)}`).join('\n')}`, issues);
+  }
+  return { characters };
+}
+
+module.exports = {
+  findIncompleteContent,
+  formatIssue,
+  checkCompleteness
+};
@@ -0,0 +1,225 @@
+/**
+ * DOM Transforms
+ *
+ * Built-in steps of the transform pipeline, which prepares the loaded page
+ * for print (see TransformPipeline). They run in this order unless
+ * `transforms.order` says otherwise, and each can be turned off with
+ * `transforms.disabled`.
+ *
+ * Step fields:
+ * - name: used in the configuration and the logs
+ * - description: what the step does to the page
+ * - apply(context): async, changes the page; context is { page, config, theme, date }
+ *
+ * @module DOMTransforms
+ */
+
+const { HEADER_FOOTER, I18N, PDF_OUTLINE } = require('../constants');
+const { buildThemeStylesheet } = require('../themes/ThemeStylesheet');
+const { buildHeaderFooterStylesheet } = require('./HeaderFooter');
+const { applyPageBreaks } = require('./PageBreaks');
+
+const HIDE_PHOTO_STYLESHEET = '.profile-image { display: none !important; }';
+
+/**
+ * Build the header and footer stylesheet from the name, title and language of the page
+ * @param {Page} page - Puppeteer page
+ * @param {Object} settings - headerFooter configuration
+ * @param {Object} theme - Resolved PDF theme
+ * @param {Date} date - Document date, for {date}
+ * @returns {Promise<string>} CSS
+ */
+async function buildHeaderFooter(page, settings, theme, date) {
+  const values = await page.evaluate(({ NAME_SELECTOR, TITLE_SELECTOR }) => {
+    const getText = (selector) => {
+      const element = document.querySelector(selector);
+      return element ? element.textContent.replace(/\s+/g, ' ').trim() : '';
+    };
+    return {
+      name: getText(NAME_SELECTOR),
+      title: getText(TITLE_SELECTOR),
+      language: document.documentElement.lang,
+      fontFamily: document.defaultView.getComputedStyle(document.body).fontFamily
+    };
+  }, HEADER_FOOTER);
+
+  const dateFormat = new Intl.DateTimeFormat(values.language || I18N.DEFAULT_LANGUAGE, {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric'
+  });
+  const text = { name: values.name, title: values.title, date: dateFormat.format(date) };
+  const color = theme.colors.muted || theme.colors.text;
+  return buildHeaderFooterStylesheet(settings, text, { color, fontFamily: values.fontFamily });
+}
+
+const DOM_TRANSFORMS = [
+  {
+    name: 'recolor',
+    description: 'Applies the colours and rules of the PDF theme',
+    apply: async ({ page, theme }) => {
+      await page.addStyleTag({ content: buildThemeStylesheet(theme) });
+      await page.evaluate((bodyClass) => {
+        if (bodyClass) {
+          document.body.classList.add(bodyClass);
+        }
+      }, theme.bodyClass);
+    }
+  },
+
+  {
+    name: 'hide-ui',
+    description: 'Hides the footer and the site controls, and the photo when photo is false',
+    apply: async ({ page, config }) => {
+      if (!config.showsPhoto()) {
+        await page.addStyleTag({ content: HIDE_PHOTO_STYLESHEET });
+      }
+      await page.evaluate(() => {
+        // Hide footer
+        const footer = document.querySelector('.footer');
+        if (footer) {
+          footer.style.display = 'none';
+        }
+
+        // Hide PDF download button (only show in HTML version)
+        const downloadButton = document.querySelector('.btn-download-pdf');
+        if (downloadButton) {
+          downloadButton.style.display = 'none';
+          // Also hide the parent paragraph containing the download button
+          const parent = downloadButton.parentElement;
+          if (parent && parent.tagName === 'P') {
+            parent.style.display = 'none';
+          }
+        }
+
+        // Hide theme toggle button in PDF
+        const themeToggle = document.getElementById('theme-toggle');
+        if (themeToggle) {
+          themeToggle.style.display = 'none';
+        }
+
+        // Hide language switcher in PDF
+        const languageSwitcher = document.getElementById('language-switcher');
+        if (languageSwitcher) {
+          languageSwitcher.style.display = 'none';
+        }
+
+        // Hide the expand and collapse all controls in PDF, where everything is expanded
+        const expansionControls = document.querySelector('.collapsible-controls');
+        if (expansionControls) {
+          expansionControls.style.display = 'none';
+        }
+      });
+    }
+  },
+
+  {
+    name: 'expand-collapsibles',
+    description: 'Expands every collapsible section, company, project and skill',
+    apply: async ({ page }) => {
+      await page.evaluate(() => {
+        const collapsibleContents = document.querySelectorAll(
+          '.section-content, .company-content, .project-content, .skill-content'
+        );
+        collapsibleContents.forEach((content) => {
+          content.style.maxHeight = 'none';
+          content.style.opacity = '1';
+          content.classList.add('expanded');
+          // Collapsed content is inert, which would leave it out of the tagged PDF
+          content.inert = false;
+        });
+
+        // The PDF is not interactive: the headings are headings again, not buttons
+        const collapsibleHeadings = document.querySelectorAll('.collapsible-section, ' +
+          '.collapsible-company, .collapsible-project, .collapsible-skill-category');
+        collapsibleHeadings.forEach((heading) => {
+          ['role', 'tabindex', 'aria-expanded', 'aria-controls'].forEach((attribute) => {
+            heading.removeAttribute(attribute);
+          });
+          heading.classList.add('expanded');
+        });
+      });
+    }
+  },
+
+  {
+    name: 'layout',
+    description: 'Sizes the photo and images and tightens the space under the header',
+    apply: async ({ page }) => {
+      await page.evaluate(() => {
+        // Style profile image
+        const image = document.querySelector('.profile-image');
+        if (image) {
+          image.style.width = '15%';
+          image.style.height = '15%';
+          image.style.marginBottom = '20px';
+          image.style.borderRadius = '50%';
+        }
+
+        // Bring the dates of a company closer to its first project
+        document.querySelectorAll('.collapsible-company + p').forEach((dates) => {
+          dates.style.marginBottom = '5px';
+        });
+
+        // Reduce header margin-bottom to reduce space before Professional Summary
+        const header = document.querySelector('header');
+        if (header) {
+          header.style.marginBottom = '5px';
+        }
+
+        // Also reduce margin on the first section (Professional Summary) for tighter spacing
+        const firstSection = document.querySelector('section');
+        if (firstSection) {
+          firstSection.style.marginTop = '0px';
+        }
+
+        // Optimize images
+        const images = document.querySelectorAll('img');
+        images.forEach((img) => {
+          img.style.maxWidth = '100%';
+          img.style.height = 'auto';
+        });
+      });
+    }
+  },
+
+  {
+    name: 'page-breaks',
+    description: 'Applies the page-break rules of pageBreaks, keeping related content together',
+    apply: async ({ page, config }) => {
+      await applyPageBreaks(page, config.getPageBreakRules());
+    }
+  },
+
+  {
+    name: 'header-footer',
+    description: 'Draws the configured running headers and footers in the page margins',
+    apply: async ({ page, config, theme, date }) => {
+      const headerFooter = config.getHeaderFooter();
+      if (headerFooter) {
+        const content = await buildHeaderFooter(page, headerFooter, theme, date);
+        await page.addStyleTag({ content });
+      }
+    }
+  },
+
+  {
+    name: 'outline',
+    description: 'Marks the PDF_OUTLINE headings for the bookmarks of the tagged PDF',
+    apply: async ({ page }) => {
+      // The outline of a tagged PDF follows the heading levels of the page
+      await page.evaluate((headings) => {
+        headings.forEach(({ selector, level }) => {
+          document.querySelectorAll(selector).forEach((heading) => {
+            heading.setAttribute('role', 'heading');
+            heading.setAttribute('aria-level', String(level));
+          });
+        });
+      }, PDF_OUTLINE);
+    }
+  }
+];
+
+module.exports = {
+  DOM_TRANSFORMS
+};
@@ -0,0 +1,139 @@
+/**
+ * Header & Footer
+ *
+ * Turns the `headerFooter` templates of the configuration into CSS page
+ * margin boxes (@top-left ... @bottom-right). Unlike Chrome's header and
+ * footer templates, margin boxes can differ on the first page (@page :first)
+ * and number pages with CSS counters, so displayHeaderFooter stays off.
+ *
+ * Templates are text with placeholders: {name}, {title} and {date} are filled
+ * from the page, {page} and {total} are the page number and page count.
+ *
+ * @module HeaderFooter
+ */
+
+const { HEADER_FOOTER } = require('../constants');
+const { toMillimetres } = require('../utils/PDFUtils');
+
+const PLACEHOLDER_PATTERN = /\{(\w+)\}/g;
+const EDGES = { header: 'top', footer: 'bottom' };
+const COUNTERS = { page: 'counter(page)', total: 'counter(pages)' };
+
+/**
+ * Template of each position of an edge
+ * @param {string|Object|null} template - Text (centered), { left, center, right } or null
+ * @returns {Object} Template by position, positions without text left out
+ */
+function getPositions(template) {
+  if (!template) {
+    return {};
+  }
+  const positions = typeof template === 'string' ? { center: template } : template;
+  return Object.fromEntries(Object.entries(positions).filter(([, text]) => text));
+}
+
+/**
+ * Quote a string for CSS
+ * @param {string} text - Text
+ * @returns {string} CSS string
+ */
+function quote(text) {
+  return `"${text.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\A ')}"`;
+}
+
+/**
+ * Convert a template to the value of the CSS content property
+ * @param {string} template - Template text
+ * @param {Object} values - Values of name, title and date
+ * @returns {string} CSS content value
+ */
+function toContent(template, values) {
+  const parts = [];
+  let last = 0;
+  for (const match of template.matchAll(PLACEHOLDER_PATTERN)) {
+    parts.push(quote(template.slice(last, match.index)));
+    parts.push(COUNTERS[match[1]] || quote(values[match[1]] || ''));
+    last = match.index + match[0].length;
+  }
+  parts.push(quote(template.slice(last)));
+  return parts.filter((part) => part !== '""').join(' ') || '""';
+}
+
+/**
+ * Templates of the first page
+ * @param {Object} settings - headerFooter configuration
+ * @returns {Object} First page templates ({ header, footer })
+ */
+function getFirstPage({ header, footer, firstPage }) {
+  if (firstPage === false) {
+    return { header: null, footer: null };
+  }
+  return { header, footer, ...firstPage };
+}
+
+/**
+ * Whether any page has a header or a footer
+ * @param {Object} settings - headerFooter configuration
+ * @param {string} part - "header" or "footer"
+ * @returns {boolean} True if the page margin must make room for it
+ */
+function hasPart(settings, part) {
+  return Object.keys(getPositions(settings[part])).length > 0 ||
+    Object.keys(getPositions(getFirstPage(settings)[part])).length > 0;
+}
+
+/**
+ * Build the stylesheet drawing the headers and footers
+ * @param {Object} settings - headerFooter configuration ({ header, footer, firstPage, fontSize })
+ * @param {Object} values - Values of the placeholders ({ name, title, date })
+ * @param {Object} style - Text style ({ color, fontFamily })
+ * @returns {string} CSS
+ */
+function buildHeaderFooterStylesheet(settings, values, { color, fontFamily }) {
+  const declarations = [
+    `font-size: ${settings.fontSize || HEADER_FOOTER.FONT_SIZE};`,
+    fontFamily && `font-family: ${fontFamily};`,
+    color && `color: ${color};`
+  ].filter(Boolean).join(' ');
+
+  const renderBoxes = (templates, all) => Object.entries(EDGES).flatMap(([part, edge]) => {
+    const positions = getPositions(templates[part]);
+    // On the first page, boxes of the other pages without a text of their own are emptied
+    const names = all ? HEADER_FOOTER.POSITIONS : Object.keys(positions);
+    return names
+      .filter((position) => positions[position] || hasPart(settings, part))
+      .map((position) => {
+        const content = positions[position] ? toContent(positions[position], values) : 'none';
+        return `  @${edge}-${position} { content: ${content}; ${declarations} }`;
+      });
+  });
+
+  return [
+    '/* PDF headers and footers */',
+    `@page {\n${renderBoxes(settings, false).join('\n')}\n}`,
+    `@page :first {\n${renderBoxes(getFirstPage(settings), true).join('\n')}\n}`
+  ].join('\n');
+}
+
+/**
+ * Widen the page margins so headers and footers have room
+ * @param {Object} margin - Page margins ({ top, right, bottom, left })
+ * @param {Object} settings - headerFooter configuration
+ * @returns {Object} Margins, top and bottom at least the header and footer height
+ */
+function reserveMargins(margin = {}, settings) {
+  const height = settings.height || HEADER_FOOTER.HEIGHT;
+  const reserved = { ...margin };
+  Object.entries(EDGES).forEach(([part, edge]) => {
+    const current = margin[edge] === undefined ? 0 : toMillimetres(margin[edge]);
+    if (hasPart(settings, part) && current < toMillimetres(height)) {
+      reserved[edge] = height;
+    }
+  });
+  return reserved;
+}
+
+module.exports = {
+  buildHeaderFooterStylesheet,
+  reserveMargins
+};
@@ -0,0 +1,142 @@
+/**
+ * Layout Solver
+ *
+ * Finds the most readable layout that keeps a PDF within a maximum number of
+ * pages. Layouts are ordered from the configured one to the tightest one
+ * allowed: margins shrink first, then the vertical spacing, then the scale,
+ * each in FIT.STEPS steps down to its minimum. Since every step makes the
+ * content shorter, the first layout that fits is found by binary search.
+ *
+ * @module LayoutSolver
+ */
+
+const { FIT, ERROR_MESSAGES } = require('../constants');
+const { PDFGenerationError } = require('../errors/CustomErrors');
+const { countPages, toMillimetres } = require('../utils/PDFUtils');
+
+const MARGIN_SIDES = ['top', 'right', 'bottom', 'left'];
+
+/**
+ * Move a value towards a lower bound, never above its starting value
+ * @param {number} from - Configured value
+ * @param {number} to - Lower bound
+ * @param {number} progress - From 0 (configured value) to 1 (lower bound)
+ * @returns {number} Interpolated value
+ */
+function shrink(from, to, progress) {
+  return to < from ? from + (to - from) * progress : from;
+}
+
+/**
+ * Searches scale, margins and spacing for a layout within a page limit
+ */
+class LayoutSolver {
+  /**
+   * @param {Object} pdfOptions - Configured PDF options (scale, margin)
+   * @param {Object} options - Search options
+   * @param {number} options.maxPages - Maximum number of pages
+   * @param {number} [options.minScale] - Smallest scale allowed
+   * @param {string|Object} [options.minMargin] - Smallest margin allowed, e.g. "8mm", or one
+   *   per side ({ top, right, bottom, left })
+   * @param {number} [options.minSpacing] - Smallest spacing factor allowed
+   * @param {number} [options.steps] - Layouts tried per setting
+   */
+  constructor(pdfOptions, {
+    maxPages,
+    minScale = FIT.MIN_SCALE,
+    minMargin = FIT.MIN_MARGIN,
+    minSpacing = FIT.MIN_SPACING,
+    steps = FIT.STEPS
+  }) {
+    const margin = pdfOptions.margin || {};
+    this.maxPages = maxPages;
+    this.scale = pdfOptions.scale || 1;
+    this.margin = Object.fromEntries(MARGIN_SIDES.map((side) => [
+      side, margin[side] === undefined ? 0 : toMillimetres(margin[side])
+    ]));
+    this.minScale = minScale;
+    this.minMargin = Object.fromEntries(MARGIN_SIDES.map((side) => [
+      side, toMillimetres(typeof minMargin === 'object' ? minMargin[side] : minMargin)
+    ]));
+    this.minSpacing = minSpacing;
+    this.steps = steps;
+  }
+
+  /**
+   * Number of the tightest layout
+   * @returns {number} Last level
+   */
+  get lastLevel() {
+    return this.steps * 3;
+  }
+
+  /**
+   * Layout at a level of the search
+   * @param {number} level - From 0 (configured layout) to lastLevel (tightest layout)
+   * @returns {Object} Layout ({ scale, margin, spacing })
+   */
+  getLayout(level) {
+    const progress = (phase) => Math.min(Math.max(level / this.steps - phase, 0), 1);
+    const margin = Object.fromEntries(MARGIN_SIDES.map((side) => {
+      const millimetres = shrink(this.margin[side], this.minMargin[side], progress(0));
+      return [side, `${Number(millimetres.toFixed(1))}mm`];
+    }));
+
+    return {
+      scale: Number(shrink(this.scale, this.minScale, progress(2)).toFixed(2)),
+      margin,
+      spacing: Number(shrink(1, this.minSpacing, progress(1)).toFixed(2))
+    };
+  }
+
+  /**
+   * Find the most readable layout within the page limit
+   * @param {Function} render - Renders a layout, (layout) => Promise<Buffer>
+   * @returns {Promise<Object>} Result ({ pdf, pages, layout, attempts })
+   * @throws {PDFGenerationError} If the content does not fit even with the tightest layout
+   */
+  async solve(render) {
+    let attempts = 0;
+    const attempt = async (level) => {
+      attempts++;
+      const layout = this.getLayout(level);
+      const pdf = await render(layout);
+      return { pdf, pages: countPages(pdf), layout };
+    };
+    const fits = (result) => result.pages <= this.maxPages;
+
+    let best = await attempt(0);
+    if (fits(best)) {
+      return { ...best, attempts };
+    }
+
+    const tightest = await attempt(this.lastLevel);
+    if (!fits(tightest)) {
+      const { scale, margin, spacing } = tightest.layout;
+      throw new PDFGenerationError(
+        `${ERROR_MESSAGES.CONTENT_TOO_LONG} in ${this.maxPages} page(s): ` +
+        `${tightest.pages} pages at the minimum scale ${scale}, ` +
+        `margins ${Object.values(margin).join(' ')} and spacing ${spacing}`
+      );
+    }
+
+    // Invariant: the layout at `low` is too long, the layout at `high` fits
+    best = tightest;
+    let low = 0;
+    let high = this.lastLevel;
+    while (high - low > 1) {
+      const middle = Math.floor((low + high) / 2);
+      const result = await attempt(middle);
+      if (fits(result)) {
+        best = result;
+        high = middle;
+      } else {
+        low = middle;
+      }
+    }
+
+    return { ...best, attempts };
+  }
+}
+
+module.exports = LayoutSolver;
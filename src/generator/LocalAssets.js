@@ -0,0 +1,55 @@
+/**
+ * Local Assets
+ *
+ * Maps the remote resources of the page to files of the repository. While a
+ * page renders, every request is intercepted: a URL starting with a prefix
+ * of `network.localAssets` is answered with the matching local file, so the
+ * CDN stylesheet and the images of the published site load offline and are
+ * the same on every build.
+ *
+ * @module LocalAssets
+ */
+
+const path = require('path');
+const { NETWORK } = require('../constants');
+
+/**
+ * Find the local file of a remote URL
+ * @param {string} url - Requested URL
+ * @param {Object} localAssets - Remote URL prefix -> directory or file
+ * @param {string} root - Directory the local paths are relative to
+ * @returns {string|null} Absolute path of the local file, or null if no prefix matches or the
+ *   path leaves the mapped directory
+ */
+function resolveLocalAsset(url, localAssets, root) {
+  // Query strings and fragments (cache busters, SVG sprites) do not name another file
+  const address = url.replace(/[?#].*$/, '');
+  const prefix = Object.keys(localAssets)
+    .filter((candidate) => address.startsWith(candidate))
+    .sort((first, second) => second.length - first.length)[0];
+  if (prefix === undefined) {
+    return null;
+  }
+
+  const base = path.resolve(root, localAssets[prefix]);
+  const filePath = path.join(base, decodeURIComponent(address.slice(prefix.length)));
+  return filePath === base || filePath.startsWith(`${base}${path.sep}`) ? filePath : null;
+}
+
+/**
+ * Whether a request would reach the network
+ * @param {string} url - Requested URL
+ * @returns {boolean} True for http(s) and WebSocket URLs, false for file:, data:, blob: ...
+ */
+function isRemoteURL(url) {
+  try {
+    return NETWORK.REMOTE_PROTOCOLS.includes(new URL(url).protocol);
+  } catch (error) {
+    return false;
+  }
+}
+
+module.exports = {
+  resolveLocalAsset,
+  isRemoteURL
+};
@@ -0,0 +1,657 @@
+/**
+ * PDF Generator
+ *
+ * Drives Puppeteer: loads a page, prepares it for print with the DOM transform
+ * pipeline (theme, hidden controls, page breaks, ... see TransformPipeline),
+ * and renders the PDF. The browser stays open between renders, so one
+ * generator can convert several pages before cleanup().
+ *
+ * Events, in the order of a render:
+ * - browser-ready: the browser is launched
+ * - content-loaded ({ source }): the page and its images are loaded
+ * - transformed ({ step, duration }): a step of the DOM transform pipeline is applied
+ * - optimized ({ theme, steps }): every step is applied, steps being their timings
+ * - verified ({ characters }): the page shows all of its content (see CompletenessCheck)
+ * - fitted ({ pages, maxPages, scale, margin, spacing, attempts }): the layout is fitted to
+ *   maxPages, when configured
+ * - rendered ({ path, bytes }): the PDF is generated
+ *
+ * PDFs are tagged, get a bookmarks outline from the PDF_OUTLINE headings and,
+ * when rendered to a buffer, the title, author, description and keywords of
+ * the page as document metadata. Buffers are reproducible: their dates are
+ * the document date (see setDocumentDate) and their ID a digest of the
+ * content. Configured headers and footers are drawn as CSS page margin boxes
+ * (see HeaderFooter).
+ *
+ * Requests of the page are intercepted: remote URLs mapped in
+ * `network.localAssets` are answered with files of the repository (see
+ * LocalAssets), and with `network.strict` any other request that would reach
+ * the network fails the render.
+ *
+ * Warnings go to the logger of the generator, which also times the launch of
+ * the browser, the navigation, the wait for images, the optimizations and the
+ * render as spans (see Logger#time).
+ *
+ * The browser is launched with the `browser` settings and closed on SIGINT and
+ * SIGTERM (see BrowserLifecycle). Each stage has a hard timeout, the launch
+ * and the navigation are retried with backoff, and a failure of the browser
+ * is a BrowserError naming its stage. A browser that disconnects is launched
+ * again by the next render.
+ *
+ * @module PDFGenerator
+ */
+
+const { EventEmitter } = require('events');
+const { Readable } = require('stream');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const {
+  PATHS,
+  HTTP_STATUS,
+  LOG_MESSAGES,
+  ERROR_MESSAGES
+} = require('../constants');
+const { logger: defaultLogger } = require('../utils/Logger');
+const {
+  ApplicationError,
+  BrowserError,
+  FileSystemError,
+  PDFGenerationError
+} = require('../errors/CustomErrors');
+const { withTimeout, retry, launchBrowser, closeBrowser } = require('./BrowserLifecycle');
+const { resolveTheme } = require('../themes/PDFThemes');
+const { writeMetadata, makeReproducible } = require('../utils/PDFMetadata');
+const { getContentType } = require('../server/HttpUtils');
+const LayoutSolver = require('./LayoutSolver');
+const { reserveMargins } = require('./HeaderFooter');
+const { checkCompleteness } = require('./CompletenessCheck');
+const { resolveSteps, runSteps } = require('./TransformPipeline');
+const { resolveLocalAsset, isRemoteURL } = require('./LocalAssets');
+
+const PROJECT_ROOT = path.join(__dirname, '../../');
+const URL_PATTERN = /^https?:\/\//i;
+const BASE_PATTERN = /<base[\s>]/i;
+const HEAD_PATTERN = /<head(\s[^>]*)?>/i;
+
+let renderCount = 0;
+
+/**
+ * Wait for a number of milliseconds
+ * @param {number} ms - Delay
+ * @returns {Promise<void>}
+ */
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Normalize a page source to { path }, { url } or { html }
+ * @param {string|Object} source - File path, URL or markup (starting with "<"), or an
+ *   object with one of these keys
+ * @returns {Object} Normalized source
+ */
+function normalizeSource(source) {
+  if (typeof source !== 'string') {
+    return source;
+  }
+  if (URL_PATTERN.test(source)) {
+    return { url: source };
+  }
+  return source.trimStart().startsWith('<') ? { html: source } : { path: source };
+}
+
+/**
+ * Resolve the relative URLs of a page against a base URL, unless the page sets its own
+ * @param {string} html - Markup
+ * @param {string} href - Base URL
+ * @returns {string} Markup with a <base> element at the start of its head
+ */
+function withBaseURL(html, href) {
+  if (BASE_PATTERN.test(html)) {
+    return html;
+  }
+  const base = `<base href="${href}">`;
+  return HEAD_PATTERN.test(html)
+    ? html.replace(HEAD_PATTERN, (head) => `${head}${base}`)
+    : `${base}${html}`;
+}
+
+/**
+ * PDF Generator class
+ * Handles PDF generation using Facade pattern to simplify Puppeteer operations
+ */
+class PDFGenerator extends EventEmitter {
+  /**
+   * @param {PDFConfig} config - PDF configuration
+   * @param {Object} [theme] - Resolved PDF theme, defaults to the configured theme
+   * @param {Logger} [logger] - Logger of the warnings and spans, the shared logger by default
+   */
+  constructor(config, theme = resolveTheme(config.getThemeName()), logger = defaultLogger) {
+    super();
+    this.config = config;
+    this.theme = theme;
+    this.logger = logger;
+    this.browser = null;
+    this.page = null;
+    this.blockedRequests = [];
+    this.documentDate = null;
+  }
+
+  /**
+   * Initialize browser and page, retrying with backoff
+   * @throws {BrowserError} If the browser cannot be launched (stage launch)
+   */
+  async initialize() {
+    const browserOptions = this.config.getBrowserOptions();
+    let browser;
+    try {
+      const { retries, retryDelay } = browserOptions;
+      browser = await this.logger.time('launch', () => retry(() => this.launch(browserOptions), {
+        retries,
+        retryDelay,
+        onRetry: (details) => this.warnRetry('launch', details, retries)
+      }));
+    } catch (error) {
+      throw new BrowserError(`${ERROR_MESSAGES.BROWSER_INIT} (launch, ` +
+        `${error.attempts || 1} attempt(s)): ${error.message}`, error, 'launch');
+    }
+
+    this.browser = browser;
+    browser.once('disconnected', () => {
+      if (this.browser === browser) {
+        this.logger.warn(LOG_MESSAGES.WARNING_BROWSER_DISCONNECTED);
+        this.browser = null;
+        this.page = null;
+      }
+    });
+    this.emit('browser-ready');
+  }
+
+  /**
+   * Launch the browser and open its page: one attempt of initialize()
+   * @param {Object} browserOptions - Browser settings (see PDFConfig#getBrowserOptions)
+   * @returns {Promise<Browser>} Browser, this.page being its page
+   */
+  async launch(browserOptions) {
+    const browser = await launchBrowser(browserOptions, this.config.getTimeouts().launch);
+    try {
+      this.page = await browser.newPage();
+      await this.page.setViewport(this.config.getViewportOptions());
+      await this.page.setRequestInterception(true);
+      this.page.on('request', (request) => {
+        // A request may be cancelled by the page before it is answered
+        this.handleRequest(request).catch(() => {});
+      });
+    } catch (error) {
+      await closeBrowser(browser);
+      throw error;
+    }
+    return browser;
+  }
+
+  /**
+   * Log a retry of a stage
+   * @param {string} stage - Stage name
+   * @param {Object} details - Retry details ({ attempt, error, wait })
+   * @param {number} retries - Attempts after the first one
+   */
+  warnRetry(stage, { attempt, error, wait }, retries) {
+    this.logger.warn(`${LOG_MESSAGES.WARNING_RETRY} ${stage} in ${wait} ms (attempt ` +
+      `${attempt} of ${retries + 1} failed: ${error.message})`,
+    { stage, attempt, wait, error });
+  }
+
+  /**
+   * Answer a request of the page: mapped remote URLs with their local file, other remote URLs
+   * from the network or, with network.strict, not at all
+   * @param {HTTPRequest} request - Intercepted request
+   * @returns {Promise<void>}
+   */
+  async handleRequest(request) {
+    const url = request.url();
+    const { localAssets, strict } = this.config.getNetworkOptions();
+    const localPath = resolveLocalAsset(url, localAssets, PROJECT_ROOT);
+
+    if (localPath) {
+      if (!fs.existsSync(localPath) || !fs.statSync(localPath).isFile()) {
+        this.logger.warn(`${LOG_MESSAGES.WARNING_LOCAL_ASSET} ${url}`, { url, path: localPath });
+        await request.respond({ status: HTTP_STATUS.NOT_FOUND, body: '' });
+        return;
+      }
+      await request.respond({
+        status: HTTP_STATUS.OK,
+        contentType: getContentType(localPath),
+        body: fs.readFileSync(localPath)
+      });
+      return;
+    }
+
+    if (strict && isRemoteURL(url)) {
+      this.blockedRequests.push(url);
+      await request.abort('blockedbyclient');
+      return;
+    }
+    await request.continue();
+  }
+
+  /**
+   * Fail when network.strict blocked requests of the page
+   * @throws {BrowserError} Listing the blocked URLs
+   */
+  assertOffline() {
+    if (this.blockedRequests.length > 0) {
+      const urls = [...new Set(this.blockedRequests)];
+      this.blockedRequests = [];
+      throw new BrowserError(`${ERROR_MESSAGES.NETWORK_BLOCKED}: ${urls.join(', ')}`);
+    }
+  }
+
+  /**
+   * Set the date of the next renders: the creation and modification date of the PDF and the
+   * {date} of headers and footers
+   * @param {Date|null} date - Date, null for the time of each render
+   */
+  setDocumentDate(date) {
+    this.documentDate = date || null;
+  }
+
+  /**
+   * Date of the current render
+   * @returns {Date} Document date, or now when none is set
+   */
+  getDocumentDate() {
+    return this.documentDate || new Date();
+  }
+
+  /**
+   * Switch the configuration and theme of the next renders without relaunching the browser
+   * @param {PDFConfig} config - PDF configuration
+   * @param {Object} [theme] - Resolved PDF theme, defaults to the configured theme
+   * @throws {BrowserError} If the viewport cannot be applied
+   */
+  async configure(config, theme = resolveTheme(config.getThemeName())) {
+    const viewportChanged = JSON.stringify(config.getViewportOptions()) !==
+      JSON.stringify(this.config.getViewportOptions());
+    this.config = config;
+    this.theme = theme;
+
+    if (this.page && viewportChanged) {
+      try {
+        await this.page.setViewport(config.getViewportOptions());
+      } catch (error) {
+        throw new BrowserError(`${ERROR_MESSAGES.BROWSER_INIT}: ${error.message}`, error);
+      }
+    }
+  }
+
+  /**
+   * Load HTML content into the page
+   * @param {string|Object} source - HTML file (relative to the project root or absolute),
+   *   http(s) URL or markup, or one of { path }, { url }, { html }
+   * @throws {FileSystemError} If the HTML file does not exist
+   * @throws {BrowserError} If the page cannot be loaded (stage navigation or image-wait)
+   */
+  async loadContent(source) {
+    const { path: filePath, url, html } = normalizeSource(source);
+    if (html !== undefined) {
+      // Written to the temporary directory, the project root being possibly read-only; its
+      // relative asset paths resolve against the project root
+      const fileName = `${PATHS.RENDER_HTML_PREFIX}${process.pid}-${++renderCount}.html`;
+      const pagePath = path.join(os.tmpdir(), fileName);
+      fs.writeFileSync(pagePath, withBaseURL(html, pathToFileURL(PROJECT_ROOT).href));
+      try {
+        await this.loadContent({ path: pagePath });
+      } finally {
+        fs.rmSync(pagePath, { force: true });
+      }
+      return;
+    }
+
+    this.blockedRequests = [];
+    const isURL = Boolean(url);
+    const fullPath = isURL ? null : path.resolve(PROJECT_ROOT, filePath);
+    if (!isURL && !fs.existsSync(fullPath)) {
+      throw new FileSystemError(`${ERROR_MESSAGES.HTML_NOT_FOUND}: ${fullPath}`, fullPath);
+    }
+
+    const timeouts = this.config.getTimeouts();
+    const { retries, retryDelay } = this.config.getBrowserOptions();
+    // Try using file:// URL first (better for local resources)
+    const fileUrl = isURL ? url : `file://${fullPath}`;
+
+    try {
+      await this.logger.time('navigation', () => retry(
+        () => withTimeout(this.navigate(fileUrl, fullPath), timeouts.pageLoad, 'navigation'),
+        {
+          retries,
+          retryDelay,
+          // Requests blocked by network.strict fail again
+          shouldRetry: () => this.blockedRequests.length === 0,
+          onRetry: (details) => this.warnRetry('navigation', details, retries)
+        }
+      ), { source: fileUrl });
+    } catch (error) {
+      // A blocked page address is the reason navigation failed
+      this.assertOffline();
+      throw new BrowserError(`${ERROR_MESSAGES.CONTENT_LOAD} (navigation, ` +
+        `${error.attempts || 1} attempt(s)): ${error.message}`, error, 'navigation');
+    }
+
+    try {
+      // Wait for critical resources (images) to load with a reasonable timeout
+      await this.logger.time('image-wait', () => withTimeout(this.waitForImages(timeouts),
+        timeouts.pageLoad, 'image-wait'), { source: fileUrl });
+    } catch (error) {
+      throw new BrowserError(`${ERROR_MESSAGES.CONTENT_LOAD} (image-wait): ${error.message}`,
+        error, 'image-wait');
+    }
+    this.assertOffline();
+    this.emit('content-loaded', { source: url || fullPath });
+  }
+
+  /**
+   * Navigate to a page: one attempt of the navigation stage. A file that cannot be opened
+   * as a file:// URL is loaded with setContent instead.
+   * @param {string} fileUrl - URL of the page (file:// for files)
+   * @param {string|null} fullPath - Absolute path of the file, null for a URL
+   * @returns {Promise<void>}
+   */
+  async navigate(fileUrl, fullPath) {
+    const { pageLoad } = this.config.getTimeouts();
+    try {
+      // Navigate to the file with less strict wait conditions
+      // 'domcontentloaded' is faster and doesn't wait for all network resources
+      await this.page.goto(fileUrl, {
+        waitUntil: 'domcontentloaded',
+        timeout: pageLoad
+      });
+    } catch (gotoError) {
+      if (!fullPath) {
+        throw gotoError;
+      }
+      // Fallback: use setContent if file:// URL doesn't work
+      this.logger.warn(LOG_MESSAGES.WARNING_FILE_URL, { source: fileUrl });
+      const content = fs.readFileSync(fullPath, 'utf8');
+      await this.page.setContent(content, {
+        waitUntil: 'domcontentloaded',
+        timeout: pageLoad
+      });
+    }
+  }
+
+  /**
+   * Wait for the images of the page to load, or at least the image render delay. Images that
+   * do not load are not an error: the PDF is generated without them.
+   * @param {Object} timeouts - Timeouts of the configuration ({ imageRender })
+   * @returns {Promise<void>}
+   */
+  async waitForImages(timeouts) {
+    try {
+      // Check if images exist in the DOM
+      const hasImages = await this.page.evaluate(() => {
+        return document.querySelectorAll('img').length > 0;
+      });
+
+      if (hasImages) {
+        // Wait for images to load, but don't fail if they don't
+        await Promise.race([
+          this.page.waitForFunction(
+            () => {
+              const images = Array.from(document.querySelectorAll('img'));
+              return images.every(img => img.complete || img.naturalWidth > 0);
+            },
+            { timeout: 15000 }
+          ).catch(() => null), // Don't throw if timeout
+          new Promise(resolve => setTimeout(resolve, timeouts.imageRender))
+        ]);
+      } else {
+        // No images, just wait a bit for other resources
+        await delay(timeouts.imageRender);
+      }
+    } catch (imgError) {
+      // If images don't load, continue anyway - PDF will still generate
+      this.logger.warn(LOG_MESSAGES.WARNING_IMAGES, { error: imgError });
+      await delay(timeouts.imageRender);
+    }
+  }
+
+  /**
+   * Prepare the page for print: set the media type and run the DOM transform pipeline
+   * (see TransformPipeline), emitting transformed for each step
+   * @param {Object[]} [extraSteps] - Steps to run after the configured ones
+   * @throws {ValidationError} If transforms name an unknown step
+   * @throws {ConfigurationError} If a transform plugin is invalid
+   * @throws {PDFGenerationError} If a step fails
+   * @throws {BrowserError} If the steps time out (stage optimizations)
+   */
+  async applyOptimizations(extraSteps = []) {
+    const steps = [...resolveSteps(this.config.getTransformOptions()), ...extraSteps];
+    try {
+      // The page is reused between renders, so the media type is always set
+      const media = this.config.getMedia();
+      await this.page.emulateMediaType(media === 'print' ? null : media);
+    } catch (error) {
+      throw new PDFGenerationError(`${ERROR_MESSAGES.OPTIMIZATIONS}: ${error.message}`, error);
+    }
+
+    const context = {
+      page: this.page,
+      config: this.config,
+      theme: this.theme,
+      date: this.getDocumentDate()
+    };
+    const timings = await this.logger.time('optimizations', () => withTimeout(
+      runSteps(steps, context, (timing) => this.emit('transformed', timing)),
+      this.config.getTimeouts().optimizations, 'optimizations'
+    ), { theme: this.theme.name });
+    // Styles added by the steps may load resources of their own
+    this.assertOffline();
+    this.emit('optimized', { theme: this.theme.name, steps: timings });
+  }
+
+  /**
+   * Check that the optimized page shows all of its content, laid out for the configured
+   * media type, unless completeness.enabled is false
+   * @returns {Promise<void>}
+   * @throws {IncompleteContentError} Listing the hidden text, clipped or overflowing elements
+   *   and broken images
+   * @throws {ValidationError} If completeness.ignore has an invalid selector
+   * @throws {PDFGenerationError} If the page cannot be checked
+   * @throws {BrowserError} If the check times out (stage verification)
+   */
+  async verifyContent() {
+    const { enabled, ignore } = this.config.getCompletenessOptions();
+    if (!enabled) {
+      return;
+    }
+
+    const media = this.config.getMedia();
+    let result;
+    try {
+      result = await this.logger.time('verification', () => withTimeout((async () => {
+        await this.page.emulateMediaType(media);
+        try {
+          return await checkCompleteness(this.page, ignore);
+        } finally {
+          await this.page.emulateMediaType(media === 'print' ? null : media);
+        }
+      })(), this.config.getTimeouts().optimizations, 'verification'));
+    } catch (error) {
+      if (error instanceof ApplicationError) {
+        throw error;
+      }
+      throw new PDFGenerationError(`${ERROR_MESSAGES.VERIFICATION}: ${error.message}`, error);
+    }
+    this.emit('verified', result);
+  }
+
+  /**
+   * PDF options of the configuration with the theme's options on top
+   * @returns {Object} Puppeteer PDF options
+   */
+  getPDFOptions() {
+    const options = { ...this.config.getPDFOptions(), ...this.theme.pdf };
+    const headerFooter = this.config.getHeaderFooter();
+    return headerFooter
+      ? { ...options, margin: reserveMargins(options.margin, headerFooter) }
+      : options;
+  }
+
+  /**
+   * Scale the vertical spacing of the page: margins, paddings and line heights
+   * @param {number} factor - Spacing factor, 1 for the spacing of the stylesheets
+   */
+  async applySpacing(factor) {
+    await this.page.evaluate((spacingFactor) => {
+      const properties = ['margin-top', 'margin-bottom', 'padding-top', 'padding-bottom',
+        'line-height'];
+      document.querySelectorAll('body *').forEach((element) => {
+        // The spacing of the stylesheets is kept so factors never compound
+        if (!element.dataset.pdfSpacing) {
+          const style = document.defaultView.getComputedStyle(element);
+          element.dataset.pdfSpacing = JSON.stringify(
+            properties.map((property) => style.getPropertyValue(property))
+          );
+        }
+        JSON.parse(element.dataset.pdfSpacing).forEach((value, index) => {
+          const pixels = parseFloat(value);
+          if (Number.isFinite(pixels) && pixels > 0) {
+            element.style.setProperty(properties[index], `${pixels * spacingFactor}px`,
+              'important');
+          }
+        });
+      });
+    }, factor);
+  }
+
+  /**
+   * Find the most readable layout within the configured maximum number of pages
+   * @returns {Promise<Object>} Result ({ pdf, pages, layout, attempts }), see LayoutSolver
+   * @throws {PDFGenerationError} If the content does not fit
+   */
+  async fitLayout() {
+    const maxPages = this.config.getMaxPages();
+    const pdfOptions = this.getPDFOptions();
+    const fitOptions = this.config.getFitOptions();
+    const headerFooter = this.config.getHeaderFooter();
+    if (headerFooter) {
+      const { minMargin } = fitOptions;
+      const sides = { top: minMargin, right: minMargin, bottom: minMargin, left: minMargin };
+      fitOptions.minMargin = reserveMargins(sides, headerFooter);
+    }
+    const solver = new LayoutSolver(pdfOptions, { maxPages, ...fitOptions });
+
+    const result = await solver.solve(async ({ scale, margin, spacing }) => {
+      await this.applySpacing(spacing);
+      return Buffer.from(await this.page.pdf({ ...pdfOptions, scale, margin }));
+    });
+
+    // The spacing of the page is left at the last layout tried, not necessarily the chosen one
+    const { pages, layout, attempts } = result;
+    await this.applySpacing(layout.spacing);
+    this.emit('fitted', { pages, maxPages, ...layout, attempts });
+    return result;
+  }
+
+  /**
+   * Read the document metadata of the current page from its title and meta tags
+   * @returns {Promise<Object>} Metadata ({ title, author, subject, keywords, language })
+   */
+  async getDocumentMetadata() {
+    const metadata = await this.page.evaluate(() => {
+      const getMeta = (name) => {
+        const meta = document.querySelector(`meta[name="${name}"]`);
+        return meta ? meta.content.trim() : '';
+      };
+      return {
+        title: document.title.trim(),
+        author: getMeta('author'),
+        subject: getMeta('description'),
+        keywords: getMeta('keywords'),
+        language: document.documentElement.lang
+      };
+    });
+
+    return {
+      ...metadata,
+      keywords: metadata.keywords.split(',').map((keyword) => keyword.trim()).filter(Boolean)
+    };
+  }
+
+  /**
+   * Generate PDF from the current page
+   * @param {string} [outputPath] - File to also write the PDF to
+   * @returns {Promise<Buffer>} PDF content
+   * @throws {PDFGenerationError} If rendering or writing fails
+   * @throws {BrowserError} If rendering times out (stage render)
+   */
+  async generatePDF(outputPath) {
+    let pdf;
+    try {
+      pdf = await this.logger.time('render', () => withTimeout((async () => {
+        const rendered = this.config.getMaxPages()
+          ? (await this.fitLayout()).pdf
+          : Buffer.from(await this.page.pdf(this.getPDFOptions()));
+        const date = this.getDocumentDate();
+        const metadata = await this.getDocumentMetadata();
+        return makeReproducible(writeMetadata(rendered, metadata, date), date);
+      })(), this.config.getTimeouts().render, 'render'), { path: outputPath || null });
+      if (outputPath) {
+        fs.writeFileSync(outputPath, pdf);
+      }
+    } catch (error) {
+      if (error instanceof PDFGenerationError || error instanceof BrowserError) {
+        throw error;
+      }
+      throw new PDFGenerationError(`${ERROR_MESSAGES.PDF_GENERATION}: ${error.message}`, error);
+    }
+
+    this.emit('rendered', { path: outputPath || null, bytes: pdf.length });
+    return pdf;
+  }
+
+  /**
+   * Generate PDF from the current page as a stream, without buffering it
+   * @returns {Promise<Readable>} PDF content
+   * @throws {PDFGenerationError} If rendering cannot start
+   * @throws {BrowserError} If rendering times out (stage render)
+   */
+  async createPDFStream() {
+    let stream;
+    try {
+      // The span ends when the stream starts, not when it is consumed
+      stream = await this.logger.time('render', () => withTimeout((async () => {
+        let options = this.getPDFOptions();
+        if (this.config.getMaxPages()) {
+          const { layout } = await this.fitLayout();
+          options = { ...options, scale: layout.scale, margin: layout.margin };
+        }
+        return Readable.fromWeb(await this.page.createPDFStream(options));
+      })(), this.config.getTimeouts().render, 'render'), { path: null });
+    } catch (error) {
+      if (error instanceof PDFGenerationError || error instanceof BrowserError) {
+        throw error;
+      }
+      throw new PDFGenerationError(`${ERROR_MESSAGES.PDF_GENERATION}: ${error.message}`, error);
+    }
+
+    stream.once('end', () => this.emit('rendered', { path: null }));
+    return stream;
+  }
+
+  /**
+   * Clean up resources
+   */
+  async cleanup() {
+    if (this.browser) {
+      const browser = this.browser;
+      this.browser = null;
+      this.page = null;
+      await closeBrowser(browser);
+    }
+  }
+}
+
+module.exports = PDFGenerator;
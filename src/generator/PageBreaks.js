@@ -0,0 +1,82 @@
+/**
+ * Page Breaks
+ *
+ * Applies the page-break rules of the configuration: PAGE_BREAKS.DEFAULT_RULES
+ * extended by `pageBreaks`, which maps CSS selectors to rules. Rules are set
+ * as inline styles on the matching elements, in order, so a later rule
+ * overrides an earlier one on the elements both match.
+ *
+ * Rule fields:
+ * - avoidInside: true to keep the element on one page, false to let it break
+ * - keepWithNext: true to keep the element on the page of what follows it
+ * - breakBefore: "page" to start a new page, "avoid" to stay with what precedes, or "auto"
+ * - orphans, widows: minimum number of lines left at the bottom / carried to the top of a page
+ *
+ * @module PageBreaks
+ */
+
+const { ValidationError } = require('../errors/CustomErrors');
+
+/**
+ * Inline styles of a rule, with the legacy page-break-* properties next to break-*
+ * @param {Object} rule - Page-break rule
+ * @returns {Object} Style properties (camelCase) and values
+ */
+function toStyles(rule) {
+  const styles = {};
+  if (rule.avoidInside !== undefined) {
+    styles.breakInside = rule.avoidInside ? 'avoid' : 'auto';
+    styles.pageBreakInside = styles.breakInside;
+  }
+  if (rule.keepWithNext !== undefined) {
+    styles.breakAfter = rule.keepWithNext ? 'avoid' : 'auto';
+    styles.pageBreakAfter = styles.breakAfter;
+  }
+  if (rule.breakBefore !== undefined) {
+    styles.breakBefore = rule.breakBefore;
+    styles.pageBreakBefore = rule.breakBefore === 'page' ? 'always' : rule.breakBefore;
+  }
+  ['orphans', 'widows'].forEach((property) => {
+    if (rule[property] !== undefined) {
+      styles[property] = String(rule[property]);
+    }
+  });
+  return styles;
+}
+
+/**
+ * Set the page-break rules on the elements of the page
+ * @param {Page} page - Puppeteer page
+ * @param {Object} rules - CSS selector -> rule, in order (see PDFConfig#getPageBreakRules)
+ * @returns {Promise<Object>} Number of elements matched by each selector
+ * @throws {ValidationError} If a selector is not valid CSS
+ */
+async function applyPageBreaks(page, rules) {
+  const entries = Object.entries(rules).map(([selector, rule]) => [selector, toStyles(rule)]);
+  const { matches, invalid } = await page.evaluate((styledSelectors) => {
+    const result = { matches: {}, invalid: [] };
+    styledSelectors.forEach(([selector, styles]) => {
+      let elements;
+      try {
+        elements = document.querySelectorAll(selector);
+      } catch (error) {
+        result.invalid.push(selector);
+        return;
+      }
+      elements.forEach((element) => Object.assign(element.style, styles));
+      result.matches[selector] = elements.length;
+    });
+    return result;
+  }, entries);
+
+  if (invalid.length > 0) {
+    throw new ValidationError(`pageBreaks has invalid CSS selectors: ${invalid.join(', ')}`,
+      `pageBreaks["${invalid[0]}"]`);
+  }
+  return matches;
+}
+
+module.exports = {
+  toStyles,
+  applyPageBreaks
+};
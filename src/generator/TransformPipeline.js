@@ -0,0 +1,147 @@
+/**
+ * Transform Pipeline
+ *
+ * Prepares a loaded page for print with an ordered list of named steps: the
+ * built-in DOM_TRANSFORMS followed by the transform plugins, modules of the
+ * plugins directory (`transforms/` by default) sorted by file name. The
+ * `transforms` settings of the configuration reorder and disable steps:
+ * the steps listed in `order` run first, in that order, then the others in
+ * their default order, skipping those listed in `disabled`.
+ *
+ * A plugin exports one step or an array of steps, shaped like the built-in
+ * ones ({ name, description, apply(context) }, see DOMTransforms).
+ *
+ * @module TransformPipeline
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { TRANSFORMS, ERROR_MESSAGES } = require('../constants');
+const {
+  ApplicationError,
+  ConfigurationError,
+  FileSystemError,
+  PDFGenerationError,
+  ValidationError
+} = require('../errors/CustomErrors');
+const { DOM_TRANSFORMS } = require('./DOMTransforms');
+
+const PLUGIN_EXTENSIONS = ['.js', '.cjs'];
+
+/**
+ * Check that a plugin export is a usable step
+ * @param {*} step - Exported step
+ * @param {string} file - Plugin file, for the error message
+ * @returns {Object} The step
+ * @throws {ConfigurationError} If the step has no valid name or apply function
+ */
+function validateStep(step, file) {
+  if (!step || typeof step !== 'object' || !TRANSFORMS.NAME_PATTERN.test(step.name || '') ||
+    typeof step.apply !== 'function') {
+    throw new ConfigurationError(`${ERROR_MESSAGES.TRANSFORM_PLUGIN} ${file}: expected ` +
+      '{ name, description, apply(context) } with a lowercase, dash-separated name');
+  }
+  return { ...step, plugin: file };
+}
+
+/**
+ * Load the transform plugins of a directory
+ * @param {string} directory - Absolute path of the plugins directory
+ * @param {boolean} [required=false] - Whether a missing directory is an error
+ * @returns {Object[]} Steps, in file name order
+ * @throws {FileSystemError} If the directory is required and missing
+ * @throws {ConfigurationError} If a plugin cannot be loaded or exports an invalid step
+ */
+function loadPlugins(directory, required = false) {
+  if (!fs.existsSync(directory)) {
+    if (required) {
+      throw new FileSystemError(`Transform plugins directory not found: ${directory}`, directory);
+    }
+    return [];
+  }
+
+  return fs.readdirSync(directory)
+    .filter((file) => PLUGIN_EXTENSIONS.includes(path.extname(file)))
+    .sort()
+    .flatMap((file) => {
+      let exported;
+      try {
+        exported = require(path.join(directory, file));
+      } catch (error) {
+        throw new ConfigurationError(`${ERROR_MESSAGES.TRANSFORM_PLUGIN} ${file}: ${error.message}`,
+          error);
+      }
+      return (Array.isArray(exported) ? exported : [exported])
+        .map((step) => validateStep(step, file));
+    });
+}
+
+/**
+ * Steps to run, in order
+ * @param {Object} settings - Transform settings of PDFConfig#getTransformOptions
+ *   ({ order, disabled, plugins, pluginsRequired })
+ * @returns {Object[]} Enabled steps, built-in and plugins
+ * @throws {ValidationError} If order or disabled names an unknown step, or a plugin reuses a name
+ * @throws {ConfigurationError} If a plugin is invalid
+ */
+function resolveSteps({ order = [], disabled = [], plugins, pluginsRequired = false }) {
+  const steps = [...DOM_TRANSFORMS];
+  loadPlugins(plugins, pluginsRequired).forEach((step) => {
+    if (steps.some(({ name }) => name === step.name)) {
+      throw new ValidationError(`Transform plugin ${step.plugin} reuses the step name ` +
+        `"${step.name}"`, 'transforms');
+    }
+    steps.push(step);
+  });
+
+  const names = steps.map(({ name }) => name);
+  Object.entries({ order, disabled }).forEach(([key, list]) => {
+    const unknown = list.filter((name) => !names.includes(name));
+    if (unknown.length > 0) {
+      throw new ValidationError(`${ERROR_MESSAGES.UNKNOWN_TRANSFORM} in transforms.${key} ` +
+        `(${unknown.join(', ')}), expected: ${names.join(', ')}`, `transforms.${key}`);
+    }
+  });
+
+  const ordered = [
+    ...order.map((name) => steps.find((step) => step.name === name)),
+    ...steps.filter(({ name }) => !order.includes(name))
+  ];
+  return ordered.filter(({ name }) => !disabled.includes(name));
+}
+
+/**
+ * Run steps one after the other, timing each
+ * @param {Object[]} steps - Steps of resolveSteps
+ * @param {Object} context - Context passed to each step ({ page, config, theme, date })
+ * @param {Function} [onStep] - Called after each step with { step, duration } (milliseconds)
+ * @returns {Promise<Object[]>} Timings ({ step, duration }), in order
+ * @throws {PDFGenerationError} Naming the step that failed, unless the step threw a typed error
+ */
+async function runSteps(steps, context, onStep = () => {}) {
+  const timings = [];
+  for (const step of steps) {
+    const start = Date.now();
+    try {
+      await step.apply(context);
+    } catch (error) {
+      if (error instanceof ApplicationError) {
+        throw error;
+      }
+      throw new PDFGenerationError(
+        `${ERROR_MESSAGES.OPTIMIZATIONS} (step ${step.name}): ${error.message}`,
+        error
+      );
+    }
+    const timing = { step: step.name, duration: Date.now() - start };
+    onStep(timing);
+    timings.push(timing);
+  }
+  return timings;
+}
+
+module.exports = {
+  loadPlugins,
+  resolveSteps,
+  runSteps
+};
@@ -0,0 +1,176 @@
+/**
+ * Translator
+ *
+ * Translation layer for the CV. Two kinds of text are translated:
+ *
+ * - Interface labels ("Location", "Present", ...) come from the locale files
+ *   in src/i18n/locales/<language>.json
+ * - Any text value in cv.json may be a localized object such as
+ *   { "en": "Education", "fr": "Formation", "nl": "Opleiding" }; plain strings
+ *   are used for every language
+ *
+ * Missing translations fall back to the default language and are recorded so
+ * the build can report them, as are plain strings in the prose fields
+ * (I18N.TEXT_FIELDS) of the other languages.
+ *
+ * @module Translator
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { I18N, ERROR_MESSAGES } = require('../constants');
+const { ConfigurationError } = require('../errors/CustomErrors');
+
+const LOCALES_DIR = path.join(__dirname, 'locales');
+
+/**
+ * Reads a locale file
+ * @param {string} language - Language code
+ * @returns {Object} Locale definition ({ name, locale, labels })
+ * @throws {ConfigurationError} If the locale file is missing or invalid
+ */
+function loadLocale(language) {
+  const localePath = path.join(LOCALES_DIR, `${language}.json`);
+  if (!fs.existsSync(localePath)) {
+    throw new ConfigurationError(`${ERROR_MESSAGES.LOCALE_NOT_FOUND} "${language}": ${localePath}`);
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(localePath, 'utf8'));
+  } catch (error) {
+    throw new ConfigurationError(`Invalid locale file ${localePath}: ${error.message}`, error);
+  }
+}
+
+/**
+ * Checks whether a value is a localized text object ({ en: '...', fr: '...' })
+ * @param {*} value - Value to check
+ * @returns {boolean} True if every key is a supported language and every value a string
+ */
+function isLocalizedText(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return false;
+  }
+  const entries = Object.entries(value);
+  return entries.length > 0 &&
+    entries.every(([key, text]) => I18N.LANGUAGES.includes(key) && typeof text === 'string');
+}
+
+/**
+ * Checks whether a field path names a prose field of the CV data
+ * @param {string} field - Field path (e.g. "experience.entries[0].highlights[2]")
+ * @returns {boolean} True if the last key of the path is one of I18N.TEXT_FIELDS
+ */
+function isTextField(field) {
+  const key = field.replace(/\[\d+\]$/, '').split('.').pop();
+  return I18N.TEXT_FIELDS.includes(key);
+}
+
+/**
+ * Inserts a language code before the file extension ("CV.pdf" -> "CV.fr.pdf")
+ * @param {string} filename - File name or path
+ * @param {string} language - Language code
+ * @returns {string} Localized file name
+ */
+function localizeFilename(filename, language) {
+  const { dir, name, ext } = path.parse(filename);
+  return path.join(dir, `${name}.${language}${ext}`);
+}
+
+/**
+ * Resolves labels and localized values for one language
+ */
+class Translator {
+  /**
+   * @param {string} [language] - Language code, defaults to the default language
+   */
+  constructor(language = I18N.DEFAULT_LANGUAGE) {
+    this.language = language;
+    this.definition = loadLocale(language);
+    this.fallback = language === I18N.DEFAULT_LANGUAGE
+      ? this.definition
+      : loadLocale(I18N.DEFAULT_LANGUAGE);
+    this.missing = new Set();
+  }
+
+  /**
+   * BCP 47 locale used for dates (e.g. "fr-BE")
+   * @returns {string} Locale
+   */
+  get locale() {
+    return this.definition.locale || this.language;
+  }
+
+  /**
+   * Display name of the language in that language (e.g. "Français")
+   * @returns {string} Language name
+   */
+  get name() {
+    return this.definition.name || this.language;
+  }
+
+  /**
+   * Translate an interface label
+   * @param {string} key - Label key from the locale file
+   * @returns {string} Translated label
+   */
+  t(key) {
+    const label = this.definition.labels && this.definition.labels[key];
+    if (label !== undefined) {
+      return label;
+    }
+    this.missing.add(`labels.${key}`);
+    return (this.fallback.labels && this.fallback.labels[key]) || key;
+  }
+
+  /**
+   * Resolve a text value that may be a localized object
+   * @param {string|Object} value - Plain string or localized object
+   * @param {string} [field] - Field path, used when reporting missing translations
+   * @returns {string} Text in this translator's language
+   */
+  localize(value, field = '') {
+    if (!isLocalizedText(value)) {
+      return value;
+    }
+    if (value[this.language] !== undefined) {
+      return value[this.language];
+    }
+    this.missing.add(field);
+    return value[I18N.DEFAULT_LANGUAGE] ?? Object.values(value)[0];
+  }
+
+  /**
+   * Deeply resolve every localized value of a data structure (e.g. cv.json)
+   * @param {*} data - Data to resolve
+   * @param {string} [field] - Field path of the data
+   * @returns {*} Copy of the data with plain strings only
+   */
+  localizeData(data, field = '') {
+    if (isLocalizedText(data)) {
+      return this.localize(data, field);
+    }
+    if (Array.isArray(data)) {
+      return data.map((item, index) => this.localizeData(item, `${field}[${index}]`));
+    }
+    if (typeof data === 'string' && this.language !== I18N.DEFAULT_LANGUAGE &&
+      isTextField(field)) {
+      this.missing.add(field);
+    }
+    if (data && typeof data === 'object') {
+      return Object.fromEntries(
+        Object.entries(data).map(([key, value]) => [
+          key,
+          this.localizeData(value, field ? `${field}.${key}` : key)
+        ])
+      );
+    }
+    return data;
+  }
+}
+
+module.exports = {
+  Translator,
+  isLocalizedText,
+  localizeFilename
+};
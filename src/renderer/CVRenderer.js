@@ -0,0 +1,522 @@
+/**
+ * CV Renderer
+ *
+ * Turns the structured CV data (cv.json) into the section, company, project
+ * and skill markup that the collapsible script in index.html and
+ * the DOM transforms of the PDF generator (DOMTransforms) rely on:
+ *
+ *   section > h2.section-title.collapsible-section + div.section-content
+ *   h4.collapsible-company + p > em (dates) + div.company-content
+ *   li > h5.collapsible-project (+ small dates) + div.project-content
+ *
+ * Headings carry the id of their data (see Anchors), the target of deep
+ * links, and their content the same id followed by "-content". The expand
+ * and collapse all controls are rendered hidden: the script shows them.
+ *
+ * The data must already be localized (see Translator.localizeData); the
+ * translator supplies interface labels and the locale used for dates.
+ *
+ * @module CVRenderer
+ */
+
+const {
+  escapeHtml,
+  renderAttributes,
+  renderExternalLink,
+  renderReference,
+  indent
+} = require('../utils/HtmlUtils');
+const { formatDateRange } = require('../utils/DateFormatter');
+const { Translator, localizeFilename } = require('../i18n/Translator');
+const { I18N, PATHS } = require('../constants');
+
+/**
+ * Inline styles carried over from the hand-written markup, except for skill groups: their
+ * labels share one min-width and their keywords follow after a space, where the hand-written
+ * markup tuned the width and a negative margin-left of the keywords for each group
+ */
+const STYLES = {
+  SOCIAL_LINKS: 'margin-top: 15px; margin-bottom: 10px;',
+  SOCIAL_ICON: 'vertical-align: middle;',
+  DOWNLOAD: 'margin-top: 35px;',
+  SKILLS_SECTION: 'margin-top: 10px;',
+  PROJECT_LIST: 'margin-top: 2px;',
+  SKILLS_TABLE: 'width:100%; table-layout:fixed; border-collapse: collapse;',
+  SKILL_CATEGORY: 'margin-bottom: 15px;',
+  SKILL_CATEGORY_NAME:
+    'display: block; margin-bottom: 2px; font-size: 1rem; ' +
+    'color: var(--text-secondary); font-weight: 600;',
+  SKILL_KEYWORDS: 'margin: 0; line-height: 1.6; color: var(--text-primary);',
+  SKILL_GROUPS: 'line-height: 1.6; color: var(--text-primary);',
+  SKILL_GROUP: 'margin-bottom: 4px;',
+  SKILL_GROUP_LABEL:
+    'color: var(--text-secondary); font-weight: 600; display: inline-block; min-width: 50px;',
+  SOFT_SKILLS_TABLE: 'width:100%; table-layout:fixed;',
+  SOFT_SKILL: 'color: var(--text-primary); font-weight: 600;'
+};
+
+/**
+ * Renders CV data into index.html body markup
+ */
+class CVRenderer {
+  /**
+   * @param {Object} data - Validated, localized CV data
+   * @param {Object} [options] - Rendering options
+   * @param {Translator} [options.translator] - Translator for labels and dates
+   * @param {string[]} [options.languages] - Languages offered by the language switcher
+   */
+  constructor(data, { translator = new Translator(), languages = I18N.LANGUAGES } = {}) {
+    this.data = data;
+    this.translator = translator;
+    this.languages = languages;
+  }
+
+  /**
+   * Render the complete CV body (header, sections and footer)
+   * @returns {string} Markup
+   */
+  render() {
+    const { data } = this;
+    const blocks = [
+      this.languages.length > 1 && this.renderLanguageSwitcher(),
+      this.renderHeader(data.header),
+      this.renderExpansionControls(),
+      data.summary && this.renderSummary(data.summary),
+      data.experience && this.renderExperience(data.experience),
+      data.education && this.renderEducation(data.education),
+      data.skills && this.renderSkills(data.skills),
+      data.softSkills && this.renderSoftSkills(data.softSkills),
+      data.certifications && this.renderGroupedSection(data.certifications),
+      data.achievements && this.renderGroupedSection(data.achievements),
+      data.footer && this.renderFooter(data.footer)
+    ];
+
+    return blocks.filter(Boolean).join('\n\n');
+  }
+
+  /**
+   * Render the language switcher shown next to the theme toggle. Each option
+   * links to the page generated for that language.
+   * @returns {string} Markup
+   */
+  renderLanguageSwitcher() {
+    const options = this.languages.map((language) => {
+      const isActive = language === this.translator.language;
+      const href = language === I18N.DEFAULT_LANGUAGE
+        ? PATHS.HTML_FILE
+        : localizeFilename(PATHS.HTML_FILE, language);
+      const attributes = renderAttributes({
+        href,
+        hreflang: language,
+        lang: language,
+        class: isActive ? 'lang-option active' : 'lang-option',
+        'aria-current': isActive ? 'page' : null,
+        title: new Translator(language).name
+      });
+      return `<a${attributes}>${escapeHtml(language.toUpperCase())}</a>`;
+    });
+
+    const label = escapeHtml(this.translator.t('languageSwitcher'));
+    return [
+      `<nav id="language-switcher" aria-label="${label}">`,
+      indent(options),
+      '</nav>'
+    ].join('\n');
+  }
+
+  /**
+   * Render the page header (photo, name, contact, social links, download button)
+   * @param {Object} header - Header data
+   * @returns {string} Markup
+   */
+  renderHeader(header) {
+    const lines = ['<header class="text-center mb-5">'];
+
+    if (header.photo) {
+      const { src, alt } = header.photo;
+      lines.push(indent(`<img${renderAttributes({ class: 'profile-image', src, alt })}>`));
+    }
+    lines.push(indent(`<h1>${escapeHtml(header.name)}</h1>`));
+    lines.push(indent(`<p class="lead">${escapeHtml(header.headline)}</p>`));
+
+    if (header.contact) {
+      lines.push(indent(`<p>${this.renderContact(header.contact)}</p>`));
+    }
+
+    if (header.profiles && header.profiles.length > 0) {
+      const links = header.profiles.map((profile) => {
+        if (!profile.icon) {
+          return renderExternalLink(profile.url, escapeHtml(profile.network));
+        }
+        const icon = `<img${renderAttributes({
+          src: profile.icon,
+          width: profile.size,
+          height: profile.size,
+          alt: profile.network,
+          style: STYLES.SOCIAL_ICON
+        })}>`;
+        return renderExternalLink(profile.url, icon);
+      });
+      lines.push(indent(`<p style="${STYLES.SOCIAL_LINKS}">`));
+      lines.push(indent(links.join('\n&nbsp;\n'), 2));
+      lines.push(indent('</p>'));
+    }
+
+    if (header.download) {
+      const { href, filename, label } = header.download;
+      lines.push(indent(`<p style="${STYLES.DOWNLOAD}">`));
+      lines.push(indent(
+        `<a${renderAttributes({ href, download: filename, class: 'btn-download-pdf' })}>`, 2
+      ));
+      lines.push(indent(escapeHtml(label), 3));
+      lines.push(indent('</a>', 2));
+      lines.push(indent('</p>'));
+    }
+
+    lines.push('</header>');
+    return lines.join('\n');
+  }
+
+  /**
+   * Render the expand all and collapse all buttons and the option remembering the expanded
+   * sections, hidden until the collapsible script runs
+   * @returns {string} Markup
+   */
+  renderExpansionControls() {
+    const { translator } = this;
+    const attributes = renderAttributes({
+      class: 'collapsible-controls',
+      role: 'group',
+      'aria-label': translator.t('expansionControls'),
+      hidden: true
+    });
+    return [
+      `<div${attributes}>`,
+      indent(`<button type="button" id="expand-all">${escapeHtml(translator.t('expandAll'))}` +
+        '</button>'),
+      indent(`<button type="button" id="collapse-all">${escapeHtml(translator.t('collapseAll'))}` +
+        '</button>'),
+      indent('<label for="remember-expansion">'),
+      indent('<input type="checkbox" id="remember-expansion">', 2),
+      indent(escapeHtml(translator.t('rememberExpansion')), 2),
+      indent('</label>'),
+      '</div>'
+    ].join('\n');
+  }
+
+  /**
+   * Render the contact line ("Location: … | Phone: … | Email: …")
+   * @param {Object} contact - Contact data
+   * @returns {string} Markup
+   */
+  renderContact(contact) {
+    const { translator } = this;
+    const fields = [
+      [translator.t('location'), contact.location],
+      [translator.t('phone'), contact.phone],
+      [translator.t('email'), contact.email]
+    ];
+
+    return fields
+      .filter(([, value]) => value)
+      .map(([label, value]) => `<strong>${label}:</strong> ${escapeHtml(value)}`)
+      .join(' | ');
+  }
+
+  /**
+   * Render the (non-collapsible) professional summary
+   * @param {Object} summary - Summary data
+   * @returns {string} Markup
+   */
+  renderSummary(summary) {
+    return [
+      '<section>',
+      indent(`<h2${renderAttributes({ class: 'section-title', id: summary.id })}>` +
+        `${escapeHtml(summary.title)}</h2>`),
+      indent('<p>'),
+      indent(summary.text, 2),
+      indent('</p>'),
+      '</section>'
+    ].join('\n');
+  }
+
+  /**
+   * Attributes of a collapsible heading and of its content, the ids derived from the id of
+   * the data (none without one)
+   * @param {string} className - Class of the heading
+   * @param {string} contentClassName - Class of the content
+   * @param {string} [id] - Id of the data
+   * @returns {string[]} Rendered attributes of the heading and of the content
+   */
+  renderCollapsibleAttributes(className, contentClassName, id) {
+    return [
+      renderAttributes({ class: className, id }),
+      renderAttributes({ class: contentClassName, id: id ? `${id}-content` : null })
+    ];
+  }
+
+  /**
+   * Render a collapsible section wrapper around already-rendered content
+   * @param {Object} section - Section data ({ title, id })
+   * @param {string} content - Inner markup
+   * @param {Object} [attributes] - Extra attributes for the section element
+   * @returns {string} Markup
+   */
+  renderSection({ title, id }, content, attributes = {}) {
+    const [heading, body] = this.renderCollapsibleAttributes(
+      'section-title collapsible-section', 'section-content', id
+    );
+    return [
+      `<section${renderAttributes(attributes)}>`,
+      indent(`<h2${heading}>${escapeHtml(title)}</h2>`),
+      indent(`<div${body}>`),
+      indent(content, 2),
+      indent('</div>'),
+      '</section>'
+    ].join('\n');
+  }
+
+  /**
+   * Render a company-level block (h4 header, optional dates, collapsible list)
+   * @param {string} headingHtml - Header content markup
+   * @param {string|null} dates - Formatted date range, or null to omit
+   * @param {string[]} items - Rendered list items
+   * @param {string} [id] - Id of the entry or group
+   * @returns {string} Markup
+   */
+  renderCompany(headingHtml, dates, items, id) {
+    const [heading, body] = this.renderCollapsibleAttributes(
+      'collapsible-company', 'company-content', id
+    );
+    const lines = [`<h4${heading}>${headingHtml}</h4>`];
+    if (dates) {
+      lines.push(`<p><em>${escapeHtml(dates)}</em></p>`);
+    }
+    lines.push(`<div${body}>`);
+    lines.push(indent('<ul>'));
+    lines.push(indent(items, 2));
+    lines.push(indent('</ul>'));
+    lines.push('</div>');
+    return lines.join('\n');
+  }
+
+  /**
+   * Render a project-level list item (h5 header and collapsible bullet list)
+   * @param {string} headingHtml - Header content markup
+   * @param {string[]} bullets - Bullet markup (trusted inline HTML)
+   * @param {string} [id] - Id of the project or item
+   * @returns {string} Markup
+   */
+  renderProject(headingHtml, bullets, id) {
+    const [heading, body] = this.renderCollapsibleAttributes(
+      'collapsible-project', 'project-content', id
+    );
+    return [
+      '<li>',
+      indent(`<h5${heading}>${headingHtml}</h5>`),
+      indent(`<div${body}>`),
+      indent(`<ul style="${STYLES.PROJECT_LIST}">`, 2),
+      indent(bullets.map((bullet) => this.renderListItem(bullet)), 3),
+      indent('</ul>', 2),
+      indent('</div>'),
+      '</li>'
+    ].join('\n');
+  }
+
+  /**
+   * Render a simple list item holding trusted inline HTML
+   * @param {string} html - Item content
+   * @returns {string} Markup
+   */
+  renderListItem(html) {
+    return ['<li>', indent(html), '</li>'].join('\n');
+  }
+
+  /**
+   * Format a start/end pair for display
+   * @param {Object} entry - Entry with startDate/endDate
+   * @returns {string} Formatted range
+   */
+  formatDates(entry) {
+    return formatDateRange(entry.startDate, entry.endDate, {
+      locale: this.translator.locale,
+      presentLabel: this.translator.t('present')
+    });
+  }
+
+  /**
+   * Render the professional experience section
+   * @param {Object} experience - Experience data
+   * @returns {string} Markup
+   */
+  renderExperience(experience) {
+    const companies = experience.entries.map((entry) => {
+      const heading = `${escapeHtml(entry.position)}, ${renderReference(entry.organization)}`;
+      const projects = entry.projects.map((project) => {
+        const name = project.client
+          ? `${renderReference(project.client)} – ${escapeHtml(project.title)}`
+          : escapeHtml(project.title);
+        const projectHeading = `${name}<br><small>${escapeHtml(this.formatDates(project))}</small>`;
+        return this.renderProject(projectHeading, project.highlights, project.id);
+      });
+      return this.renderCompany(heading, this.formatDates(entry), projects, entry.id);
+    });
+
+    return this.renderSection(experience, companies.join('\n\n'), {
+      class: 'professional-experience'
+    });
+  }
+
+  /**
+   * Render the education section
+   * @param {Object} education - Education data
+   * @returns {string} Markup
+   */
+  renderEducation(education) {
+    const degrees = education.entries.map((entry) => {
+      const heading = `${escapeHtml(entry.degree)}, ${renderReference(entry.institution)}`;
+      const items = entry.highlights.map((highlight) => `<li>${highlight}</li>`);
+      return this.renderCompany(heading, this.formatDates(entry), items, entry.id);
+    });
+
+    return this.renderSection(education, degrees.join('\n\n'));
+  }
+
+  /**
+   * Render the technical skills section as a multi-column table
+   * @param {Object} skills - Skills data
+   * @returns {string} Markup
+   */
+  renderSkills(skills) {
+    const width = Math.floor(100 / skills.columns.length);
+    const cells = skills.columns.map((column, index) => {
+      const padding = index === 0 ? 'padding-right:20px' : 'padding-left:20px';
+      return [
+        `<td style="width:${width}%; ${padding}; vertical-align: top;">`,
+        indent(column.map((category) => this.renderSkillCategory(category))),
+        '</td>'
+      ].join('\n');
+    });
+
+    const table = [
+      `<table style="${STYLES.SKILLS_TABLE}">`,
+      indent('<tr valign="top">'),
+      indent(cells, 2),
+      indent('</tr>'),
+      '</table>'
+    ].join('\n');
+
+    return this.renderSection(skills, table, { style: STYLES.SKILLS_SECTION });
+  }
+
+  /**
+   * Render a single skill category (flat keyword list or labelled groups)
+   * @param {Object} category - Skill category
+   * @returns {string} Markup
+   */
+  renderSkillCategory(category) {
+    const lines = [
+      `<div style="${STYLES.SKILL_CATEGORY}">`,
+      indent(`<strong style="${STYLES.SKILL_CATEGORY_NAME}">${escapeHtml(category.name)}</strong>`)
+    ];
+
+    if (category.groups) {
+      const groups = category.groups.map((group, index) => {
+        const isLast = index === category.groups.length - 1;
+        const keywords = escapeHtml(group.keywords.join(', '));
+        const content = group.label
+          ? `<strong style="${STYLES.SKILL_GROUP_LABEL}">${escapeHtml(group.label)}:</strong> ` +
+            `<span>${keywords}</span>`
+          : keywords;
+        return isLast
+          ? `<div>${content}</div>`
+          : `<div style="${STYLES.SKILL_GROUP}">${content}</div>`;
+      });
+      lines.push(indent(`<div style="${STYLES.SKILL_GROUPS}">`));
+      lines.push(indent(groups, 2));
+      lines.push(indent('</div>'));
+    } else {
+      lines.push(indent(
+        `<p style="${STYLES.SKILL_KEYWORDS}">${escapeHtml(category.keywords.join(', '))}</p>`
+      ));
+    }
+
+    lines.push('</div>');
+    return lines.join('\n');
+  }
+
+  /**
+   * Render the soft skills section, split over two columns
+   * @param {Object} softSkills - Soft skills data
+   * @returns {string} Markup
+   */
+  renderSoftSkills(softSkills) {
+    const entries = softSkills.items.map(
+      (item) => `<span style="${STYLES.SOFT_SKILL}">${escapeHtml(item)}</span>`
+    );
+
+    if (softSkills.languages && softSkills.languages.length > 0) {
+      const languages = softSkills.languages
+        .map(({ language, fluency }) => (fluency ? `${language} (${fluency})` : language))
+        .join(', ');
+      const label = escapeHtml(this.translator.t('languages'));
+      entries.push(`<span style="${STYLES.SOFT_SKILL}">${label}:</span> ${escapeHtml(languages)}`);
+    }
+
+    const half = Math.ceil(entries.length / 2);
+    const columns = [entries.slice(0, half), entries.slice(half)];
+    const cells = columns.map((column, index) => {
+      const padding = index === 0 ? 'padding-right:15px' : 'padding-left:15px';
+      return [
+        `<td style="width:50%; ${padding}; line-height: 2.0;">`,
+        indent(column.join('<br>\n')),
+        '</td>'
+      ].join('\n');
+    });
+
+    const table = [
+      `<table style="${STYLES.SOFT_SKILLS_TABLE}">`,
+      indent('<tr valign="top">'),
+      indent(cells, 2),
+      indent('</tr>'),
+      '</table>'
+    ].join('\n');
+
+    return this.renderSection(softSkills, table);
+  }
+
+  /**
+   * Render a grouped list section such as certifications or achievements:
+   * each group is a company-level block, each item a linked project entry
+   * @param {Object} section - Section data
+   * @returns {string} Markup
+   */
+  renderGroupedSection(section) {
+    const groups = section.groups.map((group) => {
+      const items = group.items.map((item) => {
+        const name = escapeHtml(item.name);
+        const heading = item.url ? renderExternalLink(item.url, name) : name;
+        return this.renderProject(heading, item.description ? [item.description] : [],
+          item.id);
+      });
+      return this.renderCompany(escapeHtml(group.name), null, items, group.id);
+    });
+
+    return this.renderSection(section, groups.join('\n\n'));
+  }
+
+  /**
+   * Render the page footer
+   * @param {Object} footer - Footer data
+   * @returns {string} Markup
+   */
+  renderFooter(footer) {
+    return [
+      '<footer class="footer text-center mt-5">',
+      indent(`<p class="mt-4 mb-2">${footer.text}</p>`),
+      '</footer>'
+    ].join('\n');
+  }
+}
+
+module.exports = CVRenderer;
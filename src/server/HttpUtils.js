@@ -0,0 +1,122 @@
+/**
+ * HTTP Utilities
+ *
+ * Helpers shared by the local servers (dev.js, serve.js): listening, static
+ * files and JSON responses.
+ *
+ * @module HttpUtils
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { HTTP_STATUS, ERROR_MESSAGES } = require('../constants');
+const { UsageError } = require('../errors/CustomErrors');
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.mjs': 'text/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.pdf': 'application/pdf',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.ico': 'image/x-icon'
+};
+
+/**
+ * Content type of a file, from its extension
+ * @param {string} filePath - File path
+ * @returns {string} Content type, application/octet-stream for unknown extensions
+ */
+function getContentType(filePath) {
+  return CONTENT_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream';
+}
+
+/**
+ * Start listening
+ * @param {http.Server} server - Server
+ * @param {number} port - Port
+ * @param {string} host - Host
+ * @returns {Promise<string>} Base URL of the server
+ * @throws {UsageError} If the port is already in use
+ */
+function listen(server, port, host) {
+  return new Promise((resolve, reject) => {
+    server.once('error', (error) => {
+      reject(error.code === 'EADDRINUSE'
+        ? new UsageError(`${ERROR_MESSAGES.PORT_IN_USE} ${port}`)
+        : error);
+    });
+    server.listen(port, host, () => resolve(`http://${host}:${port}/`));
+  });
+}
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} response - Response
+ * @param {number} status - HTTP status
+ * @param {Object} body - Response body
+ */
+function sendJSON(response, status, body) {
+  response.writeHead(status, { 'Content-Type': CONTENT_TYPES['.json'] });
+  response.end(JSON.stringify(body));
+}
+
+/**
+ * Serve a file of the root directory; directories serve their index.html. A path that
+ * does not decode is answered with 400.
+ * @param {string} root - Absolute path of the served directory
+ * @param {string} pathname - URL path of the request
+ * @param {http.IncomingMessage} request - Request (GET or HEAD)
+ * @param {http.ServerResponse} response - Response
+ * @param {Object} [options] - Options
+ * @param {Function} [options.transformHTML] - Rewrites HTML pages before they are sent
+ */
+function serveStatic(root, pathname, request, response, { transformHTML } = {}) {
+  let decoded;
+  try {
+    decoded = decodeURIComponent(pathname);
+  } catch (error) {
+    // Percent-encoding that does not decode, e.g. /%E0%A4%A
+    response.writeHead(HTTP_STATUS.BAD_REQUEST, { 'Content-Type': CONTENT_TYPES['.html'] });
+    response.end(`${ERROR_MESSAGES.MALFORMED_PATH}: ${pathname}`);
+    return;
+  }
+
+  const filePath = path.join(root, decoded);
+  if (filePath !== root && !filePath.startsWith(`${root}${path.sep}`)) {
+    response.writeHead(HTTP_STATUS.FORBIDDEN).end();
+    return;
+  }
+
+  const file = fs.existsSync(filePath) && fs.statSync(filePath).isDirectory()
+    ? path.join(filePath, 'index.html')
+    : filePath;
+  if (!fs.existsSync(file)) {
+    response.writeHead(HTTP_STATUS.NOT_FOUND, { 'Content-Type': CONTENT_TYPES['.html'] });
+    response.end(`Not found: ${pathname}`);
+    return;
+  }
+
+  const extension = path.extname(file).toLowerCase();
+  let body = fs.readFileSync(file);
+  if (extension === '.html' && transformHTML) {
+    body = transformHTML(body.toString('utf8'));
+  }
+
+  response.writeHead(HTTP_STATUS.OK, {
+    'Content-Type': getContentType(file),
+    'Cache-Control': 'no-store'
+  });
+  response.end(request.method === 'HEAD' ? undefined : body);
+}
+
+module.exports = {
+  getContentType,
+  listen,
+  sendJSON,
+  serveStatic
+};
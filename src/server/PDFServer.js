@@ -0,0 +1,320 @@
+/**
+ * PDF Server
+ *
+ * Serves the website and renders PDF variants on demand at SERVER.PDF_PATH,
+ * e.g. /cv.pdf?format=Letter&theme=print&lang=fr. Query parameters are
+ * validated like the configuration file, renders go through a RenderPool of
+ * warm browsers, and rendered PDFs are cached by a hash of their options and
+ * of the modification times of the site's sources. Reading these times stats
+ * every file of DEV.DIRECTORIES, so it is done once, then again only after a
+ * ChangeWatcher reports a change.
+ *
+ * Emits 'request' ({ method, path, status, cache, duration }) once a request
+ * is answered.
+ *
+ * @module PDFServer
+ */
+
+const { EventEmitter } = require('events');
+const crypto = require('crypto');
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const { DEV, SERVER, HTTP_STATUS, I18N, ERROR_MESSAGES } = require('../constants');
+const { ServerBusyError, UsageError, ValidationError } = require('../errors/CustomErrors');
+const { validatePDFConfig, validateTheme, validateLanguage } = require('../utils/ConfigValidator');
+const { parseMargin, parseScale } = require('../cli/CLIArguments');
+const { localizeFilename } = require('../i18n/Translator');
+const { PDFRenderer } = require('../api/PDFRenderer');
+const ChangeWatcher = require('../dev/ChangeWatcher');
+const RenderPool = require('./RenderPool');
+const { listen, sendJSON, serveStatic } = require('./HttpUtils');
+
+/**
+ * Latest modification time of the files PDFs are rendered from; stats every watched file
+ * @param {string} root - Project root
+ * @returns {number} Modification time in milliseconds
+ */
+function getContentVersion(root) {
+  const rootFiles = fs.readdirSync(root)
+    .filter((file) => DEV.ROOT_FILE_PATTERN.test(file));
+  const directoryFiles = DEV.DIRECTORIES
+    .filter((directory) => fs.existsSync(path.join(root, directory)))
+    .flatMap((directory) => fs.readdirSync(path.join(root, directory), { recursive: true })
+      .map((file) => path.join(directory, file)));
+
+  return [...rootFiles, ...directoryFiles]
+    .reduce((latest, file) => Math.max(latest, fs.statSync(path.join(root, file)).mtimeMs), 0);
+}
+
+/**
+ * HTTP status of a failed request
+ * @param {Error} error - Error thrown while handling the request
+ * @returns {number} HTTP status
+ */
+function getHTTPStatus(error) {
+  if (error instanceof ValidationError || error instanceof UsageError ||
+    error.code === 'ERR_INVALID_URL') {
+    return HTTP_STATUS.BAD_REQUEST;
+  }
+  if (error instanceof ServerBusyError) {
+    return HTTP_STATUS.SERVICE_UNAVAILABLE;
+  }
+  return HTTP_STATUS.INTERNAL_SERVER_ERROR;
+}
+
+/**
+ * Static site and on-demand PDF server
+ */
+class PDFServer extends EventEmitter {
+  /**
+   * @param {string} root - Directory to serve (the project root)
+   * @param {Object} options - Server options
+   * @param {PDFConfig} options.config - Configuration the query parameters override
+   * @param {Function} options.getPageSource - Returns the page to render for
+   *   (config, { language, profile })
+   * @param {number} [options.port] - Port to listen on
+   * @param {string} [options.host] - Host to listen on
+   * @param {number} [options.concurrency] - Maximum number of concurrent renders
+   * @param {number} [options.cacheSize] - Maximum number of cached PDFs
+   */
+  constructor(root, {
+    config,
+    getPageSource,
+    port = SERVER.PORT,
+    host = SERVER.HOST,
+    concurrency = SERVER.CONCURRENCY,
+    cacheSize = SERVER.CACHE_SIZE
+  }) {
+    super();
+    this.root = path.resolve(root);
+    this.config = config;
+    this.getPageSource = getPageSource;
+    this.port = port;
+    this.host = host;
+    this.cacheSize = cacheSize;
+    this.cache = new Map();
+    this.contentVersion = null;
+    this.watcher = null;
+    this.pool = new RenderPool(() => new PDFRenderer({ config }), { size: concurrency });
+    this.server = http.createServer((request, response) => this.handle(request, response));
+  }
+
+  /**
+   * Start listening, and watching the sources so their modification times are read again
+   * only after a change
+   * @returns {Promise<string>} Base URL of the server
+   * @throws {UsageError} If the port is already in use
+   */
+  start() {
+    this.watch();
+    return listen(this.server, this.port, this.host);
+  }
+
+  /**
+   * Watch the sources, forgetting their modification times when one changes
+   */
+  watch() {
+    this.watcher = new ChangeWatcher(this.root);
+    this.watcher.on('change', () => {
+      this.contentVersion = null;
+    });
+    // Without a watcher, the modification times are read on every PDF request
+    this.watcher.on('error', () => this.stopWatching());
+    this.watcher.start();
+  }
+
+  /**
+   * Stop watching the sources
+   */
+  stopWatching() {
+    if (this.watcher) {
+      this.watcher.close();
+      this.watcher = null;
+    }
+    this.contentVersion = null;
+  }
+
+  /**
+   * Latest modification time of the sources, read once per change while watching them
+   * @returns {number} Modification time in milliseconds
+   */
+  getContentVersion() {
+    if (!this.watcher) {
+      return getContentVersion(this.root);
+    }
+    if (this.contentVersion === null) {
+      this.contentVersion = getContentVersion(this.root);
+    }
+    return this.contentVersion;
+  }
+
+  /**
+   * Launch a browser before the first request
+   * @returns {Promise<void>}
+   * @throws {BrowserError} If the browser cannot be launched
+   */
+  warm() {
+    return this.pool.warm();
+  }
+
+  /**
+   * Handle a request: a PDF variant or a file of the site
+   * @param {http.IncomingMessage} request - Request
+   * @param {http.ServerResponse} response - Response
+   * @returns {Promise<void>}
+   */
+  async handle(request, response) {
+    const started = Date.now();
+    let cache = null;
+
+    // Nothing a request does may stop the server: every error is answered
+    try {
+      const { pathname, searchParams } = new URL(request.url, `http://${this.host}`);
+      if (request.method !== 'GET' && request.method !== 'HEAD') {
+        response.writeHead(HTTP_STATUS.METHOD_NOT_ALLOWED).end();
+      } else if (pathname !== SERVER.PDF_PATH) {
+        serveStatic(this.root, pathname, request, response);
+      } else {
+        const options = this.parseQuery(searchParams);
+        const result = await this.renderVariant(options);
+        cache = result.cached ? 'hit' : 'miss';
+        this.sendPDF(request, response, options, result);
+      }
+    } catch (error) {
+      if (response.headersSent) {
+        response.destroy();
+      } else {
+        sendJSON(response, getHTTPStatus(error), {
+          error: error.message,
+          field: error.field || undefined
+        });
+      }
+    }
+
+    this.emit('request', {
+      method: request.method,
+      path: request.url,
+      status: response.statusCode,
+      cache,
+      duration: Date.now() - started
+    });
+  }
+
+  /**
+   * Parse and validate the query parameters of the PDF route
+   * @param {URLSearchParams} searchParams - Query parameters
+   * @returns {Object} Render options ({ language, profile, theme, pdf })
+   * @throws {ValidationError} If a parameter is unknown or invalid
+   * @throws {UsageError} If the scale or margin is malformed
+   */
+  parseQuery(searchParams) {
+    const query = Object.fromEntries(searchParams);
+    const unknown = Object.keys(query).filter((key) => !SERVER.QUERY_OPTIONS.includes(key));
+    if (unknown.length > 0) {
+      throw new ValidationError(`${ERROR_MESSAGES.UNKNOWN_QUERY_OPTION}: ${unknown.join(', ')}`,
+        unknown[0]);
+    }
+
+    const pdf = {};
+    if (query.format) {
+      pdf.format = query.format;
+    }
+    if (query.scale) {
+      pdf.scale = parseScale(query.scale, 'scale');
+    }
+    if (query.margin) {
+      pdf.margin = parseMargin(query.margin, 'margin');
+    }
+    validatePDFConfig(pdf);
+
+    const theme = query.theme || this.config.getThemeName();
+    validateTheme(theme);
+
+    const language = query.lang || I18N.DEFAULT_LANGUAGE;
+    validateLanguage(language, 'lang');
+
+    const profile = query.profile || undefined;
+    if (profile && !Object.keys(this.config.getProfiles()).includes(profile)) {
+      throw new ValidationError(`${ERROR_MESSAGES.UNKNOWN_PROFILE}: ${profile}`, 'profile');
+    }
+
+    return { language, profile, theme, pdf };
+  }
+
+  /**
+   * Render a PDF variant, or reuse it from the cache. Concurrent requests for
+   * the same variant share one render.
+   * @param {Object} options - Render options from parseQuery
+   * @returns {Promise<Object>} Result ({ pdf, etag, cached })
+   */
+  async renderVariant(options) {
+    const etag = crypto.createHash('sha256')
+      .update(JSON.stringify({ options, version: this.getContentVersion() }))
+      .digest('hex');
+
+    const entry = this.cache.get(etag);
+    if (entry) {
+      // Most recently used entries stay at the end of the map
+      this.cache.delete(etag);
+      this.cache.set(etag, entry);
+      return { pdf: await entry, etag, cached: true };
+    }
+
+    const render = this.pool.run((renderer) => {
+      const { language, profile, theme, pdf } = options;
+      const source = this.getPageSource(this.config, { language, profile });
+      return renderer.render(source, { pdf, theme });
+    });
+    this.cache.set(etag, render);
+    render.catch(() => this.cache.delete(etag));
+    if (this.cache.size > this.cacheSize) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+
+    return { pdf: await render, etag, cached: false };
+  }
+
+  /**
+   * Send a rendered PDF, or 304 when the client already has it
+   * @param {http.IncomingMessage} request - Request
+   * @param {http.ServerResponse} response - Response
+   * @param {Object} options - Render options
+   * @param {Object} result - Result of renderVariant
+   */
+  sendPDF(request, response, { language, profile }, { pdf, etag, cached }) {
+    const quotedETag = `"${etag}"`;
+    if (request.headers['if-none-match'] === quotedETag) {
+      response.writeHead(HTTP_STATUS.NOT_MODIFIED, { ETag: quotedETag }).end();
+      return;
+    }
+
+    let filename = path.basename(this.config.getOutputPath());
+    if (profile) {
+      filename = localizeFilename(filename, profile);
+    }
+    filename = localizeFilename(filename, language);
+
+    response.writeHead(HTTP_STATUS.OK, {
+      'Content-Type': 'application/pdf',
+      'Content-Length': pdf.length,
+      'Content-Disposition': `inline; filename="${filename}"`,
+      'Cache-Control': 'no-cache',
+      'ETag': quotedETag,
+      'X-Cache': cached ? 'HIT' : 'MISS'
+    });
+    response.end(request.method === 'HEAD' ? undefined : pdf);
+  }
+
+  /**
+   * Stop accepting requests and close the browsers once their renders are done
+   * @returns {Promise<void>}
+   */
+  async close() {
+    this.stopWatching();
+    await new Promise((resolve) => this.server.close(() => resolve()));
+    await this.pool.close();
+  }
+}
+
+module.exports = PDFServer;
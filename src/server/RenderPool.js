@@ -0,0 +1,97 @@
+/**
+ * Render Pool
+ *
+ * Limits concurrent PDF renders to a fixed number of renderers, each with a
+ * browser kept warm between requests. Renderers are created on demand; extra
+ * renders wait for the least busy one, and once the waiting list is full new
+ * renders are refused with a ServerBusyError.
+ *
+ * @module RenderPool
+ */
+
+const { SERVER, ERROR_MESSAGES } = require('../constants');
+const { ServerBusyError } = require('../errors/CustomErrors');
+
+/**
+ * Pool of PDFRenderer instances
+ */
+class RenderPool {
+  /**
+   * @param {Function} createRenderer - Returns a new PDFRenderer
+   * @param {Object} [options] - Pool options
+   * @param {number} [options.size] - Maximum number of renderers (concurrent renders)
+   * @param {number} [options.maxQueue] - Maximum number of renders waiting for a renderer
+   */
+  constructor(createRenderer, { size = SERVER.CONCURRENCY, maxQueue = SERVER.MAX_QUEUE } = {}) {
+    this.createRenderer = createRenderer;
+    this.size = size;
+    this.maxQueue = maxQueue;
+    this.slots = [];
+  }
+
+  /**
+   * Number of renders in progress or waiting
+   * @returns {number} Pending renders
+   */
+  get pending() {
+    return this.slots.reduce((total, slot) => total + slot.load, 0);
+  }
+
+  /**
+   * Launch the browser of the first renderer, so the first request does not wait for it
+   * @returns {Promise<void>}
+   * @throws {BrowserError} If the browser cannot be launched
+   */
+  async warm() {
+    await this.acquire().renderer.open();
+  }
+
+  /**
+   * Run a task with a renderer
+   * @param {Function} task - Async task receiving the renderer
+   * @returns {Promise<*>} Result of the task
+   * @throws {ServerBusyError} If too many renders are pending
+   */
+  async run(task) {
+    if (this.pending >= this.size + this.maxQueue) {
+      throw new ServerBusyError(ERROR_MESSAGES.SERVER_BUSY);
+    }
+
+    const slot = this.acquire();
+    slot.load++;
+    try {
+      return await task(slot.renderer);
+    } finally {
+      slot.load--;
+    }
+  }
+
+  /**
+   * Pick an idle renderer, create one while below the pool size, or else the least busy one
+   * @returns {Object} Slot ({ renderer, load })
+   */
+  acquire() {
+    const idle = this.slots.find((slot) => slot.load === 0);
+    if (idle) {
+      return idle;
+    }
+    if (this.slots.length < this.size) {
+      const slot = { renderer: this.createRenderer(), load: 0 };
+      this.slots.push(slot);
+      return slot;
+    }
+    return this.slots.reduce((least, slot) => (slot.load < least.load ? slot : least));
+  }
+
+  /**
+   * Close every renderer once its renders are done
+   * @returns {Promise<void>}
+   */
+  async close() {
+    const slots = this.slots;
+    this.slots = [];
+    await Promise.all(slots.map((slot) => slot.renderer.close()));
+  }
+}
+
+module.exports = RenderPool;
@@ -0,0 +1,130 @@
+/**
+ * PDF Themes
+ *
+ * Declarative looks for the generated PDF. A theme assigns colours to a fixed
+ * set of roles and may add its own CSS rules; ThemeStylesheet turns it into
+ * the stylesheet injected into the page. Adding a look only requires a new
+ * entry here.
+ *
+ * Theme fields:
+ * - description: shown by the CLI
+ * - extends: name of a theme to start from
+ * - bodyClass: class added to <body> (e.g. the site's "dark-mode")
+ * - colors: background, surface, text, heading, subheading, muted, link, accent
+ * - rules: extra CSS rules ({ selector: { property: value } })
+ * - pdf: Puppeteer PDF options the theme needs (e.g. printBackground)
+ *
+ * @module PDFThemes
+ */
+
+const { PDF_STYLES } = require('../constants');
+const { ConfigurationError } = require('../errors/CustomErrors');
+
+const DEFAULT_THEME = 'accent';
+
+const THEMES = {
+  accent: {
+    description: 'Black text on white with accent-coloured links and section rules',
+    colors: {
+      background: PDF_STYLES.COLORS.BACKGROUND,
+      surface: PDF_STYLES.COLORS.BACKGROUND,
+      text: PDF_STYLES.COLORS.TEXT_PRIMARY,
+      heading: PDF_STYLES.COLORS.TEXT_PRIMARY,
+      subheading: PDF_STYLES.COLORS.TEXT_SECONDARY,
+      muted: PDF_STYLES.COLORS.TEXT_TERTIARY,
+      link: PDF_STYLES.COLORS.LINK,
+      accent: PDF_STYLES.COLORS.BORDER
+    }
+  },
+
+  print: {
+    description: 'Monochrome, for black-and-white printing',
+    extends: 'accent',
+    colors: {
+      subheading: PDF_STYLES.COLORS.TEXT_PRIMARY,
+      link: PDF_STYLES.COLORS.TEXT_PRIMARY,
+      accent: PDF_STYLES.COLORS.TEXT_PRIMARY
+    },
+    rules: {
+      'a': { 'text-decoration': 'underline' },
+      'img.profile-image': { filter: 'grayscale(100%)' }
+    },
+    pdf: { printBackground: false }
+  },
+
+  dark: {
+    description: 'On-screen PDF matching the website dark mode',
+    bodyClass: 'dark-mode',
+    colors: {
+      background: 'var(--bg-primary)',
+      surface: 'var(--bg-secondary)',
+      text: 'var(--text-primary)',
+      heading: 'var(--text-primary)',
+      subheading: 'var(--text-secondary)',
+      muted: 'var(--text-muted)',
+      link: 'var(--accent-color)',
+      accent: 'var(--accent-color)'
+    },
+    pdf: { printBackground: true }
+  },
+
+  compact: {
+    description: 'Accent theme with tighter type and spacing to save pages',
+    extends: 'accent',
+    rules: {
+      'body': { 'font-size': '13px', 'line-height': '1.35' },
+      'section': { 'margin-bottom': '12px' },
+      '.section-title': { 'padding-bottom': '4px', 'margin-bottom': '8px', 'font-size': '1.3rem' },
+      'h4': { 'margin-bottom': '2px' },
+      'li': { 'margin-bottom': '2px' },
+      'img.profile-image': { width: '11%', height: '11%', 'margin-bottom': '8px' }
+    }
+  }
+};
+
+/**
+ * Names of the available themes
+ * @returns {string[]} Theme names
+ */
+function getThemeNames() {
+  return Object.keys(THEMES);
+}
+
+/**
+ * Resolve a theme by name, applying `extends`
+ * @param {string} [name=accent] - Theme name
+ * @param {string[]} [chain] - Themes already visited (guards against cycles)
+ * @returns {Object} Theme with name, description, bodyClass, colors, rules and pdf
+ * @throws {ConfigurationError} If the theme is unknown or extends itself
+ */
+function resolveTheme(name = DEFAULT_THEME, chain = []) {
+  const theme = THEMES[name];
+  if (!theme) {
+    throw new ConfigurationError(
+      `Unknown PDF theme "${name}", expected one of: ${getThemeNames().join(', ')}`
+    );
+  }
+  if (chain.includes(name)) {
+    throw new ConfigurationError(`PDF theme "${name}" extends itself`);
+  }
+
+  const base = theme.extends
+    ? resolveTheme(theme.extends, [...chain, name])
+    : { bodyClass: null, colors: {}, rules: {}, pdf: {} };
+
+  return {
+    name,
+    description: theme.description || base.description,
+    bodyClass: theme.bodyClass !== undefined ? theme.bodyClass : base.bodyClass,
+    colors: { ...base.colors, ...theme.colors },
+    rules: { ...base.rules, ...theme.rules },
+    pdf: { ...base.pdf, ...theme.pdf }
+  };
+}
+
+module.exports = {
+  THEMES,
+  DEFAULT_THEME,
+  getThemeNames,
+  resolveTheme
+};
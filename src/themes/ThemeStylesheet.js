@@ -0,0 +1,80 @@
+/**
+ * Theme Stylesheet
+ *
+ * Builds the CSS injected into the page before rendering a PDF from a resolved
+ * theme (see PDFThemes). Every declaration is marked !important so it wins over
+ * the inline styles of the generated markup and the site's own print rules.
+ *
+ * @module ThemeStylesheet
+ */
+
+const { PDF_STYLES } = require('../constants');
+
+/**
+ * Which elements each colour role applies to, later entries win
+ */
+const COLOR_RULES = [
+  ['html, body', { 'background-color': 'background' }],
+  ['.container', { 'background-color': 'surface' }],
+  ['body, p, li, td, strong, span[style*="color"], .collapsible-skill-category', { color: 'text' }],
+  ['h1, h2, h3, h4, .section-title', { color: 'heading' }],
+  ['h5, .lead, em', { color: 'subheading' }],
+  ['small', { color: 'muted' }],
+  ['a, a strong', { color: 'link' }],
+  ['header', { 'border-bottom-color': 'heading' }],
+  ['.section-title', { 'border-bottom-color': 'accent' }]
+];
+
+/**
+ * Layout rules shared by every theme
+ */
+const BASE_RULES = {
+  '.container': { border: 'none' },
+  '.section-title': {
+    'border-bottom': PDF_STYLES.SECTION_TITLE.BORDER_BOTTOM,
+    'padding-bottom': PDF_STYLES.SECTION_TITLE.PADDING_BOTTOM,
+    'margin-bottom': PDF_STYLES.SECTION_TITLE.MARGIN_BOTTOM
+  },
+  'td p': { 'margin-bottom': '4px', 'line-height': '1.6' }
+};
+
+/**
+ * Render one CSS rule
+ * @param {string} selector - CSS selector
+ * @param {Object} declarations - Property/value pairs
+ * @returns {string} CSS rule
+ */
+function renderRule(selector, declarations) {
+  const body = Object.entries(declarations)
+    .map(([property, value]) => `  ${property}: ${value} !important;`)
+    .join('\n');
+  return `${selector} {\n${body}\n}`;
+}
+
+/**
+ * Build the stylesheet of a resolved theme
+ * @param {Object} theme - Theme returned by resolveTheme
+ * @returns {string} CSS
+ */
+function buildThemeStylesheet(theme) {
+  const colorRules = COLOR_RULES
+    .map(([selector, roles]) => {
+      const declarations = Object.fromEntries(
+        Object.entries(roles)
+          .filter(([, role]) => theme.colors[role])
+          .map(([property, role]) => [property, theme.colors[role]])
+      );
+      return Object.keys(declarations).length > 0 ? renderRule(selector, declarations) : null;
+    })
+    .filter(Boolean);
+
+  const layoutRules = Object.entries(BASE_RULES)
+    .map(([selector, declarations]) => renderRule(selector, declarations));
+  const themeRules = Object.entries(theme.rules)
+    .map(([selector, declarations]) => renderRule(selector, declarations));
+
+  return [`/* PDF theme: ${theme.name} */`, ...layoutRules, ...colorRules, ...themeRules]
+    .join('\n');
+}
+
+module.exports = { buildThemeStylesheet };
@@ -0,0 +1,326 @@
+/**
+ * CV Data Validator
+ *
+ * Validates the structure of the CV data file (cv.json) before rendering.
+ * Follows the same Fail-Fast approach as the configuration validator.
+ *
+ * @module CVDataValidator
+ */
+
+const { ValidationError } = require('../errors/CustomErrors');
+const { I18N } = require('../constants');
+const { isLocalizedText } = require('../i18n/Translator');
+const { isValidDate } = require('./DateFormatter');
+
+// Ids of sections and items (see Anchors): lowercase letters, digits and dashes
+const ID_PATTERN = /^[a-z][a-z0-9-]*$/;
+
+/**
+ * Asserts that a value is a non-empty string
+ * @param {*} value - Value to check
+ * @param {string} field - Field path used in the error
+ * @throws {ValidationError} If the value is not a non-empty string
+ */
+function requireString(value, field) {
+  if (typeof value !== 'string' || value.trim() === '') {
+    throw new ValidationError(`${field} must be a non-empty string`, field);
+  }
+}
+
+/**
+ * Asserts that a value is translatable text: a non-empty string, or a localized
+ * object ({ en: '...', fr: '...' }) that includes the default language
+ * @param {*} value - Value to check
+ * @param {string} field - Field path used in the error
+ * @throws {ValidationError} If the value is not valid text
+ */
+function requireText(value, field) {
+  if (!isLocalizedText(value)) {
+    requireString(value, field);
+    return;
+  }
+  requireString(value[I18N.DEFAULT_LANGUAGE], `${field}.${I18N.DEFAULT_LANGUAGE}`);
+}
+
+/**
+ * Asserts that a value is an array
+ * @param {*} value - Value to check
+ * @param {string} field - Field path used in the error
+ * @throws {ValidationError} If the value is not an array
+ */
+function requireArray(value, field) {
+  if (!Array.isArray(value)) {
+    throw new ValidationError(`${field} must be an array`, field);
+  }
+}
+
+/**
+ * Validates the optional `tags` of an item (see ProfileFilter)
+ * @param {Object} item - Item that may carry tags
+ * @param {string} field - Field path of the item
+ * @throws {ValidationError} If the tags are not a list of non-empty strings
+ */
+function validateTags(item, field) {
+  if (!item || item.tags === undefined) {
+    return;
+  }
+  requireArray(item.tags, `${field}.tags`);
+  item.tags.forEach((tag, index) => requireString(tag, `${field}.tags[${index}]`));
+}
+
+/**
+ * Validates the optional `id` of a section or item, the anchor of its heading (see Anchors)
+ * @param {Object} item - Section or item that may carry an id
+ * @param {string} field - Field path of the item
+ * @throws {ValidationError} If the id is not lowercase letters, digits and dashes
+ */
+function validateId(item, field) {
+  if (!item || item.id === undefined) {
+    return;
+  }
+  if (typeof item.id !== 'string' || !ID_PATTERN.test(item.id)) {
+    throw new ValidationError(`${field}.id must start with a lowercase letter, followed by ` +
+      'lowercase letters, digits and dashes', `${field}.id`);
+  }
+}
+
+/**
+ * Validates a list of highlights: text, or tagged text ({ text, tags })
+ * @param {Array} highlights - Highlights to validate
+ * @param {string} field - Field path of the list
+ * @throws {ValidationError} If a highlight is invalid
+ */
+function validateHighlights(highlights, field) {
+  requireArray(highlights, field);
+  highlights.forEach((highlight, index) => {
+    const highlightField = `${field}[${index}]`;
+    if (highlight && typeof highlight === 'object' && 'tags' in highlight) {
+      requireText(highlight.text, `${highlightField}.text`);
+      requireArray(highlight.tags, `${highlightField}.tags`);
+      validateTags(highlight, highlightField);
+    } else {
+      requireText(highlight, highlightField);
+    }
+  });
+}
+
+/**
+ * Validates a start/end date pair; end may be null for ongoing entries
+ * @param {Object} entry - Entry holding startDate/endDate
+ * @param {string} field - Field path of the entry
+ * @throws {ValidationError} If a date is malformed
+ */
+function validateDates(entry, field) {
+  if (!isValidDate(entry.startDate)) {
+    throw new ValidationError(`${field}.startDate must be YYYY or YYYY-MM`, `${field}.startDate`);
+  }
+  if (entry.endDate !== null && entry.endDate !== undefined && !isValidDate(entry.endDate)) {
+    throw new ValidationError(`${field}.endDate must be YYYY, YYYY-MM or null`, `${field}.endDate`);
+  }
+}
+
+/**
+ * Validates a named reference ({ name, url? })
+ * @param {Object} reference - Reference to validate
+ * @param {string} field - Field path
+ * @throws {ValidationError} If the reference is invalid
+ */
+function validateReference(reference, field) {
+  if (!reference || typeof reference !== 'object') {
+    throw new ValidationError(`${field} must be an object`, field);
+  }
+  requireText(reference.name, `${field}.name`);
+  if (reference.url !== undefined) {
+    requireString(reference.url, `${field}.url`);
+  }
+}
+
+/**
+ * Validates the header block
+ * @param {Object} header - Header data
+ * @throws {ValidationError} If the header is invalid
+ */
+function validateHeader(header) {
+  if (!header || typeof header !== 'object') {
+    throw new ValidationError('header must be an object', 'header');
+  }
+  requireText(header.name, 'header.name');
+  requireText(header.headline, 'header.headline');
+  if (header.profiles !== undefined) {
+    requireArray(header.profiles, 'header.profiles');
+    header.profiles.forEach((profile, index) => {
+      requireString(profile.network, `header.profiles[${index}].network`);
+      requireString(profile.url, `header.profiles[${index}].url`);
+    });
+  }
+}
+
+/**
+ * Validates the professional experience section
+ * @param {Object} experience - Experience section data
+ * @throws {ValidationError} If the section is invalid
+ */
+function validateExperience(experience) {
+  requireText(experience.title, 'experience.title');
+  validateId(experience, 'experience');
+  requireArray(experience.entries, 'experience.entries');
+  experience.entries.forEach((entry, index) => {
+    const field = `experience.entries[${index}]`;
+    requireText(entry.position, `${field}.position`);
+    validateReference(entry.organization, `${field}.organization`);
+    validateDates(entry, field);
+    validateTags(entry, field);
+    validateId(entry, field);
+    requireArray(entry.projects, `${field}.projects`);
+    entry.projects.forEach((project, projectIndex) => {
+      const projectField = `${field}.projects[${projectIndex}]`;
+      requireText(project.title, `${projectField}.title`);
+      if (project.client !== undefined) {
+        validateReference(project.client, `${projectField}.client`);
+      }
+      validateDates(project, projectField);
+      validateTags(project, projectField);
+      validateId(project, projectField);
+      validateHighlights(project.highlights, `${projectField}.highlights`);
+    });
+  });
+}
+
+/**
+ * Validates the education section
+ * @param {Object} education - Education section data
+ * @throws {ValidationError} If the section is invalid
+ */
+function validateEducation(education) {
+  requireText(education.title, 'education.title');
+  validateId(education, 'education');
+  requireArray(education.entries, 'education.entries');
+  education.entries.forEach((entry, index) => {
+    const field = `education.entries[${index}]`;
+    requireText(entry.degree, `${field}.degree`);
+    validateReference(entry.institution, `${field}.institution`);
+    validateDates(entry, field);
+    validateTags(entry, field);
+    validateId(entry, field);
+    validateHighlights(entry.highlights, `${field}.highlights`);
+  });
+}
+
+/**
+ * Validates the technical skills section
+ * @param {Object} skills - Skills section data
+ * @throws {ValidationError} If the section is invalid
+ */
+function validateSkills(skills) {
+  requireText(skills.title, 'skills.title');
+  validateId(skills, 'skills');
+  requireArray(skills.columns, 'skills.columns');
+  skills.columns.forEach((column, columnIndex) => {
+    requireArray(column, `skills.columns[${columnIndex}]`);
+    column.forEach((category, index) => {
+      const field = `skills.columns[${columnIndex}][${index}]`;
+      requireText(category.name, `${field}.name`);
+      validateTags(category, field);
+      if (category.groups !== undefined) {
+        requireArray(category.groups, `${field}.groups`);
+        category.groups.forEach((group, groupIndex) => {
+          requireArray(group.keywords, `${field}.groups[${groupIndex}].keywords`);
+          validateTags(group, `${field}.groups[${groupIndex}]`);
+        });
+      } else {
+        requireArray(category.keywords, `${field}.keywords`);
+      }
+    });
+  });
+}
+
+/**
+ * Validates the soft skills section
+ * @param {Object} softSkills - Soft skills section data
+ * @throws {ValidationError} If the section is invalid
+ */
+function validateSoftSkills(softSkills) {
+  requireText(softSkills.title, 'softSkills.title');
+  validateId(softSkills, 'softSkills');
+  requireArray(softSkills.items, 'softSkills.items');
+  if (softSkills.languages !== undefined) {
+    requireArray(softSkills.languages, 'softSkills.languages');
+  }
+}
+
+/**
+ * Validates a grouped list section (certifications, achievements)
+ * @param {Object} section - Section data
+ * @param {string} field - Section field name
+ * @throws {ValidationError} If the section is invalid
+ */
+function validateGroupedSection(section, field) {
+  requireText(section.title, `${field}.title`);
+  validateId(section, field);
+  requireArray(section.groups, `${field}.groups`);
+  section.groups.forEach((group, index) => {
+    const groupField = `${field}.groups[${index}]`;
+    requireText(group.name, `${groupField}.name`);
+    validateTags(group, groupField);
+    validateId(group, groupField);
+    requireArray(group.items, `${groupField}.items`);
+    group.items.forEach((item, itemIndex) => {
+      requireText(item.name, `${groupField}.items[${itemIndex}].name`);
+      validateTags(item, `${groupField}.items[${itemIndex}]`);
+      validateId(item, `${groupField}.items[${itemIndex}]`);
+    });
+  });
+}
+
+/**
+ * Validates a complete CV data object
+ * @param {Object} data - CV data
+ * @throws {ValidationError} If the data is invalid
+ */
+function validateCVData(data) {
+  if (!data || typeof data !== 'object') {
+    throw new ValidationError('CV data must be an object');
+  }
+
+  validateHeader(data.header);
+
+  if (data.summary) {
+    requireText(data.summary.title, 'summary.title');
+    requireText(data.summary.text, 'summary.text');
+    validateId(data.summary, 'summary');
+  }
+
+  if (data.experience) {
+    validateExperience(data.experience);
+  }
+
+  if (data.education) {
+    validateEducation(data.education);
+  }
+
+  if (data.skills) {
+    validateSkills(data.skills);
+  }
+
+  if (data.softSkills) {
+    validateSoftSkills(data.softSkills);
+  }
+
+  if (data.certifications) {
+    validateGroupedSection(data.certifications, 'certifications');
+  }
+
+  if (data.achievements) {
+    validateGroupedSection(data.achievements, 'achievements');
+  }
+}
+
+module.exports = {
+  validateCVData,
+  validateHeader,
+  validateExperience,
+  validateEducation,
+  validateSkills,
+  validateSoftSkills,
+  validateGroupedSection
+};
@@ -1,50 +1,117 @@
 /**
  * Configuration Validator
- * 
- * Validates configuration objects to ensure they meet required structure and types.
- * Follows the Fail-Fast principle and provides clear validation errors.
- * 
+ *
+ * Validates configuration objects against the configuration schema (see
+ * src/config/ConfigSchema.js), plus the rules a schema cannot express, such
+ * as output filenames being unique. Every problem is reported, each with the
+ * path of the setting, in one ValidationError.
+ *
  * @module ConfigValidator
  */
 
 const { ValidationError } = require('../errors/CustomErrors');
-const { DEFAULT_CONFIG } = require('../constants');
+const { buildConfigSchema } = require('../config/ConfigSchema');
+const { validateSchema } = require('./JSONSchema');
+
+const CONFIG_SCHEMA = buildConfigSchema();
 
 /**
- * Validates PDF configuration
- * @param {Object} config - Configuration object to validate
- * @throws {ValidationError} If configuration is invalid
+ * Errors of a value against a definition of the configuration schema
+ * @param {*} value - Value to validate
+ * @param {string} definition - Name of the definition, or of a top-level setting
+ * @param {string} path - Path of the value
+ * @returns {Object[]} Errors ({ path, message })
  */
-function validatePDFConfig(config) {
-  if (!config || typeof config !== 'object') {
-    throw new ValidationError('PDF configuration must be an object', 'pdf');
-  }
-
-  if (config.format && typeof config.format !== 'string') {
-    throw new ValidationError('PDF format must be a string', 'pdf.format');
-  }
+function getErrors(value, definition, path) {
+  const schema = CONFIG_SCHEMA.definitions[definition] ||
+    CONFIG_SCHEMA.definitions.settings.properties[definition];
+  return validateSchema(value, schema, path, CONFIG_SCHEMA);
+}
 
-  if (config.scale !== undefined && (typeof config.scale !== 'number' || config.scale <= 0 || config.scale > 1)) {
-    throw new ValidationError('PDF scale must be a number between 0 and 1', 'pdf.scale');
+/**
+ * Format a list of errors as one message
+ * @param {Object[]} errors - Errors ({ path, message })
+ * @returns {string} The message of a single error, or the messages one per line
+ */
+function formatErrors(errors) {
+  if (errors.length === 1) {
+    return errors[0].message;
   }
+  return `${errors.length} errors\n${errors.map(({ message }) => `  - ${message}`).join('\n')}`;
+}
 
-  if (config.margin) {
-    validateMargin(config.margin);
+/**
+ * Throw the errors, if any, as one ValidationError
+ * @param {Object[]} errors - Errors ({ path, message })
+ * @throws {ValidationError} Listing every error, its field being the path of the first one
+ */
+function assertValid(errors) {
+  if (errors.length > 0) {
+    throw new ValidationError(formatErrors(errors), errors[0].path || null, errors);
   }
 }
 
 /**
- * Validates margin configuration
- * @param {Object} margin - Margin object
- * @throws {ValidationError} If margin is invalid
+ * Errors of the output matrix the schema cannot see: filenames used twice and unknown profiles
+ * @param {Object[]} outputs - Output entries, valid against the schema
+ * @param {Object} [profiles] - Profiles the entries may refer to
+ * @returns {Object[]} Errors ({ path, message })
  */
-function validateMargin(margin) {
-  const marginKeys = ['top', 'bottom', 'left', 'right'];
-  for (const key of marginKeys) {
-    if (margin[key] && typeof margin[key] !== 'string') {
-      throw new ValidationError(`Margin ${key} must be a string (e.g., '15mm')`, `pdf.margin.${key}`);
+function getOutputReferenceErrors(outputs, profiles = {}) {
+  const filenames = new Set();
+  return outputs.flatMap((entry, index) => {
+    const field = `outputs[${index}]`;
+    const errors = [];
+    if (!entry || typeof entry !== 'object') {
+      return errors;
+    }
+    if (filenames.has(entry.filename)) {
+      errors.push({
+        path: `${field}.filename`,
+        message: `${field}.filename is used twice: ${entry.filename}`
+      });
     }
+    filenames.add(entry.filename);
+    if (entry.profile !== undefined && !Object.keys(profiles || {}).includes(entry.profile)) {
+      errors.push({
+        path: `${field}.profile`,
+        message: `${field}.profile is not a profile of the configuration: ${entry.profile}`
+      });
+    }
+    return errors;
+  });
+}
+
+/**
+ * Every error of a configuration
+ * @param {Object} config - Configuration as written in pdf-config.json
+ * @returns {Object[]} Errors ({ path, message }), empty when the configuration is valid
+ */
+function getConfigErrors(config) {
+  const errors = validateSchema(config, CONFIG_SCHEMA);
+  if (config && Array.isArray(config.outputs)) {
+    errors.push(...getOutputReferenceErrors(config.outputs, config.profiles));
   }
+  return errors;
+}
+
+/**
+ * Errors of settings alone, such as those of a config profile or of environment variables:
+ * the configuration keys (extends, configProfiles) are not accepted
+ * @param {Object} settings - Settings
+ * @returns {Object[]} Errors ({ path, message })
+ */
+function getSettingsErrors(settings) {
+  return getErrors(settings, 'settings', '');
+}
+
+/**
+ * Validates PDF configuration
+ * @param {Object} config - PDF options (format, scale, margin, ...)
+ * @throws {ValidationError} If configuration is invalid
+ */
+function validatePDFConfig(config) {
+  assertValid(getErrors(config, 'pdf', 'pdf'));
 }
 
 /**
@@ -53,22 +120,7 @@ function validateMargin(margin) {
  * @throws {ValidationError} If viewport is invalid
  */
 function validateViewport(viewport) {
-  if (!viewport || typeof viewport !== 'object') {
-    throw new ValidationError('Viewport configuration must be an object', 'viewport');
-  }
-
-  if (viewport.width !== undefined && (typeof viewport.width !== 'number' || viewport.width <= 0)) {
-    throw new ValidationError('Viewport width must be a positive number', 'viewport.width');
-  }
-
-  if (viewport.height !== undefined && (typeof viewport.height !== 'number' || viewport.height <= 0)) {
-    throw new ValidationError('Viewport height must be a positive number', 'viewport.height');
-  }
-
-  if (viewport.deviceScaleFactor !== undefined && 
-      (typeof viewport.deviceScaleFactor !== 'number' || viewport.deviceScaleFactor < 1 || viewport.deviceScaleFactor > 3)) {
-    throw new ValidationError('Device scale factor must be a number between 1 and 3', 'viewport.deviceScaleFactor');
-  }
+  assertValid(getErrors(viewport, 'viewport', 'viewport'));
 }
 
 /**
@@ -77,17 +129,7 @@ function validateViewport(viewport) {
  * @throws {ValidationError} If timeouts are invalid
  */
 function validateTimeouts(timeouts) {
-  if (!timeouts || typeof timeouts !== 'object') {
-    throw new ValidationError('Timeouts configuration must be an object', 'timeouts');
-  }
-
-  if (timeouts.pageLoad !== undefined && (typeof timeouts.pageLoad !== 'number' || timeouts.pageLoad <= 0)) {
-    throw new ValidationError('Page load timeout must be a positive number', 'timeouts.pageLoad');
-  }
-
-  if (timeouts.imageRender !== undefined && (typeof timeouts.imageRender !== 'number' || timeouts.imageRender < 0)) {
-    throw new ValidationError('Image render timeout must be a non-negative number', 'timeouts.imageRender');
-  }
+  assertValid(getErrors(timeouts, 'timeouts', 'timeouts'));
 }
 
 /**
@@ -96,78 +138,176 @@ function validateTimeouts(timeouts) {
  * @throws {ValidationError} If output is invalid
  */
 function validateOutput(output) {
-  if (!output || typeof output !== 'object') {
-    throw new ValidationError('Output configuration must be an object', 'output');
-  }
+  assertValid(getErrors(output, 'output', 'output'));
+}
 
-  if (output.filename && typeof output.filename !== 'string') {
-    throw new ValidationError('Output filename must be a string', 'output.filename');
-  }
+/**
+ * Validates the PDF theme name
+ * @param {string} theme - Theme name
+ * @throws {ValidationError} If the theme does not exist
+ */
+function validateTheme(theme) {
+  assertValid(getErrors(theme, 'theme', 'theme'));
 }
 
 /**
- * Validates complete configuration object
- * @param {Object} config - Complete configuration object
- * @throws {ValidationError} If configuration is invalid
+ * Validates a language code
+ * @param {string} language - Language code
+ * @param {string} [field=language] - Field path
+ * @throws {ValidationError} If the language is not supported
  */
-function validateConfig(config) {
-  if (!config || typeof config !== 'object') {
-    throw new ValidationError('Configuration must be an object');
-  }
+function validateLanguage(language, field = 'language') {
+  assertValid(getErrors(language, 'language', field));
+}
 
-  if (config.pdf) {
-    validatePDFConfig(config.pdf);
-  }
+/**
+ * Validates the rendering settings shared by the configuration and output entries
+ * @param {Object} settings - Object with optional photo, media and maxPages
+ * @param {string} [prefix] - Field path prefix, e.g. "outputs[0]."
+ * @throws {ValidationError} If a setting is invalid
+ */
+function validateRenderSettings(settings, prefix = '') {
+  assertValid(['photo', 'media', 'maxPages']
+    .filter((key) => settings[key] !== undefined)
+    .flatMap((key) => getErrors(settings[key], key, `${prefix}${key}`)));
+}
 
-  if (config.viewport) {
-    validateViewport(config.viewport);
-  }
+/**
+ * Validates the bounds of the layout search run when maxPages is set
+ * @param {Object} fit - Fit configuration ({ minScale, minMargin, minSpacing })
+ * @throws {ValidationError} If a bound is invalid
+ */
+function validateFit(fit) {
+  assertValid(getErrors(fit, 'fit', 'fit'));
+}
 
-  if (config.timeouts) {
-    validateTimeouts(config.timeouts);
-  }
+/**
+ * Validates the running headers and footers
+ * @param {Object} headerFooter - headerFooter configuration
+ * @throws {ValidationError} If a setting is invalid or a template uses an unknown placeholder
+ */
+function validateHeaderFooter(headerFooter) {
+  assertValid(getErrors(headerFooter, 'headerFooter', 'headerFooter'));
+}
 
-  if (config.output) {
-    validateOutput(config.output);
-  }
+/**
+ * Validates the network settings of the renders
+ * @param {Object} network - network configuration ({ localAssets, strict })
+ * @throws {ValidationError} If a setting is invalid
+ */
+function validateNetwork(network) {
+  assertValid(getErrors(network, 'network', 'network'));
 }
 
 /**
- * Merges user configuration with defaults
- * @param {Object} userConfig - User-provided configuration
- * @param {Object} defaultConfig - Default configuration
- * @returns {Object} Merged configuration
+ * Validates the pageBreaks configuration: CSS selectors mapped to page-break rules, or to null
+ * to remove a default rule. Selectors are checked by the browser when the rules are applied.
+ * @param {Object} pageBreaks - pageBreaks configuration
+ * @throws {ValidationError} If a rule is invalid
  */
-function mergeWithDefaults(userConfig, defaultConfig) {
-  const merged = JSON.parse(JSON.stringify(defaultConfig)); // Deep clone
+function validatePageBreaks(pageBreaks) {
+  assertValid(getErrors(pageBreaks, 'pageBreaks', 'pageBreaks'));
+}
 
-  if (userConfig.pdf) {
-    merged.pdf = { ...merged.pdf, ...userConfig.pdf };
-    if (userConfig.pdf.margin) {
-      merged.pdf.margin = { ...merged.pdf.margin, ...userConfig.pdf.margin };
-    }
-  }
+/**
+ * Validates the transforms configuration. Step names are checked against the built-in steps
+ * and plugins when the pipeline is resolved (see TransformPipeline).
+ * @param {Object} transforms - transforms configuration ({ order, disabled, plugins })
+ * @throws {ValidationError} If a setting is invalid
+ */
+function validateTransforms(transforms) {
+  assertValid(getErrors(transforms, 'transforms', 'transforms'));
+}
 
-  if (userConfig.viewport) {
-    merged.viewport = { ...merged.viewport, ...userConfig.viewport };
-  }
+/**
+ * Validates the output matrix: extra PDFs, each overriding parts of the configuration
+ * @param {Object[]} outputs - Output entries
+ * @param {Object} [profiles] - Profiles the entries may refer to
+ * @throws {ValidationError} If an entry is invalid or two entries share a filename
+ */
+function validateOutputs(outputs, profiles = {}) {
+  const errors = getErrors(outputs, 'outputs', 'outputs');
+  assertValid(Array.isArray(outputs)
+    ? [...errors, ...getOutputReferenceErrors(outputs, profiles)]
+    : errors);
+}
 
-  if (userConfig.timeouts) {
-    merged.timeouts = { ...merged.timeouts, ...userConfig.timeouts };
-  }
+/**
+ * Validates tailored CV profiles ({ name: { include, exclude, languages } })
+ * @param {Object} profiles - Profiles configuration
+ * @throws {ValidationError} If a profile is invalid
+ */
+function validateProfiles(profiles) {
+  assertValid(getErrors(profiles, 'profiles', 'profiles'));
+}
 
-  if (userConfig.output) {
-    merged.output = { ...merged.output, ...userConfig.output };
-  }
+/**
+ * Validates complete configuration object
+ * @param {Object} config - Complete configuration object
+ * @throws {ValidationError} Listing every error if the configuration is invalid
+ */
+function validateConfig(config) {
+  assertValid(getConfigErrors(config));
+}
 
+/**
+ * Whether a value is a plain object (not null, not an array)
+ * @param {*} value - Value
+ * @returns {boolean} True for objects
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Deep-merge two configurations: objects are merged setting by setting, other values
+ * (arrays and null included) replace those of the base, and undefined settings are skipped
+ * @param {Object} base - Base configuration
+ * @param {Object} override - Configuration applied on top
+ * @returns {Object} New merged configuration; neither argument is modified
+ */
+function mergeConfigs(base, override) {
+  const merged = JSON.parse(JSON.stringify(base));
+  Object.entries(override)
+    .filter(([, value]) => value !== undefined)
+    .forEach(([key, value]) => {
+      merged[key] = isPlainObject(value) && isPlainObject(merged[key])
+        ? mergeConfigs(merged[key], value)
+        : JSON.parse(JSON.stringify(value));
+    });
   return merged;
 }
 
+/**
+ * Merges user configuration with defaults
+ * @param {Object} userConfig - User-provided configuration
+ * @param {Object} defaultConfig - Default configuration
+ * @returns {Object} Merged configuration
+ */
+function mergeWithDefaults(userConfig, defaultConfig) {
+  return mergeConfigs(defaultConfig, userConfig);
+}
+
 module.exports = {
+  CONFIG_SCHEMA,
+  getConfigErrors,
+  getSettingsErrors,
+  formatErrors,
   validateConfig,
   validatePDFConfig,
   validateViewport,
   validateTimeouts,
   validateOutput,
+  validateTheme,
+  validateLanguage,
+  validateRenderSettings,
+  validateFit,
+  validateHeaderFooter,
+  validateNetwork,
+  validatePageBreaks,
+  validateTransforms,
+  validateProfiles,
+  validateOutputs,
+  mergeConfigs,
   mergeWithDefaults
 };
@@ -0,0 +1,76 @@
+/**
+ * Date Formatter
+ *
+ * Formats the partial ISO dates used in the CV data file ("2024", "2024-06")
+ * into display strings such as "Jun 2024" and "Feb 2025 – Present".
+ *
+ * @module DateFormatter
+ */
+
+const { ValidationError } = require('../errors/CustomErrors');
+
+const DATE_PATTERN = /^(\d{4})(?:-(\d{2}))?$/;
+const DEFAULT_LOCALE = 'en-GB';
+const PRESENT_LABEL = 'Present';
+const RANGE_SEPARATOR = ' – ';
+const MONTHS_PER_YEAR = 12;
+
+/**
+ * Checks whether a value is a supported partial ISO date (YYYY or YYYY-MM)
+ * @param {*} value - Value to check
+ * @returns {boolean} True if the value can be formatted
+ */
+function isValidDate(value) {
+  if (typeof value !== 'string') {
+    return false;
+  }
+  const match = DATE_PATTERN.exec(value);
+  if (!match) {
+    return false;
+  }
+  const month = match[2] ? Number(match[2]) : null;
+  return month === null || (month >= 1 && month <= MONTHS_PER_YEAR);
+}
+
+/**
+ * Formats a single partial ISO date
+ * @param {string} value - Date in YYYY or YYYY-MM form
+ * @param {string} [locale=en-GB] - BCP 47 locale used for month names
+ * @returns {string} Formatted date
+ * @throws {ValidationError} If the date is malformed
+ */
+function formatDate(value, locale = DEFAULT_LOCALE) {
+  if (!isValidDate(value)) {
+    throw new ValidationError(`Invalid date "${value}", expected YYYY or YYYY-MM`);
+  }
+
+  const [, year, month] = DATE_PATTERN.exec(value);
+  if (!month) {
+    return year;
+  }
+
+  const date = new Date(Date.UTC(Number(year), Number(month) - 1, 1));
+  return new Intl.DateTimeFormat(locale, { month: 'short', year: 'numeric', timeZone: 'UTC' })
+    .format(date);
+}
+
+/**
+ * Formats a date range; a missing end date renders as "Present"
+ * @param {string} startDate - Start date (YYYY or YYYY-MM)
+ * @param {string|null} [endDate] - End date, null/undefined for ongoing
+ * @param {Object} [options] - Formatting options
+ * @param {string} [options.locale=en-GB] - Locale for month names
+ * @param {string} [options.presentLabel=Present] - Label for ongoing ranges
+ * @returns {string} Formatted range
+ */
+function formatDateRange(startDate, endDate, options = {}) {
+  const { locale = DEFAULT_LOCALE, presentLabel = PRESENT_LABEL } = options;
+  const end = endDate ? formatDate(endDate, locale) : presentLabel;
+  return `${formatDate(startDate, locale)}${RANGE_SEPARATOR}${end}`;
+}
+
+module.exports = {
+  isValidDate,
+  formatDate,
+  formatDateRange
+};
@@ -0,0 +1,135 @@
+/**
+ * HTML Utilities
+ *
+ * Small helpers for building markup strings in the CV renderer.
+ * Plain text values are escaped; rich text values (highlights, descriptions)
+ * are trusted inline HTML from the CV data file and passed through as-is.
+ *
+ * @module HtmlUtils
+ */
+
+const HTML_ENTITIES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;'
+};
+
+const NAMED_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  nbsp: '\u00a0',
+  copy: '©'
+};
+
+const INDENT = '    ';
+
+/**
+ * Escapes a plain text value for use in element content or double-quoted attributes
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped string
+ */
+function escapeHtml(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  return String(value).replace(/[&<>"]/g, (char) => HTML_ENTITIES[char]);
+}
+
+/**
+ * Renders an attribute list, skipping null/undefined/false values
+ * @param {Object} attributes - Attribute name/value pairs
+ * @returns {string} Attribute string with a leading space, or empty string
+ */
+function renderAttributes(attributes = {}) {
+  return Object.entries(attributes)
+    .filter(([, value]) => value !== null && value !== undefined && value !== false)
+    .map(([name, value]) => (value === true ? ` ${name}` : ` ${name}="${escapeHtml(value)}"`))
+    .join('');
+}
+
+/**
+ * Renders an external link that opens in a new tab
+ * @param {string} url - Link target
+ * @param {string} innerHtml - Already-escaped link content
+ * @returns {string} Anchor markup
+ */
+function renderExternalLink(url, innerHtml) {
+  const attributes = renderAttributes({ href: url, target: '_blank', rel: 'noopener noreferrer' });
+  return `<a${attributes}>${innerHtml}</a>`;
+}
+
+/**
+ * Renders an organisation-like reference ({ name, url }) as a link when a URL is present
+ * @param {{name: string, url?: string}} reference - Named reference
+ * @returns {string} Markup
+ */
+function renderReference(reference) {
+  const name = escapeHtml(reference.name);
+  return reference.url ? renderExternalLink(reference.url, name) : name;
+}
+
+/**
+ * Indents every non-empty line of a markup block
+ * @param {string|string[]} markup - Markup block or list of lines
+ * @param {number} [level=1] - Indentation level (4 spaces per level)
+ * @returns {string} Indented markup
+ */
+function indent(markup, level = 1) {
+  const lines = Array.isArray(markup) ? markup.join('\n').split('\n') : markup.split('\n');
+  const prefix = INDENT.repeat(level);
+  return lines.map((line) => (line.trim() ? `${prefix}${line}` : '')).join('\n');
+}
+
+/**
+ * Converts trusted inline HTML into plain text for tools that do not render markup.
+ * Bold text becomes **markdown**, superscripts ^carets^ (as in Pandoc), line breaks become
+ * newlines, other tags are dropped.
+ * @param {string} html - Inline HTML
+ * @returns {string} Plain text
+ */
+function htmlToText(html) {
+  if (!html) {
+    return '';
+  }
+  return html
+    .replace(/<\/?(strong|b)>/gi, '**')
+    .replace(/<\/?sup>/gi, '^')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&(#\d+|[a-z]+);/gi, (entity, name) => {
+      if (name.startsWith('#')) {
+        return String.fromCharCode(Number(name.slice(1)));
+      }
+      return NAMED_ENTITIES[name.toLowerCase()] ?? entity;
+    })
+    .replace(/[ \t]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Converts plain text produced by htmlToText (or another tool) back into inline HTML
+ * @param {string} text - Plain text with optional **bold** and ^superscript^ markers and newlines
+ * @returns {string} Inline HTML
+ */
+function textToHtml(text) {
+  if (!text) {
+    return '';
+  }
+  return escapeHtml(text)
+    .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
+    .replace(/\^([^\s^]+)\^/g, '<sup>$1</sup>')
+    .replace(/\n/g, '<br>');
+}
+
+module.exports = {
+  escapeHtml,
+  htmlToText,
+  textToHtml,
+  renderAttributes,
+  renderExternalLink,
+  renderReference,
+  indent
+};
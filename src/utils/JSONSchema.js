@@ -0,0 +1,302 @@
+/**
+ * JSON Schema Validator
+ *
+ * Validates a value against a JSON Schema (draft-07) and returns every error
+ * instead of stopping at the first one. It implements the keywords the
+ * configuration schema uses: $ref (to #/definitions), type, enum, const,
+ * pattern, minLength, minimum, maximum, exclusiveMinimum, exclusiveMaximum,
+ * properties, additionalProperties, required, propertyNames, minProperties,
+ * items, minItems, uniqueItems and anyOf. Annotations (title, description,
+ * default, examples) are ignored.
+ *
+ * A schema may set errorMessage, a text used instead of the messages of its
+ * own keywords (not those of its properties or items), e.g. for patterns.
+ *
+ * @module JSONSchema
+ */
+
+const IDENTIFIER_PATTERN = /^[A-Za-z_$][\w$]*$/;
+// Unknown keys at most this many edits away from a known one get a suggestion
+const MAX_SUGGESTION_DISTANCE = 2;
+
+/**
+ * Path of a property, in the style of the error fields: a.b, a["b c"], a[0]
+ * @param {string} path - Path of the parent, '' for the root
+ * @param {string|number} key - Property name or array index
+ * @returns {string} Path of the property
+ */
+function joinPath(path, key) {
+  if (typeof key === 'number') {
+    return `${path}[${key}]`;
+  }
+  if (!IDENTIFIER_PATTERN.test(key)) {
+    return `${path}[${JSON.stringify(key)}]`;
+  }
+  return path ? `${path}.${key}` : key;
+}
+
+/**
+ * JSON Schema type of a value
+ * @param {*} value - Value
+ * @returns {string} "null", "array", "integer", "number", "string", "boolean" or "object"
+ */
+function getType(value) {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  if (typeof value === 'number' && Number.isInteger(value)) {
+    return 'integer';
+  }
+  return typeof value;
+}
+
+/**
+ * Whether a value has one of the types of a schema ("number" includes integers)
+ * @param {*} value - Value
+ * @param {string|string[]} types - Type or types of the schema
+ * @returns {boolean} True if the type matches
+ */
+function hasType(value, types) {
+  const type = getType(value);
+  return [].concat(types).some((expected) => expected === type ||
+    (expected === 'number' && type === 'integer'));
+}
+
+/**
+ * Number of single-character edits between two texts
+ * @param {string} first - Text
+ * @param {string} second - Text
+ * @returns {number} Levenshtein distance
+ */
+function getDistance(first, second) {
+  let previous = Array.from({ length: second.length + 1 }, (unused, index) => index);
+  for (let row = 1; row <= first.length; row++) {
+    const current = [row];
+    for (let column = 1; column <= second.length; column++) {
+      const substitution = first[row - 1] === second[column - 1] ? 0 : 1;
+      current.push(Math.min(previous[column] + 1, current[column - 1] + 1,
+        previous[column - 1] + substitution));
+    }
+    previous = current;
+  }
+  return previous[second.length];
+}
+
+/**
+ * Closest known name to a misspelled one
+ * @param {string} name - Unknown name
+ * @param {string[]} names - Known names
+ * @returns {string|null} Suggestion, or null when no name is close enough
+ */
+function suggest(name, names) {
+  const ranked = names
+    .map((candidate) => ({ candidate, distance: getDistance(name, candidate) }))
+    .filter(({ distance }) => distance <= MAX_SUGGESTION_DISTANCE)
+    .sort((first, second) => first.distance - second.distance);
+  return ranked.length > 0 ? ranked[0].candidate : null;
+}
+
+/**
+ * Describe a schema in a few words, for the messages of type and anyOf
+ * @param {Object} schema - Schema, references resolved
+ * @returns {string} Description, e.g. "a string" or "one of: a, b"
+ */
+function describe(schema) {
+  if (schema.enum) {
+    return `one of: ${schema.enum.map(String).join(', ')}`;
+  }
+  if (schema.const !== undefined) {
+    return JSON.stringify(schema.const);
+  }
+  return [].concat(schema.type || 'any value').map((type) => (type === 'null' ? 'null'
+    : `${/^[aeiou]/.test(type) ? 'an' : 'a'} ${type}`)).join(' or ');
+}
+
+/**
+ * Resolve a local reference ("#/definitions/name")
+ * @param {Object} schema - Schema, possibly a reference
+ * @param {Object} root - Root schema
+ * @returns {Object} Referenced schema
+ * @throws {Error} If the reference is not a local one of the root schema
+ */
+function resolve(schema, root) {
+  let resolved = schema;
+  while (resolved.$ref) {
+    const target = resolved.$ref.replace(/^#\/?/, '').split('/').filter(Boolean)
+      .reduce((node, key) => (node ? node[key] : undefined), root);
+    if (!target) {
+      throw new Error(`Unresolvable schema reference ${resolved.$ref}`);
+    }
+    resolved = target;
+  }
+  return resolved;
+}
+
+/**
+ * Errors of the keywords that apply to objects
+ * @param {Object} value - Object
+ * @param {Object} schema - Schema, references resolved
+ * @param {string} path - Path of the value
+ * @param {Object} root - Root schema
+ * @param {Function} fail - Records an error of this schema
+ * @returns {Object[]} Errors of the properties
+ */
+function validateObject(value, schema, path, root, fail) {
+  const properties = schema.properties || {};
+  const errors = [];
+  const keys = Object.keys(value);
+
+  (schema.required || []).filter((key) => !keys.includes(key))
+    .forEach((key) => fail(`${joinPath(path, key)} is required`));
+  if (schema.minProperties !== undefined && keys.length < schema.minProperties) {
+    fail(`${path || 'The value'} must have at least ${schema.minProperties} setting(s)`);
+  }
+
+  keys.forEach((key) => {
+    const keyPath = joinPath(path, key);
+    if (schema.propertyNames) {
+      const nameErrors = validateSchema(key, schema.propertyNames, keyPath, root);
+      if (nameErrors.length > 0) {
+        errors.push({ path: keyPath, message: `${keyPath}: invalid name, ` +
+          `${nameErrors[0].message.replace(`${keyPath} `, '')}` });
+        return;
+      }
+    }
+    if (properties[key]) {
+      errors.push(...validateSchema(value[key], properties[key], keyPath, root));
+    } else if (schema.additionalProperties === false) {
+      const known = Object.keys(properties);
+      const suggestion = suggest(key, known);
+      errors.push({
+        path: keyPath,
+        message: `${keyPath} is not a known setting` + (suggestion
+          ? ` (did you mean ${suggestion}?)`
+          : `, expected: ${known.join(', ')}`)
+      });
+    } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+      errors.push(...validateSchema(value[key], schema.additionalProperties, keyPath, root));
+    }
+  });
+  return errors;
+}
+
+/**
+ * Errors of the keywords that apply to arrays
+ * @param {Array} value - Array
+ * @param {Object} schema - Schema, references resolved
+ * @param {string} path - Path of the value
+ * @param {Object} root - Root schema
+ * @param {Function} fail - Records an error of this schema
+ * @returns {Object[]} Errors of the items
+ */
+function validateArray(value, schema, path, root, fail) {
+  if (schema.minItems !== undefined && value.length < schema.minItems) {
+    fail(`${path} must have at least ${schema.minItems} item(s)`);
+  }
+  if (schema.uniqueItems) {
+    const items = value.map((item) => JSON.stringify(item));
+    if (new Set(items).size !== items.length) {
+      fail(`${path} lists an item more than once`);
+    }
+  }
+  return schema.items
+    ? value.flatMap((item, index) => validateSchema(item, schema.items, joinPath(path, index),
+      root))
+    : [];
+}
+
+/**
+ * Errors of the keywords that apply to numbers and strings
+ * @param {*} value - Value
+ * @param {Object} schema - Schema, references resolved
+ * @param {string} path - Path of the value
+ * @param {Function} fail - Records an error of this schema
+ */
+function validateScalar(value, schema, path, fail) {
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      fail(`${path} must be at least ${schema.minimum}`);
+    }
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      fail(`${path} must be greater than ${schema.exclusiveMinimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      fail(`${path} must be at most ${schema.maximum}`);
+    }
+    if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+      fail(`${path} must be less than ${schema.exclusiveMaximum}`);
+    }
+  }
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      fail(schema.minLength === 1 ? `${path} must not be empty`
+        : `${path} must have at least ${schema.minLength} characters`);
+    }
+    if (schema.pattern !== undefined && !new RegExp(schema.pattern).test(value)) {
+      fail(`${path} must match ${schema.pattern}`);
+    }
+  }
+}
+
+/**
+ * Validate a value against a schema
+ * @param {*} value - Value to validate
+ * @param {Object} schema - JSON Schema
+ * @param {string} [path=''] - Path of the value, prefixed to the error paths
+ * @param {Object} [root] - Root schema the references point into, schema by default
+ * @returns {Object[]} Errors ({ path, message }), empty when the value is valid
+ */
+function validateSchema(value, schema, path = '', root = schema) {
+  const resolved = resolve(schema, root);
+  const label = path || 'The value';
+  const own = [];
+  const fail = (message) => own.push({ path, message });
+
+  if (resolved.type !== undefined && !hasType(value, resolved.type)) {
+    fail(`${label} must be ${describe(resolved)}`);
+  } else if (resolved.enum && !resolved.enum.some((item) => item === value)) {
+    fail(`${label} must be one of: ${resolved.enum.map(String).join(', ')}`);
+  } else if (resolved.const !== undefined && resolved.const !== value) {
+    fail(`${label} must be ${JSON.stringify(resolved.const)}`);
+  }
+
+  const nested = [];
+  if (own.length === 0) {
+    if (resolved.anyOf) {
+      const branches = resolved.anyOf.map((branch) => resolve(branch, root));
+      const results = branches.map((branch) => validateSchema(value, branch, path, root));
+      if (!results.some((errors) => errors.length === 0)) {
+        // The errors of the branch of the right type say more than a list of alternatives
+        const typed = branches
+          .map((branch, index) => (branch.type && hasType(value, branch.type) ? index : -1))
+          .filter((index) => index !== -1);
+        if (typed.length === 1) {
+          nested.push(...results[typed[0]]);
+        } else {
+          fail(`${label} must be ${branches.map(describe).join(', or ')}`);
+        }
+      }
+    }
+    if (getType(value) === 'object') {
+      nested.push(...validateObject(value, resolved, path, root, fail));
+    } else if (Array.isArray(value)) {
+      nested.push(...validateArray(value, resolved, path, root, fail));
+    } else {
+      validateScalar(value, resolved, label, fail);
+    }
+  }
+
+  const ownErrors = own.length > 0 && resolved.errorMessage
+    ? [{ path, message: `${label} ${resolved.errorMessage}` }]
+    : own;
+  return [...ownErrors, ...nested];
+}
+
+module.exports = {
+  validateSchema,
+  joinPath,
+  suggest
+};
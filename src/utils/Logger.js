@@ -1,93 +1,271 @@
 /**
  * Logger Utility
- * 
- * Provides structured logging with different log levels.
- * Can be extended to support file logging, remote logging, etc.
- * 
+ *
+ * Structured logging with named levels: debug, info, warn and error. An entry
+ * is a message with fields. The console shows entries as text (the message;
+ * debug entries are prefixed with their level and followed by their fields)
+ * or as JSON lines ({ time, level, message, ...fields }), warnings and errors
+ * going to stderr in text. A log file, when set, receives every entry as a
+ * JSON line, debug ones included whatever the level.
+ *
+ * Spans time the steps of a run (see time()): each one is logged as a debug
+ * entry and its duration added to the timings of the logger, the run report.
+ *
  * @module Logger
  */
 
-const LOG_LEVELS = {
-  DEBUG: 0,
-  INFO: 1,
-  WARN: 2,
-  ERROR: 3
-};
+const fs = require('fs');
+const path = require('path');
+const { LOGGING, LOG_MESSAGES, ERROR_MESSAGES } = require('../constants');
+const { FileSystemError, ValidationError } = require('../errors/CustomErrors');
+
+const LOG_LEVELS = Object.fromEntries(LOGGING.LEVELS
+  .map((name, index) => [name.toUpperCase(), index]));
+// Symbols starting the console messages (✓, ⚠️, ...) are left out of the JSON entries
+const LEADING_SYMBOLS = /^[^\p{L}\p{N}]+/u;
+
+/**
+ * Parse a log level
+ * @param {string|number} value - Level name (debug, info, warn, error) or LOG_LEVELS value,
+ *   as set in LOG_LEVEL
+ * @returns {number|null} LOG_LEVELS value, null if the value is not a level
+ */
+function parseLogLevel(value) {
+  const text = String(value).trim().toLowerCase();
+  const index = LOGGING.LEVELS.indexOf(text === 'warning' ? 'warn' : text);
+  if (index !== -1) {
+    return index;
+  }
+  // Levels were numbers before they had names
+  return /^\d$/.test(text) && Number(text) < LOGGING.LEVELS.length ? Number(text) : null;
+}
 
 /**
- * Simple logger implementation
- * Follows the Single Responsibility Principle
+ * JSON.stringify replacer writing errors as their name, message, code and stack
+ * @param {string} key - Property name
+ * @param {*} value - Property value
+ * @returns {*} Value to write
+ */
+function replaceErrors(key, value) {
+  if (value instanceof Error) {
+    return { name: value.name, message: value.message, code: value.code, stack: value.stack };
+  }
+  return value;
+}
+
+/**
+ * Logger with a console and an optional file sink. Children share the sinks and the level
+ * of their parent, and add fields of their own to every entry.
  */
 class Logger {
-  constructor(level = LOG_LEVELS.INFO) {
-    this.level = level;
+  /**
+   * @param {Object} [options] - Logger options
+   * @param {string|number} [options.level=info] - Level name or LOG_LEVELS value
+   * @param {string} [options.format=text] - Console format, one of LOGGING.FORMATS
+   * @param {string|null} [options.file] - Log file, appended to
+   * @param {Object} [options.fields] - Fields of every entry
+   * @throws {ValidationError} If the level or format is unknown
+   * @throws {FileSystemError} If the log file cannot be written
+   */
+  constructor({ level = LOG_LEVELS.INFO, format = LOGGING.DEFAULT_FORMAT, file = null,
+    fields = {} } = {}) {
+    this.output = { level: LOG_LEVELS.INFO, format: LOGGING.DEFAULT_FORMAT, file: null };
+    this.fields = fields;
+    this.timings = new Map();
+    this.configure({ level, format, file });
+  }
+
+  /**
+   * Change the level, console format or log file, for this logger and its children
+   * @param {Object} options - Settings to change, as for the constructor
+   * @throws {ValidationError} If the level or format is unknown
+   * @throws {FileSystemError} If the log file cannot be written
+   */
+  configure({ level, format, file } = {}) {
+    if (level !== undefined) {
+      this.setLevel(level);
+    }
+    if (format !== undefined) {
+      if (!LOGGING.FORMATS.includes(format)) {
+        throw new ValidationError(`Invalid log format "${format}", expected one of: ` +
+          LOGGING.FORMATS.join(', '), 'format');
+      }
+      this.output.format = format;
+    }
+    if (file) {
+      try {
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.appendFileSync(file, '');
+      } catch (error) {
+        throw new FileSystemError(`${ERROR_MESSAGES.LOG_FILE}: ${error.message}`, file);
+      }
+      this.output.file = file;
+    } else if (file === null) {
+      this.output.file = null;
+    }
+  }
+
+  /**
+   * Set log level
+   * @param {string|number} level - Level name or LOG_LEVELS value
+   * @throws {ValidationError} If the level is unknown
+   */
+  setLevel(level) {
+    const parsed = parseLogLevel(level);
+    if (parsed === null) {
+      throw new ValidationError(`Invalid log level "${level}", expected one of: ` +
+        LOGGING.LEVELS.join(', '), 'level');
+    }
+    this.output.level = parsed;
+  }
+
+  /**
+   * Console format of the entries
+   * @returns {string} One of LOGGING.FORMATS
+   */
+  getFormat() {
+    return this.output.format;
+  }
+
+  /**
+   * Logger adding fields to every entry, sharing the sinks and level of this one. Its
+   * timings are its own, so a child times one run.
+   * @param {Object} [fields] - Fields of its entries
+   * @returns {Logger} Child logger
+   */
+  child(fields = {}) {
+    const child = Object.create(Logger.prototype);
+    child.output = this.output;
+    child.fields = { ...this.fields, ...fields };
+    child.timings = new Map();
+    return child;
+  }
+
+  /**
+   * Write an entry to the console, if its level is enabled, and to the log file
+   * @param {number} level - LOG_LEVELS value
+   * @param {string} message - Message
+   * @param {Object} [fields] - Fields of the entry
+   */
+  log(level, message, fields = {}) {
+    const { level: threshold, format, file } = this.output;
+    if (level < threshold && !file) {
+      return;
+    }
+
+    const data = { ...this.fields, ...fields };
+    const entry = {
+      time: new Date().toISOString(),
+      level: LOGGING.LEVELS[level],
+      message: message.replace(LEADING_SYMBOLS, '').trim(),
+      ...data
+    };
+    const line = JSON.stringify(entry, replaceErrors);
+    if (file) {
+      fs.appendFileSync(file, `${line}\n`);
+    }
+    if (level < threshold) {
+      return;
+    }
+
+    if (format === 'json') {
+      console.log(line);
+      return;
+    }
+    const text = level === LOG_LEVELS.DEBUG
+      ? `[DEBUG] ${message}${Object.keys(data).length > 0
+        ? ` ${JSON.stringify(data, replaceErrors)}` : ''}`
+      : message;
+    if (level >= LOG_LEVELS.WARN) {
+      console.error(text);
+    } else {
+      console.log(text);
+    }
   }
 
   /**
    * Log debug message
    * @param {string} message - Debug message
-   * @param {Object} [data] - Additional data
+   * @param {Object} [fields] - Additional data
    */
-  debug(message, data = null) {
-    if (this.level <= LOG_LEVELS.DEBUG) {
-      const output = data ? `${message} ${JSON.stringify(data)}` : message;
-      console.debug(`[DEBUG] ${output}`);
-    }
+  debug(message, fields) {
+    this.log(LOG_LEVELS.DEBUG, message, fields);
   }
 
   /**
    * Log info message
    * @param {string} message - Info message
-   * @param {Object} [data] - Additional data
+   * @param {Object} [fields] - Additional data
    */
-  info(message, data = null) {
-    if (this.level <= LOG_LEVELS.INFO) {
-      const output = data ? `${message} ${JSON.stringify(data)}` : message;
-      console.log(`[INFO] ${output}`);
-    }
+  info(message, fields) {
+    this.log(LOG_LEVELS.INFO, message, fields);
   }
 
   /**
    * Log warning message
    * @param {string} message - Warning message
-   * @param {Object} [data] - Additional data
+   * @param {Object} [fields] - Additional data
    */
-  warn(message, data = null) {
-    if (this.level <= LOG_LEVELS.WARN) {
-      const output = data ? `${message} ${JSON.stringify(data)}` : message;
-      console.warn(`[WARN] ${output}`);
-    }
+  warn(message, fields) {
+    this.log(LOG_LEVELS.WARN, message, fields);
   }
 
   /**
    * Log error message
    * @param {string} message - Error message
-   * @param {Error} [error] - Error object
+   * @param {Object|Error} [fields] - Additional data, or the error
    */
-  error(message, error = null) {
-    if (this.level <= LOG_LEVELS.ERROR) {
-      if (error) {
-        console.error(`[ERROR] ${message}`, error);
-      } else {
-        console.error(`[ERROR] ${message}`);
-      }
+  error(message, fields) {
+    this.log(LOG_LEVELS.ERROR, message, fields instanceof Error ? { error: fields } : fields);
+  }
+
+  /**
+   * Time a task as a span: its duration is logged as a debug entry and added to the timings,
+   * whether the task succeeds or fails
+   * @param {string} name - Span name, e.g. "navigation"
+   * @param {Function} task - Task, possibly async
+   * @param {Object} [fields] - Fields of the span entry
+   * @returns {Promise<*>} Result of the task
+   */
+  async time(name, task, fields = {}) {
+    const start = Date.now();
+    let failed = false;
+    try {
+      return await task();
+    } catch (error) {
+      failed = true;
+      throw error;
+    } finally {
+      const duration = Date.now() - start;
+      const timing = this.timings.get(name) || { count: 0, total: 0, max: 0 };
+      this.timings.set(name, {
+        count: timing.count + 1,
+        total: timing.total + duration,
+        max: Math.max(timing.max, duration)
+      });
+      this.debug(`${LOG_MESSAGES.SPAN} ${name} ${duration} ms`,
+        { span: name, duration, ...fields, ...(failed ? { failed } : {}) });
     }
   }
 
   /**
-   * Set log level
-   * @param {number} level - Log level
+   * Timings of the spans of this logger, by span name in the order they first ran
+   * @returns {Object} Timings ({ count, total, max }, milliseconds) by span name
    */
-  setLevel(level) {
-    this.level = level;
+  getTimings() {
+    return Object.fromEntries(this.timings);
   }
 }
 
-// Export singleton instance
-const logger = new Logger(process.env.LOG_LEVEL ? parseInt(process.env.LOG_LEVEL) : LOG_LEVELS.INFO);
+// Export singleton instance, its level taken from LOG_LEVEL (info when unset or unknown)
+const envLevel = process.env[LOGGING.ENV.LEVEL];
+const logger = new Logger({
+  level: envLevel && parseLogLevel(envLevel) !== null ? envLevel : LOG_LEVELS.INFO
+});
 
 module.exports = {
   Logger,
   logger,
-  LOG_LEVELS
+  LOG_LEVELS,
+  parseLogLevel
 };
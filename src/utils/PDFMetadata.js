@@ -0,0 +1,326 @@
+/**
+ * PDF Metadata
+ *
+ * Writes the document information dictionary (title, author, subject,
+ * keywords) and an XMP metadata stream into a PDF rendered by Chrome, which
+ * only sets the title. The PDF is not rewritten: the new objects are appended
+ * as an incremental update, so the rendered pages, tags and outline are kept
+ * byte for byte.
+ *
+ * makeReproducible() then replaces the timestamps and the random document ID
+ * Chrome writes, in place and keeping every byte offset, so rendering the same
+ * page with the same date gives the same file.
+ *
+ * @module PDFMetadata
+ */
+
+const crypto = require('crypto');
+const { ERROR_MESSAGES } = require('../constants');
+const { PDFGenerationError } = require('../errors/CustomErrors');
+const { escapeHtml } = require('./HtmlUtils');
+
+const XREF_OFFSET_DIGITS = 10;
+const XREF_GENERATION_DIGITS = 5;
+const STARTXREF_PATTERN = /startxref\s+(\d+)\s+%%EOF\s*$/;
+// Entries of the Info dictionary Chrome writes that are kept as they are
+const KEPT_INFO_KEYS = ['Creator', 'Producer'];
+// Date entries written by Chrome and by writeMetadata
+const DATE_PATTERN = /\/(CreationDate|ModDate)\s*\((D:[^)]*)\)/g;
+// Document IDs of the trailers: two hex strings
+const ID_PATTERN = /(\/ID\s*\[\s*<)([0-9A-Fa-f]*)(>\s*<)([0-9A-Fa-f]*)(>\s*\])/g;
+// Digits of the year in a PDF date, followed by two digits per field
+const YEAR_DIGITS = 4;
+
+/**
+ * Encode a text string for a PDF dictionary (UTF-16BE with byte order mark)
+ * @param {string} text - Text
+ * @returns {string} PDF hex string
+ */
+function encodeText(text) {
+  return `<FEFF${Buffer.from(text, 'utf16le').swap16().toString('hex').toUpperCase()}>`;
+}
+
+/**
+ * Format a date for the Info dictionary
+ * @param {Date} date - Date
+ * @returns {string} PDF date string, e.g. "D:20261019120000Z"
+ */
+function formatPDFDate(date) {
+  return `D:${date.toISOString().replace(/\.\d+Z$/, '').replace(/[-:T]/g, '')}Z`;
+}
+
+/**
+ * Format a date for XMP
+ * @param {Date} date - Date
+ * @returns {string} ISO 8601 date without milliseconds
+ */
+function formatXMPDate(date) {
+  return date.toISOString().replace(/\.\d+Z$/, 'Z');
+}
+
+/**
+ * Find the dictionary of the trailer the PDF ends with
+ * @param {string} text - PDF content as latin1 text
+ * @returns {Object} Trailer ({ xrefOffset, size, root, info, id })
+ * @throws {PDFGenerationError} If the PDF has no readable trailer
+ */
+function readTrailer(text) {
+  const startxref = text.match(STARTXREF_PATTERN);
+  if (!startxref) {
+    throw new PDFGenerationError(`${ERROR_MESSAGES.PDF_METADATA}: startxref not found`);
+  }
+
+  // A cross-reference table is followed by "trailer", a cross-reference stream has its own
+  // dictionary
+  const xrefOffset = Number(startxref[1]);
+  const section = text.slice(xrefOffset, startxref.index);
+  const dictionary = section.startsWith('xref')
+    ? section.slice(section.indexOf('trailer'))
+    : section.slice(0, section.indexOf('stream'));
+
+  const size = dictionary.match(/\/Size\s+(\d+)/);
+  const root = dictionary.match(/\/Root\s+(\d+\s+\d+)\s+R/);
+  if (!size || !root) {
+    throw new PDFGenerationError(`${ERROR_MESSAGES.PDF_METADATA}: invalid trailer`);
+  }
+
+  const info = dictionary.match(/\/Info\s+(\d+\s+\d+)\s+R/);
+  const id = dictionary.match(/\/ID\s*(\[[^\]]*\])/);
+  return {
+    xrefOffset,
+    size: Number(size[1]),
+    root: root[1].replace(/\s+/, ' '),
+    info: info ? info[1].replace(/\s+/, ' ') : null,
+    id: id ? id[1] : null
+  };
+}
+
+/**
+ * Find the dictionary of an object, in its latest revision
+ * @param {string} text - PDF content as latin1 text
+ * @param {string} reference - Object number and generation, e.g. "12 0"
+ * @returns {string|null} Dictionary, or null if the object is not a plain dictionary
+ */
+function readObject(text, reference) {
+  const [number, generation] = reference.split(' ');
+  const pattern = new RegExp(`(?:^|\\s)${number}\\s+${generation}\\s+obj\\b`, 'g');
+  const matches = [...text.matchAll(pattern)];
+  if (matches.length === 0) {
+    return null;
+  }
+
+  const last = matches[matches.length - 1];
+  const start = last.index + last[0].length;
+  const body = text.slice(start, text.indexOf('endobj', start)).trim();
+  return body.startsWith('<<') && body.endsWith('>>') ? body : null;
+}
+
+/**
+ * Build the Info dictionary
+ * @param {Object} metadata - Document metadata
+ * @param {string|null} previous - Info dictionary written by Chrome
+ * @param {Date} date - Creation and modification date
+ * @returns {string} Dictionary
+ */
+function buildInfo(metadata, previous, date) {
+  const entries = [];
+  const addText = (key, value) => {
+    if (value) {
+      entries.push(`/${key} ${encodeText(value)}`);
+    }
+  };
+
+  addText('Title', metadata.title);
+  addText('Author', metadata.author);
+  addText('Subject', metadata.subject);
+  addText('Keywords', metadata.keywords.join(', '));
+  KEPT_INFO_KEYS.forEach((key) => {
+    // A literal string, with escaped parentheses, or a hex string
+    const pattern = new RegExp(`/${key}\\s*(\\((?:\\\\.|[^\\\\)])*\\)|<[^>]*>)`);
+    const value = previous && previous.match(pattern);
+    if (value) {
+      entries.push(`/${key} ${value[1]}`);
+    }
+  });
+  entries.push(`/CreationDate (${formatPDFDate(date)})`, `/ModDate (${formatPDFDate(date)})`);
+
+  return `<<\n${entries.join('\n')}\n>>`;
+}
+
+/**
+ * Build the XMP metadata packet
+ * @param {Object} metadata - Document metadata
+ * @param {Date} date - Creation and modification date
+ * @returns {string} XMP packet
+ */
+function buildXMP(metadata, date) {
+  const alt = (value) =>
+    `<rdf:Alt><rdf:li xml:lang="x-default">${escapeHtml(value)}</rdf:li></rdf:Alt>`;
+  const list = (type, values) => {
+    const items = values.map((value) => `<rdf:li>${escapeHtml(value)}</rdf:li>`).join('');
+    return `<rdf:${type}>${items}</rdf:${type}>`;
+  };
+  const xmpDate = formatXMPDate(date);
+
+  const properties = [
+    '<dc:format>application/pdf</dc:format>',
+    metadata.title && `<dc:title>${alt(metadata.title)}</dc:title>`,
+    metadata.author && `<dc:creator>${list('Seq', [metadata.author])}</dc:creator>`,
+    metadata.subject && `<dc:description>${alt(metadata.subject)}</dc:description>`,
+    metadata.keywords.length > 0 && `<dc:subject>${list('Bag', metadata.keywords)}</dc:subject>`,
+    metadata.language && `<dc:language>${list('Bag', [metadata.language])}</dc:language>`,
+    metadata.keywords.length > 0 &&
+      `<pdf:Keywords>${escapeHtml(metadata.keywords.join(', '))}</pdf:Keywords>`,
+    `<xmp:CreateDate>${xmpDate}</xmp:CreateDate>`,
+    `<xmp:ModifyDate>${xmpDate}</xmp:ModifyDate>`,
+    `<xmp:MetadataDate>${xmpDate}</xmp:MetadataDate>`
+  ].filter(Boolean);
+
+  return [
+    '<?xpacket begin="\uFEFF" id="W5M0MpCehiHzreSzNTczkc9d"?>',
+    '<x:xmpmeta xmlns:x="adobe:ns:meta/">',
+    '<rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">',
+    '<rdf:Description rdf:about="" xmlns:dc="http://purl.org/dc/elements/1.1/"',
+    '  xmlns:pdf="http://ns.adobe.com/pdf/1.3/" xmlns:xmp="http://ns.adobe.com/xap/1.0/">',
+    ...properties,
+    '</rdf:Description>',
+    '</rdf:RDF>',
+    '</x:xmpmeta>',
+    '<?xpacket end="w"?>'
+  ].join('\n');
+}
+
+/**
+ * Add the catalog entries pointing to the metadata stream and giving the document language
+ * @param {string} catalog - Catalog dictionary
+ * @param {number} metadataNumber - Object number of the metadata stream
+ * @param {string} [language] - Document language
+ * @returns {string} Catalog dictionary
+ */
+function updateCatalog(catalog, metadataNumber, language) {
+  const entries = [`/Metadata ${metadataNumber} 0 R`];
+  if (language && !/\/Lang\b/.test(catalog)) {
+    entries.push(`/Lang ${encodeText(language)}`);
+  }
+  const body = catalog.slice(2).replace(/\/Metadata\s+\d+\s+\d+\s+R/, '');
+  return `<< ${entries.join(' ')}${body}`;
+}
+
+/**
+ * Write document metadata into a PDF
+ * @param {Buffer} pdf - PDF rendered by Chrome
+ * @param {Object} metadata - Document metadata
+ * @param {string} [metadata.title] - Title
+ * @param {string} [metadata.author] - Author
+ * @param {string} [metadata.subject] - Subject (description)
+ * @param {string[]} [metadata.keywords] - Keywords
+ * @param {string} [metadata.language] - Document language, e.g. "en"
+ * @param {Date} [date] - Creation and modification date
+ * @returns {Buffer} PDF with an incremental update holding the metadata
+ * @throws {PDFGenerationError} If the structure of the PDF cannot be read
+ */
+function writeMetadata(pdf, metadata, date = new Date()) {
+  const text = pdf.toString('latin1');
+  const trailer = readTrailer(text);
+  const normalized = { ...metadata, keywords: metadata.keywords || [] };
+
+  const catalog = readObject(text, trailer.root);
+  if (!catalog) {
+    throw new PDFGenerationError(`${ERROR_MESSAGES.PDF_METADATA}: catalog not found`);
+  }
+
+  const infoReference = trailer.info || `${trailer.size} 0`;
+  const metadataNumber = trailer.size + (trailer.info ? 0 : 1);
+  const xmp = Buffer.from(buildXMP(normalized, date), 'utf8');
+  const objects = [
+    [infoReference, buildInfo(normalized, trailer.info && readObject(text, trailer.info), date)],
+    [`${metadataNumber} 0`, Buffer.concat([
+      Buffer.from(`<< /Type /Metadata /Subtype /XML /Length ${xmp.length} >>\nstream\n`),
+      xmp,
+      Buffer.from('\nendstream')
+    ])],
+    [trailer.root, updateCatalog(catalog, metadataNumber, normalized.language)]
+  ];
+
+  const chunks = [pdf];
+  let offset = pdf.length;
+  const append = (chunk) => {
+    const buffer = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, 'latin1');
+    chunks.push(buffer);
+    offset += buffer.length;
+  };
+
+  if (!text.endsWith('\n')) {
+    append('\n');
+  }
+  const xref = objects.map(([reference, body]) => {
+    const [number, generation] = reference.split(' ');
+    const entry = `${number} 1\n${String(offset).padStart(XREF_OFFSET_DIGITS, '0')} ` +
+      `${generation.padStart(XREF_GENERATION_DIGITS, '0')} n \n`;
+    append(`${reference} obj\n`);
+    append(body);
+    append('\nendobj\n');
+    return entry;
+  });
+
+  const size = Math.max(trailer.size, metadataNumber + 1);
+  const trailerEntries = [`/Size ${size}`, `/Root ${trailer.root} R`, `/Info ${infoReference} R`,
+    `/Prev ${trailer.xrefOffset}`];
+  if (trailer.id) {
+    trailerEntries.push(`/ID ${trailer.id}`);
+  }
+  const xrefOffset = offset;
+  append(`xref\n${xref.join('')}trailer\n<< ${trailerEntries.join(' ')} >>\n`);
+  append(`startxref\n${xrefOffset}\n%%EOF\n`);
+
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Date string of the same length as the one it replaces, so byte offsets are kept
+ * @param {Date} date - Date
+ * @param {number} length - Length of the replaced string, without parentheses
+ * @returns {string} PDF date string, truncated to a coarser date or padded with spaces
+ *   after the closing parenthesis
+ */
+function fitDate(date, length) {
+  const value = formatPDFDate(date);
+  if (value.length <= length) {
+    return `(${value})${' '.repeat(length - value.length)}`;
+  }
+
+  // "D:YYYYMMDDHHmmSS" may end after any field
+  const room = length - 'D:'.length;
+  const digits = room < YEAR_DIGITS ? '' : value.slice(2, 2 + room - (room % 2));
+  return `(D:${digits})${' '.repeat(room - digits.length)}`;
+}
+
+/**
+ * Make a PDF reproducible: every creation and modification date becomes the given date and
+ * the document ID becomes a digest of the content, both rewritten in place
+ * @param {Buffer} pdf - PDF, usually returned by writeMetadata
+ * @param {Date} date - Creation and modification date
+ * @returns {Buffer} PDF whose bytes only depend on the page and the date
+ */
+function makeReproducible(pdf, date) {
+  let text = pdf.toString('latin1').replace(DATE_PATTERN, (match, key, value) => {
+    return match.slice(0, match.length - value.length - 2) + fitDate(date, value.length);
+  });
+
+  // The ID is a digest of the content with blank IDs
+  const replaceIDs = (fill) => text.replace(ID_PATTERN,
+    (match, start, first, middle, second, end) =>
+      `${start}${fill(first.length)}${middle}${fill(second.length)}${end}`);
+  const digest = crypto.createHash('md5')
+    .update(replaceIDs((length) => '0'.repeat(length)), 'latin1')
+    .digest('hex')
+    .toUpperCase();
+  text = replaceIDs((length) => digest.repeat(Math.ceil(length / digest.length)).slice(0, length));
+
+  return Buffer.from(text, 'latin1');
+}
+
+module.exports = {
+  writeMetadata,
+  makeReproducible
+};
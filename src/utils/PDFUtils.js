@@ -0,0 +1,63 @@
+/**
+ * PDF Utilities
+ *
+ * Small helpers to inspect the PDFs rendered by Chrome without a PDF library,
+ * to describe them in the console and to compare page lengths.
+ *
+ * @module PDFUtils
+ */
+
+const { ERROR_MESSAGES } = require('../constants');
+const { PDFGenerationError } = require('../errors/CustomErrors');
+
+// Page objects ("/Type /Page"), not the page tree ("/Type /Pages")
+const PAGE_OBJECT_PATTERN = /\/Type\s*\/Page(?![a-zA-Z])/g;
+const BYTES_PER_KILOBYTE = 1024;
+// Lengths Chrome accepts for page margins, a bare number being pixels
+const LENGTH_PATTERN = /^(\d+(?:\.\d+)?)(mm|cm|in|px)?$/;
+const MM_PER_INCH = 25.4;
+const PX_PER_INCH = 96;
+const MM_PER_UNIT = {
+  mm: 1,
+  cm: 10,
+  in: MM_PER_INCH,
+  px: MM_PER_INCH / PX_PER_INCH
+};
+
+/**
+ * Count the pages of a PDF
+ * @param {Buffer} pdf - PDF content
+ * @returns {number} Number of pages
+ */
+function countPages(pdf) {
+  return (pdf.toString('latin1').match(PAGE_OBJECT_PATTERN) || []).length;
+}
+
+/**
+ * Format a file size for the console
+ * @param {number} bytes - Size in bytes
+ * @returns {string} Size in kilobytes, e.g. "182.4 KB"
+ */
+function formatSize(bytes) {
+  return `${(bytes / BYTES_PER_KILOBYTE).toFixed(1)} KB`;
+}
+
+/**
+ * Convert a page length to millimetres
+ * @param {string|number} length - Length such as "15mm", or a number of pixels
+ * @returns {number} Millimetres
+ * @throws {PDFGenerationError} If the length has an unsupported unit
+ */
+function toMillimetres(length) {
+  const match = String(length).trim().match(LENGTH_PATTERN);
+  if (!match) {
+    throw new PDFGenerationError(`${ERROR_MESSAGES.PDF_GENERATION}: invalid length "${length}"`);
+  }
+  return Number(match[1]) * MM_PER_UNIT[match[2] || 'px'];
+}
+
+module.exports = {
+  countPages,
+  formatSize,
+  toMillimetres
+};
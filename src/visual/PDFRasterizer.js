@@ -0,0 +1,273 @@
+/**
+ * PDF Rasterizer
+ *
+ * Turns the pages of a PDF into PNG images, reads the links of its pages and
+ * compares images, all inside headless Chrome: PDFs are read by pdf.js (the
+ * pdfjs-dist package), which is served with a blank page from a loopback
+ * server, and images are compared on a canvas. Nothing is fetched from the
+ * network.
+ *
+ * @module PDFRasterizer
+ */
+
+const http = require('http');
+const path = require('path');
+const { VISUAL, HTTP_STATUS, ERROR_MESSAGES } = require('../constants');
+const { BrowserError, FileSystemError } = require('../errors/CustomErrors');
+const { launchBrowser, closeBrowser } = require('../generator/BrowserLifecycle');
+const { listen, serveStatic } = require('../server/HttpUtils');
+
+const BLANK_PAGE = '<!DOCTYPE html><html><head><title>PDF rasterizer</title></head></html>';
+// PDF user space units per inch
+const POINTS_PER_INCH = 72;
+const CHANNEL_MAX = 255;
+// Diff images: differing pixels in red over a faded copy of the rendered page
+const DIFF_COLOR = [CHANNEL_MAX, 0, 0];
+const FADED_OPACITY = 0.2;
+
+/**
+ * Find the directory of the pdfjs-dist package
+ * @returns {string} Absolute path
+ * @throws {FileSystemError} If pdfjs-dist is not installed
+ */
+function findPDFJS() {
+  try {
+    return path.dirname(require.resolve('pdfjs-dist/package.json'));
+  } catch (error) {
+    throw new FileSystemError(ERROR_MESSAGES.PDFJS_NOT_FOUND);
+  }
+}
+
+/**
+ * Rasterizes PDF pages and compares images with one browser, kept open until close()
+ */
+class PDFRasterizer {
+  /**
+   * @param {Object} [options] - Rasterizer options
+   * @param {number} [options.dpi] - Resolution of the page images
+   * @param {Object} [options.browser] - Browser settings (see PDFConfig#getBrowserOptions)
+   */
+  constructor({ dpi = VISUAL.DPI, browser = {} } = {}) {
+    this.dpi = dpi;
+    this.browserOptions = browser;
+    this.root = findPDFJS();
+    this.server = null;
+    this.browser = null;
+    this.page = null;
+    this.url = null;
+  }
+
+  /**
+   * Start the loopback server and launch the browser
+   * @returns {Promise<void>}
+   * @throws {BrowserError} If the browser cannot be launched
+   */
+  async open() {
+    this.server = http.createServer((request, response) => {
+      const { pathname } = new URL(request.url, this.url);
+      if (pathname === '/') {
+        response.writeHead(HTTP_STATUS.OK, { 'Content-Type': 'text/html; charset=utf-8' });
+        response.end(BLANK_PAGE);
+        return;
+      }
+      serveStatic(this.root, pathname, request, response);
+    });
+    // Port 0 lets the system pick a free port
+    await listen(this.server, 0, VISUAL.HOST);
+    this.url = `http://${VISUAL.HOST}:${this.server.address().port}/`;
+
+    try {
+      this.browser = await launchBrowser(this.browserOptions);
+      this.page = await this.browser.newPage();
+      await this.page.goto(this.url);
+    } catch (error) {
+      await this.close();
+      throw new BrowserError(`${ERROR_MESSAGES.BROWSER_INIT}: ${error.message}`, error);
+    }
+  }
+
+  /**
+   * Draw every page of a PDF
+   * @param {Buffer} pdf - PDF content
+   * @returns {Promise<Buffer[]>} PNG image of each page, in order
+   * @throws {BrowserError} If pdf.js cannot load or draw the PDF
+   */
+  async rasterize(pdf) {
+    try {
+      const images = await this.page.evaluate(async (base, data, scale) => {
+        const pdfjs = await import(`${base}build/pdf.mjs`);
+        pdfjs.GlobalWorkerOptions.workerSrc = `${base}build/pdf.worker.mjs`;
+        const bytes = Uint8Array.from(atob(data), (character) => character.charCodeAt(0));
+        const pdfDocument = await pdfjs.getDocument({
+          data: bytes,
+          cMapUrl: `${base}cmaps/`,
+          cMapPacked: true,
+          standardFontDataUrl: `${base}standard_fonts/`,
+          isEvalSupported: false
+        }).promise;
+
+        const pages = [];
+        for (let number = 1; number <= pdfDocument.numPages; number++) {
+          const pdfPage = await pdfDocument.getPage(number);
+          const viewport = pdfPage.getViewport({ scale });
+          const canvas = document.createElement('canvas');
+          canvas.width = Math.ceil(viewport.width);
+          canvas.height = Math.ceil(viewport.height);
+          await pdfPage.render({ canvasContext: canvas.getContext('2d'), viewport }).promise;
+          pages.push(canvas.toDataURL('image/png').split(',')[1]);
+        }
+        await pdfDocument.destroy();
+        return pages;
+      }, this.url, pdf.toString('base64'), this.dpi / POINTS_PER_INCH);
+
+      return images.map((image) => Buffer.from(image, 'base64'));
+    } catch (error) {
+      throw new BrowserError(`${ERROR_MESSAGES.RASTERIZE}: ${error.message}`, error);
+    }
+  }
+
+  /**
+   * Read the size and the link annotations of every page of a PDF
+   * @param {Buffer} pdf - PDF content
+   * @returns {Promise<Object[]>} One entry per page ({ width, height, links }), in PDF points;
+   *   links are { url, rect }, rect being [left, bottom, right, top] from the bottom-left corner
+   * @throws {BrowserError} If pdf.js cannot load the PDF
+   */
+  async getLinks(pdf) {
+    try {
+      return await this.page.evaluate(async (base, data) => {
+        const pdfjs = await import(`${base}build/pdf.mjs`);
+        pdfjs.GlobalWorkerOptions.workerSrc = `${base}build/pdf.worker.mjs`;
+        const bytes = Uint8Array.from(atob(data), (character) => character.charCodeAt(0));
+        const pdfDocument = await pdfjs.getDocument({
+          data: bytes,
+          isEvalSupported: false
+        }).promise;
+
+        const pages = [];
+        for (let number = 1; number <= pdfDocument.numPages; number++) {
+          const pdfPage = await pdfDocument.getPage(number);
+          const [left, bottom, right, top] = pdfPage.view;
+          const annotations = await pdfPage.getAnnotations();
+          pages.push({
+            width: right - left,
+            height: top - bottom,
+            links: annotations
+              .filter((annotation) => annotation.subtype === 'Link' && annotation.url)
+              .map(({ url, rect }) => ({ url, rect }))
+          });
+        }
+        await pdfDocument.destroy();
+        return pages;
+      }, this.url, pdf.toString('base64'));
+    } catch (error) {
+      throw new BrowserError(`${ERROR_MESSAGES.READ_PDF}: ${error.message}`, error);
+    }
+  }
+
+  /**
+   * Compare two PNG images pixel by pixel
+   * @param {Buffer} expected - Baseline image
+   * @param {Buffer} actual - New image
+   * @param {Object} [options] - Comparison options
+   * @param {number} [options.threshold] - Colour difference, from 0 to 1, up to which two
+   *   pixels count as equal
+   * @returns {Promise<Object>} Result ({ sizeMatches, width, height, differences, ratio, diff }),
+   *   diff being a PNG image of the differences, or null when there are none
+   * @throws {BrowserError} If an image cannot be decoded
+   */
+  async compare(expected, actual, { threshold = VISUAL.THRESHOLD } = {}) {
+    try {
+      const result = await this.page.evaluate(async (images, options) => {
+        const bitmaps = await Promise.all(images.map(async (image) => {
+          const blob = await (await fetch(`data:image/png;base64,${image}`)).blob();
+          return createImageBitmap(blob);
+        }));
+        const [before, after] = bitmaps;
+        const { width, height } = after;
+        if (before.width !== width || before.height !== height) {
+          return {
+            sizeMatches: false,
+            width,
+            height,
+            expectedSize: `${before.width}x${before.height}`,
+            differences: width * height,
+            diff: null
+          };
+        }
+
+        const read = (bitmap) => {
+          const context = new OffscreenCanvas(width, height).getContext('2d');
+          context.drawImage(bitmap, 0, 0);
+          return context.getImageData(0, 0, width, height).data;
+        };
+        const [pixels, newPixels] = [read(before), read(after)];
+        const canvas = new OffscreenCanvas(width, height);
+        const context = canvas.getContext('2d');
+        const diffImage = context.createImageData(width, height);
+        const diffPixels = diffImage.data;
+
+        let differences = 0;
+        for (let index = 0; index < pixels.length; index += 4) {
+          let delta = 0;
+          for (let channel = 0; channel < 4; channel++) {
+            delta = Math.max(delta, Math.abs(pixels[index + channel] - newPixels[index + channel]));
+          }
+
+          if (delta > options.maxDelta) {
+            differences++;
+            diffPixels.set([...options.diffColor, options.channelMax], index);
+          } else {
+            const gray = (newPixels[index] + newPixels[index + 1] + newPixels[index + 2]) / 3;
+            const faded = options.channelMax - (options.channelMax - gray) * options.fadedOpacity;
+            diffPixels.set([faded, faded, faded, options.channelMax], index);
+          }
+        }
+        if (differences === 0) {
+          return { sizeMatches: true, width, height, differences, diff: null };
+        }
+
+        context.putImageData(diffImage, 0, 0);
+        const png = await canvas.convertToBlob({ type: 'image/png' });
+        const diff = await new Promise((resolve) => {
+          const reader = new FileReader();
+          reader.onload = () => resolve(reader.result.split(',')[1]);
+          reader.readAsDataURL(png);
+        });
+        return { sizeMatches: true, width, height, differences, diff };
+      }, [expected.toString('base64'), actual.toString('base64')], {
+        maxDelta: Math.round(threshold * CHANNEL_MAX),
+        channelMax: CHANNEL_MAX,
+        diffColor: DIFF_COLOR,
+        fadedOpacity: FADED_OPACITY
+      });
+
+      return {
+        ...result,
+        ratio: result.differences / (result.width * result.height),
+        diff: result.diff ? Buffer.from(result.diff, 'base64') : null
+      };
+    } catch (error) {
+      throw new BrowserError(`${ERROR_MESSAGES.RASTERIZE}: ${error.message}`, error);
+    }
+  }
+
+  /**
+   * Close the browser and the loopback server
+   * @returns {Promise<void>}
+   */
+  async close() {
+    if (this.browser) {
+      await closeBrowser(this.browser);
+      this.browser = null;
+      this.page = null;
+    }
+    if (this.server) {
+      const server = this.server;
+      this.server = null;
+      await new Promise((resolve) => server.close(resolve));
+    }
+  }
+}
+
+module.exports = PDFRasterizer;
@@ -0,0 +1,91 @@
+/**
+ * Unit tests of Anchors
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { slugify, addAnchors } = require('../../src/data/Anchors');
+const { ValidationError } = require('../../src/errors/CustomErrors');
+
+/**
+ * CV data with an experience entry of two projects and a school
+ * @param {Object[]} [projects] - Projects of the experience entry
+ * @returns {Object} CV data
+ */
+function createData(projects = [
+  { title: { en: 'Data Governance Initiative', fr: 'Initiative de gouvernance' },
+    client: { name: 'Scania CV' } },
+  { title: 'Internal Initiatives' }
+]) {
+  return {
+    experience: {
+      title: 'Experience',
+      entries: [{ organization: { name: 'Datashift NV' }, projects }]
+    },
+    education: {
+      entries: [{ institution: { name: 'Université Catholique de Louvain' },
+        degree: 'Master\'s Degree in Data Science' }]
+    },
+    softSkills: { title: 'Soft Skills' }
+  };
+}
+
+describe('slugify', () => {
+  it('joins lowercase ASCII words with dashes', () => {
+    assert.equal(slugify('Scania CV'), 'scania-cv');
+    assert.equal(slugify('softSkills'), 'soft-skills');
+    assert.equal(slugify('Université (Louvain)!'), 'universite-louvain');
+  });
+
+  it('joins the words of an apostrophe and starts with a letter', () => {
+    assert.equal(slugify('Master\'s Degree'), 'masters-degree');
+    assert.equal(slugify('2024 – Hackathon'), 'hackathon');
+    assert.equal(slugify('2024'), '');
+  });
+});
+
+describe('addAnchors', () => {
+  it('derives the ids from the default-language names', () => {
+    const result = addAnchors(createData());
+    const entry = result.experience.entries[0];
+    assert.equal(result.experience.id, 'experience');
+    assert.equal(result.softSkills.id, 'soft-skills');
+    assert.equal(entry.id, 'datashift-nv');
+    assert.deepEqual(entry.projects.map((project) => project.id),
+      ['scania-cv-data-governance-initiative', 'datashift-nv-internal-initiatives']);
+    assert.equal(result.education.entries[0].id,
+      'universite-catholique-de-louvain-masters-degree-in-data-science');
+  });
+
+  it('gives an entry the same id wherever it is in the list', () => {
+    const data = createData();
+    const reordered = createData([...data.experience.entries[0].projects].reverse());
+    const ids = (result) => result.experience.entries[0].projects.map((project) => project.id);
+    assert.deepEqual(ids(addAnchors(reordered)), [...ids(addAnchors(data))].reverse());
+  });
+
+  it('keeps the ids set in the data', () => {
+    const data = createData();
+    data.experience.entries[0].projects[1].id = 'lab';
+    assert.equal(addAnchors(data).experience.entries[0].projects[1].id, 'lab');
+  });
+
+  it('fails when two nodes get the same id', () => {
+    const data = createData([{ title: 'Audit' }, { title: 'Audit' }]);
+    assert.throws(() => addAnchors(data), (error) => error instanceof ValidationError &&
+      error.field === 'experience.entries[0].projects[1].id' &&
+      error.message.includes('"datashift-nv-audit"'));
+  });
+
+  it('fails when a generated id takes an id set in the data', () => {
+    const data = createData();
+    data.softSkills.id = 'datashift-nv';
+    assert.throws(() => addAnchors(data), ValidationError);
+  });
+
+  it('does not modify the data', () => {
+    const data = createData();
+    addAnchors(data);
+    assert.equal(data.experience.id, undefined);
+  });
+});
@@ -0,0 +1,147 @@
+/**
+ * Unit tests of BrowserLifecycle, without launching a browser
+ */
+
+const { describe, it, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('os');
+const {
+  withTimeout,
+  retry,
+  getLaunchOptions,
+  closeBrowser,
+  handleSignal
+} = require('../../src/generator/BrowserLifecycle');
+const { BROWSER_ARGS } = require('../../src/constants');
+const { BrowserError } = require('../../src/errors/CustomErrors');
+
+const TIMEOUT_MS = 20;
+const RETRY_DELAY_MS = 5;
+const SIGNAL_EXIT_BASE = 128;
+
+/**
+ * Promise settled after a delay
+ * @param {number} ms - Delay
+ * @param {*} [value] - Value it resolves with
+ * @returns {Promise<*>} Promise
+ */
+function later(ms, value) {
+  return new Promise((resolve) => setTimeout(() => resolve(value), ms));
+}
+
+describe('withTimeout', () => {
+  it('returns the result of a stage settled in time', async () => {
+    assert.equal(await withTimeout(later(1, 'loaded'), TIMEOUT_MS, 'navigation'), 'loaded');
+    await assert.rejects(withTimeout(Promise.reject(new Error('net::ERR_FAILED')), TIMEOUT_MS,
+      'navigation'), /net::ERR_FAILED/);
+  });
+
+  it('fails with a BrowserError naming the stage once the timeout expires', async () => {
+    await assert.rejects(withTimeout(new Promise(() => {}), TIMEOUT_MS, 'image-wait'),
+      (error) => error instanceof BrowserError && error.stage === 'image-wait' &&
+        error.message.endsWith(`: image-wait after ${TIMEOUT_MS} ms`));
+  });
+});
+
+describe('retry', () => {
+  it('retries a failed task with exponential backoff', async () => {
+    const waits = [];
+    const result = await retry(async (attempt) => {
+      if (attempt < 3) {
+        throw new Error(`attempt ${attempt}`);
+      }
+      return attempt;
+    }, {
+      retries: 2,
+      retryDelay: RETRY_DELAY_MS,
+      onRetry: ({ attempt, error, wait }) => waits.push([attempt, error.message, wait])
+    });
+
+    assert.equal(result, 3);
+    assert.deepEqual(waits, [
+      [1, 'attempt 1', RETRY_DELAY_MS],
+      [2, 'attempt 2', RETRY_DELAY_MS * 2]
+    ]);
+  });
+
+  it('throws the last error with the number of attempts', async () => {
+    await assert.rejects(retry(async (attempt) => {
+      throw new Error(`attempt ${attempt}`);
+    }, { retries: 1, retryDelay: RETRY_DELAY_MS }), (error) =>
+      error.message === 'attempt 2' && error.attempts === 2);
+  });
+
+  it('does not retry errors shouldRetry refuses', async () => {
+    let attempts = 0;
+    await assert.rejects(retry(async () => {
+      attempts++;
+      throw new BrowserError('Chrome not found', null, 'launch');
+    }, { retries: 3, retryDelay: RETRY_DELAY_MS, shouldRetry: () => false }), BrowserError);
+    assert.equal(attempts, 1);
+  });
+});
+
+describe('getLaunchOptions', () => {
+  it('disables the sandbox and leaves the signals to BrowserLifecycle by default', () => {
+    assert.deepEqual(getLaunchOptions(), {
+      headless: true,
+      args: BROWSER_ARGS,
+      handleSIGINT: false,
+      handleSIGTERM: false
+    });
+  });
+
+  it('applies the browser settings', () => {
+    const options = getLaunchOptions({
+      executablePath: '/usr/bin/chromium',
+      args: ['--font-render-hinting=none'],
+      headless: 'shell',
+      sandbox: true
+    });
+    assert.equal(options.executablePath, '/usr/bin/chromium');
+    assert.equal(options.headless, 'shell');
+    assert.deepEqual(options.args, ['--font-render-hinting=none']);
+  });
+});
+
+describe('closeBrowser', () => {
+  it('closes a connected browser and skips a disconnected one', async () => {
+    const browser = (connected) => ({
+      connected,
+      closed: false,
+      async close() {
+        this.closed = true;
+      }
+    });
+    const connected = browser(true);
+    const disconnected = browser(false);
+    await closeBrowser(connected);
+    await closeBrowser(disconnected);
+    assert.equal(connected.closed, true);
+    assert.equal(disconnected.closed, false);
+  });
+});
+
+describe('handleSignal', () => {
+  // Stand-ins for the handlers of BrowserLifecycle and of the application
+  const handlers = [() => {}, () => {}];
+
+  afterEach(() => {
+    mock.restoreAll();
+    handlers.forEach((handler) => process.removeListener('SIGTERM', handler));
+  });
+
+  it('exits with the code of the signal when only BrowserLifecycle handles it', async () => {
+    const exit = mock.method(process, 'exit', () => {});
+    await handleSignal('SIGTERM');
+    assert.deepEqual(exit.mock.calls.map((call) => call.arguments),
+      [[SIGNAL_EXIT_BASE + os.constants.signals.SIGTERM]]);
+  });
+
+  it('leaves the exit to the application when it handles the signal too', async () => {
+    const exit = mock.method(process, 'exit', () => {});
+    handlers.forEach((handler) => process.on('SIGTERM', handler));
+    await handleSignal('SIGTERM');
+    assert.equal(exit.mock.callCount(), 0);
+  });
+});
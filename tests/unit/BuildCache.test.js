@@ -0,0 +1,135 @@
+/**
+ * Unit tests of BuildCache
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { BuildCache } = require('../../src/build/BuildCache');
+const PDFConfig = require('../../src/config/PDFConfig');
+
+const JOB = { source: 'index.html', overrides: {}, output: 'CV.pdf', copies: [] };
+// A different value of each of BUILD.IGNORED_CONFIG_KEYS
+const IGNORED_SETTINGS = {
+  output: { filename: 'Other.pdf' },
+  profiles: { governance: { include: ['governance'] } },
+  outputs: [{ filename: 'CV.letter.pdf', pdf: { format: 'Letter' } }],
+  browser: { headless: 'shell', args: ['--no-zygote'] },
+  completeness: { enabled: false }
+};
+
+/**
+ * Configuration of a settings object, without the CV_PDF_ variables of the machine
+ * @param {Object} [settings] - Settings
+ * @returns {PDFConfig} Configuration
+ */
+function createConfig(settings = {}) {
+  return new PDFConfig(settings, { env: {} });
+}
+
+describe('BuildCache', () => {
+  let root;
+
+  before(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'cv-build-'));
+    fs.writeFileSync(path.join(root, 'index.html'), '<h1>CV</h1>');
+    fs.mkdirSync(path.join(root, 'styles/print'), { recursive: true });
+    fs.writeFileSync(path.join(root, 'styles/main.css'), 'body { margin: 0; }');
+    fs.writeFileSync(path.join(root, 'styles/print/print.css'), 'h1 { color: black; }');
+  });
+
+  after(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  describe('hashDirectory', () => {
+    it('gives the same hash for the same files', () => {
+      const directory = path.join(root, 'styles');
+      assert.equal(new BuildCache({ root }).hashDirectory(directory),
+        new BuildCache({ root }).hashDirectory(directory));
+    });
+
+    it('changes with the name or content of a file', () => {
+      const directory = path.join(root, 'styles');
+      const file = path.join(directory, 'print/print.css');
+      const before = new BuildCache({ root }).hashDirectory(directory);
+
+      fs.writeFileSync(file, 'h1 { color: gray; }');
+      const edited = new BuildCache({ root }).hashDirectory(directory);
+      fs.renameSync(file, path.join(directory, 'print/other.css'));
+      const renamed = new BuildCache({ root }).hashDirectory(directory);
+      fs.renameSync(path.join(directory, 'print/other.css'), file);
+      fs.writeFileSync(file, 'h1 { color: black; }');
+
+      assert.notEqual(edited, before);
+      assert.notEqual(renamed, edited);
+      assert.equal(new BuildCache({ root }).hashDirectory(directory), before);
+    });
+
+    it('returns null for a missing directory', () => {
+      assert.equal(new BuildCache({ root }).hashDirectory(path.join(root, 'none')), null);
+    });
+  });
+
+  describe('hashJob', () => {
+    it('gives the same hash for unchanged inputs', () => {
+      assert.equal(new BuildCache({ root }).hashJob(createConfig(), JOB),
+        new BuildCache({ root }).hashJob(createConfig(), JOB));
+    });
+
+    it('ignores the settings that do not change the bytes of the PDF', () => {
+      const cache = new BuildCache({ root });
+      const hash = cache.hashJob(createConfig(), JOB);
+      Object.entries(IGNORED_SETTINGS).forEach(([key, value]) => {
+        assert.equal(cache.hashJob(createConfig({ [key]: value }), JOB), hash, key);
+      });
+      assert.equal(cache.hashJob(createConfig(), { ...JOB, overrides: { output: 'CV.en.pdf' } }),
+        hash);
+    });
+
+    it('changes with the other settings, overrides included', () => {
+      const cache = new BuildCache({ root });
+      const hash = cache.hashJob(createConfig(), JOB);
+      const hashes = [
+        cache.hashJob(createConfig({ theme: 'print' }), JOB),
+        cache.hashJob(createConfig({ pdf: { format: 'Letter' } }), JOB),
+        cache.hashJob(createConfig(), { ...JOB, overrides: { photo: false } }),
+        cache.hashJob(createConfig(), { ...JOB, overrides: { media: 'screen' } })
+      ];
+      assert.equal(new Set([hash, ...hashes]).size, hashes.length + 1);
+    });
+
+    it('changes with the page', () => {
+      const cache = new BuildCache({ root });
+      assert.notEqual(cache.hashJob(createConfig(), { ...JOB, source: { html: '<h1>CV</h1>' } }),
+        cache.hashJob(createConfig(), { ...JOB, source: { html: '<h1>Resume</h1>' } }));
+    });
+
+    it('returns null for a remote page', () => {
+      const job = { ...JOB, source: 'https://arnauudg.github.io/' };
+      assert.equal(new BuildCache({ root }).hashJob(createConfig(), job), null);
+    });
+  });
+
+  describe('manifest', () => {
+    it('keeps a rendered job up to date until its file or inputs change', () => {
+      const manifest = path.join(root, 'pdf-manifest.json');
+      const cache = new BuildCache({ root, manifest });
+      const hash = cache.hashJob(createConfig(), JOB);
+      const date = new Date('2025-01-12T09:30:00Z');
+      fs.writeFileSync(path.join(root, 'CV.pdf'), '%PDF-1.7');
+      cache.record(JOB, hash, date);
+      cache.save();
+
+      const saved = new BuildCache({ root, manifest });
+      assert.ok(saved.isUpToDate(JOB, hash));
+      assert.equal(saved.getDate(JOB, hash).toISOString(), date.toISOString());
+      assert.ok(!saved.isUpToDate(JOB, saved.hashJob(createConfig({ theme: 'print' }), JOB)));
+
+      fs.writeFileSync(path.join(root, 'CV.pdf'), '%PDF-1.7 edited');
+      assert.ok(!saved.isUpToDate(JOB, hash));
+    });
+  });
+});
@@ -0,0 +1,47 @@
+/**
+ * Unit tests of CLIArguments
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCLIArguments, parseMargin, parseScale } = require('../../src/cli/CLIArguments');
+const { validatePDFConfig } = require('../../src/utils/ConfigValidator');
+const { UsageError, ValidationError } = require('../../src/errors/CustomErrors');
+
+const VALID_SCALES = ['0.1', '0.95', '1', '1.5', '2'];
+const INVALID_SCALES = ['0', '0.01', '0.09', '2.1', '-1', 'abc', ' '];
+
+describe('parseScale', () => {
+  it('accepts the scales of the configuration, from 0.1 to 2', () => {
+    VALID_SCALES.forEach((value) => {
+      assert.equal(parseScale(value), Number(value));
+      assert.doesNotThrow(() => validatePDFConfig({ scale: Number(value) }), value);
+    });
+  });
+
+  it('refuses the scales the configuration refuses, naming the option', () => {
+    INVALID_SCALES.forEach((value) => {
+      assert.throws(() => parseScale(value), UsageError, value);
+    });
+    ['0.01', '2.1'].forEach((value) => {
+      assert.throws(() => validatePDFConfig({ scale: Number(value) }), ValidationError, value);
+    });
+    assert.throws(() => parseScale('3', 'scale'),
+      { message: 'Invalid scale "3", expected a number from 0.1 to 2' });
+  });
+});
+
+describe('parseMargin', () => {
+  it('expands the CSS shorthand', () => {
+    assert.deepEqual(parseMargin('25mm 10mm'),
+      { top: '25mm', right: '10mm', bottom: '25mm', left: '10mm' });
+    assert.throws(() => parseMargin('1'), UsageError);
+  });
+});
+
+describe('parseCLIArguments', () => {
+  it('passes the scale on as a PDF option', () => {
+    assert.deepEqual(parseCLIArguments(['--scale', '1.5'], {}).pdf, { scale: 1.5 });
+    assert.throws(() => parseCLIArguments(['-s', '0.01'], {}), /Invalid --scale "0\.01"/);
+  });
+});
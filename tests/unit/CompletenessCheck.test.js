@@ -0,0 +1,101 @@
+/**
+ * Unit tests of CompletenessCheck. The search of the page runs in the browser, so the page
+ * here returns its result; the PDF build runs it on the real pages.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  findIncompleteContent,
+  formatIssue,
+  checkCompleteness
+} = require('../../src/generator/CompletenessCheck');
+const PDFConfig = require('../../src/config/PDFConfig');
+const { COMPLETENESS } = require('../../src/constants');
+const { IncompleteContentError, ValidationError } = require('../../src/errors/CustomErrors');
+
+const { ISSUE_TYPES } = COMPLETENESS;
+const ZERO_HEIGHT = {
+  type: ISSUE_TYPES.ZERO_HEIGHT,
+  selector: '#experience > div.company-content',
+  characters: 120,
+  sample: 'Data Governance Initiative'
+};
+const IMAGE = {
+  type: ISSUE_TYPES.IMAGE,
+  selector: 'img.profile-photo',
+  src: 'https://arnauudg.github.io/assets/profile-picture.jpeg'
+};
+
+/**
+ * Page whose evaluate records its arguments and returns a result
+ * @param {Object} result - Result of the search of the page
+ * @returns {Object} Stand-in for a Puppeteer page, with the arguments in its `args`
+ */
+function createPage(result) {
+  const page = {
+    args: null,
+    evaluate: async (fn, ...args) => {
+      page.args = args;
+      return result;
+    }
+  };
+  return page;
+}
+
+describe('formatIssue', () => {
+  it('quotes the start of the missing text', () => {
+    assert.equal(formatIssue(ZERO_HEIGHT), 'zero-height: #experience > div.company-content ' +
+      '(120 characters: "Data Governance Initiative…")');
+    assert.equal(formatIssue({ type: ISSUE_TYPES.HIDDEN, selector: 'p', characters: 2,
+      sample: 'CV' }), 'hidden: p (2 characters: "CV")');
+  });
+
+  it('describes images and content past the edge of the page', () => {
+    assert.equal(formatIssue(IMAGE), 'image: img.profile-photo (failed to load ' +
+      'https://arnauudg.github.io/assets/profile-picture.jpeg)');
+    assert.equal(formatIssue({ type: ISSUE_TYPES.OVERFLOW, selector: 'table' }),
+      'overflow: table (past the edge of the page)');
+  });
+});
+
+describe('findIncompleteContent', () => {
+  it('searches the page with the ignored selectors and the settings', async () => {
+    const page = createPage({ characters: 10, visible: 10, issues: [] });
+    await findIncompleteContent(page);
+    assert.deepEqual(page.args, [COMPLETENESS.IGNORE, COMPLETENESS]);
+  });
+
+  it('fails on ignored selectors that are not valid CSS', async () => {
+    await assert.rejects(findIncompleteContent(createPage({ invalid: ['.a[', '>>'] }), ['.a[']),
+      (error) => error instanceof ValidationError && error.field === 'completeness.ignore' &&
+        error.message === 'completeness.ignore has invalid CSS selectors: .a[, >>');
+  });
+});
+
+describe('checkCompleteness', () => {
+  it('returns the characters of a page showing all of its content', async () => {
+    const page = createPage({ characters: 5000, visible: 5000, issues: [] });
+    assert.deepEqual(await checkCompleteness(page, []), { characters: 5000 });
+  });
+
+  it('fails listing the issues and the characters not shown', async () => {
+    const issues = [ZERO_HEIGHT, IMAGE];
+    const page = createPage({ characters: 5000, visible: 4880, issues });
+    await assert.rejects(checkCompleteness(page, []), (error) =>
+      error instanceof IncompleteContentError && error.issues === issues &&
+      error.message === 'Rendered content is incomplete, 120 of 5000 characters not shown, ' +
+        `2 issue(s):\n  - ${formatIssue(ZERO_HEIGHT)}\n  - ${formatIssue(IMAGE)}`);
+  });
+});
+
+describe('completeness configuration', () => {
+  it('is enabled by default and extends the ignored selectors', () => {
+    assert.deepEqual(new PDFConfig({}, { env: {} }).getCompletenessOptions(),
+      { enabled: true, ignore: COMPLETENESS.IGNORE });
+    const options = new PDFConfig({
+      completeness: { enabled: false, ignore: ['.footer', '.print-only'] }
+    }, { env: {} }).getCompletenessOptions();
+    assert.deepEqual(options, { enabled: false, ignore: [...COMPLETENESS.IGNORE, '.print-only'] });
+  });
+});
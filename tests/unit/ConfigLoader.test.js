@@ -0,0 +1,128 @@
+/**
+ * Unit tests of ConfigLoader
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  readConfigFile,
+  resolveExtends,
+  selectConfigProfile,
+  readEnvOverrides
+} = require('../../src/config/ConfigLoader');
+const { ConfigurationError } = require('../../src/errors/CustomErrors');
+
+describe('ConfigLoader', () => {
+  let directory;
+
+  /**
+   * Write a configuration file in the test directory
+   * @param {string} name - File name
+   * @param {*} content - JSON content, or text written as it is
+   * @returns {string} Absolute path
+   */
+  const writeConfig = (name, content) => {
+    const file = path.join(directory, name);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, typeof content === 'string' ? content : JSON.stringify(content));
+    return file;
+  };
+
+  before(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'cv-config-'));
+  });
+
+  after(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  describe('readConfigFile', () => {
+    it('reads a JSON object', () => {
+      const file = writeConfig('plain.json', { theme: 'dark' });
+      assert.deepEqual(readConfigFile(file), { theme: 'dark' });
+    });
+
+    it('fails on a missing file, naming the file extending it', () => {
+      assert.throws(() => readConfigFile(path.join(directory, 'none.json'), 'ci.json'),
+        (error) => error instanceof ConfigurationError &&
+          error.message.includes('extended by ci.json'));
+    });
+
+    it('fails on invalid JSON and on values that are not objects', () => {
+      assert.throws(() => readConfigFile(writeConfig('broken.json', '{ theme: ')),
+        ConfigurationError);
+      assert.throws(() => readConfigFile(writeConfig('list.json', [])), /expected an object/);
+    });
+  });
+
+  describe('resolveExtends', () => {
+    it('merges the configuration over the files it extends, relative to each file', () => {
+      writeConfig('base/base.json', { pdf: { format: 'A4', scale: 1 }, theme: 'light' });
+      writeConfig('base/team.json', { extends: './base.json', pdf: { scale: 0.9 } });
+      const config = { extends: 'base/team.json', pdf: { format: 'Letter' } };
+      assert.deepEqual(resolveExtends(config, directory), {
+        pdf: { format: 'Letter', scale: 0.9 },
+        theme: 'light'
+      });
+    });
+
+    it('returns a configuration without extends as it is', () => {
+      assert.deepEqual(resolveExtends({ theme: 'dark' }, directory), { theme: 'dark' });
+    });
+
+    it('fails when the files extend each other', () => {
+      const first = writeConfig('cycle/first.json', { extends: './second.json' });
+      writeConfig('cycle/second.json', { extends: './first.json' });
+      assert.throws(() => resolveExtends({ extends: first }, directory),
+        /extend each other: .*first\.json -> .*second\.json -> .*first\.json/);
+    });
+
+    it('fails when extends is not a path', () => {
+      assert.throws(() => resolveExtends({ extends: '' }, directory), ConfigurationError);
+      assert.throws(() => resolveExtends({ extends: ['a.json'] }, directory), ConfigurationError);
+    });
+  });
+
+  describe('selectConfigProfile', () => {
+    it('returns the settings of the profile', () => {
+      assert.deepEqual(selectConfigProfile({ ci: { theme: 'dark' } }, 'ci'), { theme: 'dark' });
+    });
+
+    it('fails on an unknown profile, listing the known ones', () => {
+      assert.throws(() => selectConfigProfile({ ci: {}, letter: {} }, 'print'),
+        /Unknown config profile "print", expected one of: ci, letter/);
+      assert.throws(() => selectConfigProfile({}, 'toString'), /an entry of configProfiles/);
+    });
+  });
+
+  describe('readEnvOverrides', () => {
+    it('converts the variables into settings', () => {
+      const { overrides, variables, errors } = readEnvOverrides({
+        CV_PDF_SCALE: '0.9',
+        CV_PDF_MARGIN_TOP: '10mm',
+        CV_PDF_TAGGED: 'false',
+        CV_PDF_MAX_PAGES: 'null',
+        CV_PDF_CONFIG_PROFILE: 'ci',
+        HOME: '/root'
+      });
+      assert.deepEqual(overrides, {
+        maxPages: null,
+        pdf: { margin: { top: '10mm' }, scale: 0.9, tagged: false }
+      });
+      assert.equal(variables['pdf.scale'], 'CV_PDF_SCALE');
+      assert.deepEqual(errors, []);
+    });
+
+    it('reports unknown variables, with a suggestion', () => {
+      const { overrides, errors } = readEnvOverrides({ CV_PDF_SCAL: '1', CV_PDF_COLOURS: 'x' });
+      assert.deepEqual(overrides, {});
+      assert.equal(errors.length, 2);
+      assert.match(errors[0].message, /^CV_PDF_COLOURS is not a configuration variable, expected:/);
+      assert.equal(errors[1].message,
+        'CV_PDF_SCAL is not a configuration variable (did you mean CV_PDF_SCALE?)');
+    });
+  });
+});
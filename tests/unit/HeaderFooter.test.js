@@ -0,0 +1,82 @@
+/**
+ * Unit tests of HeaderFooter
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildHeaderFooterStylesheet, reserveMargins } = require('../../src/generator/HeaderFooter');
+
+const VALUES = { name: 'Gueulette Arnaud', title: 'Data "Governance" Consultant', date: '2025' };
+const STYLE = { color: '#333', fontFamily: 'Inter, sans-serif' };
+
+/**
+ * Rules of a @page block of the stylesheet
+ * @param {string} css - Stylesheet
+ * @param {string} selector - "@page" or "@page :first"
+ * @returns {string[]} Margin box rules of the block
+ */
+function getBoxes(css, selector) {
+  const start = css.indexOf(`${selector} {\n`);
+  const block = css.slice(start, css.indexOf('\n}', start));
+  return block.split('\n').slice(1).map((rule) => rule.trim());
+}
+
+describe('buildHeaderFooterStylesheet', () => {
+  it('turns the templates into margin boxes with counters for the page numbers', () => {
+    const css = buildHeaderFooterStylesheet({
+      header: { left: '{name}', right: '{title}' },
+      footer: 'Page {page} of {total}'
+    }, VALUES, STYLE);
+    const declarations = 'font-size: 8pt; font-family: Inter, sans-serif; color: #333;';
+    assert.deepEqual(getBoxes(css, '@page'), [
+      `@top-left { content: "Gueulette Arnaud"; ${declarations} }`,
+      `@top-right { content: "Data \\"Governance\\" Consultant"; ${declarations} }`,
+      `@bottom-center { content: "Page " counter(page) " of " counter(pages); ${declarations} }`
+    ]);
+  });
+
+  it('repeats the templates on the first page by default', () => {
+    const css = buildHeaderFooterStylesheet({ footer: '{date}', fontSize: '7pt' }, VALUES, {});
+    assert.deepEqual(getBoxes(css, '@page :first'), [
+      '@bottom-left { content: none; font-size: 7pt; }',
+      '@bottom-center { content: "2025"; font-size: 7pt; }',
+      '@bottom-right { content: none; font-size: 7pt; }'
+    ]);
+  });
+
+  it('gives the first page its own templates, or none', () => {
+    const settings = { header: '{name}', footer: '{page}', firstPage: { header: null } };
+    const first = getBoxes(buildHeaderFooterStylesheet(settings, VALUES, {}), '@page :first');
+    assert.ok(first.includes('@top-center { content: none; font-size: 8pt; }'));
+    assert.ok(first.includes('@bottom-center { content: counter(page); font-size: 8pt; }'));
+
+    const hidden = buildHeaderFooterStylesheet({ ...settings, firstPage: false }, VALUES, {});
+    assert.ok(getBoxes(hidden, '@page :first').every((rule) => rule.includes('content: none')));
+  });
+
+  it('leaves unknown placeholders empty', () => {
+    const css = buildHeaderFooterStylesheet({ header: '{name} {unknown}' }, VALUES, {});
+    assert.ok(css.includes('@top-center { content: "Gueulette Arnaud" " "; font-size: 8pt; }'));
+  });
+});
+
+describe('reserveMargins', () => {
+  it('raises the margins of the edges with a header or footer to their height', () => {
+    const margin = { top: '5mm', right: '10mm', bottom: '20mm', left: '10mm' };
+    assert.deepEqual(reserveMargins(margin, { header: '{name}', footer: '{page}' }),
+      { top: '12mm', right: '10mm', bottom: '20mm', left: '10mm' });
+  });
+
+  it('uses the configured height and the first page templates', () => {
+    assert.deepEqual(reserveMargins({ top: '5mm' }, {
+      height: '0.6in',
+      firstPage: { header: '{name}' }
+    }), { top: '0.6in' });
+  });
+
+  it('keeps the margins without headers and footers', () => {
+    assert.deepEqual(reserveMargins({ top: '5mm', bottom: '5mm' }, {}),
+      { top: '5mm', bottom: '5mm' });
+    assert.deepEqual(reserveMargins(undefined, { footer: 'CV' }), { bottom: '12mm' });
+  });
+});
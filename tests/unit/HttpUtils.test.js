@@ -0,0 +1,108 @@
+/**
+ * Unit tests of HttpUtils
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { getContentType, serveStatic } = require('../../src/server/HttpUtils');
+const { HTTP_STATUS } = require('../../src/constants');
+
+/**
+ * Response recording its status, headers and body
+ * @returns {Object} Stand-in for an http.ServerResponse
+ */
+function createResponse() {
+  return {
+    statusCode: null,
+    headers: {},
+    body: undefined,
+    writeHead(status, headers = {}) {
+      this.statusCode = status;
+      this.headers = headers;
+      return this;
+    },
+    end(body) {
+      this.body = body;
+      return this;
+    }
+  };
+}
+
+describe('getContentType', () => {
+  it('maps the extension, in any case, to a content type', () => {
+    assert.equal(getContentType('index.HTML'), 'text/html; charset=utf-8');
+    assert.equal(getContentType('CV.pdf'), 'application/pdf');
+    assert.equal(getContentType('archive.tar'), 'application/octet-stream');
+  });
+});
+
+describe('serveStatic', () => {
+  let parent;
+  let root;
+
+  /**
+   * Serve a path of the root directory
+   * @param {string} pathname - URL path
+   * @param {Object} [options] - serveStatic options
+   * @returns {Object} Recorded response
+   */
+  const serve = (pathname, options) => {
+    const response = createResponse();
+    serveStatic(root, pathname, { method: 'GET' }, response, options);
+    return response;
+  };
+
+  before(() => {
+    parent = fs.mkdtempSync(path.join(os.tmpdir(), 'cv-static-'));
+    root = path.join(parent, 'site');
+    fs.mkdirSync(path.join(root, 'styles'), { recursive: true });
+    fs.writeFileSync(path.join(root, 'index.html'), '<h1>CV</h1>');
+    fs.writeFileSync(path.join(root, 'styles/main.css'), 'body { margin: 0; }');
+    fs.writeFileSync(path.join(parent, 'secret.txt'), 'secret');
+    fs.mkdirSync(path.join(parent, 'site-backup'));
+    fs.writeFileSync(path.join(parent, 'site-backup/index.html'), 'backup');
+  });
+
+  after(() => {
+    fs.rmSync(parent, { recursive: true, force: true });
+  });
+
+  it('serves the files of the root, and the index.html of directories', () => {
+    const css = serve('/styles/main.css');
+    assert.equal(css.statusCode, HTTP_STATUS.OK);
+    assert.equal(css.headers['Content-Type'], 'text/css; charset=utf-8');
+    assert.equal(css.body.toString(), 'body { margin: 0; }');
+    assert.equal(serve('/').body.toString(), '<h1>CV</h1>');
+  });
+
+  it('rewrites HTML pages with transformHTML', () => {
+    const response = serve('/index.html', { transformHTML: (html) => `${html}<script></script>` });
+    assert.equal(response.body, '<h1>CV</h1><script></script>');
+  });
+
+  it('refuses paths outside the root, encoded or not', () => {
+    ['/../secret.txt', '/%2e%2e/secret.txt', '/..%2fsecret.txt', '/../site-backup/index.html']
+      .forEach((pathname) => {
+        const response = serve(pathname);
+        assert.equal(response.statusCode, HTTP_STATUS.FORBIDDEN, pathname);
+        assert.equal(response.body, undefined, pathname);
+      });
+  });
+
+  it('answers 400 to a path that does not decode, and 404 to a missing file', () => {
+    const malformed = serve('/%E0%A4%A');
+    assert.equal(malformed.statusCode, HTTP_STATUS.BAD_REQUEST);
+    assert.equal(malformed.body, 'Malformed URL path: /%E0%A4%A');
+    assert.equal(serve('/missing.css').statusCode, HTTP_STATUS.NOT_FOUND);
+  });
+
+  it('sends no body to HEAD requests', () => {
+    const response = createResponse();
+    serveStatic(root, '/index.html', { method: 'HEAD' }, response);
+    assert.equal(response.statusCode, HTTP_STATUS.OK);
+    assert.equal(response.body, undefined);
+  });
+});
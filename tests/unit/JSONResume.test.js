@@ -0,0 +1,73 @@
+/**
+ * Unit tests of JSONResume and of the jsonResume.js import and export
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { toJSONResume, fromJSONResume } = require('../../src/data/JSONResume');
+const { loadCVData } = require('../../src/data/CVData');
+const { applyProfile } = require('../../src/data/ProfileFilter');
+const { Translator } = require('../../src/i18n/Translator');
+const { UsageError } = require('../../src/errors/CustomErrors');
+const { exportJSONResume, importJSONResume } = require('../../jsonResume');
+
+/**
+ * cv.json in one language, as exported
+ * @param {string} [language] - Language
+ * @returns {Object} CV data without translations, tags or profiles
+ */
+function loadLocalizedData(language = 'en') {
+  return new Translator(language).localizeData(applyProfile(loadCVData()));
+}
+
+describe('JSONResume', () => {
+  it('gives back the data of cv.json after an export and an import', () => {
+    const data = loadLocalizedData();
+    assert.deepEqual(fromJSONResume(toJSONResume(data)), data);
+  });
+
+  it('keeps the superscripts of the text', () => {
+    const data = loadLocalizedData('fr');
+    assert.match(JSON.stringify(data), /<sup>/);
+    assert.match(JSON.stringify(toJSONResume(data)), /\^[^\s^]+\^/);
+    assert.deepEqual(fromJSONResume(toJSONResume(data)), data);
+  });
+});
+
+describe('jsonResume.js', () => {
+  let directory;
+
+  before(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'cv-resume-'));
+  });
+
+  after(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('imports an exported file as the data of cv.json, without regenerating the site', () => {
+    const resumePath = exportJSONResume(path.join(directory, 'resume.json'), 'nl');
+    assert.equal(JSON.parse(fs.readFileSync(resumePath, 'utf8')).meta.language, 'nl');
+
+    const { dataPath, pages } = importJSONResume(resumePath, path.join(directory, 'cv.json'));
+    assert.deepEqual(JSON.parse(fs.readFileSync(dataPath, 'utf8')), loadLocalizedData('nl'));
+    assert.deepEqual(pages, []);
+  });
+
+  it('refuses to overwrite translations, tags or ids without force', () => {
+    const resumePath = exportJSONResume(path.join(directory, 'resume.json'));
+    const dataPath = path.join(directory, 'localized.json');
+    const localized = `${JSON.stringify({ header: { headline: { en: 'Consultant' } } })}\n`;
+    fs.writeFileSync(dataPath, localized);
+
+    assert.throws(() => importJSONResume(resumePath, dataPath), (error) =>
+      error instanceof UsageError && error.message.endsWith(`${dataPath}: header.headline`));
+    assert.equal(fs.readFileSync(dataPath, 'utf8'), localized);
+
+    importJSONResume(resumePath, dataPath, { force: true });
+    assert.deepEqual(JSON.parse(fs.readFileSync(dataPath, 'utf8')), loadLocalizedData());
+  });
+});
@@ -0,0 +1,120 @@
+/**
+ * Unit tests of JSONSchema
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { validateSchema, joinPath, suggest } = require('../../src/utils/JSONSchema');
+
+const SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['pdf'],
+  properties: {
+    pdf: { $ref: '#/definitions/pdf' },
+    theme: { enum: ['light', 'dark'] },
+    outputs: {
+      type: 'array',
+      uniqueItems: true,
+      items: { type: 'string', minLength: 1 }
+    },
+    maxPages: { anyOf: [{ type: 'integer', minimum: 1 }, { type: 'null' }] },
+    labels: {
+      type: 'object',
+      propertyNames: { pattern: '^[a-z]+$', errorMessage: 'must be lowercase letters' },
+      additionalProperties: { type: 'string' }
+    }
+  },
+  definitions: {
+    pdf: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        scale: { type: 'number', exclusiveMinimum: 0, maximum: 2 },
+        format: { type: 'string', pattern: '^(A4|Letter)$' }
+      }
+    }
+  }
+};
+
+/**
+ * Messages of the errors of a value
+ * @param {*} value - Value to validate against SCHEMA
+ * @returns {string[]} Messages
+ */
+function messages(value) {
+  return validateSchema(value, SCHEMA).map((error) => error.message);
+}
+
+describe('joinPath', () => {
+  it('writes paths in the style of the error fields', () => {
+    assert.equal(joinPath('', 'pdf'), 'pdf');
+    assert.equal(joinPath('pdf', 'scale'), 'pdf.scale');
+    assert.equal(joinPath('outputs', 0), 'outputs[0]');
+    assert.equal(joinPath('labels', 'two words'), 'labels["two words"]');
+  });
+});
+
+describe('suggest', () => {
+  it('returns the closest name within two edits', () => {
+    assert.equal(suggest('scal', ['scale', 'format']), 'scale');
+    assert.equal(suggest('fromat', ['scale', 'format']), 'format');
+    assert.equal(suggest('margins', ['scale', 'format']), null);
+  });
+});
+
+describe('validateSchema', () => {
+  it('accepts a valid value', () => {
+    assert.deepEqual(validateSchema({
+      pdf: { scale: 1, format: 'A4' },
+      theme: 'dark',
+      outputs: ['CV.pdf'],
+      maxPages: null,
+      labels: { present: 'Now' }
+    }, SCHEMA), []);
+  });
+
+  it('reports every error with its path', () => {
+    const errors = validateSchema({ pdf: { scale: 0, format: 'A5' }, theme: 'blue' }, SCHEMA);
+    assert.deepEqual(errors.map((error) => error.path), ['pdf.scale', 'pdf.format', 'theme']);
+    assert.deepEqual(errors.map((error) => error.message), [
+      'pdf.scale must be greater than 0',
+      'pdf.format must match ^(A4|Letter)$',
+      'theme must be one of: light, dark'
+    ]);
+  });
+
+  it('reports missing and unknown settings, with a suggestion', () => {
+    assert.deepEqual(messages({ pdf: { scal: 1 } }), [
+      'pdf.scal is not a known setting (did you mean scale?)'
+    ]);
+    assert.deepEqual(messages({}), ['pdf is required']);
+    assert.deepEqual(messages({ pdf: {}, colours: {} }), [
+      'colours is not a known setting, expected: pdf, theme, outputs, maxPages, labels'
+    ]);
+  });
+
+  it('checks the types, items and uniqueness of arrays', () => {
+    assert.deepEqual(messages({ pdf: [] }), ['pdf must be an object']);
+    assert.deepEqual(messages({ pdf: {}, outputs: ['CV.pdf', 'CV.pdf', ''] }), [
+      'outputs lists an item more than once',
+      'outputs[2] must not be empty'
+    ]);
+  });
+
+  it('reports the errors of the anyOf branch of the right type', () => {
+    assert.deepEqual(messages({ pdf: {}, maxPages: 0 }), ['maxPages must be at least 1']);
+    assert.deepEqual(messages({ pdf: {}, maxPages: 'two' }), [
+      'maxPages must be an integer, or null'
+    ]);
+  });
+
+  it('uses the errorMessage of a schema for its own errors', () => {
+    assert.deepEqual(messages({ pdf: {}, labels: { Present: 'Now' } }), [
+      'labels.Present: invalid name, must be lowercase letters'
+    ]);
+    assert.deepEqual(messages({ pdf: {}, labels: { present: 1 } }), [
+      'labels.present must be a string'
+    ]);
+  });
+});
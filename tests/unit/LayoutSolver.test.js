@@ -0,0 +1,99 @@
+/**
+ * Unit tests of LayoutSolver
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const LayoutSolver = require('../../src/generator/LayoutSolver');
+const { PDFGenerationError } = require('../../src/errors/CustomErrors');
+
+const PDF_OPTIONS = {
+  scale: 1,
+  margin: { top: '20mm', right: '15mm', bottom: '20mm', left: '4mm' }
+};
+const OPTIONS = { maxPages: 2, minScale: 0.8, minMargin: '8mm', minSpacing: 0.8, steps: 4 };
+
+/**
+ * A stand-in for a rendered PDF with a number of pages
+ * @param {number} pages - Page count
+ * @returns {Buffer} PDF-like content
+ */
+function createPDF(pages) {
+  return Buffer.from(Array.from({ length: pages }, () => '<< /Type /Page >>').join('\n'));
+}
+
+/**
+ * Render function whose layouts fit from a level on, recording the layouts it renders
+ * @param {LayoutSolver} solver - Solver
+ * @param {number} firstFittingLevel - First level giving maxPages pages
+ * @returns {Function} Render function, with the rendered layouts in its `layouts`
+ */
+function createRender(solver, firstFittingLevel) {
+  const levels = Array.from({ length: solver.lastLevel + 1 }, (unused, level) => level);
+  const render = async (layout) => {
+    render.layouts.push(layout);
+    const level = levels.find((candidate) =>
+      JSON.stringify(solver.getLayout(candidate)) === JSON.stringify(layout));
+    return createPDF(level >= firstFittingLevel ? solver.maxPages : solver.maxPages + 1);
+  };
+  render.layouts = [];
+  return render;
+}
+
+describe('LayoutSolver', () => {
+  it('starts from the configured layout', () => {
+    const solver = new LayoutSolver(PDF_OPTIONS, OPTIONS);
+    assert.deepEqual(solver.getLayout(0), {
+      scale: 1,
+      margin: { top: '20mm', right: '15mm', bottom: '20mm', left: '4mm' },
+      spacing: 1
+    });
+  });
+
+  it('shrinks the margins, then the spacing, then the scale', () => {
+    const solver = new LayoutSolver(PDF_OPTIONS, OPTIONS);
+    assert.deepEqual(solver.getLayout(OPTIONS.steps), {
+      scale: 1,
+      margin: { top: '8mm', right: '8mm', bottom: '8mm', left: '4mm' },
+      spacing: 1
+    });
+    assert.equal(solver.getLayout(OPTIONS.steps * 2).spacing, OPTIONS.minSpacing);
+    assert.equal(solver.getLayout(OPTIONS.steps * 2).scale, 1);
+    assert.equal(solver.getLayout(solver.lastLevel).scale, OPTIONS.minScale);
+  });
+
+  it('accepts a minimum margin per side', () => {
+    const solver = new LayoutSolver(PDF_OPTIONS, {
+      ...OPTIONS,
+      minMargin: { top: '10mm', right: '5mm', bottom: '10mm', left: '5mm' }
+    });
+    assert.deepEqual(solver.getLayout(solver.lastLevel).margin,
+      { top: '10mm', right: '5mm', bottom: '10mm', left: '4mm' });
+  });
+
+  it('keeps the configured layout when it fits', async () => {
+    const solver = new LayoutSolver(PDF_OPTIONS, OPTIONS);
+    const result = await solver.solve(createRender(solver, 0));
+    assert.equal(result.attempts, 1);
+    assert.equal(result.pages, 2);
+    assert.deepEqual(result.layout, solver.getLayout(0));
+  });
+
+  it('finds the first layout that fits by binary search', async () => {
+    const solver = new LayoutSolver(PDF_OPTIONS, OPTIONS);
+    const level = OPTIONS.steps + 3;
+    const render = createRender(solver, level);
+    const result = await solver.solve(render);
+    assert.deepEqual(result.layout, solver.getLayout(level));
+    assert.equal(result.pages, 2);
+    assert.equal(result.attempts, render.layouts.length);
+    assert.ok(result.attempts < solver.lastLevel, `${result.attempts} attempts`);
+  });
+
+  it('fails when the tightest layout does not fit', async () => {
+    const solver = new LayoutSolver(PDF_OPTIONS, OPTIONS);
+    await assert.rejects(solver.solve(createRender(solver, solver.lastLevel + 1)),
+      (error) => error instanceof PDFGenerationError && /3 pages at the minimum scale 0\.8/
+        .test(error.message));
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * Unit tests of PDFMetadata
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { writeMetadata, makeReproducible } = require('../../src/utils/PDFMetadata');
+const { PDFGenerationError } = require('../../src/errors/CustomErrors');
+
+const DATE = new Date('2025-01-12T09:30:00.000Z');
+const METADATA = {
+  title: 'Gueulette Arnaud – CV',
+  author: 'Gueulette Arnaud',
+  subject: 'Data & governance',
+  keywords: ['Collibra', 'AWS'],
+  language: 'fr'
+};
+
+/**
+ * A minimal PDF as Chrome writes it: catalog, page tree, one page, Info dictionary and ID
+ * @param {string} [id] - Hex digits of the document ID
+ * @param {string} [date] - PDF date of the Info dictionary
+ * @returns {Buffer} PDF
+ */
+function createPDF(id = '0123456789ABCDEF', date = 'D:20260101120000+00\'00\'') {
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 595 842] >>',
+    `<< /Creator (Chromium) /Producer (Skia/PDF m141) /CreationDate (${date}) ` +
+      `/ModDate (${date}) >>`
+  ];
+  let text = '%PDF-1.4\n';
+  const offsets = objects.map((body, index) => {
+    const offset = text.length;
+    text += `${index + 1} 0 obj\n${body}\nendobj\n`;
+    return offset;
+  });
+  const xrefOffset = text.length;
+  text += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n` +
+    offsets.map((offset) => `${String(offset).padStart(10, '0')} 00000 n \n`).join('') +
+    `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info 4 0 R /ID [<${id}> <${id}>] >>\n` +
+    `startxref\n${xrefOffset}\n%%EOF\n`;
+  return Buffer.from(text, 'latin1');
+}
+
+/**
+ * Hex PDF string of a text, as written in the Info dictionary
+ * @param {string} text - Text
+ * @returns {string} Hex string
+ */
+function encodeText(text) {
+  return `<FEFF${Buffer.from(text, 'utf16le').swap16().toString('hex').toUpperCase()}>`;
+}
+
+describe('writeMetadata', () => {
+  it('appends the metadata as an incremental update', () => {
+    const pdf = createPDF();
+    const result = writeMetadata(pdf, METADATA, DATE);
+    assert.deepEqual(result.subarray(0, pdf.length), pdf);
+
+    const update = result.subarray(pdf.length).toString('latin1');
+    assert.match(update, /^4 0 obj\n<<\n/);
+    assert.ok(update.includes(`/Title ${encodeText(METADATA.title)}`));
+    assert.ok(update.includes(`/Keywords ${encodeText('Collibra, AWS')}`));
+    assert.ok(update.includes('/Creator (Chromium)'));
+    assert.ok(update.includes('/CreationDate (D:20250112093000Z)'));
+    assert.match(update, /\/Type \/Metadata \/Subtype \/XML/);
+    assert.ok(update.includes('<dc:description><rdf:Alt><rdf:li xml:lang="x-default">' +
+      'Data &amp; governance</rdf:li></rdf:Alt></dc:description>'));
+    assert.ok(update.includes(`/Lang ${encodeText('fr')}`));
+  });
+
+  it('points the new trailer to the previous cross-reference section', () => {
+    const pdf = createPDF();
+    const text = writeMetadata(pdf, METADATA, DATE).toString('latin1');
+    const previous = pdf.toString('latin1').match(/startxref\n(\d+)/)[1];
+    const trailer = text.slice(text.lastIndexOf('trailer'));
+    assert.ok(trailer.includes(`/Prev ${previous}`));
+    assert.ok(trailer.includes('/Size 6 /Root 1 0 R /Info 4 0 R'));
+
+    const xrefOffset = Number(text.match(/startxref\n(\d+)\n%%EOF\n$/)[1]);
+    assert.ok(text.startsWith('xref\n', xrefOffset));
+    const [, objectOffset] = text.slice(xrefOffset).match(/^xref\n4 1\n(\d{10}) 00000 n /);
+    assert.ok(text.startsWith('4 0 obj', Number(objectOffset)));
+  });
+
+  it('fails on content that is not a PDF', () => {
+    assert.throws(() => writeMetadata(Buffer.from('not a pdf'), METADATA, DATE),
+      PDFGenerationError);
+  });
+});
+
+describe('makeReproducible', () => {
+  it('gives the same bytes for the same page and date', () => {
+    const first = makeReproducible(writeMetadata(createPDF('0123456789ABCDEF'), METADATA, DATE),
+      DATE);
+    const second = makeReproducible(writeMetadata(createPDF('FEDCBA9876543210',
+      'D:20261019080000+00\'00\''), METADATA, DATE), DATE);
+    assert.deepEqual(first, second);
+  });
+
+  it('rewrites the dates and IDs in place', () => {
+    const pdf = writeMetadata(createPDF(), METADATA, DATE);
+    const result = makeReproducible(pdf, DATE);
+    const text = result.toString('latin1');
+    assert.equal(result.length, pdf.length);
+    assert.ok(!text.includes('D:20260101120000'));
+    assert.ok(text.includes('/CreationDate (D:20250112093000Z)'));
+    assert.ok(!text.includes('0123456789ABCDEF'));
+  });
+
+  it('gives other bytes for another date, and keeps a reproducible PDF as it is', () => {
+    const pdf = makeReproducible(writeMetadata(createPDF(), METADATA, DATE), DATE);
+    assert.deepEqual(makeReproducible(pdf, DATE), pdf);
+    assert.notDeepEqual(makeReproducible(pdf, new Date('2026-03-01T00:00:00Z')), pdf);
+  });
+});
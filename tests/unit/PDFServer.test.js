@@ -0,0 +1,181 @@
+/**
+ * Unit tests of PDFServer, with a renderer that does not launch a browser
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const PDFServer = require('../../src/server/PDFServer');
+const PDFConfig = require('../../src/config/PDFConfig');
+const RenderPool = require('../../src/server/RenderPool');
+const { ValidationError, UsageError } = require('../../src/errors/CustomErrors');
+
+// Moves the modification time of a page after the current version, in whole seconds
+const LATER_MS = 60000;
+const SECOND_MS = 1000;
+
+const CONFIG = new PDFConfig({ profiles: { governance: { include: ['governance'] } } },
+  { env: {} });
+
+describe('PDFServer', () => {
+  let root;
+
+  /**
+   * Server whose renders return their options as text
+   * @param {Object} [options] - PDFServer options
+   * @returns {PDFServer} Server, with the rendered options in its `renders`
+   */
+  const createServer = (options) => {
+    const server = new PDFServer(root, {
+      config: CONFIG,
+      getPageSource: (config, { language, profile }) => ({ html: `${language} ${profile}` }),
+      ...options
+    });
+    server.renders = [];
+    server.pool = new RenderPool(() => ({
+      render: async (source, { pdf, theme }) => {
+        server.renders.push(source.html);
+        return Buffer.from(JSON.stringify({ source, pdf, theme }));
+      },
+      close: async () => {}
+    }));
+    return server;
+  };
+
+  /**
+   * Options of a request for a variant
+   * @param {PDFServer} server - Server
+   * @param {string} query - Query string
+   * @returns {Object} Render options
+   */
+  const parse = (server, query) => server.parseQuery(new URLSearchParams(query));
+
+  before(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'cv-server-'));
+    fs.writeFileSync(path.join(root, 'index.html'), '<h1>CV</h1>');
+  });
+
+  after(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  describe('parseQuery', () => {
+    it('converts the query into render options', () => {
+      assert.deepEqual(parse(createServer(), 'format=Letter&lang=fr&profile=governance' +
+        '&theme=print&scale=0.9&margin=10mm'), {
+        language: 'fr',
+        profile: 'governance',
+        theme: 'print',
+        pdf: {
+          format: 'Letter',
+          scale: 0.9,
+          margin: { top: '10mm', right: '10mm', bottom: '10mm', left: '10mm' }
+        }
+      });
+    });
+
+    it('defaults to the default language and the theme of the configuration', () => {
+      assert.deepEqual(parse(createServer(), ''),
+        { language: 'en', profile: undefined, theme: CONFIG.getThemeName(), pdf: {} });
+    });
+
+    it('refuses unknown parameters, listing them', () => {
+      assert.throws(() => parse(createServer(), 'colour=red&lang=fr&size=1'), (error) =>
+        error instanceof ValidationError && error.field === 'colour' &&
+        error.message === 'Unknown query parameter: colour, size');
+    });
+
+    it('refuses invalid values', () => {
+      assert.throws(() => parse(createServer(), 'lang=de'), ValidationError);
+      assert.throws(() => parse(createServer(), 'profile=none'), /Unknown profile: none/);
+      assert.throws(() => parse(createServer(), 'theme=neon'), ValidationError);
+      assert.throws(() => parse(createServer(), 'scale=big'), UsageError);
+      assert.throws(() => parse(createServer(), 'margin=1'), UsageError);
+    });
+  });
+
+  describe('renderVariant', () => {
+    it('caches the PDFs and shares a render between concurrent requests', async () => {
+      const server = createServer();
+      const options = parse(server, 'lang=fr');
+      const [first, second] = await Promise.all([
+        server.renderVariant(options),
+        server.renderVariant(options)
+      ]);
+      const third = await server.renderVariant(options);
+
+      assert.deepEqual(server.renders, ['fr undefined']);
+      assert.equal(first.etag, third.etag);
+      assert.deepEqual([first.cached, second.cached, third.cached], [false, true, true]);
+      assert.notEqual((await server.renderVariant(parse(server, 'lang=nl'))).etag, first.etag);
+    });
+
+    it('evicts the least recently used PDF beyond the cache size', async () => {
+      const server = createServer({ cacheSize: 2 });
+      const [en, fr, nl] = ['en', 'fr', 'nl'].map((lang) => parse(server, `lang=${lang}`));
+      await server.renderVariant(en);
+      await server.renderVariant(fr);
+      await server.renderVariant(en);
+      await server.renderVariant(nl);
+
+      assert.equal((await server.renderVariant(en)).cached, true);
+      assert.equal((await server.renderVariant(fr)).cached, false);
+      assert.deepEqual(server.renders, ['en undefined', 'fr undefined', 'nl undefined',
+        'fr undefined']);
+    });
+
+    it('does not cache a failed render', async () => {
+      const server = createServer();
+      let fail = true;
+      server.pool = new RenderPool(() => ({
+        render: async () => {
+          if (fail) {
+            throw new Error('Navigation failed');
+          }
+          return Buffer.from('%PDF');
+        }
+      }));
+      await assert.rejects(server.renderVariant(parse(server, '')), /Navigation failed/);
+      fail = false;
+      assert.equal((await server.renderVariant(parse(server, ''))).cached, false);
+    });
+  });
+
+  describe('getContentVersion', () => {
+    /**
+     * Move the modification time of the page after the current version
+     * @param {PDFServer} server - Server
+     * @returns {number} New modification time in milliseconds
+     */
+    const touchPage = (server) => {
+      const seconds = Math.ceil((server.getContentVersion() + LATER_MS) / SECOND_MS);
+      const later = new Date(seconds * SECOND_MS);
+      fs.utimesSync(path.join(root, 'index.html'), later, later);
+      return later.getTime();
+    };
+
+    it('reads the modification times again only after the watcher reports a change', () => {
+      const server = createServer();
+      server.watch();
+      try {
+        const version = server.getContentVersion();
+        const later = touchPage(server);
+        assert.equal(server.getContentVersion(), version);
+        server.watcher.emit('change', ['index.html']);
+        assert.equal(server.getContentVersion(), later);
+      } finally {
+        server.stopWatching();
+      }
+    });
+
+    it('reads them on every request without a watcher', () => {
+      const server = createServer();
+      const later = touchPage(server);
+      assert.equal(server.getContentVersion(), later);
+      const latest = touchPage(server);
+      assert.equal(server.getContentVersion(), latest);
+    });
+  });
+});
@@ -0,0 +1,138 @@
+/**
+ * Unit tests of PageBreaks and of the pageBreaks configuration
+ */
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { toStyles, applyPageBreaks } = require('../../src/generator/PageBreaks');
+const { validatePageBreaks } = require('../../src/utils/ConfigValidator');
+const PDFConfig = require('../../src/config/PDFConfig');
+const { PAGE_BREAKS } = require('../../src/constants');
+const { ValidationError } = require('../../src/errors/CustomErrors');
+
+/**
+ * Page whose evaluate runs the function here, against a document of fake elements
+ * @param {Object} elements - Elements matched by each selector
+ * @returns {Object} Stand-in for a Puppeteer page
+ */
+function createPage(elements) {
+  return {
+    evaluate: async (fn, ...args) => {
+      global.document = {
+        querySelectorAll: (selector) => {
+          if (!(selector in elements)) {
+            throw new SyntaxError(`'${selector}' is not a valid selector`);
+          }
+          return elements[selector];
+        }
+      };
+      return fn(...args);
+    }
+  };
+}
+
+describe('toStyles', () => {
+  it('sets break-* and the legacy page-break-* properties', () => {
+    assert.deepEqual(toStyles({ avoidInside: true, keepWithNext: true, breakBefore: 'page' }), {
+      breakInside: 'avoid',
+      pageBreakInside: 'avoid',
+      breakAfter: 'avoid',
+      pageBreakAfter: 'avoid',
+      breakBefore: 'page',
+      pageBreakBefore: 'always'
+    });
+  });
+
+  it('lets elements break with false, and writes orphans and widows as text', () => {
+    assert.deepEqual(toStyles({ avoidInside: false, keepWithNext: false, orphans: 3, widows: 2 }),
+      {
+        breakInside: 'auto',
+        pageBreakInside: 'auto',
+        breakAfter: 'auto',
+        pageBreakAfter: 'auto',
+        orphans: '3',
+        widows: '2'
+      });
+  });
+
+  it('only sets the properties of the rule', () => {
+    assert.deepEqual(toStyles({ breakBefore: 'avoid' }),
+      { breakBefore: 'avoid', pageBreakBefore: 'avoid' });
+    assert.deepEqual(toStyles({}), {});
+  });
+});
+
+describe('applyPageBreaks', () => {
+  afterEach(() => {
+    delete global.document;
+  });
+
+  it('styles the elements of each selector in order, counting them', async () => {
+    const title = { style: {} };
+    const item = { style: {} };
+    const page = createPage({ '.section-title': [title], 'li': [title, item], '.none': [] });
+    const matches = await applyPageBreaks(page, {
+      '.section-title': { keepWithNext: true, avoidInside: true },
+      'li': { avoidInside: false },
+      '.none': { breakBefore: 'page' }
+    });
+
+    assert.deepEqual(matches, { '.section-title': 1, 'li': 2, '.none': 0 });
+    assert.deepEqual(title.style, {
+      breakInside: 'auto',
+      pageBreakInside: 'auto',
+      breakAfter: 'avoid',
+      pageBreakAfter: 'avoid'
+    });
+    assert.deepEqual(item.style, { breakInside: 'auto', pageBreakInside: 'auto' });
+  });
+
+  it('fails on selectors that are not valid CSS, naming them', async () => {
+    const page = createPage({ li: [] });
+    await assert.rejects(applyPageBreaks(page, { 'li': {}, 'li[': {}, '>>': {} }), (error) =>
+      error instanceof ValidationError && error.field === 'pageBreaks["li["]' &&
+      error.message === 'pageBreaks has invalid CSS selectors: li[, >>');
+  });
+});
+
+describe('pageBreaks configuration', () => {
+  it('accepts rules and null by selector', () => {
+    assert.doesNotThrow(() => validatePageBreaks({
+      '.project-content': null,
+      'h3': { keepWithNext: true, breakBefore: 'auto', orphans: 2 }
+    }));
+  });
+
+  it('refuses invalid rules, with the path of the setting', () => {
+    const field = (pageBreaks) => {
+      try {
+        validatePageBreaks(pageBreaks);
+      } catch (error) {
+        return error instanceof ValidationError ? error.field : error;
+      }
+      return null;
+    };
+    assert.equal(field({ h3: { avoidInside: 'yes' } }), 'pageBreaks.h3.avoidInside');
+    assert.equal(field({ h3: { breakBefore: 'always' } }), 'pageBreaks.h3.breakBefore');
+    assert.equal(field({ h3: { orphans: 0 } }), 'pageBreaks.h3.orphans');
+    assert.equal(field({ h3: { keep: true } }), 'pageBreaks.h3.keep');
+    assert.equal(field({ h3: {} }), 'pageBreaks.h3');
+    assert.equal(field({ '': { orphans: 2 } }), 'pageBreaks[""]');
+  });
+
+  it('merges the rules over the defaults, null removing one', () => {
+    const rules = new PDFConfig({
+      pageBreaks: {
+        'li': { orphans: 2 },
+        '.project-content': null,
+        'h3': { keepWithNext: true }
+      }
+    }, { env: {} }).getPageBreakRules();
+
+    assert.deepEqual(rules.li, { ...PAGE_BREAKS.DEFAULT_RULES.li, orphans: 2 });
+    assert.equal(rules['.project-content'], undefined);
+    assert.deepEqual(Object.keys(rules).slice(-1), ['h3']);
+    assert.equal(Object.keys(rules).indexOf('li'),
+      Object.keys(PAGE_BREAKS.DEFAULT_RULES).indexOf('li') - 1);
+  });
+});
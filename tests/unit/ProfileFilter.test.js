@@ -0,0 +1,88 @@
+/**
+ * Unit tests of ProfileFilter
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { applyProfile, matchesProfile } = require('../../src/data/ProfileFilter');
+
+const DATA = {
+  experience: {
+    entries: [
+      {
+        organization: { name: 'Datashift' },
+        projects: [
+          {
+            title: 'Governance',
+            tags: ['governance'],
+            highlights: ['Catalog', { text: 'Terraform modules', tags: ['platform'] }]
+          },
+          {
+            title: 'Platform',
+            tags: ['platform'],
+            highlights: ['Landing zone']
+          }
+        ]
+      }
+    ]
+  },
+  skills: {
+    columns: [
+      [{ category: 'Cloud', tags: ['platform'], keywords: ['AWS'] }],
+      [{ category: 'Languages', keywords: ['Python'] }]
+    ]
+  }
+};
+
+describe('matchesProfile', () => {
+  it('keeps items without tags or without a profile', () => {
+    assert.equal(matchesProfile(undefined, { include: ['governance'] }), true);
+    assert.equal(matchesProfile([], { include: ['governance'] }), true);
+    assert.equal(matchesProfile(['platform'], null), true);
+  });
+
+  it('drops items with an excluded tag, even when another tag is included', () => {
+    assert.equal(matchesProfile(['governance', 'ml'], { include: ['governance'], exclude: ['ml'] }),
+      false);
+  });
+
+  it('requires an included tag when include is set', () => {
+    assert.equal(matchesProfile(['platform'], { include: ['governance'] }), false);
+    assert.equal(matchesProfile(['platform', 'governance'], { include: ['governance'] }), true);
+    assert.equal(matchesProfile(['platform'], { exclude: ['ml'] }), true);
+  });
+});
+
+describe('applyProfile', () => {
+  it('keeps everything and removes the tags without a profile', () => {
+    const result = applyProfile(DATA);
+    const [governance, platform] = result.experience.entries[0].projects;
+    assert.deepEqual(governance, {
+      title: 'Governance',
+      highlights: ['Catalog', 'Terraform modules']
+    });
+    assert.equal(platform.tags, undefined);
+    assert.equal(result.skills.columns.length, 2);
+  });
+
+  it('drops the tagged items of other profiles', () => {
+    const result = applyProfile(DATA, { include: ['governance'] });
+    assert.deepEqual(result.experience.entries[0].projects, [
+      { title: 'Governance', highlights: ['Catalog'] }
+    ]);
+  });
+
+  it('drops the containers and nested lists the filter empties', () => {
+    const result = applyProfile(DATA, { exclude: ['platform'] });
+    assert.deepEqual(result.skills.columns, [[{ category: 'Languages', keywords: ['Python'] }]]);
+
+    const withoutProjects = applyProfile(DATA, { exclude: ['governance', 'platform'] });
+    assert.equal(withoutProjects.experience, undefined);
+  });
+
+  it('does not modify the data', () => {
+    const copy = JSON.parse(JSON.stringify(DATA));
+    applyProfile(DATA, { include: ['platform'] });
+    assert.deepEqual(DATA, copy);
+  });
+});
@@ -0,0 +1,96 @@
+/**
+ * Unit tests of RenderPool
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const RenderPool = require('../../src/server/RenderPool');
+const { ServerBusyError } = require('../../src/errors/CustomErrors');
+
+/**
+ * Renderer counting its opens and closes
+ * @returns {Object} Stand-in for a PDFRenderer
+ */
+function createRenderer() {
+  return {
+    opened: 0,
+    closed: 0,
+    async open() {
+      this.opened++;
+    },
+    async close() {
+      this.closed++;
+    }
+  };
+}
+
+/**
+ * Task that runs until it is released
+ * @returns {{task: Function, release: Function}} Task for RenderPool.run, and its release
+ */
+function createBlockedTask() {
+  let release;
+  const released = new Promise((resolve) => {
+    release = resolve;
+  });
+  return { task: async (renderer) => {
+    await released;
+    return renderer;
+  }, release };
+}
+
+describe('RenderPool', () => {
+  it('creates renderers on demand, up to its size', async () => {
+    const pool = new RenderPool(createRenderer, { size: 2, maxQueue: 0 });
+    const first = createBlockedTask();
+    const second = createBlockedTask();
+    const runs = [pool.run(first.task), pool.run(second.task)];
+    assert.equal(pool.slots.length, 2);
+    assert.equal(pool.pending, 2);
+
+    first.release();
+    second.release();
+    const [firstRenderer, secondRenderer] = await Promise.all(runs);
+    assert.notEqual(firstRenderer, secondRenderer);
+    assert.equal(pool.pending, 0);
+  });
+
+  it('reuses an idle renderer', async () => {
+    const pool = new RenderPool(createRenderer, { size: 2 });
+    const first = await pool.run(async (renderer) => renderer);
+    assert.equal(await pool.run(async (renderer) => renderer), first);
+    assert.equal(pool.slots.length, 1);
+  });
+
+  it('refuses renders with a ServerBusyError once the waiting list is full', async () => {
+    const pool = new RenderPool(createRenderer, { size: 1, maxQueue: 1 });
+    const running = createBlockedTask();
+    const waiting = createBlockedTask();
+    const runs = [pool.run(running.task), pool.run(waiting.task)];
+
+    await assert.rejects(pool.run(async () => null), ServerBusyError);
+    running.release();
+    waiting.release();
+    await Promise.all(runs);
+    assert.equal(await pool.run(async () => 'rendered'), 'rendered');
+  });
+
+  it('frees the renderer of a failed render', async () => {
+    const pool = new RenderPool(createRenderer, { size: 1, maxQueue: 0 });
+    await assert.rejects(pool.run(async () => {
+      throw new Error('Navigation failed');
+    }), /Navigation failed/);
+    assert.equal(pool.pending, 0);
+  });
+
+  it('opens a browser when warmed and closes every renderer', async () => {
+    const pool = new RenderPool(createRenderer, { size: 2 });
+    await pool.warm();
+    const renderer = pool.slots[0].renderer;
+    assert.equal(renderer.opened, 1);
+
+    await pool.close();
+    assert.equal(renderer.closed, 1);
+    assert.deepEqual(pool.slots, []);
+  });
+});
@@ -0,0 +1,166 @@
+/**
+ * Unit tests of TransformPipeline
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadPlugins, resolveSteps, runSteps } = require('../../src/generator/TransformPipeline');
+const { DOM_TRANSFORMS } = require('../../src/generator/DOMTransforms');
+const {
+  ConfigurationError,
+  FileSystemError,
+  PDFGenerationError,
+  ValidationError
+} = require('../../src/errors/CustomErrors');
+
+const BUILT_IN = DOM_TRANSFORMS.map(({ name }) => name);
+
+/**
+ * Source of a step that does nothing
+ * @param {string} name - Step name
+ * @returns {string} Object literal
+ */
+function step(name) {
+  return `{ name: '${name}', description: '', apply: async () => {} }`;
+}
+
+/**
+ * Source of a plugin exporting one step that does nothing
+ * @param {string} name - Step name
+ * @returns {string} Module source
+ */
+function plugin(name) {
+  return `module.exports = ${step(name)};`;
+}
+
+describe('TransformPipeline', () => {
+  let directory;
+
+  /**
+   * Write a plugins directory
+   * @param {string} name - Directory name
+   * @param {Object} files - Source of each plugin file, by file name
+   * @returns {string} Absolute path of the directory
+   */
+  const writePlugins = (name, files) => {
+    const plugins = path.join(directory, name);
+    fs.mkdirSync(plugins);
+    Object.entries(files).forEach(([file, source]) => {
+      fs.writeFileSync(path.join(plugins, file), source);
+    });
+    return plugins;
+  };
+
+  before(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'cv-transforms-'));
+  });
+
+  after(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  describe('loadPlugins', () => {
+    it('loads the steps of the .js and .cjs files, in file name order', () => {
+      const plugins = writePlugins('valid', {
+        'b-watermark.js': plugin('watermark'),
+        'a-fonts.cjs': `module.exports = [${step('fonts')}, ${step('ligatures')}];`,
+        'notes.txt': 'not a plugin'
+      });
+      assert.deepEqual(loadPlugins(plugins).map(({ name, plugin: file }) => [name, file]), [
+        ['fonts', 'a-fonts.cjs'],
+        ['ligatures', 'a-fonts.cjs'],
+        ['watermark', 'b-watermark.js']
+      ]);
+    });
+
+    it('accepts a missing directory unless it is required', () => {
+      const missing = path.join(directory, 'none');
+      assert.deepEqual(loadPlugins(missing), []);
+      assert.throws(() => loadPlugins(missing, true), FileSystemError);
+    });
+
+    it('fails on a plugin that does not load or is not a step', () => {
+      const broken = writePlugins('broken', { 'broken.js': 'module.exports = ;' });
+      assert.throws(() => loadPlugins(broken), (error) =>
+        error instanceof ConfigurationError && error.message.includes('broken.js'));
+
+      const invalid = writePlugins('invalid', {
+        'upper.js': 'module.exports = { name: \'Upper\', apply: () => {} };'
+      });
+      assert.throws(() => loadPlugins(invalid), /upper\.js: expected \{ name, description/);
+    });
+  });
+
+  describe('resolveSteps', () => {
+    it('runs the built-in steps, then the plugins, by default', () => {
+      const plugins = writePlugins('default', { 'watermark.js': plugin('watermark') });
+      assert.deepEqual(resolveSteps({ plugins }).map(({ name }) => name),
+        [...BUILT_IN, 'watermark']);
+    });
+
+    it('runs the steps of order first and skips the disabled ones', () => {
+      const plugins = writePlugins('ordered', { 'watermark.js': plugin('watermark') });
+      const steps = resolveSteps({
+        order: ['watermark', 'layout'],
+        disabled: ['outline', 'recolor'],
+        plugins
+      });
+      assert.deepEqual(steps.map(({ name }) => name), ['watermark', 'layout',
+        ...BUILT_IN.filter((name) => !['layout', 'outline', 'recolor'].includes(name))]);
+    });
+
+    it('fails on unknown steps in order or disabled, listing the known ones', () => {
+      const plugins = path.join(directory, 'none');
+      assert.throws(() => resolveSteps({ order: ['watermark'], plugins }), (error) =>
+        error instanceof ValidationError && error.field === 'transforms.order' &&
+        error.message.includes(`expected: ${BUILT_IN.join(', ')}`));
+      assert.throws(() => resolveSteps({ disabled: ['outlines'], plugins }),
+        (error) => error.field === 'transforms.disabled');
+    });
+
+    it('fails when a plugin reuses the name of a step', () => {
+      const plugins = writePlugins('reused', { 'layout.js': plugin('layout') });
+      assert.throws(() => resolveSteps({ plugins }), /layout\.js reuses the step name "layout"/);
+    });
+  });
+
+  describe('runSteps', () => {
+    it('runs the steps in order with the context, timing each', async () => {
+      const calls = [];
+      const steps = ['first', 'second'].map((name) => ({
+        name,
+        apply: async (context) => calls.push([name, context.theme])
+      }));
+      const reported = [];
+      const timings = await runSteps(steps, { theme: 'print' }, (timing) => reported.push(timing));
+
+      assert.deepEqual(calls, [['first', 'print'], ['second', 'print']]);
+      assert.deepEqual(timings.map(({ step: name }) => name), ['first', 'second']);
+      assert.deepEqual(reported, timings);
+    });
+
+    it('names the step that failed and stops there', async () => {
+      const calls = [];
+      const steps = [
+        { name: 'broken', apply: async () => {
+          throw new Error('document is not defined');
+        } },
+        { name: 'next', apply: async () => calls.push('next') }
+      ];
+      await assert.rejects(runSteps(steps, {}), (error) =>
+        error instanceof PDFGenerationError && /\(step broken\): document is not defined$/
+          .test(error.message));
+      assert.deepEqual(calls, []);
+    });
+
+    it('passes typed errors on unchanged', async () => {
+      const error = new ValidationError('Invalid page', 'page');
+      await assert.rejects(runSteps([{ name: 'check', apply: async () => {
+        throw error;
+      } }], {}), (thrown) => thrown === error);
+    });
+  });
+});
@@ -0,0 +1,91 @@
+/**
+ * Unit tests of Translator
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { Translator, isLocalizedText, localizeFilename } = require('../../src/i18n/Translator');
+const { ConfigurationError } = require('../../src/errors/CustomErrors');
+
+describe('isLocalizedText', () => {
+  it('accepts objects of supported languages with string values', () => {
+    assert.equal(isLocalizedText({ en: 'Education', fr: 'Formation' }), true);
+  });
+
+  it('rejects other values', () => {
+    assert.equal(isLocalizedText('Education'), false);
+    assert.equal(isLocalizedText({}), false);
+    assert.equal(isLocalizedText(['en']), false);
+    assert.equal(isLocalizedText({ en: 'Education', de: 'Ausbildung' }), false);
+    assert.equal(isLocalizedText({ name: 'UCB', url: 'https://www.ucb.com' }), false);
+  });
+});
+
+describe('localizeFilename', () => {
+  it('inserts the language before the extension', () => {
+    assert.equal(localizeFilename('CV.pdf', 'fr'), 'CV.fr.pdf');
+    assert.equal(localizeFilename(path.join('out', 'index.html'), 'nl'),
+      path.join('out', 'index.nl.html'));
+  });
+});
+
+describe('Translator', () => {
+  it('reads the labels and the locale of its language', () => {
+    const translator = new Translator('fr');
+    assert.equal(translator.t('location'), 'Localisation');
+    assert.equal(translator.locale, 'fr-BE');
+    assert.equal(translator.name, 'Français');
+    assert.deepEqual([...translator.missing], []);
+  });
+
+  it('records unknown labels and returns their key', () => {
+    const translator = new Translator('fr');
+    assert.equal(translator.t('noSuchLabel'), 'noSuchLabel');
+    assert.deepEqual([...translator.missing], ['labels.noSuchLabel']);
+  });
+
+  it('fails for a language without a locale file', () => {
+    assert.throws(() => new Translator('xx'), ConfigurationError);
+  });
+
+  it('falls back to the default language and records the field', () => {
+    const translator = new Translator('nl');
+    assert.equal(translator.localize({ en: 'Education', fr: 'Formation' }, 'education.title'),
+      'Education');
+    assert.equal(translator.localize({ en: 'Education', nl: 'Opleiding' }), 'Opleiding');
+    assert.equal(translator.localize('UCB'), 'UCB');
+    assert.deepEqual([...translator.missing], ['education.title']);
+  });
+
+  it('resolves every localized value of the data', () => {
+    const translator = new Translator('fr');
+    const data = {
+      summary: { title: { en: 'Summary', fr: 'Profil' }, text: { en: 'Text', fr: 'Texte' } },
+      experience: { entries: [{ organization: { name: 'UCB' }, startDate: '2025-10' }] }
+    };
+    assert.deepEqual(translator.localizeData(data), {
+      summary: { title: 'Profil', text: 'Texte' },
+      experience: { entries: [{ organization: { name: 'UCB' }, startDate: '2025-10' }] }
+    });
+    assert.deepEqual([...translator.missing], []);
+  });
+
+  it('reports plain strings of the prose fields in the other languages', () => {
+    const data = {
+      header: { contact: { location: 'Brussels', email: 'me@example.com' } },
+      experience: { entries: [{ highlights: ['Built', { text: 'Ran', tags: ['ml'] }] }] }
+    };
+    const french = new Translator('fr');
+    french.localizeData(data);
+    assert.deepEqual([...french.missing], [
+      'header.contact.location',
+      'experience.entries[0].highlights[0]',
+      'experience.entries[0].highlights[1].text'
+    ]);
+
+    const english = new Translator('en');
+    english.localizeData(data);
+    assert.deepEqual([...english.missing], []);
+  });
+});
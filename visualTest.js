@@ -0,0 +1,241 @@
+#!/usr/bin/env node
+/**
+ * Visual Regression Tests
+ *
+ * Renders the PDFs, rasterizes each page to PNG in headless Chrome and
+ * compares it with its baseline image. Pages differing by more than the
+ * tolerance fail, with a diff image next to the rendered page; --accept saves
+ * the rendered pages as the new baselines. Everything runs offline.
+ *
+ * Baselines live in tests/visual/baselines/<PDF name>/page-<n>.png. They
+ * depend on the fonts of the machine, so each machine accepts its own and they
+ * are not committed; --skip-without-baselines lets npm test pass on a machine
+ * that has none yet. Rendered pages and diffs go to tests/visual/output/.
+ *
+ * @module visualTest
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { VISUAL, LOG_MESSAGES, ERROR_MESSAGES } = require('./src/constants');
+const { ApplicationError, VisualRegressionError } = require('./src/errors/CustomErrors');
+const PDFConfig = require('./src/config/PDFConfig');
+const { PDFRenderer } = require('./src/api/PDFRenderer');
+const PDFRasterizer = require('./src/visual/PDFRasterizer');
+const { planJobs } = require('./convertToPDF');
+const { VISUAL_USAGE, parseVisualArguments } = require('./src/cli/VisualArguments');
+const { getExitCode } = require('./src/cli/CLIArguments');
+
+const PAGE_IMAGE_PATTERN = /^page-(\d+)\.png$/;
+
+/**
+ * File name of a page image
+ * @param {number} page - Page number, from 1
+ * @param {string} [suffix] - Suffix before the extension, e.g. ".diff"
+ * @returns {string} File name
+ */
+function pageImage(page, suffix = '') {
+  return `page-${page}${suffix}.png`;
+}
+
+/**
+ * Empty a directory, creating it if needed
+ * @param {string} directory - Directory
+ */
+function resetDirectory(directory) {
+  fs.rmSync(directory, { recursive: true, force: true });
+  fs.mkdirSync(directory, { recursive: true });
+}
+
+/**
+ * Number of baseline pages of a PDF
+ * @param {string} directory - Baseline directory of the PDF
+ * @returns {number} Highest page number with a baseline, 0 if none
+ */
+function countBaselines(directory) {
+  if (!fs.existsSync(directory)) {
+    return 0;
+  }
+  return fs.readdirSync(directory)
+    .map((file) => file.match(PAGE_IMAGE_PATTERN))
+    .filter(Boolean)
+    .reduce((count, match) => Math.max(count, Number(match[1])), 0);
+}
+
+/**
+ * Whether any baseline was accepted on this machine
+ * @returns {boolean} True if a PDF of the baseline directory has a page image
+ */
+function hasBaselines() {
+  const directory = path.join(__dirname, VISUAL.BASELINE_DIR);
+  return fs.existsSync(directory) && fs.readdirSync(directory)
+    .some((name) => countBaselines(path.join(directory, name)) > 0);
+}
+
+/**
+ * Compare the pages of a PDF with their baselines
+ * @param {PDFRasterizer} rasterizer - Rasterizer
+ * @param {Buffer[]} images - Rendered pages
+ * @param {Object} directories - Directories of the PDF ({ baseline, output })
+ * @param {Object} options - Comparison options ({ tolerance, threshold })
+ * @returns {Promise<Object[]>} One result per page ({ page, ratio, reason, diff })
+ */
+async function comparePages(rasterizer, images, { baseline, output }, { tolerance, threshold }) {
+  const results = [];
+  for (const [index, image] of images.entries()) {
+    const page = index + 1;
+    const baselinePath = path.join(baseline, pageImage(page));
+    if (!fs.existsSync(baselinePath)) {
+      results.push({ page, ratio: 1, reason: ERROR_MESSAGES.BASELINE_MISSING });
+      continue;
+    }
+
+    const expected = fs.readFileSync(baselinePath);
+    const comparison = await rasterizer.compare(expected, image, { threshold });
+    const result = { page, ratio: comparison.ratio };
+    if (!comparison.sizeMatches) {
+      result.reason = `page size ${comparison.width}x${comparison.height} instead of ` +
+        comparison.expectedSize;
+    } else if (comparison.ratio > tolerance) {
+      result.reason = `${(comparison.ratio * 100).toFixed(2)}% of the pixels differ`;
+      result.diff = path.join(output, pageImage(page, '.diff'));
+      fs.writeFileSync(result.diff, comparison.diff);
+    }
+    results.push(result);
+  }
+
+  // Baselines of pages the PDF no longer has
+  for (let page = images.length + 1; page <= countBaselines(baseline); page++) {
+    results.push({ page, ratio: 1, reason: 'page missing from the PDF' });
+  }
+  return results;
+}
+
+/**
+ * Render the PDFs and compare their pages with the baselines, or accept them as baselines
+ * @param {Object} [options] - Test options (see parseVisualArguments)
+ * @param {Function} [onResult] - Called with the result of each PDF as it is done
+ * @returns {Promise<Object[]>} One result per PDF ({ job, name, pages, accepted }), pages
+ *   being the page results of comparePages
+ * @throws {ApplicationError} If the configuration is invalid or a render fails
+ */
+async function runVisualTests(options = {}, onResult = () => {}) {
+  const {
+    accept = false,
+    tolerance = VISUAL.TOLERANCE,
+    threshold = VISUAL.THRESHOLD,
+    all = false
+  } = options;
+  const config = new PDFConfig(options.config, { profile: options.configProfile });
+  const jobs = planJobs(config, { profiles: all, outputs: all });
+  const rasterizer = new PDFRasterizer({ browser: config.getBrowserOptions() });
+  const renderer = new PDFRenderer({ config });
+
+  const results = [];
+  try {
+    await rasterizer.open();
+    for (const job of jobs) {
+      const name = path.basename(job.output, '.pdf');
+      const directories = {
+        baseline: path.join(__dirname, VISUAL.BASELINE_DIR, name),
+        output: path.join(__dirname, VISUAL.OUTPUT_DIR, name)
+      };
+
+      // Rendered to memory: the committed PDFs are left untouched
+      const pdf = await renderer.render(job.source, {
+        ...job.overrides,
+        date: new Date(VISUAL.DATE)
+      });
+      const images = await rasterizer.rasterize(pdf);
+      const target = accept ? directories.baseline : directories.output;
+      resetDirectory(target);
+      images.forEach((image, index) => {
+        fs.writeFileSync(path.join(target, pageImage(index + 1)), image);
+      });
+
+      const pages = accept
+        ? images.map((image, index) => ({ page: index + 1, ratio: 0 }))
+        : await comparePages(rasterizer, images, directories, { tolerance, threshold });
+      const result = { job, name, pages, accepted: accept };
+      onResult(result);
+      results.push(result);
+    }
+  } finally {
+    await renderer.close();
+    await rasterizer.close();
+  }
+  return results;
+}
+
+/**
+ * Format the outcome of one PDF for the console
+ * @param {Object} result - Result of runVisualTests
+ * @returns {string} Summary line, followed by one line per failed page
+ */
+function formatResult({ name, pages, accepted }) {
+  const failures = pages.filter((page) => page.reason);
+  const count = `${pages.length} ${pages.length === 1 ? 'page' : 'pages'}`;
+  if (accepted) {
+    return `  ${name}: ${count} saved`;
+  }
+  if (failures.length === 0) {
+    return `  ${name}: ${count} match`;
+  }
+
+  const lines = failures.map(({ page, reason, diff }) => {
+    const file = diff ? ` (${path.relative(process.cwd(), diff)})` : '';
+    return `    ✗ page ${page}: ${reason}${file}`;
+  });
+  return [`  ${name}: ${failures.length} of ${count} differ`, ...lines].join('\n');
+}
+
+/**
+ * Command-line entry point
+ * @param {string[]} [argv] - Arguments without node and script path
+ */
+async function main(argv = process.argv.slice(2)) {
+  try {
+    const options = parseVisualArguments(argv);
+    if (options.help) {
+      console.log(VISUAL_USAGE);
+      return;
+    }
+
+    if (options.skipWithoutBaselines && !options.accept && !hasBaselines()) {
+      console.log(`${LOG_MESSAGES.VISUAL_SKIPPED} ${VISUAL.BASELINE_DIR}/`);
+      return;
+    }
+
+    console.log(LOG_MESSAGES.VISUAL_START);
+    const results = await runVisualTests(options, (result) => console.log(formatResult(result)));
+    if (options.accept) {
+      console.log(`${LOG_MESSAGES.VISUAL_ACCEPTED} in ${VISUAL.BASELINE_DIR}/`);
+      return;
+    }
+
+    const failures = results.flatMap(({ name, pages }) => pages
+      .filter((page) => page.reason)
+      .map((page) => ({ name, ...page })));
+    if (failures.length > 0) {
+      throw new VisualRegressionError(
+        `${ERROR_MESSAGES.VISUAL_MISMATCH} (${failures.length} page(s)), see ` +
+        `${VISUAL.OUTPUT_DIR}/ and run npm run test:accept if the changes are intended`,
+        failures
+      );
+    }
+    console.log(LOG_MESSAGES.VISUAL_PASSED);
+  } catch (error) {
+    console.error(LOG_MESSAGES.VISUAL_ERROR, error.message);
+    if (!(error instanceof ApplicationError)) {
+      console.error(error.stack);
+    }
+    process.exitCode = getExitCode(error);
+  }
+}
+
+// Execute if run directly
+if (require.main === module) {
+  main();
+}
+
+module.exports = { runVisualTests, main };